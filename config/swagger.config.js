@@ -26,6 +26,22 @@ const swaggerOptions = {
           bearerFormat: 'JWT'
         }
       },
+      parameters: {
+        IdempotencyKey: {
+          name: 'Idempotency-Key',
+          in: 'header',
+          required: false,
+          description: 'Client-generated unique key (max 255 chars). Retrying a request with the same key never charges credits or runs the work twice: 409 while the first attempt is still running; once it has succeeded, its original response is returned again (with creditsDeducted: 0). Reusing a key with a different request body returns 422. Keys of failed (refunded) attempts can be reused.',
+          schema: { type: 'string', maxLength: 255 }
+        },
+        OrganizationId: {
+          name: 'X-Organization-Id',
+          in: 'header',
+          required: false,
+          description: 'Charge the credits to this organization\'s shared wallet instead of your own (you must be a member).',
+          schema: { type: 'string' }
+        }
+      },
       schemas: {
         Error: {
           type: 'object',
@@ -0,0 +1,60 @@
+const AIUsage = require('../models/aiUsage.model');
+const CreditLog = require('../models/creditLog.model');
+const AppSettings = require('../models/appSettings.model');
+const { usageRangeSchema, usageBreakdownSchema } = require('../validations/aiUsage.validation');
+
+const DEFAULT_RANGE_DAYS = 30;
+
+// Default to the last 30 days
+function resolveRange({ from, to }) {
+    const end = to || new Date();
+    const start = from || new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+    return { from: start, to: end };
+}
+
+const roundUsd = (value) => Math.round(value * 1e4) / 1e4;
+
+// AI spend vs credit revenue over a date range (Admin only)
+exports.getUsageSummary = async (req, res) => {
+    const { error, value } = usageRangeSchema.validate(req.query);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const range = resolveRange(value);
+
+    const [totals, [credits], pricePerCredit] = await Promise.all([
+        AIUsage.summarize(range),
+        CreditLog.aggregate([
+            // Net of refunds for failed actions (those carry the action key)
+            { $match: { type: { $in: ['usage', 'refund'] }, action: { $ne: null }, createdAt: { $gte: range.from, $lte: range.to } } },
+            { $group: { _id: null, creditsUsed: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, { $multiply: ['$credits', -1] }, '$credits'] } } } }
+        ]),
+        AppSettings.get('price_per_credit', 0)
+    ]);
+
+    const creditsUsed = credits?.creditsUsed || 0;
+    const creditRevenueUsd = roundUsd(creditsUsed * pricePerCredit);
+
+    res.json({
+        range,
+        totals,
+        credits: {
+            creditsUsed,
+            pricePerCredit,
+            // What the credits spent in this range are worth at the pay-as-you-go rate
+            creditRevenueUsd,
+            aiCostPerCreditUsd: creditsUsed ? roundUsd(totals.costUsd / creditsUsed) : null,
+            marginUsd: roundUsd(creditRevenueUsd - totals.costUsd)
+        }
+    });
+};
+
+// AI usage grouped by day, feature, model or user (Admin only)
+exports.getUsageBreakdown = async (req, res) => {
+    const { error, value } = usageBreakdownSchema.validate(req.query);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const range = resolveRange(value);
+    const rows = await AIUsage.breakdown(value.groupBy, { ...range, limit: value.limit });
+
+    res.json({ range, groupBy: value.groupBy, rows });
+};
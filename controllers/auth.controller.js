@@ -6,7 +6,8 @@ const adminWhitelist = process.env.ADMIN_EMAIL_WHITELIST
   ? process.env.ADMIN_EMAIL_WHITELIST.split(',').map(email => email.trim().toLowerCase())
   : [];
 const { sendEmail } = require('../services/email.service');
-const { getInitialCredits, logCreditEvent } = require('../services/credit.service');
+const { getInitialCredits, grantCredits } = require('../services/credit.service');
+const { findReferrer, rewardReferral } = require('../services/referral.service');
 const crypto = require('crypto');
 
 // Generate JWT Token
@@ -26,12 +27,13 @@ exports.registerUser = async (req, res) => {
       return res.status(400).json({ error: 'Request body is missing.' });
     }
 
-    const { error, value } = userRegisterSchema.validate(req.body, { abortEarly: false });
+    const { error, value: validated } = userRegisterSchema.validate(req.body, { abortEarly: false });
     if (error) {
       logger.warn(`Registration failed: Validation errors for email ${req.body?.email || '[unknown]'}`);
       const errors = error.details.map(err => err.message);
       return res.status(400).json({ errors });
     }
+    const { referralCode, ...value } = validated;
 
     // Check if user exists
     const existingUser = await User.findOne({ email: value.email });
@@ -59,24 +61,31 @@ exports.registerUser = async (req, res) => {
     // Get dynamic initial credits from settings
     const initialCredits = await getInitialCredits();
 
-    // Create user
+    // Link the referrer; both are credited once this user verifies their email
+    let referredBy = null;
+    if (referralCode) {
+      const referrer = await findReferrer(referralCode);
+      if (referrer) referredBy = referrer._id;
+      else logger.warn(`Registration with unknown referral code: ${referralCode}`);
+    }
+
+    // Create user (credits arrive below as a bucket)
     const user = await User.create({
       ...value,
       role,
-      credits: initialCredits,
+      credits: 0,
+      referredBy,
       isVerified: false,
       verificationToken,
       verificationTokenExpires
     });
     logger.info(`New user registered: ${user.email} (${role})`);
 
-    // Log initial credits
+    // Grant initial credits
     if (initialCredits > 0) {
-      await logCreditEvent({
-        userId: user._id,
+      await grantCredits(user._id, initialCredits, {
+        source: 'initial',
         type: 'initial',
-        credits: initialCredits,
-        balanceAfter: initialCredits,
         description: `Welcome bonus — ${initialCredits} free credits`
       });
     }
@@ -129,6 +138,13 @@ exports.verifyEmail = async (req, res) => {
     user.verificationTokenExpires = undefined;
     await user.save();
 
+    // Pay out the referral bonus, if this user was referred
+    try {
+      await rewardReferral(user._id);
+    } catch (err) {
+      logger.error(`Referral reward failed for ${user.email}: ${err.message}`);
+    }
+
     res.json({ message: 'Email verified successfully! You can now log in.' });
   } catch (err) {
     logger.error(`Email verification error: ${err.message}`);
@@ -4,7 +4,9 @@ const Education = require('../models/education.model');
 const Project = require('../models/project.model');
 const Certification = require('../models/certification.model');
 const coverLetterService = require('../services/coverLetter.service');
-const { deductCredits, checkCredits } = require('../services/credit.service');
+const { AI_INVALID_RESPONSE, aiErrorBody } = require('../services/ai.service');
+const { wantsStream, openEventStream } = require('../utils/sse');
+const { withReservation } = require('../services/credit.service');
 const AppSettings = require('../models/appSettings.model');
 const {
     jobPostSchema,
@@ -68,23 +70,27 @@ async function gatherProfile(userId) {
     };
 }
 
+/**
+ * Response for generation that threw; withReservation has refunded its credits.
+ */
+function generationFailed(label, message) {
+    return (err) => {
+        logger.error(`${label} failed: ${err.message}`);
+        if (err.code === AI_INVALID_RESPONSE) return { status: 503, body: aiErrorBody(err) };
+        return { status: 500, body: { error: message } };
+    };
+}
+
 // ─── Job Post Cover Letter ──────────────────────────────────────────────────
 
 exports.generateJobPost = async (req, res) => {
     const { error, value } = jobPostSchema.validate(req.body);
     if (error) return res.status(400).json({ error: error.details[0].message });
 
-    // Deduct credits
-    const creditResult = await deductCredits(req.user._id, 'job_post_cover_letter');
-    if (!creditResult.success) {
-        return res.status(402).json({
-            error: creditResult.error,
-            creditsRequired: creditResult.required,
-            creditsAvailable: creditResult.remaining
-        });
-    }
+    if (wantsStream(req)) return streamJobPost(req, res, value);
 
-    try {
+    // Hold credits; refunded if generation fails
+    await withReservation(req, res, 'job_post_cover_letter', async () => {
         const profile = await gatherProfile(req.user._id);
         const payload = {
             ...profile,
@@ -93,31 +99,55 @@ exports.generateJobPost = async (req, res) => {
             permanentInstructions: profile.coverLetterInstructions.jobPost || ''
         };
 
-        const result = await coverLetterService.generateJobPostCoverLetter(payload);
-        res.json({ ...result, creditsDeducted: creditResult.creditsDeducted, creditsRemaining: creditResult.remaining });
-    } catch (err) {
-        logger.error(`Job post cover letter failed: ${err.message}`);
-        res.status(500).json({ error: 'Failed to generate cover letter' });
-    }
+        const result = await coverLetterService.generateJobPostCoverLetter(payload, { userId: req.user._id });
+        return { status: 200, body: result };
+    }, { onError: generationFailed('Job post cover letter', 'Failed to generate cover letter') });
 };
 
+/**
+ * Streamed variant (`?stream=1`): tokens are sent as Server-Sent Events.
+ * Credits are held up front and only kept once the letter is complete and
+ * valid; the final `done` event carries the charge.
+ */
+async function streamJobPost(req, res, value) {
+    // A refused hold is still a normal JSON 402/409; everything after it is an event stream
+    let stream;
+    await withReservation(req, res, 'job_post_cover_letter', async () => {
+        const profile = await gatherProfile(req.user._id);
+        const payload = {
+            ...profile,
+            jobDescription: value.jobDescription,
+            additionalInstructions: value.additionalInstructions || '',
+            permanentInstructions: profile.coverLetterInstructions.jobPost || ''
+        };
+
+        const result = await coverLetterService.generateJobPostCoverLetter(payload, {
+            userId: req.user._id,
+            onToken: (text) => stream.send('token', { text }),
+            onRetry: (attempt, issues) => stream.send('retry', { attempt, issues })
+        });
+        return { status: 200, body: result };
+    }, {
+        onStart: () => { stream = openEventStream(res); },
+        onError: (err) => {
+            logger.error(`Job post cover letter stream failed: ${err.message}`);
+            return { status: 500, body: aiErrorBody(err, 'Failed to generate cover letter') };
+        },
+        send: (status, body) => {
+            stream.send(status < 400 ? 'done' : 'error', body);
+            stream.close();
+        }
+    });
+}
+
 // ─── Upwork ──────────────────────────────────────────────────────────────────
 
 exports.estimateUpwork = async (req, res) => {
     const { error, value } = upworkEstimateSchema.validate(req.body);
     if (error) return res.status(400).json({ error: error.details[0].message });
 
-    // Deduct credits
-    const creditResult = await deductCredits(req.user._id, 'upwork_estimate');
-    if (!creditResult.success) {
-        return res.status(402).json({
-            error: creditResult.error,
-            creditsRequired: creditResult.required,
-            creditsAvailable: creditResult.remaining
-        });
-    }
-
-    try {
+    // Hold credits; refunded if generation fails
+    await withReservation(req, res, 'upwork_estimate', async () => {
         const profile = await gatherProfile(req.user._id);
         const payload = {
             ...profile,
@@ -127,29 +157,17 @@ exports.estimateUpwork = async (req, res) => {
             permanentInstructions: profile.coverLetterInstructions.upwork || ''
         };
 
-        const result = await coverLetterService.estimateUpwork(payload);
-        res.json({ ...result, creditsDeducted: creditResult.creditsDeducted, creditsRemaining: creditResult.remaining });
-    } catch (err) {
-        logger.error(`Upwork estimate failed: ${err.message}`);
-        res.status(500).json({ error: 'Failed to estimate timeline & budget' });
-    }
+        const result = await coverLetterService.estimateUpwork(payload, { userId: req.user._id });
+        return { status: 200, body: result };
+    }, { onError: generationFailed('Upwork estimate', 'Failed to estimate timeline & budget') });
 };
 
 exports.writeUpworkProposal = async (req, res) => {
     const { error, value } = upworkProposalSchema.validate(req.body);
     if (error) return res.status(400).json({ error: error.details[0].message });
 
-    // Deduct credits
-    const creditResult = await deductCredits(req.user._id, 'upwork_proposal');
-    if (!creditResult.success) {
-        return res.status(402).json({
-            error: creditResult.error,
-            creditsRequired: creditResult.required,
-            creditsAvailable: creditResult.remaining
-        });
-    }
-
-    try {
+    // Hold credits; refunded if generation fails
+    await withReservation(req, res, 'upwork_proposal', async () => {
         const profile = await gatherProfile(req.user._id);
         const payload = {
             ...profile,
@@ -159,12 +177,9 @@ exports.writeUpworkProposal = async (req, res) => {
             permanentInstructions: profile.coverLetterInstructions.upwork || ''
         };
 
-        const result = await coverLetterService.writeUpworkProposal(payload);
-        res.json({ ...result, creditsDeducted: creditResult.creditsDeducted, creditsRemaining: creditResult.remaining });
-    } catch (err) {
-        logger.error(`Upwork proposal failed: ${err.message}`);
-        res.status(500).json({ error: 'Failed to write proposal' });
-    }
+        const result = await coverLetterService.writeUpworkProposal(payload, { userId: req.user._id });
+        return { status: 200, body: result };
+    }, { onError: generationFailed('Upwork proposal', 'Failed to write proposal') });
 };
 
 // ─── Fiverr ──────────────────────────────────────────────────────────────────
@@ -173,17 +188,8 @@ exports.estimateFiverr = async (req, res) => {
     const { error, value } = fiverrEstimateSchema.validate(req.body);
     if (error) return res.status(400).json({ error: error.details[0].message });
 
-    // Deduct credits
-    const creditResult = await deductCredits(req.user._id, 'fiverr_estimate');
-    if (!creditResult.success) {
-        return res.status(402).json({
-            error: creditResult.error,
-            creditsRequired: creditResult.required,
-            creditsAvailable: creditResult.remaining
-        });
-    }
-
-    try {
+    // Hold credits; refunded if generation fails
+    await withReservation(req, res, 'fiverr_estimate', async () => {
         const profile = await gatherProfile(req.user._id);
         const payload = {
             ...profile,
@@ -193,29 +199,17 @@ exports.estimateFiverr = async (req, res) => {
             permanentInstructions: profile.coverLetterInstructions.fiverr || ''
         };
 
-        const result = await coverLetterService.estimateFiverr(payload);
-        res.json({ ...result, creditsDeducted: creditResult.creditsDeducted, creditsRemaining: creditResult.remaining });
-    } catch (err) {
-        logger.error(`Fiverr estimate failed: ${err.message}`);
-        res.status(500).json({ error: 'Failed to estimate timeline & budget' });
-    }
+        const result = await coverLetterService.estimateFiverr(payload, { userId: req.user._id });
+        return { status: 200, body: result };
+    }, { onError: generationFailed('Fiverr estimate', 'Failed to estimate timeline & budget') });
 };
 
 exports.writeFiverrProposal = async (req, res) => {
     const { error, value } = fiverrProposalSchema.validate(req.body);
     if (error) return res.status(400).json({ error: error.details[0].message });
 
-    // Deduct credits
-    const creditResult = await deductCredits(req.user._id, 'fiverr_proposal');
-    if (!creditResult.success) {
-        return res.status(402).json({
-            error: creditResult.error,
-            creditsRequired: creditResult.required,
-            creditsAvailable: creditResult.remaining
-        });
-    }
-
-    try {
+    // Hold credits; refunded if generation fails
+    await withReservation(req, res, 'fiverr_proposal', async () => {
         const profile = await gatherProfile(req.user._id);
         const payload = {
             ...profile,
@@ -225,12 +219,9 @@ exports.writeFiverrProposal = async (req, res) => {
             permanentInstructions: profile.coverLetterInstructions.fiverr || ''
         };
 
-        const result = await coverLetterService.writeFiverrProposal(payload);
-        res.json({ ...result, creditsDeducted: creditResult.creditsDeducted, creditsRemaining: creditResult.remaining });
-    } catch (err) {
-        logger.error(`Fiverr proposal failed: ${err.message}`);
-        res.status(500).json({ error: 'Failed to write proposal' });
-    }
+        const result = await coverLetterService.writeFiverrProposal(payload, { userId: req.user._id });
+        return { status: 200, body: result };
+    }, { onError: generationFailed('Fiverr proposal', 'Failed to write proposal') });
 };
 
 // ─── Credit Costs ────────────────────────────────────────────────────────────
@@ -1,16 +1,19 @@
 const User = require('../models/user.model');
 const CreditLog = require('../models/creditLog.model');
-const { logCreditEvent } = require('../services/credit.service');
+const { grantCredits, revokeCredits, getCreditBalance, expireCredits, releaseExpiredReservations } = require('../services/credit.service');
+const { redeemCreditCode } = require('../services/promo.service');
+const { getReferralSummary } = require('../services/referral.service');
+const { redeemPromoCodeSchema } = require('../validations/promoCode.validations');
 const logger = require('../utils/logger');
 
 // Get user's credit balance
 exports.getCredits = async (req, res) => {
     try {
-        const user = await User.findById(req.user.id).select('+credits');
-        if (!user) {
+        const balance = await getCreditBalance(req.user.id);
+        if (!balance) {
             return res.status(404).json({ error: 'User not found' });
         }
-        res.json({ credits: user.credits });
+        res.json(balance);
     } catch (error) {
         logger.error(`Failed to get credits: ${error.message}`);
         res.status(500).json({ error: 'Failed to get credits' });
@@ -78,34 +81,31 @@ exports.updateCredits = async (req, res) => {
             });
         }
 
-        // Update user credits
-        const updatedUser = await User.findByIdAndUpdate(
-            userId,
-            { credits: newCredits },
-            { new: true, select: '+credits' }
-        );
-
-        // Log the admin credit adjustment
+        // Apply the difference as a new admin bucket, or spend it from existing buckets
         const diff = newCredits - user.credits;
-        await logCreditEvent({
-            userId,
-            type: 'admin_adjustment',
-            credits: Math.abs(diff),
-            balanceAfter: updatedUser.credits,
-            description: `Admin ${operation}: ${Math.abs(diff)} credit${Math.abs(diff) !== 1 ? 's' : ''} (${user.credits} → ${updatedUser.credits})`,
-            metadata: { operation, previousCredits: user.credits, adminId: req.user.id }
-        });
+        const description = `Admin ${operation}: ${Math.abs(diff)} credit${Math.abs(diff) !== 1 ? 's' : ''} (${user.credits} → ${newCredits})`;
+        const metadata = { operation, previousCredits: user.credits, adminId: req.user.id };
+        let balance = user.credits;
+        if (diff > 0) {
+            ({ balance } = await grantCredits(userId, diff, { source: 'admin', type: 'admin_adjustment', expiresAt: null, description, metadata }));
+        } else if (diff < 0) {
+            const result = await revokeCredits(userId, -diff, { description, metadata });
+            if (!result.success) {
+                return res.status(409).json({ error: 'Balance changed during the update, please retry' });
+            }
+            balance = result.balance;
+        }
 
         logger.info('Credits updated successfully', {
             userId,
             operation,
             previousCredits: user.credits,
-            newCredits: updatedUser.credits
+            newCredits: balance
         });
 
         return res.json({
             message: 'Credits updated successfully',
-            credits: updatedUser.credits,
+            credits: balance,
             previousCredits: user.credits,
             operation
         });
@@ -120,6 +120,29 @@ exports.updateCredits = async (req, res) => {
     }
 };
 
+// Expire credits whose bucket has passed its expiry (Admin only; runs the scheduled job on demand)
+exports.runCreditExpiry = async (req, res) => {
+    const result = await expireCredits();
+    logger.info(`Credit expiry run by ${req.user.email}: ${result.credits} credit(s) from ${result.buckets} bucket(s)`);
+    res.json(result);
+};
+
+// Redeem a promo code for credits (limit and expiry errors carry their HTTP status)
+exports.redeemPromoCode = async (req, res) => {
+    const { error, value } = redeemPromoCodeSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const result = await redeemCreditCode(req.user.id, value.code);
+    res.json({ message: `${result.creditsAdded} credits added`, ...result });
+};
+
+// Get the user's referral code, link and referral stats
+exports.getReferral = async (req, res) => {
+    const summary = await getReferralSummary(req.user.id);
+    if (!summary) return res.status(404).json({ error: 'User not found' });
+    res.json(summary);
+};
+
 // Get user's credit history (paginated)
 exports.getCreditHistory = async (req, res) => {
     try {
@@ -133,4 +156,11 @@ exports.getCreditHistory = async (req, res) => {
         logger.error(`Failed to get credit history: ${error.message}`);
         res.status(500).json({ error: 'Failed to get credit history' });
     }
-};
\ No newline at end of file
+};
+
+// Periodic credit maintenance (called by the scheduler)
+exports.sweepCredits = async (req, res) => {
+    const releasedReservations = await releaseExpiredReservations();
+    const expired = await expireCredits();
+    res.json({ releasedReservations, expired });
+};
@@ -6,8 +6,7 @@ const Experience = require('../models/experience.model');
 const Project = require('../models/project.model');
 const Certification = require('../models/certification.model');
 const Award = require('../models/award.model');
-const AppSettings = require('../models/appSettings.model');
-const { extractProfileFromCV, extractProfileFromCVMock } = require('../services/ai.service');
+const { extractProfileFromCV, AI_INVALID_RESPONSE, aiErrorBody } = require('../services/ai.service');
 const logger = require('../utils/logger');
 
 /**
@@ -32,17 +31,8 @@ exports.importCV = async (req, res) => {
             return res.status(400).json({ error: 'Could not extract enough text from the PDF. Please ensure it is not a scanned image.' });
         }
 
-        // 2. Extract structured data via AI (or mock)
-        const providerKey = await AppSettings.get('ai_provider', process.env.AI_PROVIDER || 'openai');
-        let extracted;
-
-        if (providerKey === 'mock') {
-            logger.info('CV import: using mock extraction');
-            extracted = extractProfileFromCVMock(cvText);
-        } else {
-            logger.info('CV import: using AI extraction');
-            extracted = await extractProfileFromCV(cvText);
-        }
+        // 2. Extract structured data via the configured AI provider (or mock)
+        const extracted = await extractProfileFromCV(cvText, { userId });
 
         // 3. Save entities into the user's profile
         const summary = {
@@ -172,6 +162,7 @@ exports.importCV = async (req, res) => {
         } catch { /* ignore */ }
 
         logger.error(`CV import failed: ${error.message}`);
+        if (error.code === AI_INVALID_RESPONSE) return res.status(503).json(aiErrorBody(error));
         res.status(500).json({ error: 'Failed to process CV. Please try again.' });
     }
 };
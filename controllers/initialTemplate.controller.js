@@ -1,40 +1,54 @@
 const InitialTemplate = require('../models/initialTemplate.model');
 const { initialTemplateSchema } = require('../validations/initialTemplate.validation');
 const logger = require('../utils/logger');
+const os = require('os');
 const fs = require('fs/promises');
 const generateImage = require('../utils/html-to-image');
 const path = require('path');
+const { storage } = require('../utils/storage');
 const { renderTemplate, extractPlaceholders, SAMPLE_TEMPLATE_DATA } = require('../utils/template-engine');
 
+/**
+ * Move an uploaded template HTML file into storage, along with a preview
+ * image rendered from it with sample data.
+ * @param {Object} htmlFile - Multer file
+ * @returns {Promise<{ htmlPath: string, previewPath: string, placeholders: string[] }>} Storage keys and placeholders
+ */
+async function storeTemplateUpload(htmlFile) {
+  const htmlPath = `admin-assets/initial-templates/${htmlFile.filename}`;
+  const previewPath = htmlPath.replace(/\.html$/, '.png');
+
+  // Read the template HTML and extract placeholders from it
+  const templateHtml = await fs.readFile(htmlFile.path, 'utf-8');
+  const placeholders = extractPlaceholders(templateHtml);
+
+  // Render template with sample data for the preview image (scratch files stay local)
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'initial-template-'));
+  try {
+    const renderedPreviewPath = path.join(workDir, 'rendered.html');
+    const localPreviewPath = path.join(workDir, 'preview.png');
+    await fs.writeFile(renderedPreviewPath, renderTemplate(templateHtml, SAMPLE_TEMPLATE_DATA), 'utf-8');
+    await generateImage(`file://${renderedPreviewPath}`, localPreviewPath);
+    await storage.importFile(previewPath, localPreviewPath);
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+
+  await storage.importFile(htmlPath, htmlFile.path);
+  return { htmlPath, previewPath, placeholders };
+}
+
 // Create Initial Template
 exports.createInitialTemplate = async (req, res) => {
   const { error, value } = initialTemplateSchema.validate(req.body);
   if (error) return res.status(400).json({ error: error.details.map(d => d.message) });
 
-  const htmlFile = req.files?.htmlFile?.[0]?.path;
+  const htmlFile = req.files?.htmlFile?.[0];
   if (!htmlFile) {
     return res.status(400).json({ error: 'HTML file is required.' });
   }
 
-  const htmlPath = htmlFile.replace(/\\/g, '/');
-  const previewPath = htmlPath.replace(/\.html$/, '.png');
-  const renderedPreviewPath = htmlPath.replace(/\.html$/, '-rendered.html');
-
-  // Read the template HTML
-  const templateHtml = await fs.readFile(htmlPath, 'utf-8');
-
-  // Extract placeholders from Handlebars template
-  const placeholders = extractPlaceholders(templateHtml);
-
-  // Render template with sample data for preview image
-  const renderedHtml = renderTemplate(templateHtml, SAMPLE_TEMPLATE_DATA);
-  await fs.writeFile(renderedPreviewPath, renderedHtml, 'utf-8');
-
-  // Generate Preview Image from rendered HTML
-  await generateImage(`file://${path.resolve(renderedPreviewPath)}`, previewPath);
-
-  // Clean up rendered preview HTML
-  await fs.unlink(renderedPreviewPath).catch(() => { });
+  const { htmlPath, previewPath, placeholders } = await storeTemplateUpload(htmlFile);
 
   const template = await InitialTemplate.create({
     ...value,
@@ -95,7 +109,7 @@ exports.previewInitialTemplate = async (req, res) => {
   if (!template) return res.status(404).json({ error: 'Template not found' });
 
   try {
-    const templateHtml = await fs.readFile(template.htmlFilePath, 'utf-8');
+    const templateHtml = (await storage.get(template.htmlFilePath)).toString('utf-8');
     const renderedHtml = renderTemplate(templateHtml, SAMPLE_TEMPLATE_DATA);
     res.type('html').send(renderedHtml);
   } catch (err) {
@@ -112,30 +126,14 @@ exports.updateInitialTemplate = async (req, res) => {
   const { error, value } = initialTemplateSchema.validate(req.body);
   if (error) return res.status(400).json({ error: error.details.map(d => d.message) });
 
-  const newHTML = req.files?.htmlFile?.[0]?.path;
+  const newHTML = req.files?.htmlFile?.[0];
 
   if (newHTML) {
-    // Clean up old files
-    await fs.unlink(template.htmlFilePath).catch(() => { });
-    await fs.unlink(template.previewImageUrl).catch(() => { });
-
-    const htmlPath = newHTML.replace(/\\/g, '/');
-    const previewPath = htmlPath.replace(/\.html$/, '.png');
-    const renderedPreviewPath = htmlPath.replace(/\.html$/, '-rendered.html');
-
-    // Read and extract placeholders from new template
-    const templateHtml = await fs.readFile(htmlPath, 'utf-8');
-    const placeholders = extractPlaceholders(templateHtml);
-
-    // Render with sample data for preview
-    const renderedHtml = renderTemplate(templateHtml, SAMPLE_TEMPLATE_DATA);
-    await fs.writeFile(renderedPreviewPath, renderedHtml, 'utf-8');
-
-    // Generate new preview image
-    await generateImage(`file://${path.resolve(renderedPreviewPath)}`, previewPath);
+    const { htmlPath, previewPath, placeholders } = await storeTemplateUpload(newHTML);
 
-    // Clean up rendered preview HTML
-    await fs.unlink(renderedPreviewPath).catch(() => { });
+    // Clean up old files (unless the upload replaced them under the same name)
+    if (template.htmlFilePath !== htmlPath) await storage.remove(template.htmlFilePath).catch(() => { });
+    if (template.previewImageUrl !== previewPath) await storage.remove(template.previewImageUrl).catch(() => { });
 
     template.htmlFilePath = htmlPath;
     template.previewImageUrl = previewPath;
@@ -154,8 +152,8 @@ exports.updateInitialTemplate = async (req, res) => {
 exports.deleteInitialTemplate = async (req, res) => {
   const template = await InitialTemplate.findById(req.params.id);
   if (!template) return res.status(404).json({ error: 'Template not found' });
-  await fs.unlink(template.previewImageUrl).catch(() => { });
-  await fs.unlink(template.htmlFilePath).catch(() => { });
+  await storage.remove(template.previewImageUrl).catch(() => { });
+  await storage.remove(template.htmlFilePath).catch(() => { });
   await template.deleteOne();
   logger.warn(`Initial Template deleted: ${template._id}`);
   res.json({ message: 'Template deleted' });
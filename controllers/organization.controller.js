@@ -0,0 +1,233 @@
+const Organization = require('../models/organization.model');
+const User = require('../models/user.model');
+const CreditLog = require('../models/creditLog.model');
+const { getOrganizationCreditBalance } = require('../services/credit.service');
+const paymentService = require('../services/payment.service');
+const {
+    organizationCreateSchema,
+    organizationUpdateSchema,
+    addMemberSchema,
+    updateMemberSchema,
+    organizationUsageSchema
+} = require('../validations/organization.validations');
+const { createCreditCheckoutSchema } = require('../validations/payment.validation');
+const logger = require('../utils/logger');
+
+const DEFAULT_USAGE_DAYS = 30;
+const MEMBER_FIELDS = 'first_name last_name email';
+
+// Owners (and site admins, via the middleware) may do everything a manager can
+const isOwner = (membership) => ['owner', 'admin'].includes(membership.role);
+
+async function loadMembers(organizationId) {
+    const organization = await Organization.findById(organizationId).populate('members.userId', MEMBER_FIELDS).lean();
+    return organization.members;
+}
+
+// Create an organization; the creator becomes its owner
+exports.createOrganization = async (req, res) => {
+    const { error, value } = organizationCreateSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const organization = await Organization.create({
+        name: value.name,
+        createdBy: req.user._id,
+        members: [{ userId: req.user._id, role: 'owner' }]
+    });
+
+    logger.info(`Organization ${organization._id} (${organization.name}) created by ${req.user.email}`);
+    res.status(201).json(organization);
+};
+
+// Organizations the current user belongs to
+exports.getMyOrganizations = async (req, res) => {
+    const organizations = await Organization.find({ 'members.userId': req.user._id, isDeleted: false })
+        .sort({ name: 1 })
+        .lean();
+
+    res.json(organizations.map(({ _id, name, credits, members, createdAt }) => ({
+        _id,
+        name,
+        credits,
+        memberCount: members.length,
+        role: members.find(member => member.userId.equals(req.user._id)).role,
+        createdAt
+    })));
+};
+
+// Organization details with members (any member)
+exports.getOrganization = async (req, res) => {
+    const organization = await Organization.findById(req.organization._id)
+        .populate('members.userId', MEMBER_FIELDS)
+        .lean();
+
+    res.json({ ...organization, role: req.membership.role });
+};
+
+// Rename an organization (owner)
+exports.updateOrganization = async (req, res) => {
+    const { error, value } = organizationUpdateSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    req.organization.name = value.name;
+    await req.organization.save();
+    res.json(req.organization);
+};
+
+// Delete an organization (owner). Credits left in the wallet are forfeited.
+exports.deleteOrganization = async (req, res) => {
+    const { organization } = req;
+    organization.isDeleted = true;
+    organization.deletedAt = new Date();
+    await organization.save();
+
+    logger.info(`Organization ${organization._id} deleted by ${req.user.email} (${organization.credits} credits forfeited)`);
+    res.json({ message: 'Organization deleted' });
+};
+
+// Add a registered user by email (owner: any role but owner; manager: members only)
+exports.addMember = async (req, res) => {
+    const { error, value } = addMemberSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    if (value.role !== 'member' && !isOwner(req.membership)) {
+        return res.status(403).json({ error: 'Only the owner can add managers' });
+    }
+
+    const user = await User.findOne({ email: value.email, isDeleted: { $ne: true } }).select('_id email');
+    if (!user) return res.status(404).json({ error: 'No user with this email. They need to register first.' });
+
+    // Conditional push so two concurrent adds cannot duplicate a member
+    const result = await Organization.updateOne(
+        { _id: req.organization._id, 'members.userId': { $ne: user._id } },
+        { $push: { members: { userId: user._id, role: value.role, addedBy: req.user._id } } }
+    );
+    if (!result.modifiedCount) return res.status(409).json({ error: 'User is already a member' });
+
+    logger.info(`User ${user.email} added to organization ${req.organization._id} as ${value.role} by ${req.user.email}`);
+    res.status(201).json({ members: await loadMembers(req.organization._id) });
+};
+
+// Change a member's role (owner). Setting 'owner' transfers ownership.
+exports.updateMember = async (req, res) => {
+    const { error, value } = updateMemberSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const target = req.organization.getMember(req.params.userId);
+    if (!target) return res.status(404).json({ error: 'Member not found' });
+    if (target.role === 'owner') {
+        return res.status(400).json({ error: 'Transfer ownership to another member to change the owner\'s role' });
+    }
+
+    if (value.role === 'owner') {
+        const owner = req.organization.members.find(member => member.role === 'owner');
+        await Organization.updateOne(
+            { _id: req.organization._id },
+            { $set: { 'members.$[next].role': 'owner', 'members.$[previous].role': 'manager' } },
+            { arrayFilters: [{ 'next.userId': target.userId }, { 'previous.userId': owner.userId }] }
+        );
+        logger.info(`Organization ${req.organization._id} ownership transferred to ${target.userId} by ${req.user.email}`);
+    } else {
+        await Organization.updateOne(
+            { _id: req.organization._id, 'members.userId': target.userId },
+            { $set: { 'members.$.role': value.role } }
+        );
+    }
+
+    res.json({ members: await loadMembers(req.organization._id) });
+};
+
+// Remove a member (owner: anyone but themselves; manager: members only; anyone may leave)
+exports.removeMember = async (req, res) => {
+    const target = req.organization.getMember(req.params.userId);
+    if (!target) return res.status(404).json({ error: 'Member not found' });
+
+    const leaving = target.userId.equals(req.user._id);
+    if (target.role === 'owner') {
+        return res.status(400).json({ error: 'The owner cannot be removed. Transfer ownership first.' });
+    }
+    if (!leaving && !isOwner(req.membership) && (req.membership.role !== 'manager' || target.role !== 'member')) {
+        return res.status(403).json({ error: 'Not allowed to remove this member' });
+    }
+
+    await Organization.updateOne(
+        { _id: req.organization._id },
+        { $pull: { members: { userId: target.userId, role: { $ne: 'owner' } } } }
+    );
+
+    logger.info(`User ${target.userId} ${leaving ? 'left' : 'removed from'} organization ${req.organization._id}`);
+    res.json({ message: leaving ? 'You left the organization' : 'Member removed' });
+};
+
+// Shared wallet balance (any member)
+exports.getOrganizationCredits = async (req, res) => {
+    res.json(await getOrganizationCreditBalance(req.organization._id));
+};
+
+// Shared wallet history (owner, manager)
+exports.getOrganizationCreditHistory = async (req, res) => {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const { type } = req.query;
+
+    res.json(await CreditLog.getOrganizationHistory(req.organization._id, { page, limit, type }));
+};
+
+// Credits spent per member over a date range, last 30 days by default (owner, manager)
+exports.getMemberUsage = async (req, res) => {
+    const { error, value } = organizationUsageSchema.validate(req.query);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const to = value.to || new Date();
+    const from = value.from || new Date(to.getTime() - DEFAULT_USAGE_DAYS * 24 * 60 * 60 * 1000);
+
+    const [usage, members] = await Promise.all([
+        CreditLog.memberUsage(req.organization._id, { from, to }),
+        loadMembers(req.organization._id)
+    ]);
+    const usageByUser = new Map(usage.map(row => [String(row.userId), row]));
+
+    // Every current member, plus former members who spent in the range
+    const rows = members.filter(member => member.userId).map(({ userId: user, role }) => {
+        const row = usageByUser.get(String(user._id));
+        usageByUser.delete(String(user._id));
+        return {
+            user,
+            role,
+            creditsUsed: row?.creditsUsed || 0,
+            actions: row?.actions || 0,
+            byAction: row?.byAction || {},
+            lastUsedAt: row?.lastUsedAt || null
+        };
+    });
+    const formerIds = [...usageByUser.keys()];
+    const formerUsers = formerIds.length ? await User.find({ _id: { $in: formerIds } }).select(MEMBER_FIELDS).lean() : [];
+    formerUsers.forEach(user => {
+        const { userId, ...row } = usageByUser.get(String(user._id));
+        rows.push({ user, role: null, ...row });
+    });
+    rows.sort((a, b) => b.creditsUsed - a.creditsUsed);
+
+    res.json({
+        range: { from, to },
+        totals: {
+            creditsUsed: rows.reduce((sum, row) => sum + row.creditsUsed, 0),
+            actions: rows.reduce((sum, row) => sum + row.actions, 0)
+        },
+        members: rows
+    });
+};
+
+// Buy credits for the shared wallet (owner, manager)
+exports.createOrganizationCheckout = async (req, res) => {
+    const { error, value } = createCreditCheckoutSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    try {
+        const result = await paymentService.createOrganizationCreditCheckoutSession(req.organization, req.user._id, value.creditAmount, value.promoCode);
+        res.json(result);
+    } catch (err) {
+        logger.error(`Organization credit checkout failed: ${err.message}`);
+        res.status(err.status || 500).json({ error: err.message });
+    }
+};
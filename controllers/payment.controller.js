@@ -14,11 +14,11 @@ exports.createCreditCheckout = async (req, res) => {
     if (error) return res.status(400).json({ error: error.details[0].message });
 
     try {
-        const result = await paymentService.createCreditCheckoutSession(req.user._id, value.creditAmount);
+        const result = await paymentService.createCreditCheckoutSession(req.user._id, value.creditAmount, value.promoCode);
         res.json(result);
     } catch (err) {
         logger.error(`Credit checkout failed: ${err.message}`);
-        res.status(500).json({ error: err.message });
+        res.status(err.status || 500).json({ error: err.message });
     }
 };
 
@@ -191,7 +191,7 @@ exports.getPricing = async (req, res) => {
     try {
         const [
             pricePerCredit, monthlyPrice, yearlyPrice, currency, initialCredits,
-            creditsPerResume, creditsPerJobPostCoverLetter,
+            creditsPerResume, creditsPerResumeDuplication, creditsPerJobPostCoverLetter,
             creditsPerUpworkEstimate, creditsPerUpworkProposal,
             creditsPerFiverrEstimate, creditsPerFiverrProposal,
             monthlyCredits, yearlyCredits
@@ -202,6 +202,7 @@ exports.getPricing = async (req, res) => {
             AppSettings.get('currency', 'usd'),
             AppSettings.get('initial_credits', 3),
             AppSettings.get('credits_per_resume', 1),
+            AppSettings.get('credits_per_resume_duplication', 1),
             AppSettings.get('credits_per_job_post_cover_letter', 1),
             AppSettings.get('credits_per_upwork_estimate', 1),
             AppSettings.get('credits_per_upwork_proposal', 1),
@@ -231,6 +232,7 @@ exports.getPricing = async (req, res) => {
             },
             creditCosts: {
                 resume: creditsPerResume,
+                resumeDuplication: creditsPerResumeDuplication,
                 jobPostCoverLetter: creditsPerJobPostCoverLetter,
                 upworkEstimate: creditsPerUpworkEstimate,
                 upworkProposal: creditsPerUpworkProposal,
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const PromoCode = require('../models/promoCode.model');
+const PromoRedemption = require('../models/promoRedemption.model');
+const { promoCodeCreateSchema, promoCodeUpdateSchema } = require('../validations/promoCode.validations');
+const logger = require('../utils/logger');
+
+const RECENT_REDEMPTIONS = 20;
+
+// Fields that only make sense for one type of code
+const TYPE_FIELDS = {
+    credits: ['credits', 'creditExpiryDays'],
+    discount: ['discountPercent']
+};
+
+// List promo codes (Admin only)
+exports.getPromoCodes = async (req, res) => {
+    const filter = {};
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+
+    const promoCodes = await PromoCode.find(filter).sort({ createdAt: -1 });
+    res.json(promoCodes);
+};
+
+// Create a promo code (Admin only)
+exports.createPromoCode = async (req, res) => {
+    const { error, value } = promoCodeCreateSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    try {
+        const promoCode = await PromoCode.create({ ...value, createdBy: req.user.id });
+        logger.info(`Promo code ${promoCode.code} (${promoCode.type}) created by ${req.user.email}`);
+        res.status(201).json(promoCode);
+    } catch (err) {
+        if (err.code === 11000) return res.status(409).json({ error: `Promo code ${value.code} already exists` });
+        throw err;
+    }
+};
+
+// Get a promo code with its latest redemptions (Admin only)
+exports.getPromoCode = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid promo code id' });
+
+    const promoCode = await PromoCode.findById(req.params.id);
+    if (!promoCode) return res.status(404).json({ error: 'Promo code not found' });
+
+    const redemptions = await PromoRedemption.find({ promoCodeId: promoCode._id })
+        .sort({ createdAt: -1 })
+        .limit(RECENT_REDEMPTIONS)
+        .populate('userId', 'first_name last_name email');
+
+    res.json({ ...promoCode.toObject(), redemptions });
+};
+
+// Update a promo code (Admin only; code and type are fixed)
+exports.updatePromoCode = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid promo code id' });
+
+    const { error, value } = promoCodeUpdateSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const promoCode = await PromoCode.findById(req.params.id);
+    if (!promoCode) return res.status(404).json({ error: 'Promo code not found' });
+
+    const otherType = promoCode.type === 'credits' ? 'discount' : 'credits';
+    const invalid = TYPE_FIELDS[otherType].find(field => value[field] !== undefined);
+    if (invalid) {
+        return res.status(400).json({ error: `"${invalid}" does not apply to ${promoCode.type} codes` });
+    }
+
+    promoCode.set(value);
+    await promoCode.save();
+
+    logger.info(`Promo code ${promoCode.code} updated by ${req.user.email}`);
+    res.json(promoCode);
+};
+
+// Delete a promo code (Admin only). Codes that were used are deactivated instead so their history stays readable.
+exports.deletePromoCode = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid promo code id' });
+
+    const promoCode = await PromoCode.findById(req.params.id);
+    if (!promoCode) return res.status(404).json({ error: 'Promo code not found' });
+
+    if (promoCode.redemptionCount > 0) {
+        promoCode.isActive = false;
+        await promoCode.save();
+        logger.info(`Promo code ${promoCode.code} deactivated by ${req.user.email}`);
+        return res.json({ message: 'Promo code has redemptions and was deactivated instead', promoCode });
+    }
+
+    await promoCode.deleteOne();
+    logger.info(`Promo code ${promoCode.code} deleted by ${req.user.email}`);
+    res.json({ message: 'Promo code deleted' });
+};
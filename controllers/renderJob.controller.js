@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const RenderJob = require('../models/renderJob.model');
+
+// Where each rendered output can be downloaded once the job has succeeded
+const OUTPUT_FILE_TYPES = { pdf: 'pdf', preview: 'preview' };
+
+// Get a render job's status (template owner or admin)
+exports.getRenderJob = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ error: 'Render job not found' });
+    }
+    const job = await RenderJob.findById(req.params.id).lean();
+    if (!job) return res.status(404).json({ error: 'Render job not found' });
+    if (req.user.role !== 'admin' && !job.userId.equals(req.user._id)) {
+        return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    res.json({
+        _id: job._id,
+        templateId: job.templateId,
+        outputs: job.outputs,
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        error: job.error,
+        nextAttemptAt: job.status === 'queued' ? job.runAfter : null,
+        queuedAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        durationMs: job.durationMs,
+        files: job.status === 'succeeded'
+            ? Object.fromEntries(job.outputs.map(output => [output, `/api/user-generated-templates/${job.templateId}/files/${OUTPUT_FILE_TYPES[output]}`]))
+            : null
+    });
+};
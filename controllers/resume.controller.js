@@ -8,11 +8,115 @@ const Certification = require('../models/certification.model');
 const Education = require('../models/education.model');
 const MasterData = require('../models/masterData.model');
 const logger = require('../utils/logger');
-const { resumeSchema } = require('../validations/resume.validation');
+const { resumeSchema, entityOverrideSchema, duplicateResumeSchema, jsonResumeSchema } = require('../validations/resume.validation');
 const mongoose = require('mongoose');
-const { deductCredits } = require('../services/credit.service');
-const { generateResumeFromProfile, generateResumeTitle, generateResumeSummary } = require('../services/ai.service');
+const { withReservation } = require('../services/credit.service');
+const { generateResumeFromProfile, generateResumeTitle, generateResumeSummary, AI_INVALID_RESPONSE, aiErrorBody } = require('../services/ai.service');
+const { wantsStream, openEventStream } = require('../utils/sse');
 const Subscription = require('../models/subscription.model');
+const { buildTemplateContext, OVERRIDE_BULLET_FIELDS } = require('../utils/template-engine');
+const { toJsonResume, fromJsonResume } = require('../services/jsonResume.service');
+const { renderPlainText, renderMarkdown } = require('../utils/text-renderer');
+const ResumeVersion = require('../models/resumeVersion.model');
+const { recordVersion, diffSnapshots, restoreVersion } = require('../services/resumeVersion.service');
+
+const EXPORT_FORMATS = ['json-resume'];
+
+const ENTITY_MODELS = {
+  experiences: Experience,
+  educations: Education,
+  projects: Project,
+  certifications: Certification,
+  awards: Award
+};
+
+const TEXT_RENDERERS = {
+  txt: { render: renderPlainText, contentType: 'text/plain; charset=utf-8' },
+  md: { render: renderMarkdown, contentType: 'text/markdown; charset=utf-8' }
+};
+
+// Build the template context for a populated resume using its owner's profile
+async function getResumeContext(resume) {
+  const owner = await User.findById(resume.userId).lean();
+  return owner ? buildTemplateContext(resume, owner) : null;
+}
+
+// Build the payload sent to generateResumeFromProfile
+function buildAIInputPayload({ jobDescription, user, projects, awards, experiences, certifications, educations, masterSkills = [], masterLanguages = [] }) {
+  return {
+    jobDescription,
+    userProfile: {
+      name: `${user.first_name} ${user.last_name}`,
+      email: user.email,
+      intro: user.intro,
+      dateOfBirth: user.dateOfBirth,
+      location: {
+        country: user.country,
+        state: user.state,
+        city: user.city,
+        streetAddress: user.streetAddress,
+        postalCode: user.postalCode
+      },
+      profilePhoto: user.profilePhoto,
+      phones: user.phones,
+      socialMedia: user.socialMedia,
+      hobbies: user.hobbies,
+      skills: user.skills,
+      languages: user.languages
+    },
+    projects: projects.map(p => ({ _id: p._id, title: p.title, role: p.role, description: p.description, technologies: p.technologies, highlights: p.highlights, startDate: p.startDate, endDate: p.endDate, isOngoing: p.isOngoing })),
+    awards: awards.map(a => ({ _id: a._id, title: a.title, issuer: a.issuer, date: a.date, description: a.description })),
+    experiences: experiences.map(e => ({ _id: e._id, jobTitle: e.jobTitle, company: e.company, location: e.location, employmentType: e.employmentType, industry: e.industry, startDate: e.startDate, endDate: e.endDate, isCurrent: e.isCurrent, description: e.description, achievements: e.achievements, technologiesUsed: e.technologiesUsed })),
+    certifications: certifications.map(c => ({ _id: c._id, name: c.name, issuingOrganization: c.issuingOrganization, issueDate: c.issueDate, expirationDate: c.expirationDate })),
+    educations: educations.map(e => ({ _id: e._id, institution: e.institution, degree: e.degree, fieldOfStudy: e.fieldOfStudy, startDate: e.startDate, endDate: e.endDate, isOngoing: e.isOngoing, grade: e.grade })),
+    availableSkills: masterSkills.map(s => ({ name: s.name, category: s.category })),
+    availableLanguages: masterLanguages.map(l => l.name)
+  };
+}
+
+// Order `current` by the AI's ranking; anything the AI left out keeps its place at the end
+function rerank(current, ranked) {
+  const key = (v) => v.toString();
+  const currentKeys = current.map(key);
+  const picked = [...new Set((Array.isArray(ranked) ? ranked : []).map(key))].filter(k => currentKeys.includes(k));
+  const rest = currentKeys.filter(k => !picked.includes(k));
+  return [...picked, ...rest].map(k => current[currentKeys.indexOf(k)]);
+}
+
+// Drop overrides for entities the resume no longer links to
+function pruneOverrides(resume) {
+  const linked = new Set(Object.keys(ENTITY_MODELS).flatMap(key => resume[key].map(id => id.toString())));
+  [...resume.overrides.keys()].filter(entityId => !linked.has(entityId)).forEach(entityId => resume.overrides.delete(entityId));
+}
+
+// Find a resume the requesting user may access (owner or admin)
+async function findAccessibleResume(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: 'Resume not found' });
+    return null;
+  }
+  const resume = await Resume.findById(req.params.id);
+  if (!resume || resume.isDeleted) {
+    res.status(404).json({ error: 'Resume not found' });
+    return null;
+  }
+  if (req.user.role !== 'admin' && resume.userId.toString() !== req.user._id.toString()) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+  return resume;
+}
+
+// Read access: a share token grants only its own resume; otherwise owner or admin
+function canViewResume(req, resume) {
+  if (req.resumeShare) return req.resumeShare.resumeId.equals(resume._id);
+  return req.user.role === 'admin' || resume.userId.toString() === req.user._id.toString();
+}
+
+function parseVersion(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
 
 // Create Resume (deducts credits)
 exports.createResume = async (req, res) => {
@@ -21,22 +125,12 @@ exports.createResume = async (req, res) => {
     return res.status(400).json({ errors: error.details.map(err => err.message) });
   }
 
-  // Deduct credits
-  const creditResult = await deductCredits(req.user._id, 'resume_creation');
-  if (!creditResult.success) {
-    return res.status(402).json({
-      error: creditResult.error,
-      creditsRequired: creditResult.required,
-      creditsAvailable: creditResult.remaining
-    });
-  }
-
-  const resume = await Resume.create({ ...value, userId: req.user._id });
-  logger.info(`Resume created by ${req.user.email}: ${resume._id} (credits deducted: ${creditResult.creditsDeducted}, remaining: ${creditResult.remaining})`);
-  res.status(201).json({
-    ...resume.toObject(),
-    creditsDeducted: creditResult.creditsDeducted,
-    creditsRemaining: creditResult.remaining
+  // Hold credits; refunded if the resume cannot be saved
+  await withReservation(req, res, 'resume_creation', async () => {
+    const resume = await Resume.create({ ...value, userId: req.user._id });
+    await recordVersion(resume, { reason: 'create', createdBy: req.user._id });
+    logger.info(`Resume created by ${req.user.email}: ${resume._id}`);
+    return { status: 201, body: resume.toObject() };
   });
 };
 
@@ -66,51 +160,40 @@ exports.generateResumeData = async (req, res) => {
       MasterData.find({ type: 'language', isActive: true }).select('name').lean(),
     ]);
 
-    // Build AI input payload
-    const aiInputPayload = {
+    const aiInputPayload = buildAIInputPayload({
       jobDescription: description,
-      userProfile: {
-        name: `${user.first_name} ${user.last_name}`,
-        email: user.email,
-        intro: user.intro,
-        dateOfBirth: user.dateOfBirth,
-        location: {
-          country: user.country,
-          state: user.state,
-          city: user.city,
-          streetAddress: user.streetAddress,
-          postalCode: user.postalCode
-        },
-        profilePhoto: user.profilePhoto,
-        phones: user.phones,
-        socialMedia: user.socialMedia,
-        hobbies: user.hobbies,
-        skills: user.skills,
-        languages: user.languages
-      },
-      projects: projects.map(p => ({ _id: p._id, title: p.title, role: p.role, description: p.description, technologies: p.technologies, highlights: p.highlights, startDate: p.startDate, endDate: p.endDate, isOngoing: p.isOngoing })),
-      awards: awards.map(a => ({ _id: a._id, title: a.title, issuer: a.issuer, date: a.date, description: a.description })),
-      experiences: experiences.map(e => ({ _id: e._id, jobTitle: e.jobTitle, company: e.company, location: e.location, employmentType: e.employmentType, industry: e.industry, startDate: e.startDate, endDate: e.endDate, isCurrent: e.isCurrent, description: e.description, achievements: e.achievements, technologiesUsed: e.technologiesUsed })),
-      certifications: certifications.map(c => ({ _id: c._id, name: c.name, issuingOrganization: c.issuingOrganization, issueDate: c.issueDate, expirationDate: c.expirationDate })),
-      educations: educations.map(e => ({ _id: e._id, institution: e.institution, degree: e.degree, fieldOfStudy: e.fieldOfStudy, startDate: e.startDate, endDate: e.endDate, isOngoing: e.isOngoing, grade: e.grade })),
-      availableSkills: masterSkills.map(s => ({ name: s.name, category: s.category })),
-      availableLanguages: masterLanguages.map(l => l.name)
-    };
+      user,
+      projects,
+      awards,
+      experiences,
+      certifications,
+      educations,
+      masterSkills,
+      masterLanguages
+    });
 
     let aiResponse;
+    // With ?stream=1, tokens are sent as Server-Sent Events and the response body below arrives as the `done` event
+    const stream = useAI && wantsStream(req) ? openEventStream(res) : null;
 
     if (useAI) {
       // Call AI service
       try {
-        aiResponse = await generateResumeFromProfile(aiInputPayload);
+        aiResponse = await generateResumeFromProfile(aiInputPayload, stream ? {
+          userId: req.user._id,
+          onToken: (text) => stream.send('token', { text }),
+          onRetry: (attempt, issues) => stream.send('retry', { attempt, issues })
+        } : { userId: req.user._id });
         // Ensure title override
         if (title) aiResponse.title = title;
       } catch (aiError) {
         logger.error(`AI generation failed: ${aiError.message}`);
-        return res.status(503).json({
-          error: 'AI service is temporarily unavailable. Try again or set useAI=false for manual selection.',
-          details: process.env.NODE_ENV === 'development' ? aiError.message : undefined
-        });
+        const body = aiErrorBody(aiError, 'AI service is temporarily unavailable. Try again or set useAI=false for manual selection.');
+        if (stream) {
+          stream.send('error', body);
+          return stream.close();
+        }
+        return res.status(503).json(body);
       }
     } else {
       // Fallback: return all data for manual selection by frontend
@@ -130,12 +213,17 @@ exports.generateResumeData = async (req, res) => {
       };
     }
 
-    res.status(200).json({
+    const body = {
       message: useAI ? 'AI-generated resume data' : 'Manual selection data (all profile data included)',
       aiInputPayload,
       aiResponse,
       jobDescription: description
-    });
+    };
+    if (stream) {
+      stream.send('done', body);
+      return stream.close();
+    }
+    res.status(200).json(body);
 
   } catch (error) {
     logger.error(`Generate resume data error: ${error.message}`);
@@ -167,11 +255,11 @@ exports.getAllResumes = async (req, res) => {
   res.json({ total, page: parseInt(page), resumes });
 };
 
-// Get Single Resume
+// Get Single Resume (also served to reviewers through a share token)
 exports.getResumeById = async (req, res) => {
-  const resume = await Resume.findById(req.params.id).populate('educations experiences projects certifications awards');
+  const resume = await Resume.findById(req.resumeShare?.resumeId || req.params.id).populate('educations experiences projects certifications awards');
   if (!resume || resume.isDeleted) return res.status(404).json({ error: 'Resume not found' });
-  if (req.user.role !== 'admin' && resume.userId.toString() !== req.user._id.toString()) {
+  if (!canViewResume(req, resume)) {
     return res.status(403).json({ error: 'Access denied' });
   }
   res.json(resume);
@@ -202,7 +290,9 @@ exports.updateResume = async (req, res) => {
   }
 
   Object.assign(resume, value);
+  pruneOverrides(resume);
   await resume.save();
+  await recordVersion(resume, { reason: 'update', createdBy: req.user._id });
   logger.info(`Resume updated: ${resume._id} by ${req.user.email}`);
   res.json(resume);
 };
@@ -306,10 +396,11 @@ exports.regenerateTitle = async (req, res) => {
       skills: (user.skills || []).map(s => s.name),
     };
 
-    const result = await generateResumeTitle(payload);
+    const result = await generateResumeTitle(payload, { userId: req.user._id });
     res.json({ title: result.title || 'Professional Resume' });
   } catch (error) {
     logger.error(`Regenerate title error: ${error.message}`);
+    if (error.code === AI_INVALID_RESPONSE) return res.status(503).json(aiErrorBody(error));
     res.status(500).json({ error: 'Failed to regenerate title' });
   }
 };
@@ -345,10 +436,27 @@ exports.regenerateSummary = async (req, res) => {
       skills: (user.skills || []).map(s => s.name),
     };
 
-    const result = await generateResumeSummary(payload);
+    if (wantsStream(req)) {
+      const stream = openEventStream(res);
+      try {
+        const result = await generateResumeSummary(payload, {
+          userId: req.user._id,
+          onToken: (text) => stream.send('token', { text }),
+          onRetry: (attempt, issues) => stream.send('retry', { attempt, issues })
+        });
+        stream.send('done', { summary: result.summary || '' });
+      } catch (error) {
+        logger.error(`Regenerate summary stream error: ${error.message}`);
+        stream.send('error', aiErrorBody(error, 'Failed to regenerate summary'));
+      }
+      return stream.close();
+    }
+
+    const result = await generateResumeSummary(payload, { userId: req.user._id });
     res.json({ summary: result.summary || '' });
   } catch (error) {
     logger.error(`Regenerate summary error: ${error.message}`);
+    if (error.code === AI_INVALID_RESPONSE) return res.status(503).json(aiErrorBody(error));
     res.status(500).json({ error: 'Failed to regenerate summary' });
   }
 };
@@ -375,4 +483,403 @@ exports.enforceVisibility = async (req, res) => {
   }
 
   res.json({ privatized: result.modifiedCount });
-};
\ No newline at end of file
+};
+// Export Resume (JSON Resume schema)
+exports.exportResume = async (req, res) => {
+  const format = req.query.format || 'json-resume';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Unsupported export format. Allowed: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  const resume = await Resume.findById(req.params.id).populate('educations experiences projects certifications awards');
+  if (!resume || resume.isDeleted) return res.status(404).json({ error: 'Resume not found' });
+  if (req.user.role !== 'admin' && resume.userId.toString() !== req.user._id.toString()) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  const context = await getResumeContext(resume);
+  if (!context) return res.status(404).json({ error: 'Resume owner not found' });
+
+  const document = toJsonResume(context, { lastModified: resume.updatedAt });
+
+  logger.info(`Resume exported (${format}): ${resume._id} by ${req.user.email}`);
+  res.setHeader('Content-Disposition', `attachment; filename="${resume.slug || resume._id}.json"`);
+  res.json(document);
+};
+
+// Import Resume from a JSON Resume document (deducts credits)
+exports.importJsonResume = async (req, res) => {
+  const { error, value } = jsonResumeSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({ errors: error.details.map(err => err.message) });
+  }
+
+  const userId = req.user._id;
+  const mapped = fromJsonResume(value);
+
+  const summary = {
+    experiences: 0,
+    educations: 0,
+    projects: 0,
+    certifications: 0,
+    awards: 0,
+    skills: 0,
+    languages: 0,
+    socialMedia: 0,
+    hobbies: 0,
+    skipped: [...mapped.skipped]
+  };
+
+  // Create entity documents, skipping any that fail model validation
+  const created = [];
+  const createAll = async (Model, items, key) => {
+    const ids = [];
+    for (const [i, item] of items.entries()) {
+      try {
+        const doc = await Model.create({ ...item, userId });
+        created.push(doc);
+        ids.push(doc._id);
+        summary[key]++;
+      } catch (err) {
+        logger.warn(`JSON Resume import: failed to create ${key}[${i}]: ${err.message}`);
+        summary.skipped.push(`${key}[${i}]: ${err.message}`);
+      }
+    }
+    return ids;
+  };
+
+  let resume;
+  try {
+    const experiences = await createAll(Experience, mapped.experiences, 'experiences');
+    const educations = await createAll(Education, mapped.educations, 'educations');
+    const projects = await createAll(Project, mapped.projects, 'projects');
+    const certifications = await createAll(Certification, mapped.certifications, 'certifications');
+    const awards = await createAll(Award, mapped.awards, 'awards');
+
+    resume = await Resume.create({
+      ...mapped.resume,
+      experiences,
+      educations,
+      projects,
+      certifications,
+      awards,
+      userId
+    });
+    created.push(resume);
+    await recordVersion(resume, { reason: 'import', createdBy: userId });
+  } catch (err) {
+    // Nothing is kept from a failed import
+    await Promise.all(created.map(doc => doc.deleteOne().catch(() => { })));
+    throw err;
+  }
+
+  // Merge skills, languages and social profiles into the user profile (no duplicates)
+  const user = await User.findById(userId);
+  const existingSkills = (user.skills || []).map(s => s.name.toLowerCase());
+  const newSkills = mapped.skills.filter(s => !existingSkills.includes(s.name.toLowerCase()));
+  const existingLangs = (user.languages || []).map(l => l.name.toLowerCase());
+  const newLangs = mapped.languages.filter(l => !existingLangs.includes(l.name.toLowerCase()));
+  const existingPlatforms = (user.socialMedia || []).map(s => s.platform);
+  const newSocial = mapped.socialMedia.filter(s => s.platform === 'Other' || !existingPlatforms.includes(s.platform));
+  const existingHobbies = (user.hobbies || []).map(h => h.toLowerCase());
+  const newHobbies = mapped.hobbies.filter(h => !existingHobbies.includes(h.toLowerCase()));
+
+  const userUpdate = {};
+  if (newSkills.length) {
+    userUpdate.skills = [...(user.skills || []), ...newSkills];
+    summary.skills = newSkills.length;
+  }
+  if (newLangs.length) {
+    userUpdate.languages = [...(user.languages || []), ...newLangs];
+    summary.languages = newLangs.length;
+  }
+  if (newSocial.length) {
+    userUpdate.socialMedia = [...(user.socialMedia || []), ...newSocial];
+    summary.socialMedia = newSocial.length;
+  }
+  if (newHobbies.length) {
+    userUpdate.hobbies = [...(user.hobbies || []), ...newHobbies];
+    summary.hobbies = newHobbies.length;
+  }
+  if (Object.keys(userUpdate).length > 0) {
+    try {
+      await User.findByIdAndUpdate(userId, userUpdate, { runValidators: true });
+    } catch (err) {
+      logger.warn(`JSON Resume import: failed to merge profile data for ${userId}: ${err.message}`);
+      summary.skills = summary.languages = summary.socialMedia = summary.hobbies = 0;
+      summary.skipped.push(`profile: ${err.message}`);
+    }
+  }
+
+  logger.info(`Resume imported from JSON Resume by ${req.user.email}: ${resume._id}`);
+  res.status(201).json({
+    message: 'Resume imported successfully',
+    resume: resume.toObject(),
+    summary
+  });
+};
+
+// Render Resume as ATS-friendly plain text or Markdown (also via a share token)
+exports.renderResume = async (req, res) => {
+  const format = req.query.format || 'txt';
+  const renderer = TEXT_RENDERERS[format];
+  if (!renderer) {
+    return res.status(400).json({ error: `Unsupported render format. Allowed: ${Object.keys(TEXT_RENDERERS).join(', ')}` });
+  }
+
+  const resume = await Resume.findById(req.resumeShare?.resumeId || req.params.id).populate('educations experiences projects certifications awards');
+  if (!resume || resume.isDeleted) return res.status(404).json({ error: 'Resume not found' });
+  if (!canViewResume(req, resume)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  const context = await getResumeContext(resume);
+  if (!context) return res.status(404).json({ error: 'Resume owner not found' });
+
+  res.setHeader('Content-Type', renderer.contentType);
+  res.send(renderer.render(context));
+};
+
+// List Resume Versions
+exports.getResumeVersions = async (req, res) => {
+  const resume = await findAccessibleResume(req, res);
+  if (!resume) return;
+
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const result = await ResumeVersion.listForResume(resume._id, { page, limit });
+  res.json(result);
+};
+
+// Diff two Resume Versions (default: against the previous version)
+exports.diffResumeVersions = async (req, res) => {
+  const resume = await findAccessibleResume(req, res);
+  if (!resume) return;
+
+  const version = parseVersion(req.params.v);
+  if (!version) return res.status(400).json({ error: 'Version must be a positive integer' });
+
+  let against = version - 1;
+  if (req.query.against !== undefined) {
+    against = parseVersion(req.query.against);
+    if (!against) return res.status(400).json({ error: 'against must be a positive integer' });
+  }
+
+  const [target, base] = await Promise.all([
+    ResumeVersion.findOne({ resumeId: resume._id, version }).lean(),
+    against > 0 ? ResumeVersion.findOne({ resumeId: resume._id, version: against }).lean() : null
+  ]);
+  if (!target) return res.status(404).json({ error: `Version ${version} not found` });
+  if (against > 0 && !base) return res.status(404).json({ error: `Version ${against} not found` });
+
+  const changes = diffSnapshots(base?.snapshot || null, target.snapshot);
+  res.json({
+    version,
+    against: against > 0 ? against : null,
+    totalChanges: changes.length,
+    changes
+  });
+};
+
+// Restore a Resume Version
+exports.restoreResumeVersion = async (req, res) => {
+  const resume = await findAccessibleResume(req, res);
+  if (!resume) return;
+
+  const version = parseVersion(req.params.v);
+  if (!version) return res.status(400).json({ error: 'Version must be a positive integer' });
+
+  const versionDoc = await ResumeVersion.findOne({ resumeId: resume._id, version });
+  if (!versionDoc) return res.status(404).json({ error: `Version ${version} not found` });
+
+  // Restoring a public snapshot must not bypass the subscription requirement
+  let allowPublic = true;
+  if (versionDoc.snapshot.resume?.visibility === 'public' && resume.visibility !== 'public' && req.user.role !== 'admin') {
+    allowPublic = await Subscription.isUserSubscribed(req.user._id);
+  }
+
+  const result = await restoreVersion(resume, versionDoc, {
+    restoreEntities: req.body?.restoreEntities === true,
+    allowPublic,
+    restoredBy: req.user._id
+  });
+
+  logger.info(`Resume ${resume._id} restored to version ${version} by ${req.user.email}`);
+  res.json({
+    message: `Resume restored to version ${version}`,
+    resume: result.resume,
+    version: result.version?.version ?? null,
+    restoredEntities: result.restoredEntities,
+    missingEntities: result.missingEntities,
+    visibilityKept: !allowPublic
+  });
+};
+
+// Duplicate Resume, optionally tailoring it to a new job description (deducts credits)
+exports.duplicateResume = async (req, res) => {
+  const { error, value } = duplicateResumeSchema.validate(req.body || {}, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({ errors: error.details.map(err => err.message) });
+  }
+
+  const source = await findAccessibleResume(req, res);
+  if (!source) return;
+
+  // Hold credits up front; refunded if tailoring or saving fails
+  await withReservation(req, res, 'resume_duplication', () => createDuplicate(req, { source, value }));
+};
+
+// Build (and optionally tailor) and save the clone; resolves to the response for withReservation
+async function createDuplicate(req, { source, value }) {
+  const tailor = !!value.jobDescription;
+  const clone = {
+    userId: source.userId,
+    title: value.title || `${source.title || 'Resume'} (Copy)`.substring(0, 100),
+    summary: source.summary,
+    jobDescription: value.jobDescription || source.jobDescription,
+    educations: [...source.educations],
+    experiences: [...source.experiences],
+    projects: [...source.projects],
+    certifications: [...source.certifications],
+    awards: [...source.awards],
+    selectedSkills: [...source.selectedSkills],
+    selectedLanguages: [...source.selectedLanguages],
+    selectedSocialMedia: [...source.selectedSocialMedia],
+    customFields: source.customFields.map(({ label, value: fieldValue, icon, category }) => ({ label, value: fieldValue, icon, category })),
+    overrides: Object.fromEntries([...source.overrides].map(([entityId, override]) => [entityId, override.toObject()])),
+    // When tailoring, the AI ranking decides item order, so only section order/titles/visibility carry over
+    layout: {
+      sections: (source.layout?.sections || []).map(({ key, title, visible, itemOrder }) => ({
+        key, title, visible, itemOrder: tailor ? [] : [...itemOrder]
+      }))
+    },
+    // Job-specific estimates only carry over when the target job is unchanged
+    salaryEstimate: tailor ? undefined : source.salaryEstimate,
+    hiringChance: tailor ? undefined : source.hiringChance,
+    suggestions: tailor ? [] : [...source.suggestions],
+    // Clones start private; publishing goes through updateResume's subscription check
+    visibility: 'private'
+  };
+
+  if (tailor) {
+    const [user, projects, awards, experiences, certifications, educations] = await Promise.all([
+      User.findById(source.userId).lean(),
+      Project.find({ _id: { $in: clone.projects }, isDeleted: false }).lean(),
+      Award.find({ _id: { $in: clone.awards }, isDeleted: false }).lean(),
+      Experience.find({ _id: { $in: clone.experiences }, isDeleted: false }).lean(),
+      Certification.find({ _id: { $in: clone.certifications }, isDeleted: false }).lean(),
+      Education.find({ _id: { $in: clone.educations }, isDeleted: false }).lean(),
+    ]);
+    if (!user) return { status: 404, body: { error: 'Resume owner not found' } };
+
+    // Restrict the profile to what the source resume shows (empty selection means "all")
+    const pick = (all, selected, key) => (selected.length ? (all || []).filter(item => selected.includes(item[key])) : all || []);
+    const aiInputPayload = buildAIInputPayload({
+      jobDescription: value.jobDescription,
+      user: {
+        ...user,
+        skills: pick(user.skills, clone.selectedSkills, 'name'),
+        languages: pick(user.languages, clone.selectedLanguages, 'name'),
+        socialMedia: pick(user.socialMedia, clone.selectedSocialMedia, 'platform')
+      },
+      projects,
+      awards,
+      experiences,
+      certifications,
+      educations
+    });
+
+    let aiResponse;
+    try {
+      aiResponse = await generateResumeFromProfile(aiInputPayload, { rerankOnly: true, userId: req.user._id });
+    } catch (aiError) {
+      logger.error(`AI tailoring failed: ${aiError.message}`);
+      return { status: 503, body: aiErrorBody(aiError, 'AI service is temporarily unavailable. Try again or duplicate without a jobDescription.') };
+    }
+
+    ['educations', 'experiences', 'projects', 'certifications', 'awards'].forEach(key => {
+      clone[key] = rerank(clone[key], aiResponse[key]);
+    });
+    const profile = aiInputPayload.userProfile;
+    clone.selectedSkills = rerank(clone.selectedSkills.length ? clone.selectedSkills : profile.skills.map(s => s.name), aiResponse.selectedSkills);
+    clone.selectedLanguages = rerank(clone.selectedLanguages.length ? clone.selectedLanguages : profile.languages.map(l => l.name), aiResponse.selectedLanguages);
+    clone.selectedSocialMedia = rerank(clone.selectedSocialMedia.length ? clone.selectedSocialMedia : profile.socialMedia.map(s => s.platform), aiResponse.selectedSocialMedia);
+    if (typeof aiResponse.summary === 'string' && aiResponse.summary.trim()) {
+      clone.summary = aiResponse.summary.trim().substring(0, 2000);
+    }
+    if (!value.title && typeof aiResponse.title === 'string' && aiResponse.title.trim()) {
+      clone.title = aiResponse.title.trim().substring(0, 100);
+    }
+  }
+
+  // No slug on the clone — the pre-save hook generates a fresh one
+  const resume = await Resume.create(clone);
+  await recordVersion(resume, { reason: 'duplicate', createdBy: req.user._id });
+
+  logger.info(`Resume duplicated by ${req.user.email}: ${source._id} -> ${resume._id}${tailor ? ' (tailored)' : ''}`);
+  return {
+    status: 201,
+    body: {
+      ...resume.toObject(),
+      sourceResumeId: source._id,
+      tailored: tailor
+    }
+  };
+}
+
+// Set the per-resume override for one linked entity (replaces any existing override)
+exports.setEntityOverride = async (req, res) => {
+  const resume = await findAccessibleResume(req, res);
+  if (!resume) return;
+
+  const { error, value } = entityOverrideSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({ errors: error.details.map(err => err.message) });
+  }
+
+  const { entityId } = req.params;
+  const section = Object.keys(OVERRIDE_BULLET_FIELDS).find(key => resume[key].some(id => id.toString() === entityId));
+  if (!section) {
+    return res.status(404).json({ error: 'Entity is not an experience, project or education on this resume' });
+  }
+
+  const bulletField = OVERRIDE_BULLET_FIELDS[section];
+  const foreignFields = Object.values(OVERRIDE_BULLET_FIELDS).filter(f => f !== bulletField && value[f] !== undefined);
+  if (foreignFields.length) {
+    return res.status(400).json({ errors: [`${foreignFields.join(', ')} cannot be overridden on ${section}; use ${bulletField}`] });
+  }
+
+  // Bullet indices refer to the replacement bullets when given, otherwise to the entity's own
+  const entity = await ENTITY_MODELS[section].findById(entityId).lean();
+  if (!entity || entity.isDeleted) return res.status(404).json({ error: 'Entity not found' });
+  const bulletCount = (value[bulletField] || entity[bulletField] || []).length;
+  const outOfRange = [...(value.bulletOrder || []), ...(value.hiddenBullets || [])].filter(i => i >= bulletCount);
+  if (outOfRange.length) {
+    return res.status(400).json({ errors: [`Bullet index out of range (0-${bulletCount - 1}): ${[...new Set(outOfRange)].join(', ')}`] });
+  }
+
+  resume.overrides.set(entityId, { ...value, updatedAt: new Date() });
+  await resume.save();
+  await recordVersion(resume, { reason: 'update', createdBy: req.user._id });
+
+  logger.info(`Override set on resume ${resume._id} for ${section} ${entityId} by ${req.user.email}`);
+  res.json({ entityId, section, override: resume.overrides.get(entityId) });
+};
+
+// Clear the per-resume override for one entity
+exports.clearEntityOverride = async (req, res) => {
+  const resume = await findAccessibleResume(req, res);
+  if (!resume) return;
+
+  const { entityId } = req.params;
+  if (!resume.overrides.has(entityId)) {
+    return res.status(404).json({ error: 'No override set for this entity' });
+  }
+
+  resume.overrides.delete(entityId);
+  await resume.save();
+  await recordVersion(resume, { reason: 'update', createdBy: req.user._id });
+
+  logger.info(`Override cleared on resume ${resume._id} for ${entityId} by ${req.user.email}`);
+  res.json({ message: 'Override cleared' });
+};
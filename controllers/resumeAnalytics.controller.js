@@ -1,5 +1,6 @@
 const ResumeAnalytics = require('../models/resumeAnalytics.model');
 const Resume = require('../models/resume.model');
+const ResumeLink = require('../models/resumeLink.model');
 const logger = require('../utils/logger');
 
 /**
@@ -19,6 +20,12 @@ exports.getResumeAnalytics = async (req, res) => {
 
         const analytics = await ResumeAnalytics.findOne({ resumeId: resume._id });
 
+        // Per named link attribution
+        const links = await ResumeLink.find({ resumeId: resume._id })
+            .select('name views pdfDownloads lastViewedAt expiresAt revokedAt')
+            .sort({ createdAt: -1 })
+            .lean();
+
         if (!analytics) {
             return res.json({
                 resumeId: resume._id,
@@ -27,6 +34,7 @@ exports.getResumeAnalytics = async (req, res) => {
                 uniqueViews: 0,
                 pdfDownloads: 0,
                 dailyStats: [],
+                links,
                 message: 'No analytics data yet. Make your resume public to start tracking views.'
             });
         }
@@ -38,7 +46,8 @@ exports.getResumeAnalytics = async (req, res) => {
             uniqueViews: analytics.uniqueViews,
             pdfDownloads: analytics.pdfDownloads,
             dailyStats: analytics.dailyStats.slice(-30), // Last 30 days
-            recentViews: analytics.viewLog.slice(-20) // Last 20 views
+            recentViews: analytics.viewLog.slice(-20), // Last 20 views
+            links
         });
     } catch (err) {
         logger.error(`Get resume analytics failed: ${err.message}`);
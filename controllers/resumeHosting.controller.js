@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const mongoose = require('mongoose');
+const Resume = require('../models/resume.model');
+const UserGeneratedTemplate = require('../models/userGeneratedTemplate.model');
+const { resumeSlugSchema, customDomainSchema } = require('../validations/resume.validation');
+const logger = require('../utils/logger');
+
+// DNS TXT record proving control of a custom hostname
+const VERIFICATION_PREFIX = '_tekvion-verify';
+
+// Find a resume the requesting user owns (or any resume, for admins)
+async function findOwnedResume(req, res) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404).json({ error: 'Resume not found' });
+        return null;
+    }
+    const resume = await Resume.findById(req.params.id);
+    if (!resume || resume.isDeleted) {
+        res.status(404).json({ error: 'Resume not found' });
+        return null;
+    }
+    if (req.user.role !== 'admin' && !resume.userId.equals(req.user._id)) {
+        res.status(403).json({ error: 'Access denied' });
+        return null;
+    }
+    return resume;
+}
+
+// DNS records the user has to create for their hostname
+function domainInstructions(resume) {
+    const { hostname, verificationToken } = resume.customDomain;
+    return {
+        hostname,
+        verified: !!resume.customDomain.verifiedAt,
+        verifiedAt: resume.customDomain.verifiedAt,
+        records: [
+            { type: 'CNAME', name: hostname, value: process.env.CUSTOM_DOMAIN_TARGET || null },
+            { type: 'TXT', name: `${VERIFICATION_PREFIX}.${hostname}`, value: verificationToken }
+        ]
+    };
+}
+
+// Pick a vanity slug; the old slug keeps redirecting to the new one
+exports.updateResumeSlug = async (req, res) => {
+    const resume = await findOwnedResume(req, res);
+    if (!resume) return;
+
+    const { error, value } = resumeSlugSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const { slug } = value;
+    if (slug === resume.slug) return res.json({ slug, previousSlugs: resume.previousSlugs });
+
+    // Current and former slugs of other resumes are both taken, so old links never change owner
+    const taken = await Resume.exists({ _id: { $ne: resume._id }, $or: [{ slug }, { previousSlugs: slug }] });
+    if (taken) return res.status(409).json({ error: 'This slug is already taken' });
+
+    const oldSlug = resume.slug;
+    resume.previousSlugs = [...resume.previousSlugs.filter(s => s !== slug && s !== oldSlug), oldSlug];
+    resume.slug = slug;
+    try {
+        await resume.save();
+    } catch (err) {
+        if (err.code === 11000) return res.status(409).json({ error: 'This slug is already taken' });
+        throw err;
+    }
+
+    await UserGeneratedTemplate.updateMany({ resumeId: resume._id }, { $set: { hostedUrl: `/public/resume/${slug}` } });
+
+    logger.info(`Resume ${resume._id} slug changed from ${oldSlug} to ${slug} by ${req.user.email}`);
+    res.json({ slug: resume.slug, previousSlugs: resume.previousSlugs });
+};
+
+// Current custom domain and the DNS records it needs
+exports.getCustomDomain = async (req, res) => {
+    const resume = await findOwnedResume(req, res);
+    if (!resume) return;
+
+    if (!resume.customDomain?.hostname) return res.status(404).json({ error: 'No custom domain set' });
+    res.json(domainInstructions(resume));
+};
+
+// Map a hostname to this resume; it is served once the TXT record is verified
+exports.setCustomDomain = async (req, res) => {
+    const resume = await findOwnedResume(req, res);
+    if (!resume) return;
+
+    const { error, value } = customDomainSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const taken = await Resume.exists({
+        _id: { $ne: resume._id },
+        'customDomain.hostname': value.hostname,
+        'customDomain.verifiedAt': { $ne: null }
+    });
+    if (taken) return res.status(409).json({ error: 'This hostname is already in use' });
+
+    if (resume.customDomain?.hostname !== value.hostname) {
+        resume.customDomain = {
+            hostname: value.hostname,
+            verificationToken: `tekvion-verify=${crypto.randomBytes(16).toString('hex')}`,
+            verifiedAt: null
+        };
+        await resume.save();
+        logger.info(`Custom domain ${value.hostname} requested for resume ${resume._id} by ${req.user.email}`);
+    }
+
+    res.json(domainInstructions(resume));
+};
+
+// Check the TXT record and start serving the resume on the hostname
+exports.verifyCustomDomain = async (req, res) => {
+    const resume = await findOwnedResume(req, res);
+    if (!resume) return;
+
+    const { hostname, verificationToken } = resume.customDomain || {};
+    if (!hostname) return res.status(404).json({ error: 'No custom domain set' });
+    if (resume.customDomain.verifiedAt) return res.json(domainInstructions(resume));
+
+    let records = [];
+    try {
+        records = (await dns.resolveTxt(`${VERIFICATION_PREFIX}.${hostname}`)).map(chunks => chunks.join(''));
+    } catch (err) {
+        logger.warn(`TXT lookup for ${hostname} failed: ${err.code || err.message}`);
+    }
+    if (!records.includes(verificationToken)) {
+        return res.status(400).json({
+            error: 'Verification record not found. DNS changes can take a while to propagate; try again later.',
+            ...domainInstructions(resume)
+        });
+    }
+
+    resume.customDomain.verifiedAt = new Date();
+    try {
+        await resume.save();
+    } catch (err) {
+        if (err.code === 11000) return res.status(409).json({ error: 'This hostname is already in use' });
+        throw err;
+    }
+
+    logger.info(`Custom domain ${hostname} verified for resume ${resume._id}`);
+    res.json(domainInstructions(resume));
+};
+
+// Stop serving the resume on its custom domain
+exports.removeCustomDomain = async (req, res) => {
+    const resume = await findOwnedResume(req, res);
+    if (!resume) return;
+
+    if (!resume.customDomain?.hostname) return res.status(404).json({ error: 'No custom domain set' });
+
+    const { hostname } = resume.customDomain;
+    resume.customDomain = { hostname: undefined, verificationToken: undefined, verifiedAt: null };
+    await resume.save();
+
+    logger.info(`Custom domain ${hostname} removed from resume ${resume._id} by ${req.user.email}`);
+    res.json({ message: 'Custom domain removed' });
+};
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const Resume = require('../models/resume.model');
+const ResumeLink = require('../models/resumeLink.model');
+const Subscription = require('../models/subscription.model');
+const { resumeLinkCreateSchema, resumeLinkUpdateSchema } = require('../validations/resumeLink.validations');
+const logger = require('../utils/logger');
+
+// Find a resume the requesting user owns (or any resume, for admins)
+async function findOwnedResume(req, res) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404).json({ error: 'Resume not found' });
+        return null;
+    }
+    const resume = await Resume.findById(req.params.id);
+    if (!resume || resume.isDeleted) {
+        res.status(404).json({ error: 'Resume not found' });
+        return null;
+    }
+    if (req.user.role !== 'admin' && !resume.userId.equals(req.user._id)) {
+        res.status(403).json({ error: 'Access denied' });
+        return null;
+    }
+    return resume;
+}
+
+async function findLink(resume, linkId) {
+    if (!mongoose.Types.ObjectId.isValid(linkId)) return null;
+    return ResumeLink.findOne({ _id: linkId, resumeId: resume._id, revokedAt: null });
+}
+
+function linkStatus(link) {
+    if (link.revokedAt) return 'revoked';
+    if (link.isExpired()) return 'expired';
+    return 'active';
+}
+
+function toResponse(link, resume) {
+    const { passwordHash, ...body } = link.toObject();
+    return {
+        ...body,
+        status: linkStatus(link),
+        url: `/public/resume/${resume.slug}?link=${link.token}`
+    };
+}
+
+// List a resume's named public links, newest first (revoked links are kept for their stats)
+exports.getResumeLinks = async (req, res) => {
+    const resume = await findOwnedResume(req, res);
+    if (!resume) return;
+
+    const links = await ResumeLink.find({ resumeId: resume._id }).sort({ createdAt: -1 });
+    res.json(links.map(link => toResponse(link, resume)));
+};
+
+// Create a named public link (subscribers only, like public hosting)
+exports.createResumeLink = async (req, res) => {
+    const resume = await findOwnedResume(req, res);
+    if (!resume) return;
+
+    const { error, value } = resumeLinkCreateSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    if (req.user.role !== 'admin' && !await Subscription.isUserSubscribed(req.user._id)) {
+        return res.status(403).json({
+            error: 'Subscription required',
+            message: 'Public resume links are available exclusively for subscribers. Upgrade your plan to share your resume by link.',
+            upgradeUrl: '/subscription/plans'
+        });
+    }
+
+    const link = new ResumeLink({
+        resumeId: resume._id,
+        userId: resume.userId,
+        name: value.name,
+        expiresAt: value.expiresAt
+    });
+    await link.setPassword(value.password);
+    await link.save();
+
+    logger.info(`Public link "${link.name}" created for resume ${resume._id} by ${req.user.email}`);
+    res.status(201).json(toResponse(link, resume));
+};
+
+// Rename a link, change or remove its password, or change its expiry
+exports.updateResumeLink = async (req, res) => {
+    const resume = await findOwnedResume(req, res);
+    if (!resume) return;
+
+    const { error, value } = resumeLinkUpdateSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const link = await findLink(resume, req.params.linkId);
+    if (!link) return res.status(404).json({ error: 'Link not found' });
+
+    if (value.name !== undefined) link.name = value.name;
+    if (value.expiresAt !== undefined) link.expiresAt = value.expiresAt;
+    if (value.password !== undefined) await link.setPassword(value.password);
+    await link.save();
+
+    res.json(toResponse(link, resume));
+};
+
+// Revoke a link immediately
+exports.revokeResumeLink = async (req, res) => {
+    const resume = await findOwnedResume(req, res);
+    if (!resume) return;
+
+    const link = await findLink(resume, req.params.linkId);
+    if (!link) return res.status(404).json({ error: 'Link not found' });
+
+    link.revokedAt = new Date();
+    await link.save();
+
+    logger.info(`Public link "${link.name}" revoked for resume ${resume._id} by ${req.user.email}`);
+    res.json({ message: 'Link revoked' });
+};
@@ -0,0 +1,274 @@
+const mongoose = require('mongoose');
+const Resume = require('../models/resume.model');
+const User = require('../models/user.model');
+const ResumeShare = require('../models/resumeShare.model');
+const ResumeComment = require('../models/resumeComment.model');
+const {
+    resumeShareCreateSchema,
+    resumeShareUpdateSchema,
+    resumeCommentCreateSchema,
+    resumeCommentUpdateSchema
+} = require('../validations/resumeShare.validations');
+const { shareUrl, sendShareInvite, notifyOwnerOfComment, notifyReviewerOfReply } = require('../services/resumeShare.service');
+const logger = require('../utils/logger');
+
+// Sections whose anchors name a linked profile entity
+const ENTITY_SECTIONS = ['experiences', 'educations', 'projects', 'certifications', 'awards'];
+
+// Find a resume the requesting user owns (or any resume, for admins)
+async function findOwnedResume(req, res) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404).json({ error: 'Resume not found' });
+        return null;
+    }
+    const resume = await Resume.findById(req.params.id);
+    if (!resume || resume.isDeleted) {
+        res.status(404).json({ error: 'Resume not found' });
+        return null;
+    }
+    if (req.user.role !== 'admin' && !resume.userId.equals(req.user._id)) {
+        res.status(403).json({ error: 'Access denied' });
+        return null;
+    }
+    return resume;
+}
+
+async function findComment(resume, commentId) {
+    if (!mongoose.Types.ObjectId.isValid(commentId)) return null;
+    return ResumeComment.findOne({ _id: commentId, resumeId: resume._id });
+}
+
+/**
+ * Validate a new comment against the resume; returns an error message or null.
+ */
+async function checkNewComment(resume, value) {
+    const { section, entityId } = value.anchor;
+    if (entityId && ENTITY_SECTIONS.includes(section) && !resume[section].some(id => id.toString() === entityId)) {
+        return `Entity ${entityId} is not part of this resume's ${section}`;
+    }
+    if (value.parentId && !(await ResumeComment.exists({ _id: value.parentId, resumeId: resume._id }))) {
+        return 'Parent comment not found on this resume';
+    }
+    return null;
+}
+
+// Create a comment and send its notifications
+async function addComment(resume, value, author) {
+    const comment = await ResumeComment.create({ resumeId: resume._id, ...author, ...value });
+
+    if (comment.shareId) await notifyOwnerOfComment({ comment, resume });
+    if (comment.parentId) {
+        const parent = await ResumeComment.findById(comment.parentId).lean();
+        if (parent) await notifyReviewerOfReply({ reply: comment, parent, resume });
+    }
+    return comment;
+}
+
+function applyCommentUpdate(comment, value, userId) {
+    if (value.body !== undefined) comment.body = value.body;
+    if (value.resolved !== undefined) {
+        comment.resolvedAt = value.resolved ? new Date() : null;
+        comment.resolvedBy = value.resolved ? userId : null;
+    }
+}
+
+// ─── Owner: shares ────────────────────────────────────────────────────────────
+
+// List reviewers a resume is shared with
+exports.getResumeShares = async (req, res) => {
+    const resume = await findOwnedResume(req, res);
+    if (!resume) return;
+
+    const shares = await ResumeShare.find({ resumeId: resume._id, revokedAt: null }).sort({ createdAt: -1 });
+    res.json(shares);
+};
+
+// Invite a reviewer by email (re-inviting updates the share and sends a new link)
+exports.createResumeShare = async (req, res) => {
+    const resume = await findOwnedResume(req, res);
+    if (!resume) return;
+
+    const { error, value } = resumeShareCreateSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const owner = await User.findById(resume.userId).select('first_name last_name email').lean();
+    if (owner.email.toLowerCase() === value.email.toLowerCase()) {
+        return res.status(400).json({ error: 'You cannot share a resume with yourself' });
+    }
+
+    const existing = await ResumeShare.findOne({ resumeId: resume._id, email: value.email.toLowerCase(), revokedAt: null });
+    const share = existing || new ResumeShare({ resumeId: resume._id, ownerId: resume.userId, email: value.email });
+    share.permission = value.permission;
+    if (value.name !== undefined) share.name = value.name;
+    const token = share.issueToken();
+    await share.save();
+
+    const emailSent = await sendShareInvite({ share, token, resume, owner, message: value.message });
+    logger.info(`Resume ${resume._id} shared with ${share.email} (${share.permission}) by ${req.user.email}`);
+
+    const { tokenHash, ...body } = share.toObject();
+    res.status(existing ? 200 : 201).json({
+        share: body,
+        emailSent,
+        shareUrl: process.env.NODE_ENV === 'development' ? shareUrl(token) : undefined
+    });
+};
+
+// Change a reviewer's permission or display name
+exports.updateResumeShare = async (req, res) => {
+    const resume = await findOwnedResume(req, res);
+    if (!resume) return;
+
+    const { error, value } = resumeShareUpdateSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.shareId)) return res.status(404).json({ error: 'Share not found' });
+    const share = await ResumeShare.findOneAndUpdate(
+        { _id: req.params.shareId, resumeId: resume._id, revokedAt: null },
+        { $set: value },
+        { new: true }
+    );
+    if (!share) return res.status(404).json({ error: 'Share not found' });
+
+    res.json(share);
+};
+
+// Revoke a reviewer's access (their comments stay)
+exports.revokeResumeShare = async (req, res) => {
+    const resume = await findOwnedResume(req, res);
+    if (!resume) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.shareId)) return res.status(404).json({ error: 'Share not found' });
+    const share = await ResumeShare.findOneAndUpdate(
+        { _id: req.params.shareId, resumeId: resume._id, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+    if (!share) return res.status(404).json({ error: 'Share not found' });
+
+    logger.info(`Resume ${resume._id} share with ${share.email} revoked by ${req.user.email}`);
+    res.json({ message: 'Access revoked' });
+};
+
+// ─── Owner: comments ──────────────────────────────────────────────────────────
+
+// List comments on a resume (?resolved=true|false to filter)
+exports.getResumeComments = async (req, res) => {
+    const resume = await findOwnedResume(req, res);
+    if (!resume) return;
+
+    const filter = { resumeId: resume._id };
+    if (req.query.resolved !== undefined) filter.resolvedAt = req.query.resolved === 'true' ? { $ne: null } : null;
+
+    res.json(await ResumeComment.find(filter).sort({ createdAt: 1 }));
+};
+
+// Comment or reply as the owner
+exports.createResumeComment = async (req, res) => {
+    const resume = await findOwnedResume(req, res);
+    if (!resume) return;
+
+    const { error, value } = resumeCommentCreateSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const invalid = await checkNewComment(resume, value);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const comment = await addComment(resume, value, {
+        authorId: req.user._id,
+        authorName: `${req.user.first_name} ${req.user.last_name}`,
+        authorEmail: req.user.email
+    });
+    res.status(201).json(comment);
+};
+
+// Resolve/reopen any comment; edit only your own
+exports.updateResumeComment = async (req, res) => {
+    const resume = await findOwnedResume(req, res);
+    if (!resume) return;
+
+    const { error, value } = resumeCommentUpdateSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const comment = await findComment(resume, req.params.commentId);
+    if (!comment) return res.status(404).json({ error: 'Comment not found' });
+    if (value.body !== undefined && !(comment.authorId && comment.authorId.equals(req.user._id))) {
+        return res.status(403).json({ error: 'You can only edit your own comments' });
+    }
+
+    applyCommentUpdate(comment, value, req.user._id);
+    await comment.save();
+    res.json(comment);
+};
+
+// Delete any comment on your resume, with its replies
+exports.deleteResumeComment = async (req, res) => {
+    const resume = await findOwnedResume(req, res);
+    if (!resume) return;
+
+    const comment = await findComment(resume, req.params.commentId);
+    if (!comment) return res.status(404).json({ error: 'Comment not found' });
+
+    await ResumeComment.deleteMany({ resumeId: resume._id, $or: [{ _id: comment._id }, { parentId: comment._id }] });
+    res.json({ message: 'Comment deleted' });
+};
+
+// ─── Reviewer (share token) ───────────────────────────────────────────────────
+
+// Comments on the shared resume, with the reviewer's own permission
+exports.getSharedComments = async (req, res) => {
+    const { resumeShare: share } = req;
+    const comments = await ResumeComment.find({ resumeId: share.resumeId }).sort({ createdAt: 1 });
+    res.json({ permission: share.permission, email: share.email, comments });
+};
+
+// Comment or reply as the reviewer (comment permission)
+exports.createSharedComment = async (req, res) => {
+    const { resumeShare: share } = req;
+
+    const { error, value } = resumeCommentCreateSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const resume = await Resume.findById(share.resumeId);
+    const invalid = await checkNewComment(resume, value);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const comment = await addComment(resume, value, {
+        shareId: share._id,
+        authorName: share.name,
+        authorEmail: share.email
+    });
+    logger.info(`Reviewer ${share.email} commented on resume ${resume._id}`);
+    res.status(201).json(comment);
+};
+
+// Edit or resolve one of the reviewer's own comments
+exports.updateSharedComment = async (req, res) => {
+    const { resumeShare: share } = req;
+
+    const { error, value } = resumeCommentUpdateSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const comment = await findComment({ _id: share.resumeId }, req.params.commentId);
+    if (!comment) return res.status(404).json({ error: 'Comment not found' });
+    if (!comment.shareId || !comment.shareId.equals(share._id)) {
+        return res.status(403).json({ error: 'You can only change your own comments' });
+    }
+
+    applyCommentUpdate(comment, value, null);
+    await comment.save();
+    res.json(comment);
+};
+
+// Delete one of the reviewer's own comments, with its replies
+exports.deleteSharedComment = async (req, res) => {
+    const { resumeShare: share } = req;
+
+    const comment = await findComment({ _id: share.resumeId }, req.params.commentId);
+    if (!comment) return res.status(404).json({ error: 'Comment not found' });
+    if (!comment.shareId || !comment.shareId.equals(share._id)) {
+        return res.status(403).json({ error: 'You can only delete your own comments' });
+    }
+
+    await ResumeComment.deleteMany({ resumeId: share.resumeId, $or: [{ _id: comment._id }, { parentId: comment._id }] });
+    res.json({ message: 'Comment deleted' });
+};
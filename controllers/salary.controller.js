@@ -1,4 +1,5 @@
 const { estimateSalary } = require('../services/salary.service');
+const { AI_INVALID_RESPONSE, aiErrorBody } = require('../services/ai.service');
 const { salaryEstimationSchema } = require('../validations/salary.validation');
 const User = require('../models/user.model');
 const Resume = require('../models/resume.model');
@@ -63,7 +64,7 @@ exports.estimateSalary = async (req, res) => {
             }))
         };
 
-        const result = await estimateSalary(payload);
+        const result = await estimateSalary(payload, { userId: req.user._id });
 
         res.json({
             jobDescription: value.jobDescription.substring(0, 100) + '...',
@@ -72,6 +73,7 @@ exports.estimateSalary = async (req, res) => {
         });
     } catch (err) {
         logger.error(`Salary estimation failed: ${err.message}`);
+        if (err.code === AI_INVALID_RESPONSE) return res.status(503).json(aiErrorBody(err));
         res.status(500).json({ error: 'Failed to estimate salary' });
     }
 };
@@ -139,7 +141,7 @@ exports.estimateSalaryForResume = async (req, res) => {
             }))
         };
 
-        const result = await estimateSalary(payload);
+        const result = await estimateSalary(payload, { userId: req.user._id });
 
         res.json({
             resumeId: resume._id,
@@ -149,6 +151,7 @@ exports.estimateSalaryForResume = async (req, res) => {
         });
     } catch (err) {
         logger.error(`Resume salary estimation failed: ${err.message}`);
+        if (err.code === AI_INVALID_RESPONSE) return res.status(503).json(aiErrorBody(err));
         res.status(500).json({ error: 'Failed to estimate salary for this resume' });
     }
 };
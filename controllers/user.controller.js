@@ -1,8 +1,9 @@
 const User = require('../models/user.model');
 const crypto = require('crypto');
-const path = require('path');
 const { sendEmail } = require('../services/email.service');
+const { grantCredits, revokeCredits } = require('../services/credit.service');
 const logger = require('../utils/logger');
+const { storage } = require('../utils/storage');
 
 
 // For Admin only 
@@ -211,13 +212,23 @@ exports.updateUserCredits = async (req, res) => {
   }
 
   try {
-    const user = await User.findById(id);
+    const user = await User.findById(id).select('+credits');
     if (!user) return res.status(404).json({ error: 'User not found' });
 
-    user.credits = credits;
-    await user.save();
+    // Move the balance through credit buckets so spend order and expiry stay consistent
+    const diff = credits - user.credits;
+    const description = `Admin set: ${user.credits} → ${credits} credits`;
+    const metadata = { operation: 'set', previousCredits: user.credits, adminId: req.user.id };
+    let balance = user.credits;
+    if (diff > 0) {
+      ({ balance } = await grantCredits(user._id, diff, { source: 'admin', type: 'admin_adjustment', expiresAt: null, description, metadata }));
+    } else if (diff < 0) {
+      const result = await revokeCredits(user._id, -diff, { description, metadata });
+      if (!result.success) return res.status(409).json({ error: 'Balance changed during the update, please retry' });
+      balance = result.balance;
+    }
 
-    res.json({ message: 'Credits updated', credits: user.credits });
+    res.json({ message: 'Credits updated', credits: balance });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Server error' });
@@ -304,15 +315,12 @@ exports.uploadProfilePhoto = async (req, res) => {
   }
 
   const relativePath = `uploads/profile-photos/${req.file.filename}`;
+  await storage.importFile(relativePath, req.file.path);
 
   // Delete old photo if it exists
   const existingUser = await User.findById(req.user._id).select('profilePhoto');
-  if (existingUser?.profilePhoto) {
-    const oldPath = path.join(__dirname, '..', existingUser.profilePhoto);
-    const fs = require('fs');
-    if (fs.existsSync(oldPath)) {
-      fs.unlinkSync(oldPath);
-    }
+  if (existingUser?.profilePhoto?.startsWith('uploads/') && existingUser.profilePhoto !== relativePath) {
+    await storage.remove(existingUser.profilePhoto).catch(() => { });
   }
 
   const updatedUser = await User.findByIdAndUpdate(
@@ -327,12 +335,8 @@ exports.uploadProfilePhoto = async (req, res) => {
 // Remove Profile Photo
 exports.removeProfilePhoto = async (req, res) => {
   const existingUser = await User.findById(req.user._id).select('profilePhoto');
-  if (existingUser?.profilePhoto) {
-    const oldPath = path.join(__dirname, '..', existingUser.profilePhoto);
-    const fs = require('fs');
-    if (fs.existsSync(oldPath)) {
-      fs.unlinkSync(oldPath);
-    }
+  if (existingUser?.profilePhoto?.startsWith('uploads/')) {
+    await storage.remove(existingUser.profilePhoto).catch(() => { });
   }
 
   const updatedUser = await User.findByIdAndUpdate(
@@ -2,14 +2,15 @@ const UserGeneratedTemplate = require('../models/userGeneratedTemplate.model');
 const InitialTemplate = require('../models/initialTemplate.model');
 const Resume = require('../models/resume.model');
 const User = require('../models/user.model');
-const fs = require('fs/promises');
-const path = require('path');
-const generatePDF = require('../utils/pdf-generator');
-const generateImage = require('../utils/html-to-image');
+const generateDOCX = require('../utils/docx-generator');
 const logger = require('../utils/logger');
 const generatePaths = require('../utils/generate-template-paths');
-const { userGeneratedTemplateSchema } = require('../validations/userGeneratedTemplate.validation');
-const { renderTemplate, buildTemplateContext } = require('../utils/template-engine');
+const { storage } = require('../utils/storage');
+const { userGeneratedTemplateSchema, pdfOptionsSchema, previewQuerySchema } = require('../validations/userGeneratedTemplate.validation');
+const { renderTemplate, buildTemplateContext, loadProfileImage } = require('../utils/template-engine');
+const { checkAtsCompatibility } = require('../services/atsCheck.service');
+const pdfParse = require('pdf-parse');
+const { requestRender } = require('../services/renderJob.service');
 
 /**
  * Populate a resume with all its referenced documents.
@@ -24,10 +25,10 @@ async function getPopulatedResume(resumeId) {
 }
 
 /**
- * Read an initial template's HTML content from disk.
+ * Read an initial template's HTML content from storage.
  */
 async function readTemplateHtml(initialTemplate) {
-  return fs.readFile(initialTemplate.htmlFilePath, 'utf-8');
+  return (await storage.get(initialTemplate.htmlFilePath)).toString('utf-8');
 }
 
 /**
@@ -51,10 +52,47 @@ async function renderResumeFromTemplate(initialTemplateId, resumeId, requestingU
   if (!user) throw { status: 404, message: 'User not found' };
 
   const templateHtml = await readTemplateHtml(initialTemplate);
-  const context = buildTemplateContext(resume, user);
+  const context = buildTemplateContext(resume, user, { profileImage: await loadProfileImage(user.profilePhoto) });
   const renderedHtml = renderTemplate(templateHtml, context);
 
-  return { renderedHtml, resume, initialTemplate };
+  return { renderedHtml, resume, initialTemplate, context };
+}
+
+/**
+ * Write the DOCX version of a resume. Uses the template context rather than
+ * the rendered HTML, so the output is the same regardless of the template.
+ */
+async function writeResumeDocx(resume, key, context) {
+  if (!context) {
+    const populated = await getPopulatedResume(resume._id);
+    const user = await User.findById(populated.userId);
+    if (!user) throw { status: 404, message: 'User not found' };
+    context = buildTemplateContext(populated, user);
+  }
+  await storage.put(key, await generateDOCX(context));
+}
+
+/**
+ * Response for a requested PDF/preview render: 202 while it is queued (clients
+ * poll statusUrl), or its outcome when it already ran in the request.
+ */
+async function sendRenderResult(res, job, template) {
+  const body = {
+    jobId: job._id,
+    status: job.status,
+    outputs: job.outputs,
+    statusUrl: `/api/render-jobs/${job._id}`
+  };
+  if (job.status === 'queued' || job.status === 'running') {
+    return res.status(202).json({ ...body, template });
+  }
+
+  // Rendered inline: the template now points at the new files
+  const current = await UserGeneratedTemplate.findById(template._id);
+  if (job.status === 'failed') {
+    return res.status(500).json({ error: `Failed to render template: ${job.error}`, ...body, template: current });
+  }
+  res.status(200).json({ ...body, template: current });
 }
 
 // List user-generated templates (with pagination + optional search)
@@ -106,7 +144,8 @@ exports.getTemplateById = async (req, res) => {
 };
 
 // Serve template files securely (owner or admin only)
-// GET /user-generated-templates/:id/files/:type  (type = html | preview | pdf)
+// GET /user-generated-templates/:id/files/:type  (type = html | preview | pdf | docx)
+// Preview takes ?page=&size= for a single page's image
 exports.serveFile = async (req, res) => {
   const { id, type } = req.params;
   const template = await UserGeneratedTemplate.findById(id);
@@ -120,29 +159,29 @@ exports.serveFile = async (req, res) => {
     case 'html':
       filePath = template.htmlFilePath;
       break;
-    case 'preview':
-      filePath = template.previewImagePath;
+    case 'preview': {
+      const { error, value } = previewQuerySchema.validate({ page: req.query.page, size: req.query.size });
+      if (error) return res.status(400).json({ error: error.details.map(d => d.message) });
+      filePath = template.previewPath(value);
       break;
+    }
     case 'pdf':
       filePath = template.pdfFilePath;
       break;
+    case 'docx':
+      filePath = template.docxFilePath;
+      break;
     default:
-      return res.status(400).json({ error: 'Invalid file type. Use: html, preview, or pdf' });
+      return res.status(400).json({ error: 'Invalid file type. Use: html, preview, pdf, or docx' });
   }
 
   if (!filePath) return res.status(404).json({ error: `${type} file not found` });
 
-  const absolutePath = path.resolve(filePath);
-  try {
-    await fs.access(absolutePath);
-  } catch {
-    return res.status(404).json({ error: `${type} file not found on disk` });
+  // PDF and DOCX download as attachments; S3 storage redirects to a signed URL
+  const downloadName = type === 'pdf' || type === 'docx' ? `resume.${type}` : undefined;
+  if (!await storage.send(res, filePath, { downloadName })) {
+    return res.status(404).json({ error: `${type} file not found in storage` });
   }
-
-  if (type === 'pdf') {
-    res.setHeader('Content-Disposition', `attachment; filename="resume.pdf"`);
-  }
-  return res.sendFile(absolutePath);
 };
 
 // Save or Update (now renders via template engine)
@@ -154,12 +193,14 @@ exports.createOrUpdateUserGeneratedTemplate = async (req, res) => {
 
   let renderedHtml;
   let resume;
+  let context;
 
   if (initialTemplateId) {
     // New flow: render using the template engine
     const result = await renderResumeFromTemplate(initialTemplateId, resumeId, req.user);
     renderedHtml = result.renderedHtml;
     resume = result.resume;
+    context = result.context;
   } else if (html) {
     // Legacy flow: accept raw HTML from frontend  
     resume = await Resume.findById(resumeId);
@@ -185,24 +226,21 @@ exports.createOrUpdateUserGeneratedTemplate = async (req, res) => {
 
   const oldPaths = {
     html: existing?.htmlFilePath,
-    preview: existing?.previewImagePath,
-    pdf: existing?.pdfFilePath
+    docx: existing?.docxFilePath
   };
 
   const paths = generatePaths(ownerId, resume._id, initialTemplateId);
-  await fs.mkdir(path.dirname(paths.htmlFilePath), { recursive: true });
-
-  await fs.writeFile(paths.htmlFilePath, renderedHtml);
-  await generateImage(`file://${path.resolve(paths.htmlFilePath)}`, paths.previewImagePath);
-  await generatePDF(`file://${path.resolve(paths.htmlFilePath)}`, path.resolve(paths.pdfFilePath));
+  await storage.put(paths.htmlFilePath, renderedHtml);
+  await writeResumeDocx(resume, paths.docxFilePath, context);
 
+  // Preview and PDF are rendered by the queued job; until it finishes an existing
+  // template keeps serving its previous ones
   const data = {
     userId: ownerId,
     resumeId,
     initialTemplateId: initialTemplateId || existing?.initialTemplateId || null,
     htmlFilePath: paths.htmlFilePath,
-    previewImagePath: paths.previewImagePath,
-    pdfFilePath: paths.pdfFilePath,
+    docxFilePath: paths.docxFilePath,
     hostedUrl: `/public/resume/${resume.slug}`,
     isDeleted: false,
     deletedAt: null
@@ -213,19 +251,17 @@ exports.createOrUpdateUserGeneratedTemplate = async (req, res) => {
 
   // Clean up old files only if paths have changed
   if (oldPaths.html && oldPaths.html !== paths.htmlFilePath) {
-    await fs.unlink(oldPaths.html).catch(() => { });
-  }
-  if (oldPaths.preview && oldPaths.preview !== paths.previewImagePath) {
-    await fs.unlink(oldPaths.preview).catch(() => { });
+    await storage.remove(oldPaths.html).catch(() => { });
   }
-  if (oldPaths.pdf && oldPaths.pdf !== paths.pdfFilePath) {
-    await fs.unlink(oldPaths.pdf).catch(() => { });
+  if (oldPaths.docx && oldPaths.docx !== paths.docxFilePath) {
+    await storage.remove(oldPaths.docx).catch(() => { });
   }
 
-  res.status(200).json(template);
+  const job = await requestRender(template, ['preview', 'pdf'], req.user._id);
+  await sendRenderResult(res, job, template);
 };
 
-// Generate PDF
+// Generate PDF and preview (queued; poll the returned job, then download via /files/pdf)
 exports.generatePDFforTemplate = async (req, res) => {
   const template = await UserGeneratedTemplate.findById(req.params.id);
   if (!template) return res.status(404).json({ error: 'Template not found' });
@@ -236,39 +272,18 @@ exports.generatePDFforTemplate = async (req, res) => {
   const resume = await Resume.findById(template.resumeId);
   if (!resume) return res.status(404).json({ error: 'Associated resume not found' });
 
-  const slug = resume.slug;
-  const htmlPath = path.resolve(template.htmlFilePath);
-
-  // Construct new paths (keep relative for DB storage, absolute for file ops)
-  const relativePdfPath = template.htmlFilePath.replace(/\.html$/, `.pdf`);
-  const relativePreviewPath = template.htmlFilePath.replace(/\.html$/, `.png`);
-  const absolutePdfPath = path.resolve(relativePdfPath);
-  const absolutePreviewPath = path.resolve(relativePreviewPath);
+  const { error, value } = pdfOptionsSchema.validate(req.body || {});
+  if (error) return res.status(400).json({ error: error.details.map(d => d.message) });
 
-  // Delete existing PDF and preview if they exist
-  if (template.pdfFilePath) {
-    await fs.unlink(path.resolve(template.pdfFilePath)).catch(() => { });
-  }
-  if (template.previewImagePath) {
-    await fs.unlink(path.resolve(template.previewImagePath)).catch(() => { });
+  // Saved on the template, so later renders (regenerate, edits) keep the same page setup
+  if (Object.keys(value).length) {
+    const current = template.pdfOptions.toObject();
+    template.pdfOptions = { ...current, ...value, margins: { ...current.margins, ...value.margins } };
+    await template.save();
   }
 
-  // Generate PDF
-  await generatePDF(`file://${htmlPath}`, absolutePdfPath);
-
-  // Generate Preview Image
-  await generateImage(`file://${htmlPath}`, absolutePreviewPath);
-
-  // Save relative paths to DB
-  template.pdfFilePath = relativePdfPath;
-  template.previewImagePath = relativePreviewPath;
-  await template.save();
-
-  // Send the PDF file as a download
-  const filename = `${slug || 'resume'}.pdf`;
-  res.setHeader('Content-Type', 'application/pdf');
-  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-  return res.sendFile(absolutePdfPath);
+  const job = await requestRender(template, ['pdf', 'preview'], req.user._id);
+  await sendRenderResult(res, job, template);
 };
 
 // Soft delete
@@ -286,9 +301,15 @@ exports.deleteTemplate = async (req, res) => {
   const { force } = req.query;
 
   if (force === 'true') {
-    await fs.unlink(template.htmlFilePath).catch(() => { });
-    await fs.unlink(template.previewImagePath).catch(() => { });
-    if (template.pdfFilePath) await fs.unlink(template.pdfFilePath).catch(() => { });
+    await storage.remove(template.htmlFilePath).catch(() => { });
+    if (template.previewImagePath) await storage.remove(template.previewImagePath).catch(() => { });
+    if (template.pdfFilePath) await storage.remove(template.pdfFilePath).catch(() => { });
+    if (template.docxFilePath) await storage.remove(template.docxFilePath).catch(() => { });
+    for (const files of template.previewPages) {
+      for (const size of UserGeneratedTemplate.PREVIEW_SIZES) {
+        if (files[size]) await storage.remove(files[size]).catch(() => { });
+      }
+    }
     await template.deleteOne();
     return res.json({ message: 'Template permanently deleted' });
   } else {
@@ -347,7 +368,7 @@ exports.regenerateTemplate = async (req, res) => {
     return res.status(400).json({ error: 'This template was created with raw HTML and cannot be regenerated from a template. Please create a new one using an initial template.' });
   }
 
-  const { renderedHtml, resume } = await renderResumeFromTemplate(
+  const { renderedHtml, resume, context } = await renderResumeFromTemplate(
     template.initialTemplateId,
     template.resumeId,
     req.user
@@ -355,26 +376,22 @@ exports.regenerateTemplate = async (req, res) => {
 
   // Always use the resume owner's ID for paths (not the requesting admin's ID)
   const paths = generatePaths(resume.userId, resume._id, template.initialTemplateId);
-  await fs.mkdir(path.dirname(paths.htmlFilePath), { recursive: true });
 
   // Write rendered HTML
-  await fs.writeFile(paths.htmlFilePath, renderedHtml);
+  await storage.put(paths.htmlFilePath, renderedHtml);
 
-  // Regenerate preview image
-  await generateImage(`file://${path.resolve(paths.htmlFilePath)}`, paths.previewImagePath);
-
-  // Delete old PDF if it exists (it's now stale)
-  if (template.pdfFilePath) {
-    await fs.unlink(template.pdfFilePath).catch(() => { });
-    template.pdfFilePath = null;
-  }
+  // Regenerate DOCX from the latest resume data
+  await writeResumeDocx(resume, paths.docxFilePath, context);
 
   template.htmlFilePath = paths.htmlFilePath;
-  template.previewImagePath = paths.previewImagePath;
+  template.docxFilePath = paths.docxFilePath;
   await template.save();
 
+  // Preview and PDF are re-rendered from the new HTML by the queued job
+  const job = await requestRender(template, ['preview', 'pdf'], req.user._id);
+
   logger.info(`Template regenerated: ${template._id}`);
-  res.status(200).json(template);
+  await sendRenderResult(res, job, template);
 };
 
 // Preview — render a template with a resume's data and return HTML (without saving)
@@ -393,4 +410,42 @@ exports.renderPreview = async (req, res) => {
 
   res.setHeader('Content-Type', 'text/html');
   res.send(renderedHtml);
-};
\ No newline at end of file
+};
+
+// ATS check — parse the generated PDF back to text and compare it with the resume data
+exports.atsCheck = async (req, res) => {
+  const template = await UserGeneratedTemplate.findById(req.params.id);
+  if (!template) return res.status(404).json({ error: 'Template not found' });
+  if (!template.userId.equals(req.user._id) && req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+  if (!template.pdfFilePath) {
+    return res.status(400).json({ error: 'No PDF has been generated for this template yet. Generate the PDF first.' });
+  }
+
+  let pdfBuffer;
+  try {
+    pdfBuffer = await storage.get(template.pdfFilePath);
+  } catch {
+    return res.status(404).json({ error: 'pdf file not found in storage' });
+  }
+
+  const resume = await getPopulatedResume(template.resumeId);
+  if (!resume) return res.status(404).json({ error: 'Associated resume not found' });
+  const user = await User.findById(resume.userId);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+
+  const pdfData = await pdfParse(pdfBuffer);
+  const html = await storage.get(template.htmlFilePath).then(buffer => buffer.toString('utf-8'), () => null);
+
+  const report = checkAtsCompatibility(pdfData.text || '', buildTemplateContext(resume, user), { html });
+  logger.info(`ATS check for template ${template._id}: score ${report.score}`);
+
+  res.json({
+    templateId: template._id,
+    resumeId: template.resumeId,
+    initialTemplateId: template.initialTemplateId,
+    pages: pdfData.numpages,
+    ...report
+  });
+};
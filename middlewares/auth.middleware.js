@@ -24,6 +24,15 @@ exports.authenticateUser = async (req, res, next) => {
   }
 };
 
+// Middleware to authenticate scheduled jobs (Vercel Cron sends "Bearer <CRON_SECRET>")
+exports.authenticateCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: 'Invalid cron credentials' });
+  }
+  next();
+};
+
 // Middleware to check admin role
 exports.requireAdminRole = (req, res, next) => {
   if (!req.user || req.user.role !== 'admin') {
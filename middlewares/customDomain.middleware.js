@@ -0,0 +1,38 @@
+const Resume = require('../models/resume.model');
+
+// Paths a custom domain serves, mapped onto the /public/resume/:slug routes
+const HOSTED_PATHS = {
+    '/': '',
+    '/pdf': '/pdf',
+    '/docx': '/docx',
+    '/preview': '/preview'
+};
+
+/**
+ * Middleware: Serve a resume on its verified custom domain.
+ * When the Host header matches a resume's verified customDomain, requests for
+ * the hosted paths are rewritten to that resume's public routes, so they go
+ * through the same visibility, link and subscription checks. Everything else
+ * (including requests to the app's own hosts) passes through unchanged.
+ */
+exports.resolveCustomDomain = async (req, res, next) => {
+    try {
+        if (!['GET', 'HEAD'].includes(req.method) || !Object.hasOwn(HOSTED_PATHS, req.path)) return next();
+
+        const hostname = (req.hostname || '').toLowerCase();
+        if (!hostname) return next();
+
+        const resume = await Resume.findOne({
+            'customDomain.hostname': hostname,
+            'customDomain.verifiedAt': { $ne: null },
+            isDeleted: false
+        }).select('slug').lean();
+        if (!resume) return next();
+
+        const query = req.url.slice(req.path.length);
+        req.url = `/public/resume/${encodeURIComponent(resume.slug)}${HOSTED_PATHS[req.path]}${query}`;
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
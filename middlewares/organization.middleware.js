@@ -0,0 +1,35 @@
+const Organization = require('../models/organization.model');
+
+/**
+ * Middleware: Require membership of the organization in req.params.id,
+ * optionally with one of the given roles.
+ * Attaches req.organization and req.membership. Admin users pass every check.
+ * Must be placed after authenticateUser.
+ * @param {...string} roles - Allowed roles ('owner', 'manager', 'member'); none = any member
+ */
+exports.requireOrganizationRole = (...roles) => {
+    return async (req, res, next) => {
+        try {
+            const { organization, member } = await Organization.findForMember(req.params.id, req.user._id);
+
+            if (!organization) {
+                return res.status(404).json({ error: 'Organization not found' });
+            }
+
+            if (req.user.role !== 'admin') {
+                if (!member) {
+                    return res.status(403).json({ error: 'You are not a member of this organization' });
+                }
+                if (roles.length && !roles.includes(member.role)) {
+                    return res.status(403).json({ error: `Requires organization role: ${roles.join(' or ')}` });
+                }
+            }
+
+            req.organization = organization;
+            req.membership = member || { userId: req.user._id, role: 'admin' };
+            next();
+        } catch (err) {
+            next(err);
+        }
+    };
+};
@@ -46,6 +46,19 @@ const loginFailLimiter = rateLimit({
   }
 });
 
+// Password-protected public resume links: brute-force protection
+const linkPasswordLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000, // 10 minutes
+  max: 10, // 10 wrong passwords
+  skipSuccessfulRequests: true, // only count failures
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logBlock(req, 'LinkPassword');
+    res.status(429).send('Too many incorrect passwords. Try again in 10 minutes.');
+  }
+});
+
 const resendVerificationLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 1, // only 1 request per minute
@@ -67,5 +80,6 @@ module.exports = {
   generalLimiter,
   strictBlocker,
   loginFailLimiter,
+  linkPasswordLimiter,
   resendVerificationLimiter
 };
\ No newline at end of file
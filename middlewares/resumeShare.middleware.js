@@ -0,0 +1,34 @@
+const ResumeShare = require('../models/resumeShare.model');
+const Resume = require('../models/resume.model');
+
+/**
+ * Middleware: Resolve the share token in req.params.token.
+ * Attaches req.resumeShare, which lets the resume read handlers serve that
+ * one resume without the usual owner check. No login is required.
+ * @param {'read'|'comment'} [permission='read'] - Minimum permission needed
+ */
+exports.requireShareToken = (permission = 'read') => {
+    return async (req, res, next) => {
+        try {
+            const share = await ResumeShare.findByToken(req.params.token);
+            if (!share) {
+                return res.status(404).json({ error: 'This share link is invalid or has been revoked' });
+            }
+
+            const resume = await Resume.findById(share.resumeId).select('isDeleted').lean();
+            if (!resume || resume.isDeleted) {
+                return res.status(404).json({ error: 'Resume not found' });
+            }
+
+            if (permission === 'comment' && share.permission !== 'comment') {
+                return res.status(403).json({ error: 'This share only allows reading the resume' });
+            }
+
+            await ResumeShare.updateOne({ _id: share._id }, { $set: { lastAccessedAt: new Date() } });
+            req.resumeShare = share;
+            next();
+        } catch (err) {
+            next(err);
+        }
+    };
+};
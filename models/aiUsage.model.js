@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+
+/**
+ * One AI provider call (a retry after a rejected reply is a separate call).
+ * Written by the shared call path in ai.service; used to compare real AI
+ * spend with what credits are sold for.
+ */
+const aiUsageSchema = new mongoose.Schema({
+    // User the call was made for (null for system calls)
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    // Feature that made the call, e.g. 'resume_data', 'job_post_cover_letter'
+    feature: {
+        type: String,
+        required: true
+    },
+
+    provider: {
+        type: String,
+        required: true
+    },
+
+    model: {
+        type: String,
+        default: null
+    },
+
+    // 1 for the first call, 2+ for retries after validation failures
+    attempt: {
+        type: Number,
+        default: 1
+    },
+
+    promptTokens: {
+        type: Number,
+        default: 0
+    },
+
+    completionTokens: {
+        type: Number,
+        default: 0
+    },
+
+    totalTokens: {
+        type: Number,
+        default: 0
+    },
+
+    // True when the provider did not report usage and tokens were estimated from text length
+    tokensEstimated: {
+        type: Boolean,
+        default: false
+    },
+
+    latencyMs: {
+        type: Number,
+        default: 0
+    },
+
+    // Estimated cost from the model pricing table
+    costUsd: {
+        type: Number,
+        default: 0
+    },
+
+    streamed: {
+        type: Boolean,
+        default: false
+    },
+
+    // False when the provider call threw (network, auth, quota, ...)
+    success: {
+        type: Boolean,
+        default: true
+    },
+
+    error: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+aiUsageSchema.index({ createdAt: -1 });
+aiUsageSchema.index({ userId: 1, createdAt: -1 });
+aiUsageSchema.index({ feature: 1, createdAt: -1 });
+
+// Group keys for breakdown()
+const GROUP_KEYS = {
+    day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+    feature: '$feature',
+    model: { provider: '$provider', model: '$model' },
+    user: '$userId'
+};
+
+const TOTALS = {
+    calls: { $sum: 1 },
+    failedCalls: { $sum: { $cond: ['$success', 0, 1] } },
+    retries: { $sum: { $cond: [{ $gt: ['$attempt', 1] }, 1, 0] } },
+    promptTokens: { $sum: '$promptTokens' },
+    completionTokens: { $sum: '$completionTokens' },
+    totalTokens: { $sum: '$totalTokens' },
+    costUsd: { $sum: '$costUsd' },
+    avgLatencyMs: { $avg: '$latencyMs' },
+    maxLatencyMs: { $max: '$latencyMs' }
+};
+
+function dateFilter(from, to) {
+    const filter = {};
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lte = to;
+    }
+    return filter;
+}
+
+function roundTotals(row) {
+    return {
+        ...row,
+        costUsd: Math.round((row.costUsd || 0) * 1e6) / 1e6,
+        avgLatencyMs: Math.round(row.avgLatencyMs || 0)
+    };
+}
+
+/**
+ * Totals over a date range.
+ */
+aiUsageSchema.statics.summarize = async function ({ from, to } = {}) {
+    const [row] = await this.aggregate([
+        { $match: dateFilter(from, to) },
+        { $group: { _id: null, ...TOTALS } }
+    ]);
+    const { _id, ...totals } = row || { calls: 0, failedCalls: 0, retries: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, avgLatencyMs: 0, maxLatencyMs: 0 };
+    return roundTotals(totals);
+};
+
+/**
+ * Totals grouped by 'day', 'feature', 'model' or 'user', most expensive first
+ * (days in chronological order).
+ */
+aiUsageSchema.statics.breakdown = async function (groupBy, { from, to, limit = 100 } = {}) {
+    const pipeline = [
+        { $match: dateFilter(from, to) },
+        { $group: { _id: GROUP_KEYS[groupBy], ...TOTALS } },
+        { $sort: groupBy === 'day' ? { _id: 1 } : { costUsd: -1, calls: -1 } },
+        { $limit: limit }
+    ];
+
+    if (groupBy === 'user') {
+        pipeline.push(
+            { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+            { $set: { user: { $first: '$user' } } }
+        );
+    }
+
+    const rows = await this.aggregate(pipeline);
+    return rows.map(({ _id, user, ...totals }) => {
+        const key = groupBy === 'model'
+            ? { provider: _id.provider, model: _id.model }
+            : groupBy === 'user'
+                ? { userId: _id, email: user?.email || null, name: user ? `${user.first_name} ${user.last_name}` : null }
+                : { [groupBy]: _id };
+        return { ...key, ...roundTotals(totals) };
+    });
+};
+
+const AIUsage = mongoose.model('AIUsage', aiUsageSchema);
+
+// Dimensions accepted by breakdown()
+AIUsage.GROUP_BY = Object.keys(GROUP_KEYS);
+
+module.exports = AIUsage;
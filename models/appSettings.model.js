@@ -65,6 +65,41 @@ AppSettings.seedDefaults = async function () {
             description: 'Number of credits deducted when a user creates a resume',
             category: 'credits'
         },
+        {
+            key: 'credits_per_resume_duplication',
+            label: 'Credits Per Resume Duplication',
+            value: 1,
+            description: 'Number of credits deducted when a user duplicates or tailors an existing resume',
+            category: 'credits'
+        },
+        {
+            key: 'promotional_credit_expiry_days',
+            label: 'Promotional Credit Expiry (days)',
+            value: 30,
+            description: 'Days until promotional credits expire (0 = never)',
+            category: 'credits'
+        },
+        {
+            key: 'referral_referrer_credits',
+            label: 'Referral Credits (Referrer)',
+            value: 5,
+            description: 'Credits given to a user when someone they referred verifies their email',
+            category: 'credits'
+        },
+        {
+            key: 'referral_referee_credits',
+            label: 'Referral Credits (Referee)',
+            value: 5,
+            description: 'Credits given to a referred user when they verify their email',
+            category: 'credits'
+        },
+        {
+            key: 'credit_reservation_timeout_seconds',
+            label: 'Credit Reservation Timeout (seconds)',
+            value: 300,
+            description: 'Credits held for an AI action are refunded if the action has not completed within this time',
+            category: 'credits'
+        },
         {
             key: 'credits_per_job_post_cover_letter',
             label: 'Credits Per Job Post Cover Letter',
@@ -104,14 +139,14 @@ AppSettings.seedDefaults = async function () {
             key: 'ai_provider',
             label: 'AI Provider',
             value: 'mock',
-            description: 'Active AI provider (mock, openai, anthropic, etc.). Set to "openai" when API key is ready.',
+            description: 'Active AI provider for every AI feature: mock, openai, anthropic or local (OpenAI-compatible endpoint). Set to "openai" when API key is ready.',
             category: 'ai'
         },
         {
             key: 'ai_model',
             label: 'AI Model',
             value: 'gpt-4o-mini',
-            description: 'AI model to use for generation (ignored when provider is mock)',
+            description: 'OpenAI model to use for generation (ignored when provider is mock)',
             category: 'ai'
         },
         {
@@ -121,6 +156,55 @@ AppSettings.seedDefaults = async function () {
             description: 'OpenAI API key. Leave empty to use the OPENAI_API_KEY environment variable as fallback.',
             category: 'ai'
         },
+        {
+            key: 'ai_max_retries',
+            label: 'AI Max Retries',
+            value: 2,
+            description: 'How many times an AI reply that fails validation is re-requested (with the problems listed) before giving up',
+            category: 'ai'
+        },
+        {
+            key: 'ai_model_pricing',
+            label: 'AI Model Pricing',
+            value: '{}',
+            description: 'USD per 1M tokens by model (object or JSON string), e.g. {"gpt-4o-mini": {"input": 0.15, "output": 0.6}}. Overrides/extends the built-in table used for AI usage cost estimates.',
+            category: 'ai'
+        },
+        {
+            key: 'anthropic_model',
+            label: 'Anthropic Model',
+            value: 'claude-3-5-haiku-latest',
+            description: 'Anthropic model to use when the provider is "anthropic"',
+            category: 'ai'
+        },
+        {
+            key: 'anthropic_api_key',
+            label: 'Anthropic API Key',
+            value: '',
+            description: 'Anthropic API key. Leave empty to use the ANTHROPIC_API_KEY environment variable as fallback.',
+            category: 'ai'
+        },
+        {
+            key: 'local_ai_base_url',
+            label: 'Local AI Base URL',
+            value: 'http://localhost:11434/v1',
+            description: 'Base URL of the OpenAI-compatible endpoint used when the provider is "local" (Ollama, LM Studio, etc.)',
+            category: 'ai'
+        },
+        {
+            key: 'local_ai_model',
+            label: 'Local AI Model',
+            value: 'llama3.1',
+            description: 'Model name to request from the local endpoint',
+            category: 'ai'
+        },
+        {
+            key: 'local_ai_api_key',
+            label: 'Local AI API Key',
+            value: '',
+            description: 'API key for the local endpoint, if it requires one. Leave empty to use LOCAL_AI_API_KEY (most local servers need none).',
+            category: 'ai'
+        },
         {
             key: 'price_per_credit',
             label: 'Price Per Credit',
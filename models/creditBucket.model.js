@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Where a bucket's credits came from
+const BUCKET_SOURCES = ['initial', 'purchase', 'subscription', 'promotional', 'referral', 'admin', 'legacy'];
+
+/**
+ * One grant of credits (signup bonus, purchase, subscription period, promo code, ...).
+ * user.credits (or organization.credits) is the sum of `remaining` over the
+ * owner's live buckets; spending
+ * draws from buckets and the expiry job zeroes buckets past `expiresAt`.
+ */
+const creditBucketSchema = new mongoose.Schema({
+    // Owner: a user, or (for shared wallets) an organization
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: function () { return !this.organizationId; }
+    },
+
+    organizationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        default: null
+    },
+
+    source: {
+        type: String,
+        enum: BUCKET_SOURCES,
+        required: true
+    },
+
+    // Credits granted
+    credits: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+
+    // Credits still spendable
+    remaining: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+
+    // null = never expires
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+
+    // Set when the expiry job zeroed this bucket
+    expiredAt: {
+        type: Date,
+        default: null
+    },
+
+    description: {
+        type: String,
+        default: ''
+    },
+
+    // Extra data (Stripe session, plan, admin id, ...)
+    metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+creditBucketSchema.index({ userId: 1, remaining: 1 });
+creditBucketSchema.index({ organizationId: 1, remaining: 1 }, { partialFilterExpression: { organizationId: { $type: 'objectId' } } });
+creditBucketSchema.index({ expiresAt: 1, remaining: 1 });
+
+const CreditBucket = mongoose.model('CreditBucket', creditBucketSchema);
+
+CreditBucket.SOURCES = BUCKET_SOURCES;
+
+/**
+ * Move balances that predate buckets into a non-expiring 'legacy' bucket.
+ * Only touches users with credits and no buckets yet, so it is safe to run
+ * on every start.
+ * @returns {number} Number of users migrated
+ */
+CreditBucket.migrateLegacyBalances = async function () {
+    const users = await mongoose.model('User').aggregate([
+        { $match: { credits: { $gt: 0 } } },
+        { $lookup: { from: this.collection.name, localField: '_id', foreignField: 'userId', as: 'buckets', pipeline: [{ $limit: 1 }] } },
+        { $match: { buckets: { $size: 0 } } },
+        { $project: { credits: 1 } }
+    ]);
+
+    if (users.length) {
+        await this.insertMany(users.map(({ _id, credits }) => ({
+            userId: _id,
+            source: 'legacy',
+            credits,
+            remaining: credits,
+            description: 'Balance before credit buckets'
+        })));
+    }
+    return users.length;
+};
+
+module.exports = CreditBucket;
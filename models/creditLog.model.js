@@ -1,17 +1,25 @@
 const mongoose = require('mongoose');
 
 const creditLogSchema = new mongoose.Schema({
+    // User who caused the event (absent for organization wallet expiry)
     userId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true,
+        required: function () { return !this.organizationId; },
         index: true
     },
 
+    // Set when the event moved credits in an organization's shared wallet
+    organizationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        default: null
+    },
+
     // Type of credit event
     type: {
         type: String,
-        enum: ['usage', 'addition', 'initial', 'admin_adjustment', 'purchase', 'refund'],
+        enum: ['usage', 'addition', 'initial', 'admin_adjustment', 'purchase', 'refund', 'expiry', 'promo', 'referral'],
         required: true
     },
 
@@ -52,23 +60,20 @@ const creditLogSchema = new mongoose.Schema({
 // Indexes
 creditLogSchema.index({ createdAt: -1 });
 creditLogSchema.index({ userId: 1, createdAt: -1 });
+creditLogSchema.index({ organizationId: 1, createdAt: -1 }, { partialFilterExpression: { organizationId: { $type: 'objectId' } } });
 creditLogSchema.index({ type: 1 });
 
-/**
- * Get credit history for a user (paginated).
- */
-creditLogSchema.statics.getUserHistory = async function (userId, { page = 1, limit = 20, type } = {}) {
+async function findHistory(model, filter, { page = 1, limit = 20, type } = {}) {
     const skip = (page - 1) * limit;
-    const filter = { userId };
     if (type) filter.type = type;
 
     const [logs, total] = await Promise.all([
-        this.find(filter)
+        model.find(filter)
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(limit)
             .lean(),
-        this.countDocuments(filter)
+        model.countDocuments(filter)
     ]);
 
     return {
@@ -80,6 +85,59 @@ creditLogSchema.statics.getUserHistory = async function (userId, { page = 1, lim
             pages: Math.ceil(total / limit)
         }
     };
+}
+
+/**
+ * Get credit history for a user's own credits (paginated).
+ * Spending from an organization's wallet shows in the organization's history.
+ */
+creditLogSchema.statics.getUserHistory = function (userId, options) {
+    return findHistory(this, { userId, organizationId: null }, options);
+};
+
+/**
+ * Get credit history for an organization's shared wallet (paginated).
+ */
+creditLogSchema.statics.getOrganizationHistory = function (organizationId, options) {
+    return findHistory(this, { organizationId }, options);
+};
+
+/**
+ * Credits each member spent from an organization's wallet in a date range,
+ * net of refunds for failed actions.
+ * @returns {Array<{ userId, creditsUsed: number, actions: number, byAction: Object, lastUsedAt: Date }>}
+ */
+creditLogSchema.statics.memberUsage = function (organizationId, { from, to }) {
+    return this.aggregate([
+        {
+            $match: {
+                organizationId: new mongoose.Types.ObjectId(String(organizationId)),
+                type: { $in: ['usage', 'refund'] },
+                action: { $ne: null },
+                createdAt: { $gte: from, $lte: to }
+            }
+        },
+        {
+            $group: {
+                _id: { userId: '$userId', action: '$action' },
+                credits: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, { $multiply: ['$credits', -1] }, '$credits'] } },
+                // A refunded action does not count as a use
+                actions: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, -1, 1] } },
+                lastUsedAt: { $max: '$createdAt' }
+            }
+        },
+        {
+            $group: {
+                _id: '$_id.userId',
+                creditsUsed: { $sum: '$credits' },
+                actions: { $sum: '$actions' },
+                byAction: { $push: { k: '$_id.action', v: '$credits' } },
+                lastUsedAt: { $max: '$lastUsedAt' }
+            }
+        },
+        { $project: { _id: 0, userId: '$_id', creditsUsed: 1, actions: 1, byAction: { $arrayToObject: '$byAction' }, lastUsedAt: 1 } },
+        { $sort: { creditsUsed: -1 } }
+    ]);
 };
 
 module.exports = mongoose.model('CreditLog', creditLogSchema);
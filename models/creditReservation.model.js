@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+/**
+ * Credits held for an action while its work (usually an AI call) runs.
+ * The balance is debited when the hold is placed; the hold is then either
+ * committed (work succeeded) or released back to the user with a refund
+ * CreditLog entry (work failed, or the hold expired without a decision).
+ */
+const creditReservationSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    // Organization whose shared wallet the hold was charged to (null = the user's own credits)
+    organizationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        default: null
+    },
+
+    // Credit action key (e.g. 'resume_creation', 'upwork_proposal')
+    action: {
+        type: String,
+        required: true
+    },
+
+    // Credits debited for this hold (0 for admins)
+    credits: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+
+    // Credit buckets the hold drew from; a release returns credits to them
+    buckets: [{
+        bucketId: { type: mongoose.Schema.Types.ObjectId, ref: 'CreditBucket' },
+        credits: Number,
+        _id: false
+    }],
+
+    // Admin users are never charged
+    unlimited: {
+        type: Boolean,
+        default: false
+    },
+
+    status: {
+        type: String,
+        enum: ['reserved', 'committed', 'released'],
+        default: 'reserved'
+    },
+
+    // Client-supplied Idempotency-Key; removed when the hold is released
+    idempotencyKey: {
+        type: String
+    },
+
+    // SHA-256 of the keyed request's input; a retry must send the same input
+    requestHash: {
+        type: String
+    },
+
+    // Response of the committed request ({ status, body }), sent again to
+    // retries with the same Idempotency-Key instead of redoing the work
+    response: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+
+    // Holds still 'reserved' after this are released by the expiry sweep
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    committedAt: {
+        type: Date,
+        default: null
+    },
+
+    releasedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Why the hold was released (error message, 'expired', ...)
+    releaseReason: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+creditReservationSchema.index({ status: 1, expiresAt: 1 });
+creditReservationSchema.index(
+    { userId: 1, idempotencyKey: 1 },
+    { unique: true, partialFilterExpression: { idempotencyKey: { $exists: true } } }
+);
+
+module.exports = mongoose.model('CreditReservation', creditReservationSchema);
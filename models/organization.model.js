@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const ORGANIZATION_ROLES = ['owner', 'manager', 'member'];
+
+/**
+ * A team account (e.g. a career-services group) whose members spend from a
+ * shared credit wallet. `credits` is the sum of the organization's live
+ * credit buckets, kept in step the same way as user.credits.
+ *
+ * Roles: the owner manages everything; managers buy credits, manage members
+ * and see usage; members only spend.
+ */
+const memberSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    role: {
+        type: String,
+        enum: ORGANIZATION_ROLES,
+        default: 'member'
+    },
+
+    addedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    joinedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const organizationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+
+    members: [memberSchema],
+
+    // Shared wallet balance
+    credits: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // Stripe customer billed for organization credit purchases
+    stripeCustomerId: {
+        type: String,
+        default: null
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    isDeleted: { type: Boolean, default: false },
+    deletedAt: { type: Date }
+}, {
+    timestamps: true
+});
+
+// Indexes
+organizationSchema.index({ 'members.userId': 1 });
+
+/**
+ * The user's membership in this organization, or null.
+ */
+organizationSchema.methods.getMember = function (userId) {
+    return this.members.find(member => member.userId.equals(userId)) || null;
+};
+
+/**
+ * Load a live organization and the user's membership in it.
+ * @returns {{ organization: Object|null, member: Object|null }}
+ */
+organizationSchema.statics.findForMember = async function (organizationId, userId) {
+    if (!mongoose.isValidObjectId(organizationId)) return { organization: null, member: null };
+    const organization = await this.findOne({ _id: organizationId, isDeleted: false });
+    return { organization, member: organization ? organization.getMember(userId) : null };
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+Organization.ROLES = ORGANIZATION_ROLES;
+
+module.exports = Organization;
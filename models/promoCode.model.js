@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+/**
+ * Admin-managed promo code. A 'credits' code grants promotional credits when
+ * redeemed via POST /api/credits/redeem; a 'discount' code takes a percentage
+ * off a credit pack at checkout.
+ */
+const promoCodeSchema = new mongoose.Schema({
+    // Stored upper-case; codes are matched case-insensitively
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+
+    type: {
+        type: String,
+        enum: ['credits', 'discount'],
+        required: true
+    },
+
+    // Credits granted ('credits' codes)
+    credits: {
+        type: Number,
+        min: 1,
+        default: null
+    },
+
+    // Days the granted credits stay valid (null = promotional_credit_expiry_days setting)
+    creditExpiryDays: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+
+    // Percentage off a credit pack ('discount' codes); capped so Stripe still has something to charge
+    discountPercent: {
+        type: Number,
+        min: 1,
+        max: 90,
+        default: null
+    },
+
+    // Total redemptions allowed across all users (null = unlimited)
+    maxRedemptions: {
+        type: Number,
+        min: 1,
+        default: null
+    },
+
+    redemptionCount: {
+        type: Number,
+        default: 0
+    },
+
+    // Redemptions allowed per user
+    perUserLimit: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+
+    // null = never expires
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+
+    description: {
+        type: String,
+        default: ''
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * One use of a promo code by a user.
+ */
+const promoRedemptionSchema = new mongoose.Schema({
+    promoCodeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PromoCode',
+        required: true
+    },
+
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    code: {
+        type: String,
+        required: true
+    },
+
+    // 1 for the user's first use of this code, 2 for the second, ...
+    sequence: {
+        type: Number,
+        required: true
+    },
+
+    // Credits granted ('credits' codes)
+    credits: {
+        type: Number,
+        default: 0
+    },
+
+    // Discount applied at checkout ('discount' codes)
+    discountPercent: {
+        type: Number,
+        default: null
+    },
+
+    // Checkout the discount was used on; one redemption per session
+    stripeSessionId: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Concurrent redemptions by the same user collide here instead of exceeding perUserLimit
+promoRedemptionSchema.index({ promoCodeId: 1, userId: 1, sequence: 1 }, { unique: true });
+promoRedemptionSchema.index(
+    { stripeSessionId: 1 },
+    { unique: true, partialFilterExpression: { stripeSessionId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+
+// Files a job can render from a template's HTML with Chromium
+const RENDER_OUTPUTS = ['preview', 'pdf'];
+
+// A running job whose worker has not finished within this time is presumed dead and re-claimed
+const LEASE_MS = 5 * 60 * 1000;
+
+// Retry delay doubles after each failed attempt: 30s, 60s, 120s, ...
+const RETRY_BASE_MS = 30 * 1000;
+
+/**
+ * A queued Chromium render (PDF and/or preview image) of a user-generated
+ * template. The API enqueues jobs and returns 202; a worker process
+ * (workers/render.worker.js) claims them one at a time, retrying failures
+ * with exponential backoff up to maxAttempts. Hosts without a worker claim
+ * and run the job inside the request instead (see renderJob.service).
+ */
+const renderJobSchema = new mongoose.Schema({
+    templateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'UserGeneratedTemplate',
+        required: true,
+        index: true
+    },
+
+    // Template owner; may differ from requestedBy when an admin triggers the render
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    outputs: {
+        type: [{ type: String, enum: RENDER_OUTPUTS }],
+        validate: {
+            validator: (value) => value.length > 0,
+            message: 'A render job needs at least one output'
+        }
+    },
+
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'succeeded', 'failed'],
+        default: 'queued'
+    },
+
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+
+    // Earliest time the job may be (re)tried
+    runAfter: { type: Date, default: Date.now },
+
+    // Worker holding the job and when it claimed it
+    workerId: { type: String, default: null },
+    lockedAt: { type: Date, default: null },
+
+    error: { type: String, default: null },
+
+    // Timings (queued time is createdAt)
+    startedAt: { type: Date, default: null },
+    finishedAt: { type: Date, default: null },
+    durationMs: { type: Number, default: null }
+}, {
+    timestamps: true
+});
+
+// Indexes
+renderJobSchema.index({ status: 1, runAfter: 1 });
+renderJobSchema.index({ status: 1, lockedAt: 1 });
+renderJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 }); // Keep finished jobs for a week
+
+/**
+ * Queue a render of a template, folding it into a job for the same template
+ * that is still waiting to start.
+ */
+renderJobSchema.statics.enqueue = async function ({ templateId, userId, requestedBy = null, outputs }) {
+    const pending = await this.findOneAndUpdate(
+        { templateId, status: 'queued', attempts: 0 },
+        { $addToSet: { outputs: { $each: outputs } } },
+        { new: true }
+    );
+    if (pending) return pending;
+
+    return this.create({ templateId, userId, requestedBy, outputs });
+};
+
+/**
+ * Atomically claim the next due job (or one whose worker died mid-run).
+ * @param {string} workerId
+ * @param {Object} [options] - { jobId } to claim only that job
+ * @returns {Promise<Document|null>}
+ */
+renderJobSchema.statics.claimNext = function (workerId, { jobId } = {}) {
+    const now = new Date();
+    return this.findOneAndUpdate(
+        {
+            ...(jobId && { _id: jobId }),
+            $or: [
+                { status: 'queued', runAfter: { $lte: now } },
+                { status: 'running', lockedAt: { $lt: new Date(now.getTime() - LEASE_MS) } }
+            ]
+        },
+        {
+            $set: { status: 'running', workerId, lockedAt: now, startedAt: now, error: null },
+            $inc: { attempts: 1 }
+        },
+        { new: true, sort: { runAfter: 1 } }
+    );
+};
+
+// Updates below only apply while this claim still holds the job (lockedAt is the lease)
+renderJobSchema.methods.markSucceeded = function () {
+    const finishedAt = new Date();
+    return this.constructor.updateOne(
+        { _id: this._id, lockedAt: this.lockedAt },
+        {
+            $set: {
+                status: 'succeeded',
+                finishedAt,
+                durationMs: finishedAt - this.startedAt,
+                lockedAt: null
+            }
+        }
+    );
+};
+
+/**
+ * Record a failed attempt: back to the queue with a backoff delay, or failed
+ * for good once attempts are used up (or when `retry` is false).
+ */
+renderJobSchema.methods.markFailed = function (err, { retry = true } = {}) {
+    const now = new Date();
+    const exhausted = !retry || this.attempts >= this.maxAttempts;
+    const update = {
+        error: String(err?.message || err).substring(0, 1000),
+        lockedAt: null
+    };
+    if (exhausted) {
+        update.status = 'failed';
+        update.finishedAt = now;
+        update.durationMs = now - this.startedAt;
+    } else {
+        // Not finished: the job goes back to the queue (finishedAt also drives the TTL index)
+        update.status = 'queued';
+        update.runAfter = new Date(now.getTime() + RETRY_BASE_MS * 2 ** (this.attempts - 1));
+    }
+    return this.constructor.updateOne({ _id: this._id, lockedAt: this.lockedAt }, { $set: update });
+};
+
+const RenderJob = mongoose.model('RenderJob', renderJobSchema);
+
+RenderJob.RENDER_OUTPUTS = RENDER_OUTPUTS;
+RenderJob.LEASE_MS = LEASE_MS;
+RenderJob.RETRY_BASE_MS = RETRY_BASE_MS;
+
+module.exports = RenderJob;
@@ -2,6 +2,7 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
 const { nanoid } = require('nanoid');
+const { SECTION_KEYS } = require('../utils/resume-sections');
 
 const resumeSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -42,7 +43,45 @@ const resumeSchema = new mongoose.Schema({
     category: { type: String }
   }],
 
+  // Per-resume wording for shared profile entities, keyed by entity id.
+  // Merged over the Experience/Project/Education record by buildTemplateContext,
+  // so tailoring one resume never changes the others.
+  // Arrays default to undefined so "not overridden" differs from "overridden with nothing".
+  overrides: {
+    type: Map,
+    of: new mongoose.Schema({
+      description: { type: String },
+      achievements: { type: [String], default: undefined },  // Experience
+      highlights: { type: [String], default: undefined },    // Project
+      activities: { type: [String], default: undefined },    // Education
+      bulletOrder: { type: [Number], default: undefined },   // Indices into the bullet list, in display order
+      hiddenBullets: { type: [Number], default: undefined }, // Indices into the bullet list to omit
+      updatedAt: { type: Date, default: Date.now }
+    }, { _id: false }),
+    default: {}
+  },
+
+  // Section order, titles and visibility, plus per-section item order.
+  // Sections not listed keep their default position after the listed ones.
+  layout: {
+    sections: [{
+      key: { type: String, enum: SECTION_KEYS, required: true },
+      title: { type: String },                    // Empty = default title
+      visible: { type: Boolean, default: true },
+      itemOrder: [{ type: String }],              // Entity ids; skill/language names; custom field labels
+      _id: false
+    }]
+  },
+
   slug: { type: String, unique: true },
+  // Slugs this resume was hosted under before; public URLs using them redirect to `slug`
+  previousSlugs: { type: [String], index: true },
+  // Subscriber's own hostname serving this resume, once its DNS TXT record is verified
+  customDomain: {
+    hostname: { type: String, lowercase: true, trim: true },
+    verificationToken: { type: String },
+    verifiedAt: { type: Date, default: null }
+  },
   visibility: {
     type: String,
     enum: ['private', 'public'],
@@ -69,5 +108,11 @@ resumeSchema.pre('save', async function (next) {
   next();
 });
 
+// A hostname can be verified for one resume only
+resumeSchema.index(
+  { 'customDomain.hostname': 1 },
+  { unique: true, partialFilterExpression: { 'customDomain.verifiedAt': { $type: 'date' } } }
+);
+
 const Resume = mongoose.model('Resume', resumeSchema);
 module.exports = Resume;
\ No newline at end of file
@@ -31,6 +31,7 @@ const resumeAnalyticsSchema = new mongoose.Schema({
         userAgent: { type: String },
         referer: { type: String },
         country: { type: String },
+        linkId: { type: mongoose.Schema.Types.ObjectId, ref: 'ResumeLink' }, // Named link the view came through
         _id: false
     }],
 
@@ -48,9 +49,9 @@ const resumeAnalyticsSchema = new mongoose.Schema({
 resumeAnalyticsSchema.index({ resumeId: 1, userId: 1 }, { unique: true });
 
 /**
- * Record a view event for a resume.
+ * Record a view event for a resume (linkId: the named ResumeLink it came through, if any).
  */
-resumeAnalyticsSchema.statics.recordView = async function (resumeId, userId, slug, { ip, userAgent, referer } = {}) {
+resumeAnalyticsSchema.statics.recordView = async function (resumeId, userId, slug, { ip, userAgent, referer, linkId } = {}) {
     const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
 
     // Upsert analytics doc
@@ -80,7 +81,8 @@ resumeAnalyticsSchema.statics.recordView = async function (resumeId, userId, slu
         viewedAt: new Date(),
         ip: ip || 'unknown',
         userAgent: userAgent ? userAgent.substring(0, 200) : undefined,
-        referer: referer ? referer.substring(0, 200) : undefined
+        referer: referer ? referer.substring(0, 200) : undefined,
+        linkId
     });
     if (analytics.viewLog.length > 500) {
         analytics.viewLog = analytics.viewLog.slice(-500);
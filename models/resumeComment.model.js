@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { SECTION_KEYS } = require('../utils/resume-sections');
+
+// What a comment points at besides the resume sections
+const ANCHOR_SECTIONS = ['general', 'title', ...SECTION_KEYS];
+
+/**
+ * A review comment on a resume, written by a reviewer (through a share) or by
+ * the owner. The anchor pins it to a section and optionally to one entity
+ * and bullet within it, e.g. { section: 'experiences', entityId, field:
+ * 'achievements', index: 2 } for the third achievement of an experience.
+ */
+const resumeCommentSchema = new mongoose.Schema({
+    resumeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Resume',
+        required: true
+    },
+
+    // Set for reviewer comments
+    shareId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ResumeShare',
+        default: null
+    },
+
+    // Set for comments by a signed-in user (the owner)
+    authorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    authorName: {
+        type: String,
+        default: ''
+    },
+
+    authorEmail: {
+        type: String,
+        required: true
+    },
+
+    // Reply to another comment on the same resume
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ResumeComment',
+        default: null
+    },
+
+    anchor: {
+        section: { type: String, enum: ANCHOR_SECTIONS, default: 'general' },
+        entityId: { type: String, default: null },  // Experience/Project/... id, skill name, custom field label
+        field: { type: String, default: null },     // e.g. 'achievements', 'description'
+        index: { type: Number, min: 0, default: null } // Bullet index within `field`
+    },
+
+    body: {
+        type: String,
+        required: true,
+        maxlength: 5000
+    },
+
+    resolvedAt: {
+        type: Date,
+        default: null
+    },
+
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+resumeCommentSchema.index({ resumeId: 1, createdAt: 1 });
+
+const ResumeComment = mongoose.model('ResumeComment', resumeCommentSchema);
+
+ResumeComment.ANCHOR_SECTIONS = ANCHOR_SECTIONS;
+
+module.exports = ResumeComment;
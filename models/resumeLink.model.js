@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const { nanoid } = require('nanoid');
+
+/**
+ * A named public link to a resume, e.g. "Sent to Acme". Each link has its own
+ * token (`/public/resume/:slug?link=<token>`), optional password and expiry,
+ * and counts its own views and downloads. Links work whether or not the
+ * resume itself is public.
+ */
+const resumeLinkSchema = new mongoose.Schema({
+    resumeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Resume',
+        required: true,
+        index: true
+    },
+
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+
+    token: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => nanoid(24)
+    },
+
+    passwordHash: {
+        type: String,
+        default: null,
+        select: false
+    },
+
+    hasPassword: {
+        type: Boolean,
+        default: false
+    },
+
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Attribution counters
+    views: { type: Number, default: 0 },
+    pdfDownloads: { type: Number, default: 0 },
+    lastViewedAt: { type: Date, default: null }
+}, {
+    timestamps: true
+});
+
+/**
+ * Set or (with null/empty) remove the link password.
+ */
+resumeLinkSchema.methods.setPassword = async function (password) {
+    this.passwordHash = password ? await bcrypt.hash(password, 10) : null;
+    this.hasPassword = Boolean(password);
+};
+
+/**
+ * Requires passwordHash to have been selected.
+ */
+resumeLinkSchema.methods.checkPassword = function (password) {
+    if (!this.passwordHash) return Promise.resolve(true);
+    return bcrypt.compare(String(password || ''), this.passwordHash);
+};
+
+resumeLinkSchema.methods.isExpired = function () {
+    return Boolean(this.expiresAt && this.expiresAt <= new Date());
+};
+
+/**
+ * Count a view or PDF download against a link.
+ * @param {'views'|'pdfDownloads'} counter
+ */
+resumeLinkSchema.statics.recordHit = function (linkId, counter) {
+    const update = { $inc: { [counter]: 1 } };
+    if (counter === 'views') update.$set = { lastViewedAt: new Date() };
+    return this.updateOne({ _id: linkId }, update);
+};
+
+module.exports = mongoose.model('ResumeLink', resumeLinkSchema);
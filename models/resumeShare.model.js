@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * A reviewer (coach, mentor, ...) invited by email to one resume.
+ * The reviewer opens the resume with the emailed token — no account needed —
+ * and can read it, or read and comment, depending on `permission`.
+ * Only a SHA-256 hash of the token is stored.
+ */
+const resumeShareSchema = new mongoose.Schema({
+    resumeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Resume',
+        required: true
+    },
+
+    // Resume owner who sent the invite
+    ownerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+
+    // Shown on the reviewer's comments
+    name: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+
+    permission: {
+        type: String,
+        enum: ['read', 'comment'],
+        default: 'comment'
+    },
+
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+
+    lastAccessedAt: {
+        type: Date,
+        default: null
+    },
+
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// One live invite per reviewer per resume
+resumeShareSchema.index(
+    { resumeId: 1, email: 1 },
+    { unique: true, partialFilterExpression: { revokedAt: { $type: 'null' } } }
+);
+
+resumeShareSchema.statics.hashToken = function (token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * New random access token; returns the raw token (to email) and sets the hash.
+ */
+resumeShareSchema.methods.issueToken = function () {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.tokenHash = this.constructor.hashToken(token);
+    return token;
+};
+
+/**
+ * The live share for a raw token, or null.
+ */
+resumeShareSchema.statics.findByToken = function (token) {
+    if (!token || typeof token !== 'string') return null;
+    return this.findOne({ tokenHash: this.hashToken(token), revokedAt: null });
+};
+
+module.exports = mongoose.model('ResumeShare', resumeShareSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+/**
+ * Point-in-time snapshot of a resume, including the contents of the
+ * experiences, educations, etc. it referenced at that moment (those are
+ * shared profile entities and may change or disappear later).
+ */
+const resumeVersionSchema = new mongoose.Schema({
+    resumeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Resume',
+        required: true
+    },
+
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    // Sequential per resume, starting at 1
+    version: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+
+    // What triggered the snapshot
+    reason: {
+        type: String,
+        enum: ['create', 'update', 'import', 'duplicate', 'restore'],
+        required: true
+    },
+
+    // User who made the change (may be an admin rather than the owner)
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    // { resume: {...resume fields}, entities: { experiences: [...], educations: [...], ... } }
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+resumeVersionSchema.index({ resumeId: 1, version: -1 }, { unique: true });
+
+/**
+ * Latest version for a resume (or null).
+ */
+resumeVersionSchema.statics.getLatest = function (resumeId) {
+    return this.findOne({ resumeId }).sort({ version: -1 });
+};
+
+/**
+ * Version list for a resume without snapshot bodies (paginated, newest first).
+ */
+resumeVersionSchema.statics.listForResume = async function (resumeId, { page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+    const filter = { resumeId };
+
+    const [versions, total] = await Promise.all([
+        this.find(filter)
+            .select('version reason createdBy createdAt snapshot.resume.title')
+            .sort({ version: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        this.countDocuments(filter)
+    ]);
+
+    return {
+        versions: versions.map(v => ({
+            version: v.version,
+            reason: v.reason,
+            title: v.snapshot?.resume?.title,
+            createdBy: v.createdBy,
+            createdAt: v.createdAt
+        })),
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    };
+};
+
+module.exports = mongoose.model('ResumeVersion', resumeVersionSchema);
@@ -8,6 +8,13 @@ const transactionSchema = new mongoose.Schema({
         index: true
     },
 
+    // Set for credit purchases made for an organization's shared wallet (userId is the buyer)
+    organizationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        default: null
+    },
+
     // Stripe references
     stripeSessionId: { type: String, index: true },
     stripePaymentIntentId: { type: String },
@@ -24,6 +24,11 @@ const userSchema = new mongoose.Schema({
     select: false // Hide from normal queries
   },
 
+  // Referrals: own shareable code, who referred this user, and when both sides were credited
+  referralCode: { type: String, unique: true, sparse: true },
+  referredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  referralRewardedAt: { type: Date, default: null },
+
   skills: [{
     name: { type: String, required: true },
     expertise: {
@@ -1,5 +1,25 @@
 const mongoose = require('mongoose');
 
+// Sizes of the per-page preview images (widths are set in utils/html-to-image.js)
+const PREVIEW_SIZES = ['thumb', 'medium', 'full'];
+
+const marginField = { type: Number, min: 0, max: 50, default: 0 }; // mm
+
+// Page setup for the PDF render; the worker reads it on every render (generate-pdf updates it)
+const pdfOptionsSchema = new mongoose.Schema({
+  paperSize: { type: String, enum: ['A4', 'Letter', 'Legal'], default: 'A4' },
+  margins: {
+    top: marginField,
+    right: marginField,
+    bottom: marginField,
+    left: marginField
+  },
+  scale: { type: Number, min: 0.5, max: 2, default: 1 },
+  pageNumbers: { type: Boolean, default: false }, // "n / total" footer
+  fitToOnePage: { type: Boolean, default: false }, // Shrink the scale until the content fits on one page
+  maxPages: { type: Number, min: 1, default: null } // Warn when the PDF is longer
+}, { _id: false });
+
 const userGeneratedTemplateSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
   resumeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Resume', required: true, index: true },
@@ -7,7 +27,23 @@ const userGeneratedTemplateSchema = new mongoose.Schema({
 
   htmlFilePath: { type: String, required: true },
   pdfFilePath: { type: String },
-  previewImagePath: { type: String },
+  previewImagePath: { type: String }, // Whole resume in one image
+  // WebP image paths per PDF page, in each of PREVIEW_SIZES (index 0 is page 1)
+  previewPages: [new mongoose.Schema(
+    Object.fromEntries(PREVIEW_SIZES.map(size => [size, String])),
+    { _id: false }
+  )],
+  docxFilePath: { type: String }, // Generated from resume data, not from the rendered HTML
+
+  pdfOptions: { type: pdfOptionsSchema, default: () => ({}) },
+
+  // Outcome of the last PDF render
+  pdfLayout: {
+    pageCount: { type: Number },
+    scale: { type: Number }, // Scale actually used (lower than pdfOptions.scale after fitToOnePage)
+    warning: { type: String, default: null },
+    renderedAt: { type: Date }
+  },
 
   hostedUrl: { type: String }, // based on resume slug
 
@@ -15,4 +51,23 @@ const userGeneratedTemplateSchema = new mongoose.Schema({
   deletedAt: { type: Date, default: null }
 }, { timestamps: true });
 
-module.exports = mongoose.model('UserGeneratedTemplate', userGeneratedTemplateSchema);
+/**
+ * Path of a preview image: the whole-resume image when neither page nor size
+ * is given, otherwise that page's image (page 1 and 'full' by default).
+ * Templates rendered before per-page images fall back to the whole-resume
+ * image for page 1.
+ * @returns {string|null}
+ */
+userGeneratedTemplateSchema.methods.previewPath = function ({ page, size } = {}) {
+  if (page == null && size == null) return this.previewImagePath || null;
+
+  const pageNumber = page ?? 1;
+  if (!this.previewPages.length) return pageNumber === 1 ? this.previewImagePath || null : null;
+  return this.previewPages[pageNumber - 1]?.[size ?? 'full'] || null;
+};
+
+const UserGeneratedTemplate = mongoose.model('UserGeneratedTemplate', userGeneratedTemplateSchema);
+
+UserGeneratedTemplate.PREVIEW_SIZES = PREVIEW_SIZES;
+
+module.exports = UserGeneratedTemplate;
@@ -0,0 +1,125 @@
+/**
+ * @swagger
+ * tags:
+ *   name: AI Usage
+ *   description: AI provider usage, latency and cost metering (admin only)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AIUsageTotals:
+ *       type: object
+ *       properties:
+ *         calls:
+ *           type: integer
+ *         failedCalls:
+ *           type: integer
+ *         retries:
+ *           type: integer
+ *           description: Calls re-sent after the previous reply failed validation
+ *         promptTokens:
+ *           type: integer
+ *         completionTokens:
+ *           type: integer
+ *         totalTokens:
+ *           type: integer
+ *         costUsd:
+ *           type: number
+ *           description: Estimated from the ai_model_pricing table
+ *         avgLatencyMs:
+ *           type: integer
+ *         maxLatencyMs:
+ *           type: integer
+ */
+
+const express = require('express');
+const aiUsageRouter = express.Router();
+const { authenticateUser, requireAdminRole } = require('../middlewares/auth.middleware');
+const { getUsageSummary, getUsageBreakdown } = require('../controllers/aiUsage.controller');
+const tryCatch = require('../utils/tryCatch');
+
+aiUsageRouter.use(authenticateUser, requireAdminRole);
+
+/**
+ * @swagger
+ * /ai-usage/summary:
+ *   get:
+ *     summary: AI spend vs credit revenue for a date range
+ *     description: |
+ *       Totals over all AI calls in the range, alongside the credits users spent in the same
+ *       range valued at `price_per_credit`. Defaults to the last 30 days.
+ *     tags: [AI Usage]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: from
+ *         in: query
+ *         schema: { type: string, format: date-time }
+ *       - name: to
+ *         in: query
+ *         schema: { type: string, format: date-time }
+ *     responses:
+ *       200:
+ *         description: Usage totals and credit comparison
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 range:
+ *                   type: object
+ *                 totals:
+ *                   $ref: '#/components/schemas/AIUsageTotals'
+ *                 credits:
+ *                   type: object
+ *                   properties:
+ *                     creditsUsed:
+ *                       type: number
+ *                     pricePerCredit:
+ *                       type: number
+ *                     creditRevenueUsd:
+ *                       type: number
+ *                     aiCostPerCreditUsd:
+ *                       type: number
+ *                       nullable: true
+ *                     marginUsd:
+ *                       type: number
+ *       403:
+ *         description: Admin access required
+ */
+aiUsageRouter.get('/summary', tryCatch(getUsageSummary));
+
+/**
+ * @swagger
+ * /ai-usage/breakdown:
+ *   get:
+ *     summary: AI usage grouped by day, feature, model or user
+ *     tags: [AI Usage]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: groupBy
+ *         in: query
+ *         schema: { type: string, enum: [day, feature, model, user], default: day }
+ *       - name: from
+ *         in: query
+ *         schema: { type: string, format: date-time }
+ *       - name: to
+ *         in: query
+ *         schema: { type: string, format: date-time }
+ *       - name: limit
+ *         in: query
+ *         schema: { type: integer, default: 100, maximum: 500 }
+ *     responses:
+ *       200:
+ *         description: One row per group (days ascending, otherwise most expensive first), each with the AIUsageTotals fields
+ *       400:
+ *         description: Invalid query
+ *       403:
+ *         description: Admin access required
+ */
+aiUsageRouter.get('/breakdown', tryCatch(getUsageBreakdown));
+
+module.exports = aiUsageRouter;
@@ -79,6 +79,33 @@
  *                 type: string
  *               country:
  *                 type: string
+ *               linkId:
+ *                 type: string
+ *                 description: Named link the view came through, if any
+ *         links:
+ *           type: array
+ *           description: Named public links with their own view and download counts
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 example: "Sent to Acme"
+ *               views:
+ *                 type: integer
+ *               pdfDownloads:
+ *                 type: integer
+ *               lastViewedAt:
+ *                 type: string
+ *                 format: date-time
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               revokedAt:
+ *                 type: string
+ *                 format: date-time
  */
 
 const express = require('express');
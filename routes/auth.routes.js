@@ -66,6 +66,10 @@
  *           type: string
  *           enum: [user, admin]
  *           default: user
+ *         referralCode:
+ *           type: string
+ *           description: Referral code from another user's link (?ref=); both users get credits once this account is verified
+ *           example: "K7M2QX9P"
  *         country:
  *           type: string
  *         state:
@@ -15,7 +15,11 @@ router.get('/costs', tryCatch(coverLetterController.getCosts));
 router.get('/instructions', requireSubscription, tryCatch(coverLetterController.getInstructions));
 router.put('/instructions', requireSubscription, tryCatch(coverLetterController.updateInstructions));
 
+// Generation routes charge credits; an optional Idempotency-Key header makes retries safe and an
+// optional X-Organization-Id header charges an organization's shared wallet (see credit.service.js)
+
 // ─── Job Post (subscriber only) ─────────────────────────────────────────────
+// ?stream=1 streams the letter as Server-Sent Events (see utils/sse.js)
 router.post('/job-post/generate', requireSubscription, tryCatch(coverLetterController.generateJobPost));
 
 // ─── Upwork (subscriber only) ───────────────────────────────────────────────
@@ -16,6 +16,49 @@
  *           type: number
  *           description: Current credit balance
  *           example: 100
+ *         breakdown:
+ *           type: object
+ *           properties:
+ *             bySource:
+ *               type: object
+ *               description: Spendable credits per source
+ *               example: { initial: 0, purchase: 30, subscription: 50, promotional: 20, referral: 5, admin: 0, legacy: 0 }
+ *             buckets:
+ *               type: array
+ *               description: Buckets with credits left, in the order they are spent (expiring first)
+ *               items:
+ *                 $ref: '#/components/schemas/CreditBucket'
+ *             nextExpiry:
+ *               type: object
+ *               nullable: true
+ *               properties:
+ *                 credits:
+ *                   type: number
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *     CreditBucket:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         source:
+ *           type: string
+ *           enum: [initial, purchase, subscription, promotional, referral, admin, legacy]
+ *         credits:
+ *           type: number
+ *           description: Credits granted
+ *         remaining:
+ *           type: number
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         description:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
  *     CreditUpdateRequest:
  *       type: object
  *       required:
@@ -59,8 +102,8 @@
 
 const express = require('express');
 const creditsRouter = express.Router();
-const { authenticateUser, requireAdminRole } = require('../middlewares/auth.middleware');
-const { getCredits, updateCredits, getCreditHistory } = require('../controllers/credits.controller');
+const { authenticateUser, authenticateCron, requireAdminRole } = require('../middlewares/auth.middleware');
+const { getCredits, updateCredits, getCreditHistory, runCreditExpiry, sweepCredits, redeemPromoCode, getReferral } = require('../controllers/credits.controller');
 const tryCatch = require('../utils/tryCatch');
 
 /**
@@ -68,7 +111,7 @@ const tryCatch = require('../utils/tryCatch');
  * /credits/balance:
  *   get:
  *     summary: Get user's credit balance
- *     description: Retrieves the current credit balance for the authenticated user
+ *     description: Retrieves the current credit balance for the authenticated user, broken down by credit bucket. Expired credits are removed first.
  *     tags: [Credits]
  *     security:
  *       - BearerAuth: []
@@ -112,7 +155,7 @@ creditsRouter.get('/balance', authenticateUser, tryCatch(getCredits));
  *         name: type
  *         schema:
  *           type: string
- *           enum: [usage, addition, initial, admin_adjustment, purchase, refund]
+ *           enum: [usage, addition, initial, admin_adjustment, purchase, refund, expiry, promo, referral]
  *     responses:
  *       200:
  *         description: Credit history with pagination
@@ -121,6 +164,101 @@ creditsRouter.get('/balance', authenticateUser, tryCatch(getCredits));
  */
 creditsRouter.get('/history', authenticateUser, tryCatch(getCreditHistory));
 
+/**
+ * @swagger
+ * /credits/redeem:
+ *   post:
+ *     summary: Redeem a promo code
+ *     description: Adds the credits of a credit promo code to the authenticated user as promotional credits. Discount codes are applied at checkout instead (see /payments/credits/checkout).
+ *     tags: [Credits]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "WELCOME10"
+ *     responses:
+ *       200:
+ *         description: Code redeemed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "10 credits added"
+ *                 code:
+ *                   type: string
+ *                 creditsAdded:
+ *                   type: number
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 credits:
+ *                   type: number
+ *                   description: New credit balance
+ *       400:
+ *         description: Invalid body, or the code is a discount code
+ *       404:
+ *         description: Promo code not found
+ *       409:
+ *         description: The user has already used this code the allowed number of times
+ *       410:
+ *         description: Promo code has expired or been fully redeemed
+ */
+creditsRouter.post('/redeem', authenticateUser, tryCatch(redeemPromoCode));
+
+/**
+ * @swagger
+ * /credits/referral:
+ *   get:
+ *     summary: Get referral link
+ *     description: Returns the authenticated user's referral code and link (created on first call) with referral stats. When someone registers with the code and verifies their email, both users receive referral credits.
+ *     tags: [Credits]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Referral summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   example: "K7M2QX9P"
+ *                 link:
+ *                   type: string
+ *                   example: "https://app.example.com/register?ref=K7M2QX9P"
+ *                 referred:
+ *                   type: number
+ *                   description: Users who registered with the code
+ *                 rewarded:
+ *                   type: number
+ *                   description: Referred users who verified their email
+ *                 creditsEarned:
+ *                   type: number
+ *                 referrerCredits:
+ *                   type: number
+ *                   description: Credits the user gets per referral
+ *                 refereeCredits:
+ *                   type: number
+ *                   description: Credits the referred user gets
+ *       404:
+ *         description: User not found
+ */
+creditsRouter.get('/referral', authenticateUser, tryCatch(getReferral));
+
 /**
  * @swagger
  * /credits/update:
@@ -164,4 +302,67 @@ creditsRouter.get('/history', authenticateUser, tryCatch(getCreditHistory));
  */
 creditsRouter.post('/update', authenticateUser, requireAdminRole, tryCatch(updateCredits));
 
+/**
+ * @swagger
+ * /credits/expire:
+ *   post:
+ *     summary: Run credit expiry
+ *     description: Zeroes credit buckets past their expiry and logs `expiry` entries. Long-running servers do this hourly and serverless hosts on the /credits/sweep cron; use this endpoint to run it on demand.
+ *     tags: [Credits]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Expiry run completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 buckets:
+ *                   type: number
+ *                 credits:
+ *                   type: number
+ *       403:
+ *         description: Forbidden - User is not an admin
+ */
+creditsRouter.post('/expire', authenticateUser, requireAdminRole, tryCatch(runCreditExpiry));
+
+/**
+ * @swagger
+ * /credits/sweep:
+ *   get:
+ *     summary: Run credit maintenance
+ *     description: Refunds credit holds whose request never finished and expires credit buckets past their expiry. Called by the Vercel cron (see vercel.json); long-running servers also sweep on a timer.
+ *     tags: [Credits]
+ *     parameters:
+ *       - in: header
+ *         name: Authorization
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "Bearer <CRON_SECRET>"
+ *     responses:
+ *       200:
+ *         description: Sweep finished
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 releasedReservations:
+ *                   type: integer
+ *                   example: 2
+ *                 expired:
+ *                   type: object
+ *                   properties:
+ *                     buckets:
+ *                       type: number
+ *                     credits:
+ *                       type: number
+ *       401:
+ *         description: Missing or wrong CRON_SECRET
+ */
+creditsRouter.get('/sweep', authenticateCron, tryCatch(sweepCredits));
+
 module.exports = creditsRouter;
\ No newline at end of file
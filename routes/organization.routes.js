@@ -0,0 +1,451 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Organizations
+ *   description: Team accounts whose members spend from a shared credit wallet. Send the X-Organization-Id header on credit-charging requests to use the wallet.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OrganizationMember:
+ *       type: object
+ *       properties:
+ *         userId:
+ *           type: object
+ *           description: The user (first_name, last_name, email)
+ *         role:
+ *           type: string
+ *           enum: [owner, manager, member]
+ *         joinedAt:
+ *           type: string
+ *           format: date-time
+ *     Organization:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: "Career Services"
+ *         credits:
+ *           type: number
+ *           description: Shared wallet balance
+ *         members:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrganizationMember'
+ *         role:
+ *           type: string
+ *           description: The current user's role
+ */
+
+const express = require('express');
+const organizationRouter = express.Router();
+const { authenticateUser } = require('../middlewares/auth.middleware');
+const { requireOrganizationRole } = require('../middlewares/organization.middleware');
+const {
+    createOrganization,
+    getMyOrganizations,
+    getOrganization,
+    updateOrganization,
+    deleteOrganization,
+    addMember,
+    updateMember,
+    removeMember,
+    getOrganizationCredits,
+    getOrganizationCreditHistory,
+    getMemberUsage,
+    createOrganizationCheckout
+} = require('../controllers/organization.controller');
+const tryCatch = require('../utils/tryCatch');
+
+organizationRouter.use(authenticateUser);
+
+/**
+ * @swagger
+ * /organizations:
+ *   get:
+ *     summary: List my organizations
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organizations the user belongs to, with their role and wallet balance
+ *   post:
+ *     summary: Create an organization
+ *     description: The creator becomes the owner.
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Career Services"
+ *     responses:
+ *       201:
+ *         description: Organization created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Organization'
+ *       400:
+ *         description: Validation error
+ */
+organizationRouter.get('/', tryCatch(getMyOrganizations));
+organizationRouter.post('/', tryCatch(createOrganization));
+
+/**
+ * @swagger
+ * /organizations/{id}:
+ *   get:
+ *     summary: Get an organization with its members
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Organization
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Organization'
+ *       403:
+ *         description: Not a member
+ *       404:
+ *         description: Organization not found
+ *   put:
+ *     summary: Rename an organization (owner)
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Organization updated
+ *       403:
+ *         description: Not the owner
+ *   delete:
+ *     summary: Delete an organization (owner)
+ *     description: Credits left in the shared wallet are forfeited.
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Organization deleted
+ *       403:
+ *         description: Not the owner
+ */
+organizationRouter.get('/:id', requireOrganizationRole(), tryCatch(getOrganization));
+organizationRouter.put('/:id', requireOrganizationRole('owner'), tryCatch(updateOrganization));
+organizationRouter.delete('/:id', requireOrganizationRole('owner'), tryCatch(deleteOrganization));
+
+/**
+ * @swagger
+ * /organizations/{id}/members:
+ *   post:
+ *     summary: Add a member (owner, manager)
+ *     description: Adds a registered user by email. Only the owner can add managers.
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: "student@example.com"
+ *               role:
+ *                 type: string
+ *                 enum: [manager, member]
+ *                 default: member
+ *     responses:
+ *       201:
+ *         description: Member added; returns the member list
+ *       403:
+ *         description: Not allowed
+ *       404:
+ *         description: No user with this email
+ *       409:
+ *         description: Already a member
+ */
+organizationRouter.post('/:id/members', requireOrganizationRole('owner', 'manager'), tryCatch(addMember));
+
+/**
+ * @swagger
+ * /organizations/{id}/members/{userId}:
+ *   put:
+ *     summary: Change a member's role (owner)
+ *     description: Setting role to owner transfers ownership; the previous owner becomes a manager.
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, manager, member]
+ *     responses:
+ *       200:
+ *         description: Role updated; returns the member list
+ *       400:
+ *         description: The owner's role can only change by transferring ownership
+ *       404:
+ *         description: Member not found
+ *   delete:
+ *     summary: Remove a member, or leave
+ *     description: The owner can remove anyone but themselves, managers can remove members, and every member can remove themselves.
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       400:
+ *         description: The owner cannot be removed
+ *       403:
+ *         description: Not allowed
+ *       404:
+ *         description: Member not found
+ */
+organizationRouter.put('/:id/members/:userId', requireOrganizationRole('owner'), tryCatch(updateMember));
+organizationRouter.delete('/:id/members/:userId', requireOrganizationRole(), tryCatch(removeMember));
+
+/**
+ * @swagger
+ * /organizations/{id}/credits:
+ *   get:
+ *     summary: Shared wallet balance
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Balance broken down by bucket
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CreditBalance'
+ */
+organizationRouter.get('/:id/credits', requireOrganizationRole(), tryCatch(getOrganizationCredits));
+
+/**
+ * @swagger
+ * /organizations/{id}/credits/history:
+ *   get:
+ *     summary: Shared wallet history (owner, manager)
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [usage, purchase, refund, expiry]
+ *     responses:
+ *       200:
+ *         description: Credit history with pagination; usage entries name the member who spent
+ */
+organizationRouter.get('/:id/credits/history', requireOrganizationRole('owner', 'manager'), tryCatch(getOrganizationCreditHistory));
+
+/**
+ * @swagger
+ * /organizations/{id}/credits/checkout:
+ *   post:
+ *     summary: Buy credits for the shared wallet (owner, manager)
+ *     description: Creates a Stripe checkout session billed to the organization. Credits are added to the wallet when the payment completes.
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreditCheckoutRequest'
+ *     responses:
+ *       200:
+ *         description: Checkout session created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CheckoutResponse'
+ *       400:
+ *         description: Invalid request
+ *       403:
+ *         description: Not an owner or manager
+ */
+organizationRouter.post('/:id/credits/checkout', requireOrganizationRole('owner', 'manager'), tryCatch(createOrganizationCheckout));
+
+/**
+ * @swagger
+ * /organizations/{id}/usage:
+ *   get:
+ *     summary: Credits used per member (owner, manager)
+ *     description: Credits each member spent from the shared wallet in the range (net of refunds for failed actions). Defaults to the last 30 days.
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Per-member usage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 range:
+ *                   type: object
+ *                 totals:
+ *                   type: object
+ *                   properties:
+ *                     creditsUsed:
+ *                       type: number
+ *                     actions:
+ *                       type: number
+ *                 members:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user:
+ *                         type: object
+ *                       role:
+ *                         type: string
+ *                         nullable: true
+ *                         description: null for former members
+ *                       creditsUsed:
+ *                         type: number
+ *                       actions:
+ *                         type: number
+ *                       byAction:
+ *                         type: object
+ *                         example: { resume_creation: 4, upwork_proposal: 2 }
+ *                       lastUsedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ */
+organizationRouter.get('/:id/usage', requireOrganizationRole('owner', 'manager'), tryCatch(getMemberUsage));
+
+module.exports = organizationRouter;
@@ -20,6 +20,10 @@
  *           maximum: 100
  *           description: Number of credits to purchase
  *           example: 10
+ *         promoCode:
+ *           type: string
+ *           description: Discount promo code (percentage off the price)
+ *           example: "SPRING20"
  *     SubscriptionCheckoutRequest:
  *       type: object
  *       required:
@@ -144,9 +148,15 @@ paymentRouter.get('/pricing', tryCatch(getPricing));
  *             schema:
  *               $ref: '#/components/schemas/CheckoutResponse'
  *       400:
- *         description: Invalid request
+ *         description: Invalid request, or the promo code is not a discount code
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Promo code not found
+ *       409:
+ *         description: Promo code already used by this user
+ *       410:
+ *         description: Promo code has expired or been fully redeemed
  */
 paymentRouter.post('/credits/checkout', authenticateUser, tryCatch(createCreditCheckout));
 
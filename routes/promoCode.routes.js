@@ -0,0 +1,225 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Promo Codes
+ *   description: Promo code management (admin only). Users redeem credit codes via /credits/redeem and apply discount codes at checkout.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PromoCode:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         code:
+ *           type: string
+ *           example: "WELCOME10"
+ *         type:
+ *           type: string
+ *           enum: [credits, discount]
+ *         credits:
+ *           type: number
+ *           nullable: true
+ *           description: Credits granted (credits codes)
+ *         creditExpiryDays:
+ *           type: number
+ *           nullable: true
+ *           description: Days the granted credits last (0 = never, null = promotional_credit_expiry_days)
+ *         discountPercent:
+ *           type: number
+ *           nullable: true
+ *           description: Percentage off a credit pack (discount codes)
+ *         maxRedemptions:
+ *           type: number
+ *           nullable: true
+ *           description: Total redemptions allowed (null = unlimited)
+ *         redemptionCount:
+ *           type: number
+ *         perUserLimit:
+ *           type: number
+ *           default: 1
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         isActive:
+ *           type: boolean
+ *         description:
+ *           type: string
+ *     PromoCodeInput:
+ *       type: object
+ *       required: [code, type]
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Letters, digits, "-" and "_" (stored upper-case)
+ *           example: "WELCOME10"
+ *         type:
+ *           type: string
+ *           enum: [credits, discount]
+ *         credits:
+ *           type: number
+ *           description: Required for credits codes
+ *           example: 10
+ *         creditExpiryDays:
+ *           type: number
+ *           nullable: true
+ *         discountPercent:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 90
+ *           description: Required for discount codes
+ *         maxRedemptions:
+ *           type: number
+ *           nullable: true
+ *         perUserLimit:
+ *           type: number
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         isActive:
+ *           type: boolean
+ *         description:
+ *           type: string
+ */
+
+const express = require('express');
+const promoCodeRouter = express.Router();
+const { authenticateUser, requireAdminRole } = require('../middlewares/auth.middleware');
+const {
+    getPromoCodes,
+    createPromoCode,
+    getPromoCode,
+    updatePromoCode,
+    deletePromoCode
+} = require('../controllers/promoCode.controller');
+const tryCatch = require('../utils/tryCatch');
+
+promoCodeRouter.use(authenticateUser, requireAdminRole);
+
+/**
+ * @swagger
+ * /promo-codes:
+ *   get:
+ *     summary: List promo codes
+ *     tags: [Promo Codes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [credits, discount]
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Promo codes, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PromoCode'
+ *       403:
+ *         description: Forbidden - User is not an admin
+ *   post:
+ *     summary: Create a promo code
+ *     tags: [Promo Codes]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromoCodeInput'
+ *     responses:
+ *       201:
+ *         description: Promo code created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PromoCode'
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Code already exists
+ */
+promoCodeRouter.get('/', tryCatch(getPromoCodes));
+promoCodeRouter.post('/', tryCatch(createPromoCode));
+
+/**
+ * @swagger
+ * /promo-codes/{id}:
+ *   get:
+ *     summary: Get a promo code with its latest redemptions
+ *     tags: [Promo Codes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promo code and up to 20 recent redemptions
+ *       404:
+ *         description: Promo code not found
+ *   put:
+ *     summary: Update a promo code
+ *     description: Code and type cannot be changed. Amount fields must match the code's type.
+ *     tags: [Promo Codes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromoCodeInput'
+ *     responses:
+ *       200:
+ *         description: Promo code updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Promo code not found
+ *   delete:
+ *     summary: Delete a promo code
+ *     description: Codes that have been redeemed are deactivated instead of deleted.
+ *     tags: [Promo Codes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promo code deleted or deactivated
+ *       404:
+ *         description: Promo code not found
+ */
+promoCodeRouter.get('/:id', tryCatch(getPromoCode));
+promoCodeRouter.put('/:id', tryCatch(updatePromoCode));
+promoCodeRouter.delete('/:id', tryCatch(deletePromoCode));
+
+module.exports = promoCodeRouter;
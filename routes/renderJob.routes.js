@@ -0,0 +1,65 @@
+/**
+ * @swagger
+ * tags:
+ *   name: RenderJobs
+ *   description: Status of queued PDF/preview renders of user-generated templates
+ */
+
+const express = require('express');
+const renderJobRouter = express.Router();
+const { authenticateUser } = require('../middlewares/auth.middleware');
+const { getRenderJob } = require('../controllers/renderJob.controller');
+const tryCatch = require('../utils/tryCatch');
+
+renderJobRouter.use(authenticateUser);
+
+/**
+ * @swagger
+ * /render-jobs/{id}:
+ *   get:
+ *     summary: Get the status of a render job
+ *     description: |
+ *       Saving, regenerating or generating the PDF of a user-generated template returns 202 with a
+ *       `jobId`; poll this endpoint until `status` is `succeeded` (then download from `files`) or
+ *       `failed`. Failed attempts are retried with exponential backoff (`nextAttemptAt`) up to
+ *       `maxAttempts` before the job is marked failed.
+ *     tags: [RenderJobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Job status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 _id: { type: string }
+ *                 templateId: { type: string }
+ *                 outputs: { type: array, items: { type: string, enum: [preview, pdf] } }
+ *                 status: { type: string, enum: [queued, running, succeeded, failed] }
+ *                 attempts: { type: integer }
+ *                 maxAttempts: { type: integer }
+ *                 error: { type: string, nullable: true }
+ *                 nextAttemptAt: { type: string, format: date-time, nullable: true }
+ *                 queuedAt: { type: string, format: date-time }
+ *                 startedAt: { type: string, format: date-time, nullable: true }
+ *                 finishedAt: { type: string, format: date-time, nullable: true }
+ *                 durationMs: { type: integer, nullable: true }
+ *                 files:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Download URL per output, once succeeded
+ *       403:
+ *         description: Unauthorized
+ *       404:
+ *         description: Render job not found
+ */
+renderJobRouter.get('/:id', tryCatch(getRenderJob));
+
+module.exports = renderJobRouter;
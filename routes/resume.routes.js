@@ -19,9 +19,42 @@ const {
   generateResumeData,
   regenerateTitle,
   regenerateSummary,
-  enforceVisibility
+  enforceVisibility,
+  exportResume,
+  importJsonResume,
+  renderResume,
+  getResumeVersions,
+  diffResumeVersions,
+  restoreResumeVersion,
+  duplicateResume,
+  setEntityOverride,
+  clearEntityOverride
 } = require('../controllers/resume.controller');
+const {
+  getResumeShares,
+  createResumeShare,
+  updateResumeShare,
+  revokeResumeShare,
+  getResumeComments,
+  createResumeComment,
+  updateResumeComment,
+  deleteResumeComment
+} = require('../controllers/resumeShare.controller');
+const {
+  getResumeLinks,
+  createResumeLink,
+  updateResumeLink,
+  revokeResumeLink
+} = require('../controllers/resumeLink.controller');
+const {
+  updateResumeSlug,
+  getCustomDomain,
+  setCustomDomain,
+  verifyCustomDomain,
+  removeCustomDomain
+} = require('../controllers/resumeHosting.controller');
 const { authenticateUser } = require('../middlewares/auth.middleware');
+const { requireSubscription, requireFeature } = require('../middlewares/subscription.middleware');
 const tryCatch = require('../utils/tryCatch');
 
 resumeRouter.use(authenticateUser);
@@ -34,6 +67,13 @@ resumeRouter.use(authenticateUser);
  *     tags: [Resumes]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - name: stream
+ *         in: query
+ *         schema: { type: string, enum: ['1'] }
+ *         description: |
+ *           Stream the AI reply as Server-Sent Events (`token`, `retry`, then `done` with the
+ *           normal response body, or `error`)
  *     requestBody:
  *       required: true
  *       content:
@@ -59,7 +99,7 @@ resumeRouter.use(authenticateUser);
  *               useAI: true
  *     responses:
  *       200:
- *         description: Generated resume data (AI or manual)
+ *         description: Generated resume data (AI or manual), or an event stream with `?stream=1`
  *       400:
  *         description: Job description is required
  *       503:
@@ -104,6 +144,13 @@ resumeRouter.post('/regenerate-title', tryCatch(regenerateTitle));
  *     tags: [Resumes]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - name: stream
+ *         in: query
+ *         schema: { type: string, enum: ['1'] }
+ *         description: |
+ *           Stream the AI reply as Server-Sent Events (`token`, `retry`, then `done` with the
+ *           normal response body, or `error`)
  *     requestBody:
  *       required: true
  *       content:
@@ -121,7 +168,7 @@ resumeRouter.post('/regenerate-title', tryCatch(regenerateTitle));
  *                 type: string
  *     responses:
  *       200:
- *         description: Regenerated summary
+ *         description: Regenerated summary, or an event stream with `?stream=1`
  */
 resumeRouter.post('/regenerate-summary', tryCatch(regenerateSummary));
 /**
@@ -133,6 +180,9 @@ resumeRouter.post('/regenerate-summary', tryCatch(regenerateSummary));
  *     tags: [Resumes]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/OrganizationId'
  *     requestBody:
  *       required: true
  *       content:
@@ -186,6 +236,30 @@ resumeRouter.post('/regenerate-summary', tryCatch(regenerateSummary));
  *                       type: string
  *                     category:
  *                       type: string
+ *               layout:
+ *                 type: object
+ *                 description: |
+ *                   Section order, titles and visibility. Unlisted sections follow the listed ones in
+ *                   default order. itemOrder holds entity ids (skill/language names for skills and
+ *                   languages, labels for customFields); unlisted items keep their order after them.
+ *                 properties:
+ *                   sections:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       required: [key]
+ *                       properties:
+ *                         key:
+ *                           type: string
+ *                           enum: [summary, experiences, projects, educations, certifications, awards, skills, languages, customFields]
+ *                         title:
+ *                           type: string
+ *                         visible:
+ *                           type: boolean
+ *                           default: true
+ *                         itemOrder:
+ *                           type: array
+ *                           items: { type: string }
  *               visibility:
  *                 type: string
  *                 enum: [private, public]
@@ -212,6 +286,12 @@ resumeRouter.post('/regenerate-summary', tryCatch(regenerateSummary));
  *                   type: number
  *                 creditsAvailable:
  *                   type: number
+ *       403:
+ *         description: Not a member of the organization named in X-Organization-Id
+ *       409:
+ *         description: A request with the same Idempotency-Key is still in progress
+ *       422:
+ *         description: The Idempotency-Key was already used with a different request
  */
 resumeRouter.post('/', tryCatch(createResume));
 
@@ -240,6 +320,827 @@ resumeRouter.post('/', tryCatch(createResume));
  */
 resumeRouter.get('/', tryCatch(getAllResumes));
 
+/**
+ * @swagger
+ * /resumes/import/json-resume:
+ *   post:
+ *     summary: Import a resume from a JSON Resume document (jsonresume.org schema)
+ *     description: |
+ *       Creates Experience, Education, Project, Certification and Award records from the
+ *       document's work, education, projects, certificates and awards sections, merges
+ *       skills, languages and social profiles into the user profile, and creates a Resume
+ *       linking them. Items missing required fields are skipped and reported in `summary.skipped`.
+ *       Importing is free; if the resume cannot be created, none of the records are kept.
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/OrganizationId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             example:
+ *               basics:
+ *                 name: "Jane Doe"
+ *                 label: "Senior Backend Engineer"
+ *                 summary: "Backend engineer with 8 years of experience."
+ *                 profiles:
+ *                   - network: "GitHub"
+ *                     url: "https://github.com/janedoe"
+ *               work:
+ *                 - name: "Acme Inc"
+ *                   position: "Backend Engineer"
+ *                   startDate: "2020-01-01"
+ *                   highlights: ["Cut API latency by 40%"]
+ *               skills:
+ *                 - name: "Node.js"
+ *                   level: "Expert"
+ *     responses:
+ *       201:
+ *         description: Resume imported (includes per-section counts and skipped items)
+ *       400:
+ *         description: Validation error
+ */
+resumeRouter.post('/import/json-resume', tryCatch(importJsonResume));
+
+/**
+ * @swagger
+ * /resumes/{id}/export:
+ *   get:
+ *     summary: Export a resume with its owner's profile as a JSON Resume document
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *       - name: format
+ *         in: query
+ *         schema: { type: string, enum: [json-resume], default: json-resume }
+ *     responses:
+ *       200:
+ *         description: JSON Resume document (sent as a .json attachment)
+ *       400:
+ *         description: Unsupported export format
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Resume not found
+ */
+resumeRouter.get('/:id/export', tryCatch(exportResume));
+
+/**
+ * @swagger
+ * /resumes/{id}/render:
+ *   get:
+ *     summary: Render a resume as ATS-friendly plain text or Markdown
+ *     description: Single-column output with section headings, bullet achievements and date ranges, suitable for pasting into application forms.
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *       - name: format
+ *         in: query
+ *         schema: { type: string, enum: [txt, md], default: txt }
+ *     responses:
+ *       200:
+ *         description: Rendered resume
+ *         content:
+ *           text/plain: {}
+ *           text/markdown: {}
+ *       400:
+ *         description: Unsupported render format
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Resume not found
+ */
+resumeRouter.get('/:id/render', tryCatch(renderResume));
+
+/**
+ * @swagger
+ * /resumes/{id}/duplicate:
+ *   post:
+ *     summary: Duplicate a resume, optionally tailoring it to a new job description
+ *     description: |
+ *       Clones the resume (same entity references, skills, languages, social links and custom
+ *       fields; new slug; private). When `jobDescription` is given, AI re-ranks the cloned
+ *       content and rewrites the summary for that job — it never adds content the source resume
+ *       does not have. Deducts `credits_per_resume_duplication` credits.
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/OrganizationId'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               jobDescription:
+ *                 type: string
+ *             example:
+ *               jobDescription: "We are hiring a Senior Node.js engineer..."
+ *     responses:
+ *       201:
+ *         description: Resume duplicated
+ *       402:
+ *         description: Insufficient credits
+ *       403:
+ *         description: Access denied, or not a member of the organization named in X-Organization-Id
+ *       404:
+ *         description: Resume not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still in progress
+ *       422:
+ *         description: The Idempotency-Key was already used with a different request
+ *       503:
+ *         description: AI service unavailable (nothing charged)
+ */
+resumeRouter.post('/:id/duplicate', tryCatch(duplicateResume));
+
+/**
+ * @swagger
+ * /resumes/{id}/overrides/{entityId}:
+ *   put:
+ *     summary: Set this resume's wording for one of its experiences, projects or educations
+ *     description: |
+ *       Overrides apply to this resume only; the shared profile record and other resumes are
+ *       unchanged. The bullet list is `achievements` (experiences), `highlights` (projects) or
+ *       `activities` (educations). `bulletOrder` and `hiddenBullets` are indices into the
+ *       replacement bullets if given, otherwise into the entity's own. Replaces any existing override.
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *       - name: entityId
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description: { type: string }
+ *               achievements: { type: array, items: { type: string } }
+ *               highlights: { type: array, items: { type: string } }
+ *               activities: { type: array, items: { type: string } }
+ *               bulletOrder: { type: array, items: { type: integer } }
+ *               hiddenBullets: { type: array, items: { type: integer } }
+ *             example:
+ *               description: "Led the payments platform team."
+ *               bulletOrder: [2, 0, 1]
+ *               hiddenBullets: [3]
+ *     responses:
+ *       200:
+ *         description: Override saved
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Resume or entity not found
+ *   delete:
+ *     summary: Clear this resume's override for an entity
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *       - name: entityId
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Override cleared
+ *       404:
+ *         description: Resume or override not found
+ */
+resumeRouter.put('/:id/overrides/:entityId', tryCatch(setEntityOverride));
+resumeRouter.delete('/:id/overrides/:entityId', tryCatch(clearEntityOverride));
+
+/**
+ * @swagger
+ * /resumes/{id}/shares:
+ *   get:
+ *     summary: List reviewers this resume is shared with
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Active shares
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Resume not found
+ *   post:
+ *     summary: Invite a reviewer by email
+ *     description: |
+ *       Emails the reviewer a private link (`/shared-resume/{token}` on the frontend) that opens
+ *       this resume without an account. `read` reviewers can only view it; `comment` reviewers
+ *       can also leave anchored comments. Inviting an email that already has access updates its
+ *       permission and sends a new link, invalidating the old one.
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string, format: email }
+ *               name: { type: string }
+ *               permission: { type: string, enum: [read, comment], default: comment }
+ *               message: { type: string, description: Included in the invitation email }
+ *     responses:
+ *       201:
+ *         description: Reviewer invited (`emailSent` is false if the invitation could not be delivered)
+ *       200:
+ *         description: Existing share updated and re-sent
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Resume not found
+ */
+resumeRouter.get('/:id/shares', tryCatch(getResumeShares));
+resumeRouter.post('/:id/shares', tryCatch(createResumeShare));
+
+/**
+ * @swagger
+ * /resumes/{id}/shares/{shareId}:
+ *   patch:
+ *     summary: Change a reviewer's permission or name
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *       - name: shareId
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               permission: { type: string, enum: [read, comment] }
+ *     responses:
+ *       200:
+ *         description: Share updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Resume or share not found
+ *   delete:
+ *     summary: Revoke a reviewer's access
+ *     description: The link stops working immediately. Comments the reviewer left are kept.
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *       - name: shareId
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Access revoked
+ *       404:
+ *         description: Resume or share not found
+ */
+resumeRouter.patch('/:id/shares/:shareId', tryCatch(updateResumeShare));
+resumeRouter.delete('/:id/shares/:shareId', tryCatch(revokeResumeShare));
+
+/**
+ * @swagger
+ * /resumes/{id}/comments:
+ *   get:
+ *     summary: List review comments on a resume (oldest first)
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *       - name: resolved
+ *         in: query
+ *         schema: { type: boolean }
+ *         description: Only resolved (true) or open (false) comments
+ *     responses:
+ *       200:
+ *         description: Comments; replies carry `parentId`
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Resume not found
+ *   post:
+ *     summary: Comment on, or reply to a comment on, your resume
+ *     description: |
+ *       `anchor` pins the comment to part of the resume: a `section` (`general`, `title` or a
+ *       resume section key), optionally an `entityId` within it (an experience, project, etc.
+ *       linked to this resume), the `field` and the bullet `index` within that field.
+ *       Replying to a reviewer emails them.
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResumeCommentInput'
+ *     responses:
+ *       201:
+ *         description: Comment created
+ *       400:
+ *         description: Validation error, unknown parent or entity not on this resume
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Resume not found
+ */
+resumeRouter.get('/:id/comments', tryCatch(getResumeComments));
+resumeRouter.post('/:id/comments', tryCatch(createResumeComment));
+
+/**
+ * @swagger
+ * /resumes/{id}/comments/{commentId}:
+ *   patch:
+ *     summary: Resolve or reopen any comment, or edit your own
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *       - name: commentId
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               body: { type: string }
+ *               resolved: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Comment updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Editing someone else's comment
+ *       404:
+ *         description: Resume or comment not found
+ *   delete:
+ *     summary: Delete a comment and its replies
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *       - name: commentId
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Comment deleted
+ *       404:
+ *         description: Resume or comment not found
+ */
+resumeRouter.patch('/:id/comments/:commentId', tryCatch(updateResumeComment));
+resumeRouter.delete('/:id/comments/:commentId', tryCatch(deleteResumeComment));
+
+/**
+ * @swagger
+ * /resumes/{id}/links:
+ *   get:
+ *     summary: List a resume's named public links (newest first)
+ *     description: Revoked and expired links are included, with `status`, so their view counts stay visible.
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Links with `url`, `status` (active, expired, revoked), `hasPassword`, `views` and `pdfDownloads`
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Resume not found
+ *   post:
+ *     summary: Create a named public link (subscribers only)
+ *     description: |
+ *       Each link has its own token and opens the hosted resume at `/public/resume/{slug}?link={token}`
+ *       even if the resume is not public. Views and downloads through the link are counted against it.
+ *       With a `password`, visitors must enter it first; after `expiresAt` the link stops working.
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name: { type: string, example: "Sent to Acme" }
+ *               password: { type: string, minLength: 4 }
+ *               expiresAt: { type: string, format: date-time }
+ *     responses:
+ *       201:
+ *         description: Link created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied or subscription required
+ *       404:
+ *         description: Resume not found
+ */
+resumeRouter.get('/:id/links', tryCatch(getResumeLinks));
+resumeRouter.post('/:id/links', tryCatch(createResumeLink));
+
+/**
+ * @swagger
+ * /resumes/{id}/links/{linkId}:
+ *   patch:
+ *     summary: Rename a link, change its password or expiry
+ *     description: Send `password` null or empty to remove it and `expiresAt` null to make the link permanent. Changing the password signs out visitors who entered the old one.
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *       - name: linkId
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               password: { type: string, nullable: true }
+ *               expiresAt: { type: string, format: date-time, nullable: true }
+ *     responses:
+ *       200:
+ *         description: Link updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Resume or active link not found
+ *   delete:
+ *     summary: Revoke a link
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *       - name: linkId
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Link revoked
+ *       404:
+ *         description: Resume or active link not found
+ */
+resumeRouter.patch('/:id/links/:linkId', tryCatch(updateResumeLink));
+resumeRouter.delete('/:id/links/:linkId', tryCatch(revokeResumeLink));
+
+/**
+ * @swagger
+ * /resumes/{id}/slug:
+ *   put:
+ *     summary: Choose a vanity slug for the hosted resume (subscribers)
+ *     description: |
+ *       Changes the public URL to `/public/resume/{slug}`. URLs with any earlier slug keep working
+ *       and redirect (301) to the new one. Slugs are 3-60 lowercase letters, numbers and single
+ *       hyphens; reserved words and slugs used (now or before) by other resumes are rejected.
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [slug]
+ *             properties:
+ *               slug: { type: string, example: "jane-doe" }
+ *     responses:
+ *       200:
+ *         description: New slug and the slugs that now redirect to it
+ *       400:
+ *         description: Invalid or reserved slug
+ *       403:
+ *         description: Access denied or subscription required
+ *       404:
+ *         description: Resume not found
+ *       409:
+ *         description: Slug already taken
+ */
+resumeRouter.put('/:id/slug', requireSubscription, requireFeature('publicResumes'), tryCatch(updateResumeSlug));
+
+/**
+ * @swagger
+ * /resumes/{id}/domain:
+ *   get:
+ *     summary: Get the resume's custom domain and its DNS records
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Hostname, verification state and the CNAME/TXT records to create
+ *       404:
+ *         description: Resume not found or no custom domain set
+ *   put:
+ *     summary: Map a custom hostname to the hosted resume (subscribers)
+ *     description: |
+ *       Point the hostname at the hosting target with a CNAME record and prove ownership with the
+ *       returned TXT record, then call `POST /resumes/{id}/domain/verify`. Once verified, the host
+ *       serves this resume at `/` (and `/pdf`, `/docx`, `/preview`) with the usual public access rules.
+ *       Setting a different hostname replaces the previous one and needs verifying again.
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [hostname]
+ *             properties:
+ *               hostname: { type: string, example: "cv.janedoe.com" }
+ *     responses:
+ *       200:
+ *         description: Hostname saved with the DNS records to create
+ *       400:
+ *         description: Invalid hostname
+ *       403:
+ *         description: Access denied or subscription required
+ *       404:
+ *         description: Resume not found
+ *       409:
+ *         description: Hostname already verified for another resume
+ *   delete:
+ *     summary: Remove the custom domain
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Custom domain removed
+ *       404:
+ *         description: Resume not found or no custom domain set
+ */
+resumeRouter.get('/:id/domain', tryCatch(getCustomDomain));
+resumeRouter.put('/:id/domain', requireSubscription, requireFeature('publicResumes'), tryCatch(setCustomDomain));
+resumeRouter.delete('/:id/domain', tryCatch(removeCustomDomain));
+
+/**
+ * @swagger
+ * /resumes/{id}/domain/verify:
+ *   post:
+ *     summary: Verify the custom domain's DNS TXT record (subscribers)
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Domain verified and live
+ *       400:
+ *         description: TXT record not found yet
+ *       403:
+ *         description: Access denied or subscription required
+ *       404:
+ *         description: Resume not found or no custom domain set
+ *       409:
+ *         description: Hostname was verified for another resume first
+ */
+resumeRouter.post('/:id/domain/verify', requireSubscription, requireFeature('publicResumes'), tryCatch(verifyCustomDomain));
+
+/**
+ * @swagger
+ * /resumes/{id}/versions:
+ *   get:
+ *     summary: List saved versions of a resume (newest first)
+ *     description: A version is recorded every time the resume is created, updated, imported or restored.
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *       - name: page
+ *         in: query
+ *         schema: { type: integer, default: 1 }
+ *       - name: limit
+ *         in: query
+ *         schema: { type: integer, default: 20 }
+ *     responses:
+ *       200:
+ *         description: Versions with pagination
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Resume not found
+ */
+resumeRouter.get('/:id/versions', tryCatch(getResumeVersions));
+
+/**
+ * @swagger
+ * /resumes/{id}/versions/{v}/diff:
+ *   get:
+ *     summary: Field-level diff between two versions of a resume
+ *     description: |
+ *       Lists changes going from version `against` to version `v`. Paths cover resume fields
+ *       (e.g. `resume.title`) and linked entity contents (e.g. `entities.experiences.<id>.achievements`).
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *       - name: v
+ *         in: path
+ *         required: true
+ *         schema: { type: integer }
+ *       - name: against
+ *         in: query
+ *         schema: { type: integer }
+ *         description: Version to compare with (defaults to v - 1)
+ *     responses:
+ *       200:
+ *         description: List of added, removed and modified fields
+ *       400:
+ *         description: Invalid version number
+ *       404:
+ *         description: Resume or version not found
+ */
+resumeRouter.get('/:id/versions/:v/diff', tryCatch(diffResumeVersions));
+
+/**
+ * @swagger
+ * /resumes/{id}/versions/{v}/restore:
+ *   post:
+ *     summary: Roll a resume back to a saved version
+ *     description: |
+ *       Restores the resume's fields and entity links, then records the result as a new version.
+ *       Experiences, educations, etc. are shared across resumes, so their contents are only
+ *       written back when `restoreEntities` is true; otherwise entities deleted since the
+ *       snapshot are listed in `missingEntities`.
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *       - name: v
+ *         in: path
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               restoreEntities:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Resume restored
+ *       404:
+ *         description: Resume or version not found
+ */
+resumeRouter.post('/:id/versions/:v/restore', tryCatch(restoreResumeVersion));
+
 /**
  * @swagger
  * /resumes/{id}:
@@ -283,6 +1184,11 @@ resumeRouter.get('/:id', tryCatch(getResumeById));
  *             example:
  *               title: "Updated Resume Title"
  *               visibility: "private"
+ *               layout:
+ *                 sections:
+ *                   - { key: "skills", title: "Core Skills", itemOrder: ["React", "Node.js"] }
+ *                   - { key: "experiences" }
+ *                   - { key: "summary", visible: false }
  *     responses:
  *       200:
  *         description: Resume updated
@@ -0,0 +1,204 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Shared Resumes
+ *   description: Reviewer access to a single resume through the private link from an invitation email. No login; the token in the path is the credential.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ResumeCommentAnchor:
+ *       type: object
+ *       properties:
+ *         section:
+ *           type: string
+ *           enum: [general, title, summary, experiences, projects, educations, certifications, awards, skills, languages, customFields]
+ *           default: general
+ *         entityId:
+ *           type: string
+ *           description: Id of the experience/project/etc. within the section (must be linked to the resume)
+ *         field:
+ *           type: string
+ *           example: achievements
+ *         index:
+ *           type: integer
+ *           description: Zero-based bullet index within `field`
+ *     ResumeCommentInput:
+ *       type: object
+ *       required: [body]
+ *       properties:
+ *         body:
+ *           type: string
+ *           example: "Quantify this — how much faster did checkout get?"
+ *         anchor:
+ *           $ref: '#/components/schemas/ResumeCommentAnchor'
+ *         parentId:
+ *           type: string
+ *           description: Reply to this comment
+ */
+
+const express = require('express');
+const sharedResumeRouter = express.Router();
+const { requireShareToken } = require('../middlewares/resumeShare.middleware');
+const { getResumeById, renderResume } = require('../controllers/resume.controller');
+const {
+    getSharedComments,
+    createSharedComment,
+    updateSharedComment,
+    deleteSharedComment
+} = require('../controllers/resumeShare.controller');
+const tryCatch = require('../utils/tryCatch');
+
+/**
+ * @swagger
+ * /shared-resumes/{token}:
+ *   get:
+ *     summary: Get the shared resume
+ *     tags: [Shared Resumes]
+ *     security: []
+ *     parameters:
+ *       - name: token
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: The resume with its linked entities populated
+ *       404:
+ *         description: Link invalid or revoked, or resume deleted
+ */
+sharedResumeRouter.get('/:token', requireShareToken(), tryCatch(getResumeById));
+
+/**
+ * @swagger
+ * /shared-resumes/{token}/render:
+ *   get:
+ *     summary: Render the shared resume as plain text or Markdown
+ *     tags: [Shared Resumes]
+ *     security: []
+ *     parameters:
+ *       - name: token
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *       - name: format
+ *         in: query
+ *         schema: { type: string, enum: [txt, md], default: txt }
+ *     responses:
+ *       200:
+ *         description: Rendered resume
+ *       400:
+ *         description: Unsupported format
+ *       404:
+ *         description: Link invalid or revoked, or resume deleted
+ */
+sharedResumeRouter.get('/:token/render', requireShareToken(), tryCatch(renderResume));
+
+/**
+ * @swagger
+ * /shared-resumes/{token}/comments:
+ *   get:
+ *     summary: List comments on the shared resume
+ *     description: Returns the reviewer's `permission` alongside the comments so the client knows whether to offer commenting.
+ *     tags: [Shared Resumes]
+ *     security: []
+ *     parameters:
+ *       - name: token
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Permission, reviewer email and comments (oldest first)
+ *       404:
+ *         description: Link invalid or revoked, or resume deleted
+ *   post:
+ *     summary: Comment on the shared resume, or reply to a comment
+ *     description: Requires `comment` permission. The resume owner is emailed about every reviewer comment.
+ *     tags: [Shared Resumes]
+ *     security: []
+ *     parameters:
+ *       - name: token
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResumeCommentInput'
+ *     responses:
+ *       201:
+ *         description: Comment created
+ *       400:
+ *         description: Validation error, unknown parent or entity not on this resume
+ *       403:
+ *         description: The share is read-only
+ *       404:
+ *         description: Link invalid or revoked, or resume deleted
+ */
+sharedResumeRouter.get('/:token/comments', requireShareToken(), tryCatch(getSharedComments));
+sharedResumeRouter.post('/:token/comments', requireShareToken('comment'), tryCatch(createSharedComment));
+
+/**
+ * @swagger
+ * /shared-resumes/{token}/comments/{commentId}:
+ *   patch:
+ *     summary: Edit, resolve or reopen one of your own comments
+ *     tags: [Shared Resumes]
+ *     security: []
+ *     parameters:
+ *       - name: token
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *       - name: commentId
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               body: { type: string }
+ *               resolved: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Comment updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Read-only share, or not your comment
+ *       404:
+ *         description: Link or comment not found
+ *   delete:
+ *     summary: Delete one of your own comments and its replies
+ *     tags: [Shared Resumes]
+ *     security: []
+ *     parameters:
+ *       - name: token
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *       - name: commentId
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Comment deleted
+ *       403:
+ *         description: Read-only share, or not your comment
+ *       404:
+ *         description: Link or comment not found
+ */
+sharedResumeRouter.patch('/:token/comments/:commentId', requireShareToken('comment'), tryCatch(updateSharedComment));
+sharedResumeRouter.delete('/:token/comments/:commentId', requireShareToken('comment'), tryCatch(deleteSharedComment));
+
+module.exports = sharedResumeRouter;
@@ -67,9 +67,13 @@ userGeneratedTemplateRouter.get('/', tryCatch(controller.getUserTemplates));
  *               html: "<html><body><h1>My Resume</h1></body></html>"
  *     responses:
  *       200:
- *         description: Template created or updated
+ *         description: Rendered in the request (hosts without a render worker, see RENDER_IN_REQUEST); `template` has the new files
+ *       202:
+ *         description: Template HTML and DOCX saved; preview and PDF queued (`jobId`, poll `statusUrl`)
  *       400:
  *         description: Validation error
+ *       500:
+ *         description: Render in the request failed (`status` is `failed`)
  */
 
 userGeneratedTemplateRouter.post('/', tryCatch(controller.createOrUpdateUserGeneratedTemplate));
@@ -168,14 +172,24 @@ userGeneratedTemplateRouter.get('/:id', tryCatch(controller.getTemplateById));
  *         required: true
  *         schema:
  *           type: string
- *           enum: [html, preview, pdf]
+ *           enum: [html, preview, pdf, docx]
  *       - name: token
  *         in: query
  *         schema: { type: string }
  *         description: JWT token (alternative to Bearer auth, for img src / direct links)
+ *       - name: page
+ *         in: query
+ *         schema: { type: integer, minimum: 1 }
+ *         description: Preview only — image of this PDF page (see the template's `previewPages`)
+ *       - name: size
+ *         in: query
+ *         schema: { type: string, enum: [thumb, medium, full], default: full }
+ *         description: Preview only — page image size (200, 600 or 1240px wide WebP). Without page or size, the whole-resume PNG is served.
  *     responses:
  *       200:
  *         description: File content
+ *       400:
+ *         description: Invalid file type, page or size
  *       403:
  *         description: Unauthorized
  *       404:
@@ -187,7 +201,14 @@ userGeneratedTemplateRouter.get('/:id/files/:type', tryCatch(controller.serveFil
  * @swagger
  * /user-generated-templates/{id}/generate-pdf:
  *   post:
- *     summary: Generate PDF and preview image for a template
+ *     summary: Queue PDF and preview image generation for a template
+ *     description: |
+ *       Returns 202 with a `jobId`; poll `GET /render-jobs/{jobId}` and download the PDF from `/user-generated-templates/{id}/files/pdf` once it succeeds.
+ *       Hosts without a render worker (Vercel) render in the request and answer 200 or 500 with the finished job instead.
+ *
+ *       Page options in the body are saved on the template (`pdfOptions`) and used by every later render;
+ *       omitted fields keep their saved value. After the render, the template's `pdfLayout` has the page
+ *       count, the scale used and a `warning` when the PDF is longer than `maxPages` or does not fit on one page.
  *     tags: [UserGeneratedTemplates]
  *     security:
  *       - bearerAuth: []
@@ -196,16 +217,71 @@ userGeneratedTemplateRouter.get('/:id/files/:type', tryCatch(controller.serveFil
  *         in: path
  *         required: true
  *         schema: { type: string }
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               paperSize: { type: string, enum: [A4, Letter, Legal], default: A4 }
+ *               margins:
+ *                 type: object
+ *                 description: Page margins in millimetres (0-50)
+ *                 properties:
+ *                   top: { type: number }
+ *                   right: { type: number }
+ *                   bottom: { type: number }
+ *                   left: { type: number }
+ *               scale: { type: number, minimum: 0.5, maximum: 2, default: 1 }
+ *               pageNumbers: { type: boolean, description: 'Add a "page / total" footer', default: false }
+ *               fitToOnePage: { type: boolean, description: Shrink the scale (down to 0.5) until the content fits on one page, default: false }
+ *               maxPages: { type: integer, minimum: 1, nullable: true, description: Warn when the PDF has more pages }
  *     responses:
  *       200:
- *         description: PDF and preview generated
+ *         description: Rendered in the request (hosts without a render worker, see RENDER_IN_REQUEST); `template` has the new files
+ *       202:
+ *         description: Render queued
+ *       400:
+ *         description: Invalid page options
  *       403:
  *         description: Unauthorized
  *       404:
  *         description: Template not found
+ *       500:
+ *         description: Render in the request failed (`status` is `failed`)
  */
 userGeneratedTemplateRouter.post('/:id/generate-pdf', tryCatch(controller.generatePDFforTemplate));
 
+/**
+ * @swagger
+ * /user-generated-templates/{id}/ats-check:
+ *   post:
+ *     summary: Check how well an ATS can read the generated PDF
+ *     description: |
+ *       Extracts the text of the generated resume.pdf and compares it with the resume data.
+ *       Reports missing contact fields, sections, dates and skills, sections or entries that
+ *       are extracted out of order (typical of multi-column templates), and a 0-100 score.
+ *     tags: [UserGeneratedTemplates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: ATS compatibility report
+ *       400:
+ *         description: No PDF generated yet
+ *       403:
+ *         description: Unauthorized
+ *       404:
+ *         description: Template or PDF not found
+ */
+userGeneratedTemplateRouter.post('/:id/ats-check', tryCatch(controller.atsCheck));
+
 /**
  * @swagger
  * /user-generated-templates/{id}/regenerate:
@@ -221,13 +297,17 @@ userGeneratedTemplateRouter.post('/:id/generate-pdf', tryCatch(controller.genera
  *         schema: { type: string }
  *     responses:
  *       200:
- *         description: Template regenerated with latest data
+ *         description: Rendered in the request (hosts without a render worker, see RENDER_IN_REQUEST); `template` has the new files
+ *       202:
+ *         description: HTML and DOCX regenerated with latest data; preview and PDF queued
  *       400:
  *         description: Template was created with raw HTML and cannot be regenerated
  *       403:
  *         description: Unauthorized
  *       404:
  *         description: Template not found
+ *       500:
+ *         description: Render in the request failed (`status` is `failed`)
  */
 userGeneratedTemplateRouter.put('/:id/regenerate', tryCatch(controller.regenerateTemplate));
 
@@ -3,6 +3,7 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const path = require("path");
+const jwt = require('jsonwebtoken');
 // const logger = require('./utils/logger'); // Add this import
 
 const swaggerUi = require('swagger-ui-express');
@@ -28,13 +29,20 @@ const paymentRouter = require('./routes/payment.routes');
 const analyticsRouter = require('./routes/analytics.routes');
 const salaryRouter = require('./routes/salary.routes');
 const coverLetterRouter = require('./routes/coverLetter.routes');
+const aiUsageRouter = require('./routes/aiUsage.routes');
+const promoCodeRouter = require('./routes/promoCode.routes');
+const organizationRouter = require('./routes/organization.routes');
+const sharedResumeRouter = require('./routes/sharedResume.routes');
+const renderJobRouter = require('./routes/renderJob.routes');
 
 // Middlewares
 const errorHandler = require('./middlewares/error.middleware');
 const {
   generalLimiter,
+  linkPasswordLimiter,
 } = require('./middlewares/rateLimit.middleware');
 const debugMiddleware = require('./middlewares/debug.middleware');
+const { resolveCustomDomain } = require('./middlewares/customDomain.middleware');
 
 // Models
 const Resume = require('./models/resume.model');
@@ -44,6 +52,17 @@ const AppSettings = require('./models/appSettings.model');
 const MasterData = require('./models/masterData.model');
 const Subscription = require('./models/subscription.model');
 const ResumeAnalytics = require('./models/resumeAnalytics.model');
+const ResumeLink = require('./models/resumeLink.model');
+const CreditBucket = require('./models/creditBucket.model');
+
+// Services
+const { releaseExpiredReservations, expireCredits } = require('./services/credit.service');
+const { startWorker: startRenderWorker } = require('./services/renderJob.service');
+const { shutdownBrowserPool } = require('./utils/browser-pool');
+const { storage } = require('./utils/storage');
+
+// Validations
+const { previewQuerySchema } = require('./validations/userGeneratedTemplate.validation');
 
 // ========== Global Middlewares ==========
 
@@ -71,6 +90,7 @@ if (process.env.VERCEL) {
         console.log('✅ MongoDB connected (serverless)');
         await AppSettings.seedDefaults();
         await MasterData.seedDefaults();
+        await CreditBucket.migrateLegacyBalances();
       } catch (err) {
         console.error('❌ Failed to connect to MongoDB:', err.message);
         return res.status(500).json({ success: false, message: 'Database connection failed' });
@@ -92,6 +112,10 @@ if (process.env.VERCEL) {
 //     next();
 // });
 
+// ========== Custom Domains ==========
+// Rewrites hosted-resume requests on a verified custom hostname to /public/resume/:slug
+app.use(resolveCustomDomain);
+
 // ========== Default Route ==========
 app.get('/', (req, res) => {
   res.send('Resume Builder Backend is Running');
@@ -115,6 +139,11 @@ app.use('/api/payments', paymentRouter);
 app.use('/api/analytics', analyticsRouter);
 app.use('/api/salary', salaryRouter);
 app.use('/api/cover-letters', coverLetterRouter);
+app.use('/api/ai-usage', aiUsageRouter);
+app.use('/api/promo-codes', promoCodeRouter);
+app.use('/api/organizations', organizationRouter);
+app.use('/api/shared-resumes', sharedResumeRouter);
+app.use('/api/render-jobs', renderJobRouter);
 
 // Swagger UI setup - Change the path to /api-docs instead of /api
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
@@ -127,11 +156,23 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
 
 // ========== Public Routes (Read-only Hosting) ==========
 
+// Serve files from storage under a key prefix (S3 storage redirects to a signed URL)
+const serveStored = (prefix) => async (req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+  try {
+    const key = path.posix.join(prefix, decodeURIComponent(req.path));
+    if (!key.startsWith(`${prefix}/`)) return next();
+    if (!await storage.send(res, key)) next();
+  } catch (err) {
+    next(err);
+  }
+};
+
 // Serve uploaded files (profile photos, etc.)
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+app.use('/uploads', serveStored('uploads'));
 
-// Serve admin assets (template preview images, etc.)
-app.use('/admin-assets', express.static(path.join(__dirname, 'admin-assets')));
+// Serve admin assets (template preview images, etc.): bundled files first, then admin uploads in storage
+app.use('/admin-assets', express.static(path.join(__dirname, 'admin-assets')), serveStored('admin-assets'));
 
 // NOTE: /user-templates is NOT served statically — files are served through
 // authenticated API endpoints (GET /api/user-generated-templates/:id/files/:type)
@@ -159,24 +200,110 @@ async function findPublicTemplate(resume, templateIdOverride) {
   return template;
 }
 
-// ── Helper: validate public resume access (visibility + subscription) ──
-async function validatePublicAccess(resume, res, errorFormat = 'html') {
-  if (!resume || resume.visibility !== 'public') {
-    if (errorFormat === 'html') {
-      res.status(404).send(`
+// ── Helper: find a public resume by slug, redirecting slugs it has since changed from ──
+// Returns the resume (or null, left to validatePublicAccess), or false after redirecting.
+async function findPublicResume(req, res) {
+  const resume = await Resume.findOne({ slug: req.params.slug });
+  if (resume) return resume;
+
+  const renamed = await Resume.findOne({ previousSlugs: req.params.slug, isDeleted: false }).select('slug');
+  if (!renamed) return null;
+
+  const prefix = `/public/resume/${encodeURIComponent(req.params.slug)}`;
+  const rest = req.originalUrl.startsWith(prefix) ? req.originalUrl.slice(prefix.length) : '';
+  res.redirect(req.method === 'GET' ? 301 : 308, `/public/resume/${encodeURIComponent(renamed.slug)}${rest}`);
+  return false;
+}
+
+// ── Helper: simple centered message page for public resume errors ──
+function publicMessagePage(title, message) {
+  return `
         <html>
           <body style="display:flex;align-items:center;justify-content:center;min-height:100vh;font-family:system-ui;background:#f9fafb;">
             <div style="text-align:center;max-width:400px;padding:2rem;">
-              <h2 style="color:#1f2937;">Resume Not Found</h2>
-              <p style="color:#6b7280;">This resume does not exist or is not publicly available.</p>
+              <h2 style="color:#1f2937;">${title}</h2>
+              <p style="color:#6b7280;">${message}</p>
             </div>
           </body>
         </html>
-      `);
-    } else {
-      res.status(404).send('Resume not found');
-    }
+      `;
+}
+
+// ── Helper: password prompt for a protected resume link ──
+function linkPasswordPage(req, error) {
+  const action = `/public/resume/${encodeURIComponent(req.params.slug)}/unlock?link=${encodeURIComponent(req.query.link)}`;
+  return `
+        <html>
+          <body style="display:flex;align-items:center;justify-content:center;min-height:100vh;font-family:system-ui;background:#f9fafb;">
+            <form method="POST" action="${action}" style="text-align:center;max-width:360px;padding:2rem;">
+              <div style="font-size:3rem;margin-bottom:1rem;">🔒</div>
+              <h2 style="color:#1f2937;margin-bottom:0.5rem;">Password Required</h2>
+              <p style="color:#6b7280;">Enter the password you were given to view this resume.</p>
+              ${error ? `<p style="color:#dc2626;">${error}</p>` : ''}
+              <input type="password" name="password" required autofocus style="width:100%;padding:0.5rem;margin:0.5rem 0;border:1px solid #d1d5db;border-radius:0.5rem;" />
+              <button type="submit" style="width:100%;padding:0.5rem;background:#4f46e5;color:#fff;border:none;border-radius:0.5rem;cursor:pointer;">View Resume</button>
+            </form>
+          </body>
+        </html>
+      `;
+}
+
+// ── Helper: per-link unlock cookie (set after the link password is entered) ──
+const LINK_UNLOCK_HOURS = 12;
+
+function linkCookieName(link) {
+  return `resume_link_${link._id}`;
+}
+
+function readCookie(req, name) {
+  const pair = (req.headers.cookie || '').split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+// Bound to the current password hash, so changing the password locks everyone out again
+function linkUnlockFingerprint(link) {
+  return link.passwordHash.slice(-16);
+}
+
+function isLinkUnlocked(req, link) {
+  const cookie = readCookie(req, linkCookieName(link));
+  if (!cookie) return false;
+  try {
+    const payload = jwt.verify(cookie, process.env.JWT_SECRET);
+    return payload.linkId === link._id.toString() && payload.pw === linkUnlockFingerprint(link);
+  } catch {
+    return false;
+  }
+}
+
+// ── Helper: validate public resume access (visibility or named link + password/expiry + subscription) ──
+// Returns { link } (link is null for plain slug access), or false after sending the error response.
+async function validatePublicAccess(req, resume, res, errorFormat = 'html') {
+  const sendError = (status, title, message, text) => {
+    if (errorFormat === 'html') res.status(status).send(publicMessagePage(title, message));
+    else res.status(status).send(text);
     return false;
+  };
+
+  let link = null;
+  if (req.query.link) {
+    // Named links work even when the resume itself is not public
+    link = resume && !resume.isDeleted
+      ? await ResumeLink.findOne({ token: String(req.query.link), resumeId: resume._id, revokedAt: null }).select('+passwordHash')
+      : null;
+    if (!link) {
+      return sendError(404, 'Resume Not Found', 'This link is invalid or has been revoked.', 'Resume not found');
+    }
+    if (link.isExpired()) {
+      return sendError(410, 'Link Expired', 'This resume link has expired. Ask the sender for a new one.', 'Link expired');
+    }
+    if (link.hasPassword && !isLinkUnlocked(req, link)) {
+      if (errorFormat === 'html') res.status(401).send(linkPasswordPage(req));
+      else res.status(401).send('Password required');
+      return false;
+    }
+  } else if (!resume || resume.visibility !== 'public') {
+    return sendError(404, 'Resume Not Found', 'This resume does not exist or is not publicly available.', 'Resume not found');
   }
 
   const resumeOwner = await User.findById(resume.userId).select('role');
@@ -202,37 +329,78 @@ async function validatePublicAccess(resume, res, errorFormat = 'html') {
     return false;
   }
 
-  return true;
+  return { link };
 }
 
-// Preview Image  — GET /public/resume/:slug/preview?template=templateId
+// Unlock a password-protected link  — POST /public/resume/:slug/unlock?link=token
+app.post('/public/resume/:slug/unlock', linkPasswordLimiter, async (req, res) => {
+  try {
+    const resume = await findPublicResume(req, res);
+    if (resume === false) return;
+    const link = resume && req.query.link
+      ? await ResumeLink.findOne({ token: String(req.query.link), resumeId: resume._id, revokedAt: null }).select('+passwordHash')
+      : null;
+    if (!link || link.isExpired() || !link.hasPassword) {
+      return res.redirect(303, `/public/resume/${encodeURIComponent(req.params.slug)}?link=${encodeURIComponent(req.query.link || '')}`);
+    }
+
+    if (!await link.checkPassword(req.body?.password)) {
+      return res.status(401).send(linkPasswordPage(req, 'Incorrect password.'));
+    }
+
+    let maxAge = LINK_UNLOCK_HOURS * 60 * 60 * 1000;
+    if (link.expiresAt) maxAge = Math.min(maxAge, link.expiresAt.getTime() - Date.now());
+    const cookie = jwt.sign({ linkId: link._id.toString(), pw: linkUnlockFingerprint(link) }, process.env.JWT_SECRET, {
+      expiresIn: Math.max(1, Math.floor(maxAge / 1000))
+    });
+    res.cookie(linkCookieName(link), cookie, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge,
+      path: `/public/resume/${resume.slug}`
+    });
+    res.redirect(303, `/public/resume/${encodeURIComponent(resume.slug)}?link=${encodeURIComponent(link.token)}`);
+  } catch (err) {
+    res.status(500).send('Internal Server Error');
+  }
+});
+
+// Preview Image  — GET /public/resume/:slug/preview?template=templateId[&page=2&size=thumb]
 app.get('/public/resume/:slug/preview', async (req, res) => {
   try {
-    const resume = await Resume.findOne({ slug: req.params.slug });
-    if (!await validatePublicAccess(resume, res, 'text')) return;
+    const resume = await findPublicResume(req, res);
+    if (resume === false) return;
+    if (!await validatePublicAccess(req, resume, res, 'text')) return;
 
-    const template = await findPublicTemplate(resume, req.query.template);
-    if (!template || !template.previewImagePath) return res.status(404).send('Preview not found');
+    const { error, value } = previewQuerySchema.validate({ page: req.query.page, size: req.query.size });
+    if (error) return res.status(400).send(error.details[0].message);
 
-    res.sendFile(path.resolve(template.previewImagePath));
+    const template = await findPublicTemplate(resume, req.query.template);
+    const previewPath = template?.previewPath(value);
+    if (!previewPath || !await storage.send(res, previewPath)) return res.status(404).send('Preview not found');
   } catch (err) {
     res.status(500).send('Internal Server Error');
   }
 });
 
-// HTML Resume View  — GET /public/resume/:slug?template=templateId
+// HTML Resume View  — GET /public/resume/:slug?template=templateId[&link=token]
 app.get('/public/resume/:slug', async (req, res) => {
   try {
-    const resume = await Resume.findOne({ slug: req.params.slug });
-    if (!await validatePublicAccess(resume, res, 'html')) return;
+    const resume = await findPublicResume(req, res);
+    if (resume === false) return;
+    const access = await validatePublicAccess(req, resume, res, 'html');
+    if (!access) return;
 
-    // Track view analytics
+    // Track view analytics (attributed to the named link, if any)
     try {
       await ResumeAnalytics.recordView(resume._id, resume.userId, resume.slug, {
         ip: req.ip || req.connection?.remoteAddress,
         userAgent: req.headers['user-agent'],
-        referer: req.headers['referer'] || req.headers['referrer']
+        referer: req.headers['referer'] || req.headers['referrer'],
+        linkId: access.link?._id
       });
+      if (access.link) await ResumeLink.recordHit(access.link._id, 'views');
     } catch (analyticsErr) {
       console.error('Analytics tracking error:', analyticsErr.message);
     }
@@ -240,30 +408,51 @@ app.get('/public/resume/:slug', async (req, res) => {
     const template = await findPublicTemplate(resume, req.query.template);
     if (!template) return res.status(404).send('Template not found');
 
-    res.sendFile(path.resolve(template.htmlFilePath));
+    // Sent from this origin (not a storage redirect) so hosted URLs and custom domains stay in the address bar
+    const html = await storage.get(template.htmlFilePath).catch(() => null);
+    if (!html) return res.status(404).send('Template not found');
+    res.type('html').send(html);
   } catch (err) {
     res.status(500).send('Internal Server Error');
   }
 });
 
-// PDF Download  — GET /public/resume/:slug/pdf?template=templateId
+// PDF Download  — GET /public/resume/:slug/pdf?template=templateId[&link=token]
 app.get('/public/resume/:slug/pdf', async (req, res) => {
   try {
-    const resume = await Resume.findOne({ slug: req.params.slug });
-    if (!await validatePublicAccess(resume, res, 'text')) return;
+    const resume = await findPublicResume(req, res);
+    if (resume === false) return;
+    const access = await validatePublicAccess(req, resume, res, 'text');
+    if (!access) return;
 
     // Track PDF download
     try {
       await ResumeAnalytics.recordPdfDownload(resume._id);
+      if (access.link) await ResumeLink.recordHit(access.link._id, 'pdfDownloads');
     } catch (analyticsErr) {
       console.error('Analytics tracking error:', analyticsErr.message);
     }
 
     const template = await findPublicTemplate(resume, req.query.template);
-    if (!template || !template.pdfFilePath) return res.status(404).send('PDF not found');
+    if (!template?.pdfFilePath || !await storage.send(res, template.pdfFilePath, { downloadName: `${resume.slug}.pdf` })) {
+      return res.status(404).send('PDF not found');
+    }
+  } catch (err) {
+    res.status(500).send('Internal Server Error');
+  }
+});
 
-    res.setHeader('Content-Disposition', `attachment; filename="${resume.slug}.pdf"`);
-    res.sendFile(path.resolve(template.pdfFilePath));
+// DOCX Download  — GET /public/resume/:slug/docx?template=templateId[&link=token]
+app.get('/public/resume/:slug/docx', async (req, res) => {
+  try {
+    const resume = await findPublicResume(req, res);
+    if (resume === false) return;
+    if (!await validatePublicAccess(req, resume, res, 'text')) return;
+
+    const template = await findPublicTemplate(resume, req.query.template);
+    if (!template?.docxFilePath || !await storage.send(res, template.docxFilePath, { downloadName: `${resume.slug}.docx` })) {
+      return res.status(404).send('DOCX not found');
+    }
   } catch (err) {
     res.status(500).send('Internal Server Error');
   }
@@ -286,10 +475,40 @@ const startServer = async () => {
     await MasterData.seedDefaults();
     console.log('✅ Default master data seeded');
 
+    // Move pre-bucket balances into legacy credit buckets
+    const migrated = await CreditBucket.migrateLegacyBalances();
+    if (migrated) console.log(`✅ Moved ${migrated} user balance(s) into credit buckets`);
+
+    // Refund credit holds whose request never finished (serverless uses the cron at /api/credits/sweep)
+    setInterval(() => {
+      releaseExpiredReservations().catch(err => console.error('❌ Credit reservation sweep failed:', err.message));
+    }, 60 * 1000).unref();
+
+    // Expire credits hourly (serverless uses the cron at /api/credits/sweep)
+    setInterval(() => {
+      expireCredits().catch(err => console.error('❌ Credit expiry failed:', err.message));
+    }, 60 * 60 * 1000).unref();
+
+    // Single-process setups can run the render worker in the API (otherwise: npm run worker)
+    const renderWorker = process.env.RENDER_WORKER_INLINE === 'true' ? startRenderWorker() : null;
+    if (renderWorker) console.log('✅ Inline render worker started');
+
     const PORT = process.env.PORT || 5000;
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
     });
+
+    // Finish in-flight requests and renders, then close the pooled browsers
+    const shutdown = async (signal) => {
+      console.log(`${signal} received, shutting down...`);
+      await new Promise(resolve => server.close(resolve));
+      if (renderWorker) await renderWorker.stop();
+      await shutdownBrowserPool();
+      await mongoose.disconnect();
+      process.exit(0);
+    };
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+    process.once('SIGINT', () => shutdown('SIGINT'));
   } catch (err) {
     console.error('❌ Failed to connect to MongoDB:', err.message);
     process.exit(1); // Exit on DB failure
@@ -1,13 +1,33 @@
 const AppSettings = require('../models/appSettings.model');
 const logger = require('../utils/logger');
+const { recordAIUsage } = require('./aiUsage.service');
+const {
+    resumeDataSchema,
+    resumeTitleSchema,
+    resumeSummarySchema,
+    cvExtractionSchema
+} = require('../validations/ai.validation');
 
 /**
  * AI Service — Provider-agnostic wrapper.
  *
- * Currently supports: OpenAI, mock (placeholder)
+ * Every AI feature (resumes, CV import, cover letters & proposals, salary
+ * estimates) goes through `generateAIResponse`, so the `ai_provider` setting
+ * switches all of them at once.
+ *
+ * Currently supports:
+ *   - mock      — placeholder data, no API key (each feature can supply its own mock)
+ *   - openai    — OpenAI Chat Completions (`ai_model`, `openai_api_key`)
+ *   - anthropic — Anthropic Messages API (`anthropic_model`, `anthropic_api_key`)
+ *   - local     — any OpenAI-compatible endpoint, e.g. Ollama or LM Studio
+ *                 (`local_ai_base_url`, `local_ai_model`, `local_ai_api_key`)
+ *
+ * Every call is metered (tokens, latency, estimated cost) into AIUsage.
+ *
  * To add a new provider:
- *   1. Create a function like `callOpenAI` below
- *   2. Register it in the `providers` map
+ *   1. Create a function like `callOpenAI` below — (prompt, systemPrompt, model, options)
+ *      returning the reply text, or { text, usage: { promptTokens, completionTokens } }
+ *   2. Register it in the `providers` map (and its model setting in `MODEL_SETTINGS`)
  *   3. Set `ai_provider` in AppSettings (or .env) to the new key
  *
  * NOTE: The default provider is set to "mock" to avoid real API costs
@@ -173,68 +193,374 @@ async function callMock(prompt, _systemPrompt, _model) {
     return JSON.stringify(result);
 }
 
-async function callOpenAI(prompt, systemPrompt, model) {
-    // Dynamic import so the app doesn't crash if openai isn't installed for other providers
-    const OpenAI = require('openai');
-    // DB key takes precedence; fall back to .env
-    const dbKey = await AppSettings.get('openai_api_key');
-    const apiKey = (dbKey && dbKey.trim()) || process.env.OPENAI_API_KEY;
-    if (!apiKey) throw new Error('OpenAI API key is not configured. Set it in Admin Settings or OPENAI_API_KEY environment variable.');
-    const client = new OpenAI({ apiKey });
+/**
+ * Read an API key from AppSettings, falling back to an environment variable.
+ */
+async function getApiKey(settingKey, envKey) {
+    const dbKey = await AppSettings.get(settingKey);
+    return (dbKey && dbKey.trim()) || process.env[envKey];
+}
 
-    const response = await client.chat.completions.create({
-        model: model || 'gpt-4o-mini',
+/**
+ * Run a chat completion on an OpenAI-compatible client. With `onToken`, the
+ * completion is streamed and each text delta is passed to it as it arrives.
+ * @returns {Promise<{ text: string, usage: { promptTokens, completionTokens } | null }>}
+ */
+async function chatCompletion(client, prompt, systemPrompt, model, { temperature, onToken }) {
+    const request = {
+        model,
         messages: [
             { role: 'system', content: systemPrompt },
             { role: 'user', content: prompt }
         ],
-        temperature: 0.7,
+        temperature,
         response_format: { type: 'json_object' }
-    });
+    };
+    const toUsage = (u) => (u ? { promptTokens: u.prompt_tokens, completionTokens: u.completion_tokens } : null);
 
-    return response.choices[0].message.content;
+    if (!onToken) {
+        const response = await client.chat.completions.create(request);
+        return { text: response.choices[0].message.content, usage: toUsage(response.usage) };
+    }
+
+    // include_usage adds a final chunk with token counts (servers that ignore it get estimated usage)
+    const stream = await client.chat.completions.create({ ...request, stream: true, stream_options: { include_usage: true } });
+    let text = '';
+    let usage = null;
+    for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+            text += delta;
+            onToken(delta);
+        }
+        if (chunk.usage) usage = toUsage(chunk.usage);
+    }
+    return { text, usage };
+}
+
+async function callOpenAI(prompt, systemPrompt, model, options) {
+    // Dynamic import so the app doesn't crash if openai isn't installed for other providers
+    const OpenAI = require('openai');
+    // DB key takes precedence; fall back to .env
+    const apiKey = await getApiKey('openai_api_key', 'OPENAI_API_KEY');
+    if (!apiKey) throw new Error('OpenAI API key is not configured. Set it in Admin Settings or OPENAI_API_KEY environment variable.');
+    const client = new OpenAI({ apiKey });
+
+    return chatCompletion(client, prompt, systemPrompt, model, options);
+}
+
+async function callAnthropic(prompt, systemPrompt, model, { temperature, onToken }) {
+    const Anthropic = require('@anthropic-ai/sdk');
+    const apiKey = await getApiKey('anthropic_api_key', 'ANTHROPIC_API_KEY');
+    if (!apiKey) throw new Error('Anthropic API key is not configured. Set it in Admin Settings or ANTHROPIC_API_KEY environment variable.');
+    const client = new Anthropic({ apiKey });
+
+    // No JSON mode in the Messages API — ask for bare JSON and let parseJSON tolerate fences
+    const request = {
+        model,
+        max_tokens: 4096,
+        system: `${systemPrompt}\n\nRespond with the JSON object only — no prose before or after it.`,
+        messages: [{ role: 'user', content: prompt }],
+        temperature
+    };
+
+    if (!onToken) {
+        const response = await client.messages.create(request);
+        return {
+            text: response.content
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join(''),
+            usage: { promptTokens: response.usage.input_tokens, completionTokens: response.usage.output_tokens }
+        };
+    }
+
+    const stream = await client.messages.create({ ...request, stream: true });
+    let text = '';
+    const usage = { promptTokens: 0, completionTokens: 0 };
+    for await (const event of stream) {
+        if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+            text += event.delta.text;
+            onToken(event.delta.text);
+        } else if (event.type === 'message_start') {
+            usage.promptTokens = event.message.usage.input_tokens;
+        } else if (event.type === 'message_delta' && event.usage) {
+            usage.completionTokens = event.usage.output_tokens;
+        }
+    }
+    return { text, usage };
+}
+
+/**
+ * OpenAI-compatible local endpoint (Ollama, LM Studio, vLLM, llama.cpp server, ...).
+ */
+async function callLocal(prompt, systemPrompt, model, options) {
+    const OpenAI = require('openai');
+    const baseURL = await AppSettings.get('local_ai_base_url', process.env.LOCAL_AI_BASE_URL || 'http://localhost:11434/v1');
+    if (!baseURL) throw new Error('Local AI base URL is not configured. Set local_ai_base_url in Admin Settings.');
+    // Most local servers ignore the key, but the client requires a non-empty one
+    const apiKey = (await getApiKey('local_ai_api_key', 'LOCAL_AI_API_KEY')) || 'local';
+    const client = new OpenAI({ apiKey, baseURL });
+
+    return chatCompletion(client, prompt, systemPrompt, model, options);
+}
+
+/**
+ * Mock streaming: emit already-generated text in small chunks with a short
+ * delay, so streaming endpoints behave like a real provider offline.
+ */
+async function simulateStream(text, onToken, { chunkSize = 16, delayMs = 15 } = {}) {
+    for (let i = 0; i < text.length; i += chunkSize) {
+        onToken(text.slice(i, i + chunkSize));
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
 }
 
 // Register providers here — add more as needed
 const providers = {
     mock: callMock,
-    openai: callOpenAI
-    // anthropic: callAnthropic,
+    openai: callOpenAI,
+    anthropic: callAnthropic,
+    local: callLocal
     // gemini: callGemini,
 };
 
+// Model setting + fallback per provider (model names are provider-specific)
+const MODEL_SETTINGS = {
+    mock: { key: 'ai_model', env: 'AI_MODEL', fallback: 'gpt-4o-mini' },
+    openai: { key: 'ai_model', env: 'AI_MODEL', fallback: 'gpt-4o-mini' },
+    anthropic: { key: 'anthropic_model', env: 'ANTHROPIC_MODEL', fallback: 'claude-3-5-haiku-latest' },
+    local: { key: 'local_ai_model', env: 'LOCAL_AI_MODEL', fallback: 'llama3.1' }
+};
+
+/**
+ * Parse a provider's JSON reply, tolerating Markdown code fences and
+ * surrounding prose (common with providers that have no JSON mode).
+ */
+function parseJSON(raw) {
+    try {
+        return JSON.parse(raw);
+    } catch {
+        const text = String(raw || '').replace(/```(?:json)?/gi, '');
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        if (start !== -1 && end > start) {
+            try {
+                return JSON.parse(text.slice(start, end + 1));
+            } catch { /* fall through */ }
+        }
+        return undefined;
+    }
+}
+
 // ─── Public API ───────────────────────────────────────────────────────────────
 
+/**
+ * Active provider key (`ai_provider` setting, then AI_PROVIDER env, then "openai").
+ */
+async function getAIProvider() {
+    return AppSettings.get('ai_provider', process.env.AI_PROVIDER || 'openai');
+}
+
+// Error code for AI output that still failed validation after all retries
+const AI_INVALID_RESPONSE = 'AI_INVALID_RESPONSE';
+
+/**
+ * Validate a parsed AI reply. Returns { value, issues } — `value` is the
+ * repaired output (Joi conversions, unknown keys stripped), `issues` a
+ * list of human-readable problems (empty when valid).
+ */
+function validateAIOutput(parsed, schema, check) {
+    if (parsed === undefined) {
+        return { value: undefined, issues: ['Response was not a valid JSON object'] };
+    }
+
+    const { error, value } = schema.validate(parsed, { abortEarly: false, convert: true, stripUnknown: true });
+    if (error) {
+        return { value, issues: error.details.map(d => d.message) };
+    }
+
+    return { value, issues: check ? check(value) : [] };
+}
+
+/**
+ * Build the error thrown when AI output cannot be validated.
+ * Carries status 503 so controllers can answer with `aiErrorBody(err)`.
+ */
+function invalidResponseError(task, attempts, issues) {
+    const err = new Error(`AI returned an invalid ${task.replace(/_/g, ' ')} response after ${attempts} attempt(s)`);
+    err.status = 503;
+    err.code = AI_INVALID_RESPONSE;
+    err.task = task;
+    err.attempts = attempts;
+    err.issues = issues;
+    return err;
+}
+
+/**
+ * Response body for a failed AI call.
+ * Validation failures get a structured body; anything else (provider down,
+ * missing API key) gets the generic message.
+ */
+function aiErrorBody(err, message = 'AI service is temporarily unavailable. Please try again.') {
+    if (err.code !== AI_INVALID_RESPONSE) {
+        return { error: message, details: process.env.NODE_ENV === 'development' ? err.message : undefined };
+    }
+    return {
+        error: 'The AI returned an unusable response. Please try again.',
+        code: err.code,
+        task: err.task,
+        attempts: err.attempts,
+        issues: err.issues.slice(0, 10)
+    };
+}
+
 /**
  * Send a prompt to the configured AI provider.
  * Returns parsed JSON from the AI response.
+ *
+ * With a `schema`, the reply is validated (and lightly repaired) and, if it
+ * is still invalid, the prompt is re-sent with the problems listed, up to
+ * `ai_max_retries` extra times. After that an AI_INVALID_RESPONSE error
+ * (status 503) is thrown.
+ *
+ * @param {string} prompt - User message (usually a JSON payload)
+ * @param {string} systemPrompt - Instructions, including the expected JSON shape
+ * @param {Object} [options]
+ * @param {Function} [options.mock] - Returns this feature's placeholder result when the provider is "mock"
+ *                                    (defaults to the resume-generation mock)
+ * @param {number} [options.temperature=0.7]
+ * @param {string} [options.task='generic'] - Feature key used in logs, errors and AIUsage (e.g. 'resume_data')
+ * @param {Object} [options.schema] - Joi schema for the reply
+ * @param {Function} [options.check] - (value) => string[] of extra problems (e.g. unknown IDs)
+ * @param {Function} [options.onToken] - Stream the reply: called with each text chunk as it arrives
+ * @param {Function} [options.onRetry] - Called with (attempt, issues) before a retry, so streamed text can be discarded
+ * @param {string} [options.userId] - User the call is made for (recorded in AIUsage)
  */
-async function generateAIResponse(prompt, systemPrompt) {
-    const providerKey = await AppSettings.get('ai_provider', process.env.AI_PROVIDER || 'openai');
-    const model = await AppSettings.get('ai_model', process.env.AI_MODEL || 'gpt-4o-mini');
+async function generateAIResponse(prompt, systemPrompt, { mock, temperature = 0.7, task = 'generic', schema, check, onToken, onRetry, userId = null } = {}) {
+    const providerKey = await getAIProvider();
 
     const providerFn = providers[providerKey];
     if (!providerFn) {
         throw new Error(`AI provider "${providerKey}" is not registered. Available: ${Object.keys(providers).join(', ')}`);
     }
 
-    logger.info(`AI request → provider: ${providerKey}, model: ${model}`);
+    if (providerKey === 'mock' && mock) {
+        logger.info(`AI request → provider: mock (feature mock), task: ${task}`);
+        const startedAt = Date.now();
+        const result = await mock();
+        if (onToken) await simulateStream(JSON.stringify(result), onToken);
+        recordAIUsage({
+            userId, feature: task, provider: 'mock', model: null,
+            prompt: `${systemPrompt}${prompt}`, completion: JSON.stringify(result),
+            latencyMs: Date.now() - startedAt, streamed: !!onToken
+        });
+        if (!schema) return result;
+        // Mocks are deterministic enough that retrying would not help
+        const { value, issues } = validateAIOutput(result, schema, check);
+        if (issues.length) throw invalidResponseError(task, 1, issues);
+        return value;
+    }
 
-    const raw = await providerFn(prompt, systemPrompt, model);
+    const modelSetting = MODEL_SETTINGS[providerKey];
+    const model = await AppSettings.get(modelSetting.key, process.env[modelSetting.env] || modelSetting.fallback);
+    const maxRetries = schema ? Math.max(0, Number(await AppSettings.get('ai_max_retries', 2)) || 0) : 0;
+
+    let attemptPrompt = prompt;
+    let issues = [];
+    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+        logger.info(`AI request → provider: ${providerKey}, model: ${model}, task: ${task}${attempt > 1 ? `, retry ${attempt - 1}/${maxRetries}` : ''}`);
+
+        const usageCall = { userId, feature: task, provider: providerKey, model, attempt, prompt: `${systemPrompt}${attemptPrompt}`, streamed: !!onToken };
+        const startedAt = Date.now();
+        let reply;
+        try {
+            reply = await providerFn(attemptPrompt, systemPrompt, model, { temperature, onToken });
+        } catch (err) {
+            recordAIUsage({ ...usageCall, latencyMs: Date.now() - startedAt, error: err });
+            throw err;
+        }
+        const { text: raw, usage } = typeof reply === 'string' ? { text: reply, usage: null } : reply;
+        if (providerKey === 'mock' && onToken) await simulateStream(raw, onToken);
+        recordAIUsage({ ...usageCall, usage, completion: raw, latencyMs: Date.now() - startedAt });
+        const parsed = parseJSON(raw);
+
+        if (!schema) {
+            if (parsed === undefined) {
+                logger.warn('AI response was not valid JSON, returning raw text');
+                return { raw };
+            }
+            return parsed;
+        }
 
-    try {
-        return JSON.parse(raw);
-    } catch {
-        logger.warn('AI response was not valid JSON, returning raw text');
-        return { raw };
+        const result = validateAIOutput(parsed, schema, check);
+        if (!result.issues.length) return result.value;
+
+        issues = result.issues;
+        logger.warn(`AI ${task} response rejected (attempt ${attempt}): ${issues.join('; ')}`);
+        if (onRetry && attempt <= maxRetries) onRetry(attempt + 1, issues);
+
+        // Feed the problems back so the next attempt can correct them
+        attemptPrompt = `${prompt}
+
+Your previous response was rejected for these reasons:
+- ${issues.join('\n- ')}
+
+Respond again with a corrected JSON object that follows the required format exactly.`;
     }
+
+    throw invalidResponseError(task, maxRetries + 1, issues);
+}
+
+// ─── Output Checks ───────────────────────────────────────────────────────────
+
+const lower = (value) => String(value).toLowerCase();
+
+/**
+ * Cross-check a resume-data reply against the payload it was generated from:
+ * every entity ID, skill, language and platform must belong to the candidate.
+ * @returns {string[]} Problems, phrased as feedback for the model
+ */
+function findUnknownReferences(value, payload) {
+    const issues = [];
+
+    ['educations', 'experiences', 'projects', 'certifications', 'awards'].forEach(key => {
+        const known = new Set((payload[key] || []).map(e => String(e._id)));
+        const unknown = value[key].filter(id => !known.has(id));
+        if (unknown.length) issues.push(`"${key}" contains IDs that are not in the provided ${key}: ${unknown.join(', ')}`);
+    });
+
+    const profile = payload.userProfile || {};
+    const lists = [
+        ['selectedSkills', (profile.skills || []).map(s => s.name), "the candidate's skills"],
+        ['selectedLanguages', (profile.languages || []).map(l => l.name), "the candidate's languages"],
+        ['selectedSocialMedia', (profile.socialMedia || []).map(sm => sm.platform), "the candidate's social media platforms"]
+    ];
+    lists.forEach(([key, names, description]) => {
+        const known = new Set(names.filter(Boolean).map(lower));
+        const unknown = value[key].filter(name => !known.has(lower(name)));
+        if (unknown.length) issues.push(`"${key}" contains values that are not in ${description}: ${unknown.join(', ')}`);
+    });
+
+    return issues;
+}
+
+// Map names to the profile's spelling ("node.js" → "Node.js")
+function canonicalNames(names, profileItems = []) {
+    return names.map(name => profileItems.find(item => item?.name && lower(item.name) === lower(name))?.name || name);
 }
 
 /**
  * Generate a tailored resume from user data + job description.
  * Returns an object matching the Resume schema fields.
+ * With `rerankOnly`, the model is asked to order the given content rather than select from it.
+ * `onToken` / `onRetry` stream the reply and `userId` attributes usage (see generateAIResponse).
  */
-async function generateResumeFromProfile(aiInputPayload) {
+async function generateResumeFromProfile(aiInputPayload, { rerankOnly = false, onToken, onRetry, userId } = {}) {
+    const rerankRules = rerankOnly ? `
+- This is an existing resume being tailored. Every entity, skill, language and platform provided is already on it.
+- Return ALL provided IDs and names, ordered from most to least relevant to the job description. Do not drop or add any.` : '';
+
     const systemPrompt = `You are an expert resume writer and career consultant. 
 Your job is to analyze a candidate's profile data and a target job description, then produce an optimized resume.
 
@@ -259,18 +585,30 @@ Rules:
 - For selectedLanguages, choose ONLY from the candidate's own languages. Do NOT invent or add languages that are not in the candidate's profile.
 - Prioritize relevance to the job description.
 - The summary should be compelling, professional, and tailored to the target role.
-- Keep customFields empty unless there's something notable to add.`;
+- Keep customFields empty unless there's something notable to add.${rerankRules}`;
 
     const prompt = JSON.stringify(aiInputPayload);
 
-    return generateAIResponse(prompt, systemPrompt);
+    const result = await generateAIResponse(prompt, systemPrompt, {
+        task: 'resume_data',
+        schema: resumeDataSchema,
+        check: (value) => findUnknownReferences(value, aiInputPayload),
+        onToken,
+        onRetry,
+        userId
+    });
+
+    // Use the profile's spelling for skills and languages (matching is case-insensitive)
+    result.selectedSkills = canonicalNames(result.selectedSkills, aiInputPayload.userProfile?.skills);
+    result.selectedLanguages = canonicalNames(result.selectedLanguages, aiInputPayload.userProfile?.languages);
+    return result;
 }
 
 /**
  * Generate a resume title from user data + job description.
  * Accepts optional custom instructions from the user.
  */
-async function generateResumeTitle(payload) {
+async function generateResumeTitle(payload, { userId } = {}) {
     const systemPrompt = `You are an expert resume writer. Generate a concise, professional resume title.
 
 You MUST respond with a valid JSON object:
@@ -291,14 +629,14 @@ ${payload.customInstructions ? `- Additional user instructions: ${payload.custom
         skills: payload.skills
     });
 
-    return generateAIResponse(prompt, systemPrompt);
+    return generateAIResponse(prompt, systemPrompt, { task: 'resume_title', schema: resumeTitleSchema, userId });
 }
 
 /**
  * Generate a professional summary from user data + job description.
  * Accepts optional custom instructions from the user.
  */
-async function generateResumeSummary(payload) {
+async function generateResumeSummary(payload, { onToken, onRetry, userId } = {}) {
     const systemPrompt = `You are an expert resume writer. Generate a compelling professional summary.
 
 You MUST respond with a valid JSON object:
@@ -322,14 +660,14 @@ ${payload.customInstructions ? `- Additional user instructions: ${payload.custom
         skills: payload.skills
     });
 
-    return generateAIResponse(prompt, systemPrompt);
+    return generateAIResponse(prompt, systemPrompt, { task: 'resume_summary', schema: resumeSummarySchema, onToken, onRetry, userId });
 }
 
 /**
  * Extract structured profile data from CV/resume text.
  * Returns an object with intro, skills, languages, educations, experiences, projects, certifications, awards.
  */
-async function extractProfileFromCV(cvText) {
+async function extractProfileFromCV(cvText, { userId } = {}) {
     const systemPrompt = `You are an expert CV/resume parser. Extract structured data from the provided CV text.
 
 You MUST respond with a valid JSON object with these exact keys:
@@ -353,7 +691,12 @@ Rules:
 - Do NOT invent data that is not present in the CV text.
 - Return empty arrays if a section has no data.`;
 
-    return generateAIResponse(cvText, systemPrompt);
+    return generateAIResponse(cvText, systemPrompt, {
+        task: 'cv_extraction',
+        schema: cvExtractionSchema,
+        userId,
+        mock: () => extractProfileFromCVMock(cvText)
+    });
 }
 
 /**
@@ -448,6 +791,9 @@ function extractProfileFromCVMock(cvText) {
 }
 
 module.exports = {
+    AI_INVALID_RESPONSE,
+    aiErrorBody,
+    getAIProvider,
     generateAIResponse,
     generateResumeFromProfile,
     generateResumeTitle,
@@ -0,0 +1,113 @@
+const AIUsage = require('../models/aiUsage.model');
+const AppSettings = require('../models/appSettings.model');
+const logger = require('../utils/logger');
+
+/**
+ * AI Usage Service
+ *
+ * Records tokens, latency and estimated cost for every AI provider call.
+ * Prices are USD per 1M tokens; the `ai_model_pricing` setting overrides or
+ * extends the defaults below, e.g. { "gpt-4o-mini": { "input": 0.15, "output": 0.6 } }.
+ */
+
+const DEFAULT_PRICING = {
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'gpt-4o': { input: 2.50, output: 10.00 },
+    'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+    'gpt-4.1': { input: 2.00, output: 8.00 },
+    'claude-3-5-haiku-latest': { input: 0.80, output: 4.00 },
+    'claude-3-5-sonnet-latest': { input: 3.00, output: 15.00 }
+};
+
+// Providers that never cost anything, whatever the model is called
+const FREE_PROVIDERS = ['mock', 'local'];
+
+/**
+ * Rough token count for providers that do not report usage (~4 characters per token).
+ */
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Pricing for a model: exact match first, then the longest known prefix
+ * (so dated snapshots like "gpt-4o-mini-2024-07-18" resolve).
+ */
+async function getModelPricing(model) {
+    let overrides = await AppSettings.get('ai_model_pricing', {});
+    if (typeof overrides === 'string') {
+        try {
+            overrides = JSON.parse(overrides || '{}');
+        } catch {
+            logger.warn('AI usage: ai_model_pricing is not valid JSON — using built-in pricing');
+            overrides = {};
+        }
+    }
+    const table = { ...DEFAULT_PRICING, ...(overrides && typeof overrides === 'object' ? overrides : {}) };
+    if (!model) return null;
+    if (table[model]) return table[model];
+    const prefix = Object.keys(table)
+        .filter(name => model.startsWith(name))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? table[prefix] : null;
+}
+
+/**
+ * Record one provider call. Never throws — metering must not break the feature.
+ *
+ * @param {Object} call
+ * @param {string} [call.userId]
+ * @param {string} call.feature
+ * @param {string} call.provider
+ * @param {string} [call.model]
+ * @param {number} [call.attempt=1]
+ * @param {{ promptTokens?: number, completionTokens?: number }} [call.usage] - As reported by the provider
+ * @param {string} [call.prompt] - Used to estimate tokens when usage is missing
+ * @param {string} [call.completion]
+ * @param {number} call.latencyMs
+ * @param {boolean} [call.streamed=false]
+ * @param {Error} [call.error] - Set when the provider call failed
+ */
+async function recordAIUsage({ userId = null, feature, provider, model = null, attempt = 1, usage, prompt, completion, latencyMs, streamed = false, error = null }) {
+    try {
+        const reported = usage && Number.isFinite(usage.promptTokens) && Number.isFinite(usage.completionTokens);
+        const promptTokens = reported ? usage.promptTokens : estimateTokens(prompt);
+        const completionTokens = reported ? usage.completionTokens : (error ? 0 : estimateTokens(completion));
+
+        let costUsd = 0;
+        if (!FREE_PROVIDERS.includes(provider)) {
+            const pricing = await getModelPricing(model);
+            if (pricing) {
+                costUsd = (promptTokens * pricing.input + completionTokens * pricing.output) / 1e6;
+            } else {
+                logger.warn(`AI usage: no pricing for model "${model}" — cost recorded as 0. Add it to ai_model_pricing.`);
+            }
+        }
+
+        await AIUsage.create({
+            userId,
+            feature,
+            provider,
+            model,
+            attempt,
+            promptTokens,
+            completionTokens,
+            totalTokens: promptTokens + completionTokens,
+            tokensEstimated: !reported,
+            latencyMs: Math.round(latencyMs),
+            costUsd,
+            streamed,
+            success: !error,
+            error: error ? error.message : null
+        });
+    } catch (err) {
+        logger.error(`Failed to record AI usage for ${feature}: ${err.message}`);
+    }
+}
+
+module.exports = {
+    DEFAULT_PRICING,
+    estimateTokens,
+    getModelPricing,
+    recordAIUsage
+};
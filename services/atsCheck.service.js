@@ -0,0 +1,481 @@
+/**
+ * ATS Compatibility Service
+ *
+ * Compares the text an applicant tracking system would extract from a
+ * generated resume PDF against the resume data it was rendered from, and
+ * reports what was lost or came out in the wrong order.
+ *
+ * Everything here is pure — the controller handles reading the PDF
+ * (via pdf-parse) and building the template context.
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const FULL_MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Headings ATS parsers commonly recognise for each section
+const SECTION_HEADINGS = {
+    summary: ['summary', 'profile', 'about', 'objective'],
+    experiences: ['experience', 'employment', 'work history', 'career'],
+    educations: ['education', 'academic', 'qualifications'],
+    projects: ['project'],
+    certifications: ['certification', 'certificate', 'licenses'],
+    awards: ['award', 'honor', 'honour', 'achievement'],
+    skills: ['skill', 'competenc', 'expertise', 'technologies'],
+    languages: ['language']
+};
+
+const SECTION_TITLES = {
+    summary: 'Summary',
+    experiences: 'Experience',
+    educations: 'Education',
+    projects: 'Projects',
+    certifications: 'Certifications',
+    awards: 'Awards',
+    skills: 'Skills',
+    languages: 'Languages'
+};
+
+// Score weights per category (sum = 100)
+const WEIGHTS = {
+    contact: 20,
+    sections: 25,
+    dates: 15,
+    skills: 20,
+    ordering: 20
+};
+
+// ─── Text Matching ───────────────────────────────────────────────────────────
+
+/**
+ * Normalize text for fuzzy matching: lowercase, unify ligatures/dashes,
+ * and turn punctuation into single spaces.
+ */
+function normalize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/ﬁ/g, 'fi')
+        .replace(/ﬂ/g, 'fl')
+        .replace(/[‐-―]/g, '-')
+        .replace(/[^a-z0-9@+#]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Build a matcher over extracted text. PDF extraction often drops or
+ * inserts spaces (kerning, line wraps), so each lookup also falls back to
+ * a whitespace-free comparison.
+ */
+function createMatcher(text) {
+    const norm = ` ${normalize(text)} `;
+    const compact = norm.replace(/ /g, '');
+    // Map each compact index back to its position in the normalized text
+    const compactToNorm = [];
+    for (let i = 0; i < norm.length; i++) {
+        if (norm[i] !== ' ') compactToNorm.push(i);
+    }
+
+    return {
+        isEmpty: compact.length === 0,
+        /**
+         * Position of the needle in the normalized text, or -1.
+         */
+        indexOf(needle) {
+            const n = normalize(needle);
+            if (!n) return -1;
+            const idx = norm.indexOf(` ${n} `);
+            if (idx !== -1) return idx;
+            const c = n.replace(/ /g, '');
+            const cIdx = compact.indexOf(c);
+            return cIdx === -1 ? -1 : compactToNorm[cIdx];
+        },
+        has(needle) {
+            return this.indexOf(needle) !== -1;
+        },
+        hasDigits(value) {
+            const digits = String(value || '').replace(/\D/g, '');
+            return digits.length > 0 && compact.replace(/\D/g, '').includes(digits);
+        }
+    };
+}
+
+function dateVariants(value) {
+    const d = new Date(value);
+    if (isNaN(d.getTime())) return null;
+    const year = d.getFullYear();
+    const m = d.getMonth();
+    const mm = String(m + 1).padStart(2, '0');
+    return {
+        year: String(year),
+        full: [`${MONTHS[m]} ${year}`, `${FULL_MONTHS[m]} ${year}`, `${mm} ${year}`, `${m + 1} ${year}`, `${year} ${mm}`]
+    };
+}
+
+/**
+ * Check one date: 'found' (month + year), 'partial' (year only) or 'missing'.
+ */
+function checkDate(matcher, value) {
+    const variants = dateVariants(value);
+    if (!variants) return null;
+    if (variants.full.some(v => matcher.has(v))) return 'found';
+    if (matcher.has(variants.year)) return 'partial';
+    return 'missing';
+}
+
+function stripProtocol(url) {
+    return String(url || '').replace(/^https?:\/\//i, '').replace(/^www\./i, '').replace(/\/$/, '');
+}
+
+/**
+ * Count pairs that appear in the opposite order to the expected one.
+ */
+function countInversions(positions) {
+    let inversions = 0;
+    for (let i = 0; i < positions.length; i++) {
+        for (let j = i + 1; j < positions.length; j++) {
+            if (positions[i] > positions[j]) inversions++;
+        }
+    }
+    return inversions;
+}
+
+/**
+ * Indices of one longest strictly increasing subsequence.
+ * @returns {Set<number>}
+ */
+function longestIncreasingSubsequence(values) {
+    const lengths = values.map(() => 1);
+    const prev = values.map(() => -1);
+    for (let i = 0; i < values.length; i++) {
+        for (let j = 0; j < i; j++) {
+            if (values[j] < values[i] && lengths[j] + 1 > lengths[i]) {
+                lengths[i] = lengths[j] + 1;
+                prev[i] = j;
+            }
+        }
+    }
+    const kept = new Set();
+    let i = lengths.indexOf(Math.max(0, ...lengths));
+    while (i !== -1) {
+        kept.add(i);
+        i = prev[i];
+    }
+    return kept;
+}
+
+// ─── Entry Extraction ────────────────────────────────────────────────────────
+
+/**
+ * Describe the entries of each list section: a label for reporting, the
+ * terms that identify the entry in text, the most distinctive of those
+ * (used to locate the entry — job titles often repeat in the header), and
+ * its dates.
+ */
+function describeEntries(context) {
+    return {
+        experiences: context.experiences.map(e => ({
+            label: `${e.jobTitle} at ${e.company}`,
+            terms: [e.jobTitle, e.company],
+            anchor: e.company,
+            dates: [e.startDate, e.isCurrent ? null : e.endDate],
+            isCurrent: !!e.isCurrent
+        })),
+        educations: context.educations.map(e => ({
+            label: `${e.degree}, ${e.institution}`,
+            terms: [e.institution, e.degree],
+            anchor: e.institution,
+            dates: [e.startDate, e.isOngoing ? null : e.endDate],
+            isCurrent: !!e.isOngoing
+        })),
+        projects: context.projects.map(p => ({
+            label: p.title,
+            terms: [p.title],
+            anchor: p.title,
+            dates: [p.startDate, p.isOngoing ? null : p.endDate],
+            isCurrent: !!p.isOngoing
+        })),
+        certifications: context.certifications.map(c => ({
+            label: c.name,
+            terms: [c.name],
+            anchor: c.name,
+            dates: [c.issueDate],
+            isCurrent: false
+        })),
+        awards: context.awards.map(a => ({
+            label: a.title,
+            terms: [a.title],
+            anchor: a.title,
+            dates: [a.date],
+            isCurrent: false
+        }))
+    };
+}
+
+// ─── Checks ──────────────────────────────────────────────────────────────────
+
+function checkContact(matcher, context) {
+    const { user } = context;
+    const phones = user.phones || [];
+    const phone = (phones.find(p => p.isPrimary) || phones[0])?.number;
+
+    const fields = [
+        { field: 'name', value: user.full_name, found: matcher.has(user.full_name) },
+        { field: 'email', value: user.email, found: matcher.has(user.email) }
+    ];
+    if (phone) fields.push({ field: 'phone', value: phone, found: matcher.hasDigits(phone) });
+    if (user.city) fields.push({ field: 'location', value: user.city, found: matcher.has(user.city) });
+    (context.socialMedia || []).filter(s => s.url).forEach(s => {
+        fields.push({ field: s.platform, value: s.url, found: matcher.has(stripProtocol(s.url)) });
+    });
+
+    return {
+        fields,
+        missing: fields.filter(f => !f.found).map(f => f.field)
+    };
+}
+
+function checkSections(matcher, context, entriesBySection) {
+    const sections = [];
+
+    // Respect the resume layout: a hidden summary is not expected in the PDF
+    const summary = context.sections
+        ? context.sections.find(s => s.key === 'summary')?.text
+        : context.resume.summary || context.user.intro;
+    if (summary) {
+        // Compare the opening words — long paragraphs often wrap or hyphenate
+        const opening = normalize(summary).split(' ').slice(0, 8).join(' ');
+        const position = matcher.indexOf(opening);
+        sections.push({ key: 'summary', found: position !== -1, position, anchor: opening });
+    }
+
+    Object.entries(entriesBySection).forEach(([key, entries]) => {
+        if (!entries.length) return;
+        const results = entries.map(entry => {
+            const positions = entry.terms.filter(Boolean).map(t => matcher.indexOf(t));
+            const found = positions.every(p => p !== -1);
+            const seen = positions.filter(p => p !== -1);
+            const anchorPosition = matcher.indexOf(entry.anchor);
+            return {
+                label: entry.label,
+                anchor: entry.anchor,
+                found,
+                position: anchorPosition !== -1 ? anchorPosition : (seen.length ? Math.min(...seen) : -1)
+            };
+        });
+        const located = results.filter(r => r.position !== -1);
+        sections.push({
+            key,
+            found: results.some(r => r.found),
+            position: located.length ? Math.min(...located.map(r => r.position)) : -1,
+            anchor: located.length ? located[0].anchor : null,
+            entriesTotal: results.length,
+            entriesFound: results.filter(r => r.found).length,
+            missingEntries: results.filter(r => !r.found).map(r => r.label),
+            entries: results
+        });
+    });
+
+    if (context.languages.length) {
+        const located = context.languages
+            .map(l => ({ name: l.name, position: matcher.indexOf(l.name) }))
+            .filter(l => l.position !== -1);
+        sections.push({
+            key: 'languages',
+            found: located.length > 0,
+            position: located.length ? Math.min(...located.map(l => l.position)) : -1,
+            anchor: located.length ? located[0].name : null
+        });
+    }
+
+    return sections.map(s => {
+        const { entries, ...rest } = s;
+        // A renamed section still counts as having a heading if its custom title is present
+        const customTitle = context.sections?.find(cs => cs.key === s.key)?.title;
+        return {
+            ...rest,
+            title: SECTION_TITLES[s.key],
+            headingFound: SECTION_HEADINGS[s.key].some(h => matcher.has(h)) || (!!customTitle && matcher.has(customTitle)),
+            _entries: entries
+        };
+    });
+}
+
+/**
+ * Check dates of entries that were found — entries missing entirely are
+ * already reported by the section check.
+ */
+function checkDates(matcher, entriesBySection, sections) {
+    const foundLabels = new Set(sections.flatMap(s => (s._entries || []).filter(e => e.found).map(e => e.label)));
+    const missing = [];
+    const partial = [];
+    let total = 0;
+    let found = 0;
+
+    Object.entries(entriesBySection).forEach(([key, entries]) => {
+        entries.filter(entry => foundLabels.has(entry.label)).forEach(entry => {
+            entry.dates.forEach(date => {
+                const status = date ? checkDate(matcher, date) : null;
+                if (!status) return;
+                total++;
+                if (status === 'found') found++;
+                const expected = new Date(date).toISOString().split('T')[0];
+                if (status === 'partial') partial.push({ section: key, entry: entry.label, expected });
+                if (status === 'missing') missing.push({ section: key, entry: entry.label, expected });
+            });
+            if (entry.isCurrent) {
+                total++;
+                if (['present', 'current', 'now', 'ongoing'].some(w => matcher.has(w))) found++;
+                else missing.push({ section: key, entry: entry.label, expected: 'Present' });
+            }
+        });
+    });
+
+    return { total, found, partial, missing };
+}
+
+function checkSkills(matcher, context) {
+    const names = (context.skills || []).map(s => s.name).filter(Boolean);
+    const missing = names.filter(n => !matcher.has(n));
+    return { total: names.length, found: names.length - missing.length, missing };
+}
+
+/**
+ * Check ordering: entries within a section should appear in resume order,
+ * and sections in the order the template lays them out (taken from the
+ * rendered HTML when available, otherwise the resume's own order).
+ */
+function checkOrdering(sections, htmlMatcher) {
+    const entriesReordered = [];
+    sections.forEach(s => {
+        const located = (s._entries || []).filter(e => e.position !== -1);
+        if (located.length < 2) return;
+        if (countInversions(located.map(e => e.position)) > 0) {
+            entriesReordered.push({
+                section: s.key,
+                expected: located.map(e => e.label),
+                actual: [...located].sort((a, b) => a.position - b.position).map(e => e.label)
+            });
+        }
+    });
+
+    const located = sections.filter(s => s.position !== -1);
+    const expectedOrder = htmlMatcher
+        ? located
+            .map(s => ({ key: s.key, htmlPosition: s.anchor ? htmlMatcher.indexOf(s.anchor) : -1 }))
+            .filter(s => s.htmlPosition !== -1)
+            .sort((a, b) => a.htmlPosition - b.htmlPosition)
+            .map(s => s.key)
+        : located.map(s => s.key);
+    const actualOrder = located
+        .filter(s => expectedOrder.includes(s.key))
+        .sort((a, b) => a.position - b.position)
+        .map(s => s.key);
+
+    // Sections outside the longest run that kept its order are the ones that moved
+    const kept = longestIncreasingSubsequence(actualOrder.map(k => expectedOrder.indexOf(k)));
+    const sectionsReordered = actualOrder.filter((key, i) => !kept.has(i));
+
+    // Fraction of ordered pairs that kept their relative order
+    const pairs = (n) => (n * (n - 1)) / 2;
+    let totalPairs = pairs(expectedOrder.length);
+    let inversions = countInversions(actualOrder.map(k => expectedOrder.indexOf(k)));
+    sections.forEach(s => {
+        const entries = (s._entries || []).filter(e => e.position !== -1);
+        totalPairs += pairs(entries.length);
+        inversions += countInversions(entries.map(e => e.position));
+    });
+
+    return {
+        expectedSectionOrder: expectedOrder,
+        actualSectionOrder: actualOrder,
+        sectionsReordered,
+        entriesReordered,
+        ratio: totalPairs ? 1 - inversions / totalPairs : 1
+    };
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Compare text extracted from a resume PDF against its source data.
+ *
+ * @param {string} pdfText - Text extracted from the PDF
+ * @param {Object} context - Output of buildTemplateContext(resume, user)
+ * @param {Object} [options]
+ * @param {string} [options.html] - Rendered HTML, used to determine the intended section order
+ * @returns {Object} Report with per-category findings, issues and a 0-100 score
+ */
+function checkAtsCompatibility(pdfText, context, options = {}) {
+    const matcher = createMatcher(pdfText);
+
+    if (matcher.isEmpty) {
+        return {
+            score: 0,
+            rating: 'poor',
+            textLength: 0,
+            issues: ['No selectable text was found in the PDF. ATS parsers will not be able to read this resume.']
+        };
+    }
+
+    const htmlText = options.html
+        ? options.html.replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]+>/g, ' ')
+        : null;
+    const htmlMatcher = htmlText ? createMatcher(htmlText) : null;
+
+    const entriesBySection = describeEntries(context);
+    const contact = checkContact(matcher, context);
+    const sections = checkSections(matcher, context, entriesBySection);
+    const dates = checkDates(matcher, entriesBySection, sections);
+    const skills = checkSkills(matcher, context);
+    const ordering = checkOrdering(sections, htmlMatcher);
+
+    const ratio = (found, total) => (total ? found / total : 1);
+    const entriesTotal = sections.reduce((sum, s) => sum + (s.entriesTotal ?? 1), 0);
+    const entriesFound = sections.reduce((sum, s) => sum + (s.entriesTotal !== undefined ? s.entriesFound : (s.found ? 1 : 0)), 0);
+
+    const breakdown = {
+        contact: Math.round(WEIGHTS.contact * ratio(contact.fields.length - contact.missing.length, contact.fields.length)),
+        sections: Math.round(WEIGHTS.sections * ratio(entriesFound, entriesTotal)),
+        dates: Math.round(WEIGHTS.dates * ratio(dates.found + dates.partial.length * 0.5, dates.total)),
+        skills: Math.round(WEIGHTS.skills * ratio(skills.found, skills.total)),
+        ordering: Math.round(WEIGHTS.ordering * ordering.ratio)
+    };
+    const score = Object.values(breakdown).reduce((a, b) => a + b, 0);
+
+    const issues = [];
+    if (contact.missing.length) issues.push(`Contact details not readable: ${contact.missing.join(', ')}`);
+    sections.filter(s => !s.found).forEach(s => issues.push(`${s.title} section was not found in the extracted text`));
+    sections.filter(s => s.found && s.missingEntries?.length).forEach(s => {
+        issues.push(`${s.title}: ${s.missingEntries.length} of ${s.entriesTotal} entries could not be read`);
+    });
+    sections.filter(s => s.found && !s.headingFound).forEach(s => {
+        issues.push(`${s.title} section has no standard heading (e.g. "${SECTION_HEADINGS[s.key][0]}") — ATS parsers may not classify it`);
+    });
+    if (dates.missing.length) issues.push(`${dates.missing.length} date(s) could not be read`);
+    if (dates.partial.length) issues.push(`${dates.partial.length} date(s) lost their month`);
+    if (skills.missing.length) issues.push(`${skills.missing.length} of ${skills.total} skills could not be read`);
+    if (ordering.sectionsReordered.length || ordering.entriesReordered.length) {
+        issues.push('Text is extracted in a different order than it is displayed — multi-column layouts commonly cause this');
+    }
+
+    return {
+        score,
+        rating: score >= 85 ? 'good' : score >= 60 ? 'fair' : 'poor',
+        breakdown,
+        textLength: pdfText.length,
+        contact,
+        sections: sections.map(({ _entries, position, anchor, ...s }) => s),
+        dates,
+        skills,
+        ordering: {
+            expectedSectionOrder: ordering.expectedSectionOrder,
+            actualSectionOrder: ordering.actualSectionOrder,
+            sectionsReordered: ordering.sectionsReordered,
+            entriesReordered: ordering.entriesReordered
+        },
+        issues
+    };
+}
+
+module.exports = {
+    checkAtsCompatibility
+};
@@ -1,4 +1,5 @@
-const AppSettings = require('../models/appSettings.model');
+const { generateAIResponse } = require('./ai.service');
+const { coverLetterSchema, timelineBudgetSchema, proposalSchema } = require('../validations/ai.validation');
 const logger = require('../utils/logger');
 
 // ─── Mock Providers ──────────────────────────────────────────────────────────
@@ -146,35 +147,11 @@ ${name}`
     };
 }
 
-// ─── OpenAI Providers ────────────────────────────────────────────────────────
+// ─── Prompts ─────────────────────────────────────────────────────────────────
+// System prompts per action; the payload itself is sent as the user message.
 
-async function getOpenAIClient() {
-    const OpenAI = require('openai');
-    const dbKey = await AppSettings.get('openai_api_key');
-    const apiKey = (dbKey && dbKey.trim()) || process.env.OPENAI_API_KEY;
-    if (!apiKey) throw new Error('OpenAI API key is not configured.');
-    return new OpenAI({ apiKey });
-}
-
-async function callOpenAIText(systemPrompt, userPrompt) {
-    const client = await getOpenAIClient();
-    const model = await AppSettings.get('ai_model', 'gpt-4o-mini');
-
-    const response = await client.chat.completions.create({
-        model,
-        messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt }
-        ],
-        temperature: 0.7,
-        response_format: { type: 'json_object' }
-    });
-
-    return JSON.parse(response.choices[0].message.content);
-}
-
-async function openaiJobPostCoverLetter(payload) {
-    const systemPrompt = `You are an expert career consultant and cover letter writer.
+function jobPostCoverLetterPrompt(payload) {
+    return `You are an expert career consultant and cover letter writer.
 Write a compelling, professional cover letter for a job application.
 Use the candidate's profile data to highlight relevant experience and skills.
 
@@ -189,12 +166,10 @@ Rules:
 - End with a call to action
 ${payload.permanentInstructions ? `- User's permanent instructions: ${payload.permanentInstructions}` : ''}
 ${payload.additionalInstructions ? `- Additional instructions for this letter: ${payload.additionalInstructions}` : ''}`;
-
-    return callOpenAIText(systemPrompt, JSON.stringify(payload));
 }
 
-async function openaiUpworkEstimate(payload) {
-    const systemPrompt = `You are an experienced freelancer on Upwork who estimates project timelines and budgets.
+function upworkEstimatePrompt(payload) {
+    return `You are an experienced freelancer on Upwork who estimates project timelines and budgets.
 Analyze the job description and provide realistic timeline and budget estimates.
 
 Respond with JSON: { "timeline": "string — estimated timeline in plain text", "budget": "string — estimated budget range in plain text" }
@@ -207,12 +182,10 @@ Rules:
 - Format as plain text suitable for a textarea
 ${payload.permanentInstructions ? `- User's permanent instructions: ${payload.permanentInstructions}` : ''}
 ${payload.additionalInstructions ? `- Additional instructions: ${payload.additionalInstructions}` : ''}`;
-
-    return callOpenAIText(systemPrompt, JSON.stringify(payload));
 }
 
-async function openaiUpworkProposal(payload) {
-    const systemPrompt = `You are an expert Upwork freelancer who writes winning proposals.
+function upworkProposalPrompt(payload) {
+    return `You are an expert Upwork freelancer who writes winning proposals.
 Write a compelling Upwork proposal/cover letter for the given job posting.
 Use the candidate's profile to highlight relevant experience.
 
@@ -228,12 +201,10 @@ Rules:
 - End with availability and willingness to discuss
 ${payload.permanentInstructions ? `- User's permanent instructions: ${payload.permanentInstructions}` : ''}
 ${payload.additionalInstructions ? `- Additional instructions: ${payload.additionalInstructions}` : ''}`;
-
-    return callOpenAIText(systemPrompt, JSON.stringify(payload));
 }
 
-async function openaiIFiverrEstimate(payload) {
-    const systemPrompt = `You are an experienced Fiverr seller who estimates project timelines and pricing.
+function fiverrEstimatePrompt(payload) {
+    return `You are an experienced Fiverr seller who estimates project timelines and pricing.
 Analyze the buyer's request and provide realistic timeline and pricing estimates using Fiverr's tier model.
 
 Respond with JSON: { "timeline": "string — estimated timeline in plain text", "budget": "string — estimated pricing breakdown in plain text" }
@@ -246,12 +217,10 @@ Rules:
 - Format as plain text suitable for a textarea
 ${payload.permanentInstructions ? `- User's permanent instructions: ${payload.permanentInstructions}` : ''}
 ${payload.additionalInstructions ? `- Additional instructions: ${payload.additionalInstructions}` : ''}`;
-
-    return callOpenAIText(systemPrompt, JSON.stringify(payload));
 }
 
-async function openaiIFiverrProposal(payload) {
-    const systemPrompt = `You are an expert Fiverr seller who writes winning buyer request responses and custom offers.
+function fiverrProposalPrompt(payload) {
+    return `You are an expert Fiverr seller who writes winning buyer request responses and custom offers.
 Write a compelling Fiverr proposal/message for the given buyer request.
 Use the seller's profile to highlight relevant experience.
 
@@ -266,73 +235,45 @@ Rules:
 - End with an invitation to discuss or place an order
 ${payload.permanentInstructions ? `- User's permanent instructions: ${payload.permanentInstructions}` : ''}
 ${payload.additionalInstructions ? `- Additional instructions: ${payload.additionalInstructions}` : ''}`;
-
-    return callOpenAIText(systemPrompt, JSON.stringify(payload));
 }
 
-// ─── Provider Maps ───────────────────────────────────────────────────────────
-
-const jobPostProviders = {
-    mock: (p) => mockJobPostCoverLetter(p),
-    openai: (p) => openaiJobPostCoverLetter(p)
-};
-
-const upworkEstimateProviders = {
-    mock: (p) => mockUpworkEstimate(p),
-    openai: (p) => openaiUpworkEstimate(p)
-};
-
-const upworkProposalProviders = {
-    mock: (p) => mockUpworkProposal(p),
-    openai: (p) => openaiUpworkProposal(p)
-};
-
-const fiverrEstimateProviders = {
-    mock: (p) => mockFiverrEstimate(p),
-    openai: (p) => openaiIFiverrEstimate(p)
-};
-
-const fiverrProposalProviders = {
-    mock: (p) => mockFiverrProposal(p),
-    openai: (p) => openaiIFiverrProposal(p)
-};
-
 // ─── Public API ──────────────────────────────────────────────────────────────
 
-async function getProvider() {
-    return AppSettings.get('ai_provider', process.env.AI_PROVIDER || 'mock');
-}
-
-function resolve(providerMap, providerKey, payload) {
-    const fn = providerMap[providerKey];
-    if (!fn) throw new Error(`AI provider "${providerKey}" is not supported for this operation.`);
-    logger.info(`Cover letter AI → provider: ${providerKey}, action: ${Object.keys(providerMap).join('/')}`);
-    return fn(payload);
+/**
+ * Run one cover-letter action through the shared AI provider layer.
+ * Options: { userId, onToken, onRetry } — `userId` attributes usage, the
+ * callbacks stream the reply as it is generated.
+ */
+function run(action, prompt, mock, schema, payload, { userId, onToken, onRetry } = {}) {
+    logger.info(`Cover letter AI → action: ${action}`);
+    return generateAIResponse(JSON.stringify(payload), prompt(payload), {
+        task: action,
+        schema,
+        mock: () => mock(payload),
+        userId,
+        onToken,
+        onRetry
+    });
 }
 
-async function generateJobPostCoverLetter(payload) {
-    const provider = await getProvider();
-    return resolve(jobPostProviders, provider, payload);
+async function generateJobPostCoverLetter(payload, options) {
+    return run('job_post_cover_letter', jobPostCoverLetterPrompt, mockJobPostCoverLetter, coverLetterSchema, payload, options);
 }
 
-async function estimateUpwork(payload) {
-    const provider = await getProvider();
-    return resolve(upworkEstimateProviders, provider, payload);
+async function estimateUpwork(payload, options) {
+    return run('upwork_estimate', upworkEstimatePrompt, mockUpworkEstimate, timelineBudgetSchema, payload, options);
 }
 
-async function writeUpworkProposal(payload) {
-    const provider = await getProvider();
-    return resolve(upworkProposalProviders, provider, payload);
+async function writeUpworkProposal(payload, options) {
+    return run('upwork_proposal', upworkProposalPrompt, mockUpworkProposal, proposalSchema, payload, options);
 }
 
-async function estimateFiverr(payload) {
-    const provider = await getProvider();
-    return resolve(fiverrEstimateProviders, provider, payload);
+async function estimateFiverr(payload, options) {
+    return run('fiverr_estimate', fiverrEstimatePrompt, mockFiverrEstimate, timelineBudgetSchema, payload, options);
 }
 
-async function writeFiverrProposal(payload) {
-    const provider = await getProvider();
-    return resolve(fiverrProposalProviders, provider, payload);
+async function writeFiverrProposal(payload, options) {
+    return run('fiverr_proposal', fiverrProposalPrompt, mockFiverrProposal, proposalSchema, payload, options);
 }
 
 module.exports = {
@@ -1,6 +1,10 @@
+const crypto = require('crypto');
 const User = require('../models/user.model');
+const Organization = require('../models/organization.model');
 const AppSettings = require('../models/appSettings.model');
 const CreditLog = require('../models/creditLog.model');
+const CreditReservation = require('../models/creditReservation.model');
+const CreditBucket = require('../models/creditBucket.model');
 const logger = require('../utils/logger');
 
 /**
@@ -8,6 +12,7 @@ const logger = require('../utils/logger');
  */
 const actionLabels = {
     resume_creation: 'Resume Generation',
+    resume_duplication: 'Resume Duplication',
     job_post_cover_letter: 'Job Post Cover Letter',
     upwork_estimate: 'Upwork Estimate',
     upwork_proposal: 'Upwork Proposal',
@@ -20,6 +25,7 @@ const actionLabels = {
  */
 const costMap = {
     resume_creation: 'credits_per_resume',
+    resume_duplication: 'credits_per_resume_duplication',
     job_post_cover_letter: 'credits_per_job_post_cover_letter',
     upwork_estimate: 'credits_per_upwork_estimate',
     upwork_proposal: 'credits_per_upwork_proposal',
@@ -27,15 +33,33 @@ const costMap = {
     fiverr_proposal: 'credits_per_fiverr_proposal',
 };
 
+/**
+ * Where credits are held: the user's own balance, or an organization's shared
+ * wallet. `owner` is the part of a credit bucket that names its wallet.
+ * @param {Object} params - { userId, organizationId } (a reservation, bucket or log entry works too)
+ */
+function walletOf({ userId, organizationId }) {
+    return organizationId
+        ? { model: Organization, id: organizationId, organizationId, owner: { organizationId }, name: `organization ${organizationId}` }
+        : { model: User, id: userId, organizationId: null, owner: { userId }, name: `user ${userId}` };
+}
+
+async function walletBalance(wallet) {
+    const holder = await wallet.model.findById(wallet.id).select('+credits');
+    return holder ? holder.credits : 0;
+}
+
 /**
  * Check if user has enough credits for an action.
- * All users (subscribers and non-subscribers) spend from their user.credits balance.
+ * All users (subscribers and non-subscribers) spend from their user.credits balance,
+ * or from an organization's wallet when acting within one.
  * Admin users have unlimited credits.
  * @param {string} userId
  * @param {string} action - The action key (e.g. 'resume_creation')
+ * @param {Object} [options] - { organizationId }
  * @returns {{ hasCredits: boolean, required: number, available: number, unlimited?: boolean }}
  */
-async function checkCredits(userId, action) {
+async function checkCredits(userId, action, { organizationId } = {}) {
     const user = await User.findById(userId).select('+credits role');
     if (!user) throw new Error('User not found');
 
@@ -48,86 +72,669 @@ async function checkCredits(userId, action) {
     if (!settingKey) throw new Error(`Unknown credit action: ${action}`);
 
     const required = await AppSettings.get(settingKey, 1);
+    const available = organizationId ? await walletBalance(walletOf({ organizationId })) : user.credits;
 
     return {
-        hasCredits: user.credits >= required,
+        hasCredits: available >= required,
         required,
-        available: user.credits
+        available
+    };
+}
+
+/**
+ * Deduct credits from a user for a specific action in one step.
+ * Same as reserveCredits() followed straight away by commitReservation();
+ * prefer the reservation pair when the action itself can still fail.
+ * @param {string} userId
+ * @param {string} action - The action key
+ * @param {Object} [options] - { idempotencyKey, organizationId }
+ * @returns {{ success: boolean, creditsDeducted: number, remaining: number, statusCode?: number, error?: string }}
+ */
+async function deductCredits(userId, action, options = {}) {
+    const reservation = await reserveCredits(userId, action, options);
+    if (!reservation.success) {
+        const { creditsReserved, ...failure } = reservation;
+        return { ...failure, creditsDeducted: 0 };
+    }
+
+    const { creditsDeducted, remaining } = await commitReservation(reservation);
+    return {
+        success: true,
+        creditsDeducted,
+        remaining,
+        ...(reservation.unlimited && { unlimited: true }),
+        ...(reservation.replayed && { replayed: true })
+    };
+}
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+function reservationFailure(statusCode, error, extra = {}) {
+    return { success: false, statusCode, creditsReserved: 0, error, ...extra };
+}
+
+// JSON with object keys sorted, so equal requests always hash the same
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+function hashRequest(request) {
+    return crypto.createHash('sha256').update(canonicalJson(request)).digest('hex');
+}
+
+/**
+ * Answer a request whose Idempotency-Key matches an earlier reservation.
+ * Only unreleased reservations keep their key, so a released (refunded)
+ * attempt never gets here and may be charged again. A committed attempt is
+ * answered with the response it stored, so its work is never run twice.
+ */
+async function replayReservation(previous, action, requestHash) {
+    if (previous.action !== action) {
+        return reservationFailure(422, 'Idempotency-Key was already used for a different action');
+    }
+    if (previous.requestHash && requestHash && previous.requestHash !== requestHash) {
+        return reservationFailure(422, 'Idempotency-Key was already used with a different request');
+    }
+    if (previous.status === 'reserved') {
+        return reservationFailure(409, 'A request with this Idempotency-Key is still in progress');
+    }
+    if (!previous.response) {
+        return reservationFailure(409, 'Idempotency-Key was already used for a completed request');
+    }
+
+    logger.info(`Idempotent replay for user ${previous.userId} (${action}, reservation ${previous._id}) — stored response returned, not charged`);
+    return {
+        success: true,
+        replayed: true,
+        reservationId: previous._id,
+        creditsReserved: 0,
+        response: previous.response,
+        remaining: previous.unlimited ? Infinity : await walletBalance(walletOf(previous)),
+        ...(previous.unlimited && { unlimited: true })
     };
 }
 
 /**
- * Deduct credits from a user for a specific action.
- * Always deducts from user.credits balance (subscribers included).
- * Records a credit_usage entry in the credit log.
+ * Store a reservation, or — when a concurrent request already claimed the
+ * same Idempotency-Key — return that request's reservation instead.
+ */
+async function createReservation(fields) {
+    try {
+        return { reservation: await CreditReservation.create(fields) };
+    } catch (err) {
+        if (err.code !== 11000 || !fields.idempotencyKey) throw err;
+        const previous = await CreditReservation.findOne({ userId: fields.userId, idempotencyKey: fields.idempotencyKey }).lean();
+        if (!previous) throw err;
+        return { previous };
+    }
+}
+
+/**
+ * Reserve credits for an action before doing its work.
+ * The balance is debited (and a credit_usage entry logged) immediately; the
+ * caller then settles the hold with commitReservation() on success or
+ * releaseReservation() on failure. Holds that are never settled are
+ * refunded by releaseExpiredReservations() once they expire.
+ *
+ * The debit is a single conditional update, so concurrent requests can never
+ * take the balance below zero. With an `idempotencyKey` (the client's
+ * Idempotency-Key header) a retried request is never charged or run twice:
+ * it gets 409 while the first attempt is in flight and, once that attempt has
+ * been committed, `replayed: true` with the stored `response` — the caller
+ * sends that instead of doing the work again. Pass the request's input as
+ * `request` and a key reused with different input is refused with 422.
+ *
+ * With an `organizationId` (the X-Organization-Id header) the credits come
+ * from that organization's shared wallet; the user must be a member.
  * @param {string} userId
  * @param {string} action - The action key
- * @returns {{ success: boolean, creditsDeducted: number, remaining: number }}
+ * @param {Object} [options] - { idempotencyKey, request, organizationId }
+ * @returns {{ success: boolean, reservationId?: string, creditsReserved: number, remaining?: number, required?: number, statusCode?: number, error?: string, unlimited?: boolean, replayed?: boolean, response?: { status: number, body: Object }, idempotencyKey?: string }}
  */
-async function deductCredits(userId, action) {
-    const creditCheck = await checkCredits(userId, action);
+async function reserveCredits(userId, action, { idempotencyKey, request, organizationId } = {}) {
+    const key = idempotencyKey ? String(idempotencyKey).trim() : '';
+    if (key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+        return reservationFailure(400, `Idempotency-Key must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`);
+    }
+    const requestHash = key && request !== undefined ? hashRequest(request) : undefined;
+
+    if (organizationId) {
+        const { organization, member } = await Organization.findForMember(organizationId, userId);
+        if (!organization) return reservationFailure(404, 'Organization not found');
+        if (!member) return reservationFailure(403, 'You are not a member of this organization');
+        organizationId = organization._id;
+    }
+    const wallet = walletOf({ userId, organizationId });
+    if (key) {
+        const previous = await CreditReservation.findOne({ userId, idempotencyKey: key }).lean();
+        if (previous) return replayReservation(previous, action, requestHash);
+    }
+
+    const creditCheck = await checkCredits(userId, action, { organizationId: wallet.organizationId });
     const label = actionLabels[action] || action;
+    const timeoutSeconds = await AppSettings.get('credit_reservation_timeout_seconds', 300);
+    const expiresAt = new Date(Date.now() + timeoutSeconds * 1000);
+    const idempotency = key ? { idempotencyKey: key, ...(requestHash && { requestHash }) } : {};
 
-    // Admin — no deduction needed
+    // Admin — hold nothing, but keep the usage trail
     if (creditCheck.unlimited) {
-        logger.info(`Credits skipped for admin ${userId}`);
+        const { reservation, previous } = await createReservation({
+            userId, organizationId: wallet.organizationId, action, credits: 0, unlimited: true, expiresAt, ...idempotency
+        });
+        if (previous) return replayReservation(previous, action, requestHash);
 
         await CreditLog.create({
             userId,
+            organizationId: wallet.organizationId,
             type: 'usage',
             action,
             credits: 0,
             balanceAfter: null,
             description: label,
-            metadata: { action, unlimited: true }
+            metadata: { action, unlimited: true, reservationId: reservation._id }
         });
 
         return {
             success: true,
-            creditsDeducted: 0,
+            reservationId: reservation._id,
+            creditsReserved: 0,
             remaining: Infinity,
-            unlimited: true
+            unlimited: true,
+            ...(key && { idempotencyKey: key })
         };
     }
 
-    // Insufficient credits
-    if (!creditCheck.hasCredits) {
-        return {
-            success: false,
-            creditsDeducted: 0,
-            remaining: creditCheck.available,
-            required: creditCheck.required,
-            error: `Insufficient credits. Required: ${creditCheck.required}, Available: ${creditCheck.available}`
-        };
-    }
-
-    // Deduct from user balance
     const required = creditCheck.required;
-    const updatedUser = await User.findByIdAndUpdate(
-        userId,
-        { $inc: { credits: -required } },
-        { new: true, select: '+credits' }
+    const insufficient = (available) => reservationFailure(402,
+        `Insufficient credits. Required: ${required}, Available: ${available}`,
+        { remaining: available, required }
     );
 
-    logger.info(`Credits deducted: ${required} from user ${userId} for ${action}. Remaining: ${updatedUser.credits}`);
+    if (!creditCheck.hasCredits) return insufficient(creditCheck.available);
+
+    const taken = await takeCredits(wallet, required);
+    if (!taken) {
+        // Buckets that expired since the last sweep still count in the balance; settle them so the error shows what is spendable
+        await expireCredits(wallet.owner);
+        return insufficient(await walletBalance(wallet));
+    }
+    const { holder: updatedHolder, draws } = taken;
+
+    let created;
+    try {
+        created = await createReservation({
+            userId, organizationId: wallet.organizationId, action, credits: required, buckets: draws, expiresAt, ...idempotency
+        });
+    } catch (err) {
+        await giveBackCredits(wallet, draws);
+        throw err;
+    }
+    if (created.previous) {
+        // A concurrent request with the same key won — hand this debit back
+        await giveBackCredits(wallet, draws);
+        return replayReservation(created.previous, action, requestHash);
+    }
+    const { reservation } = created;
+
+    logger.info(`Credits reserved: ${required} from ${wallet.name} by user ${userId} for ${action} (reservation ${reservation._id}). Remaining: ${updatedHolder.credits}`);
 
     await CreditLog.create({
         userId,
+        organizationId: wallet.organizationId,
         type: 'usage',
         action,
         credits: required,
-        balanceAfter: updatedUser.credits,
+        balanceAfter: updatedHolder.credits,
         description: label,
-        metadata: { action, creditsBeforeDeduction: creditCheck.available, creditsAfterDeduction: updatedUser.credits }
+        metadata: {
+            action,
+            reservationId: reservation._id,
+            creditsBeforeDeduction: updatedHolder.credits + required,
+            creditsAfterDeduction: updatedHolder.credits
+        }
     });
 
     return {
         success: true,
-        creditsDeducted: required,
-        remaining: updatedUser.credits
+        reservationId: reservation._id,
+        creditsReserved: required,
+        remaining: updatedHolder.credits,
+        ...(key && { idempotencyKey: key })
+    };
+}
+
+/**
+ * Keep the credits held by a successful reservation.
+ * If the hold already expired and was refunded, the work is not charged.
+ * For a request sent with an Idempotency-Key, pass the response it is about
+ * to send (without the credit fields); retries with the same key get it back
+ * from reserveCredits() instead of running the work again.
+ * @param {Object} reservation - Result of reserveCredits()
+ * @param {Object} [response] - { status, body }
+ * @returns {{ creditsDeducted: number, remaining: number }}
+ */
+async function commitReservation(reservation, response) {
+    // Idempotent replay of an already committed reservation
+    if (reservation.replayed) {
+        return { creditsDeducted: 0, remaining: reservation.remaining };
+    }
+
+    // Stored as the JSON the client receives
+    const stored = reservation.idempotencyKey && response
+        ? { response: { status: response.status, body: JSON.parse(JSON.stringify(response.body)) } }
+        : {};
+    const committed = await CreditReservation.findOneAndUpdate(
+        { _id: reservation.reservationId, status: 'reserved' },
+        { $set: { status: 'committed', committedAt: new Date(), ...stored } },
+        { new: true }
+    );
+
+    if (committed) {
+        return { creditsDeducted: reservation.creditsReserved, remaining: reservation.remaining };
+    }
+
+    logger.warn(`Credit reservation ${reservation.reservationId} was already released — work completed without charge`);
+    if (reservation.unlimited) return { creditsDeducted: 0, remaining: Infinity };
+    const held = await CreditReservation.findById(reservation.reservationId).select('userId organizationId').lean();
+    return { creditsDeducted: 0, remaining: held ? await walletBalance(walletOf(held)) : reservation.remaining };
+}
+
+/**
+ * Give the credits held by a reservation back to the user and log a refund.
+ * Safe to call more than once; only the first call for a hold refunds it.
+ * @param {Object} reservation - Result of reserveCredits() (or { reservationId })
+ * @param {string} [reason] - Why the work failed (stored on the hold and in the log)
+ * @returns {{ released: boolean, creditsRefunded: number, remaining?: number }}
+ */
+async function releaseReservation(reservation, reason = 'failed') {
+    const released = await CreditReservation.findOneAndUpdate(
+        { _id: reservation.reservationId, status: 'reserved' },
+        {
+            $set: { status: 'released', releasedAt: new Date(), releaseReason: String(reason).substring(0, 500) },
+            // Free the key so a retry of the failed request is charged normally
+            $unset: { idempotencyKey: 1 }
+        },
+        { new: true }
+    );
+    if (!released) return { released: false, creditsRefunded: 0 };
+
+    const { userId, action, credits } = released;
+    if (credits === 0) return { released: true, creditsRefunded: 0 };
+
+    // Back into the buckets the hold drew from (an expired one is swept again by expireCredits)
+    const wallet = walletOf(released);
+    const updatedHolder = await giveBackCredits(wallet, released.buckets.length ? released.buckets : [{ bucketId: null, credits }]);
+
+    logger.info(`Credits refunded: ${credits} to ${wallet.name} for ${action} (reservation ${released._id}: ${released.releaseReason}). Balance: ${updatedHolder?.credits}`);
+
+    await CreditLog.create({
+        userId,
+        organizationId: wallet.organizationId,
+        type: 'refund',
+        action,
+        credits,
+        balanceAfter: updatedHolder ? updatedHolder.credits : null,
+        description: `Refund: ${actionLabels[action] || action}`,
+        metadata: { action, reservationId: released._id, reason: released.releaseReason }
+    });
+
+    return { released: true, creditsRefunded: credits, remaining: updatedHolder ? updatedHolder.credits : null };
+}
+
+/**
+ * Run the paid work of a request under a credit reservation and send its
+ * response. Credits are held first (402 when they do not cover the action,
+ * 409 while a request with the same Idempotency-Key is running), kept when
+ * the work succeeds and refunded when it fails. They come from the
+ * organization wallet named in X-Organization-Id, if sent. A retry whose
+ * Idempotency-Key matches a committed request gets that request's stored
+ * response back (with creditsDeducted: 0) and the work is not run again;
+ * the same key with a different body or path parameters is refused with 422.
+ *
+ * `work` resolves to the response to send, `{ status, body }`; a status of
+ * 400 or more counts as failed work. A successful body gets the charge added
+ * as `creditsDeducted` and `creditsRemaining`.
+ * @param {Object} req - Authenticated request; credits come from req.user
+ * @param {Object} res
+ * @param {string} action - The action key
+ * @param {Function} work - async (reservation) => ({ status, body })
+ * @param {Object} [options]
+ * @param {Function} [options.onError] - (err) => ({ status, body }) for work that throws; without it the error is rethrown after the refund
+ * @param {Function} [options.onStart] - Called once the credits are held, before the work (e.g. to open an event stream)
+ * @param {Function} [options.send] - (status, body) => void; defaults to a JSON response
+ */
+async function withReservation(req, res, action, work, { onError, onStart, send } = {}) {
+    const reservation = await reserveCredits(req.user._id, action, {
+        idempotencyKey: req.get('Idempotency-Key'),
+        request: { params: req.params, body: req.body },
+        organizationId: req.get('X-Organization-Id')
+    });
+    if (!reservation.success) {
+        return res.status(reservation.statusCode).json({
+            error: reservation.error,
+            creditsRequired: reservation.required,
+            creditsAvailable: reservation.remaining
+        });
+    }
+
+    const respond = send || ((status, body) => res.status(status).json(body));
+    if (onStart) onStart();
+
+    if (reservation.replayed) {
+        const { status, body } = reservation.response;
+        return respond(status, { ...body, creditsDeducted: 0, creditsRemaining: reservation.remaining });
+    }
+
+    let result;
+    try {
+        result = await work(reservation);
+    } catch (err) {
+        await releaseReservation(reservation, err.message);
+        if (!onError) throw err;
+        const failure = onError(err);
+        return respond(failure.status, failure.body);
+    }
+
+    if (result.status >= 400) {
+        await releaseReservation(reservation, result.body?.error || `Request failed with status ${result.status}`);
+        return respond(result.status, result.body);
+    }
+
+    const charge = await commitReservation(reservation, result);
+    return respond(result.status, { ...result.body, creditsDeducted: charge.creditsDeducted, creditsRemaining: charge.remaining });
+}
+
+/**
+ * Refund every hold that outlived its timeout without being settled.
+ * Runs on a timer in long-running servers and from the cron sweep endpoint on serverless.
+ * @returns {number} Number of holds released
+ */
+async function releaseExpiredReservations() {
+    const expired = await CreditReservation.find({ status: 'reserved', expiresAt: { $lt: new Date() } })
+        .select('_id')
+        .limit(100)
+        .lean();
+
+    let count = 0;
+    for (const { _id } of expired) {
+        const { released } = await releaseReservation({ reservationId: _id }, 'expired');
+        if (released) count++;
+    }
+    if (count) logger.warn(`Released ${count} expired credit reservation(s)`);
+    return count;
+}
+
+// ─── Credit Buckets ──────────────────────────────────────────────────────────
+
+/**
+ * Order non-expiring buckets are spent in (expiring buckets always go first,
+ * soonest expiry first). Paid credits are kept for last.
+ */
+const SPEND_PRIORITY = ['promotional', 'referral', 'subscription', 'initial', 'admin', 'legacy', 'purchase'];
+
+function spendOrder(a, b) {
+    if (a.expiresAt && b.expiresAt) return a.expiresAt - b.expiresAt;
+    if (a.expiresAt || b.expiresAt) return a.expiresAt ? -1 : 1;
+    return (SPEND_PRIORITY.indexOf(a.source) - SPEND_PRIORITY.indexOf(b.source)) || (a.createdAt - b.createdAt);
+}
+
+/**
+ * Debit `amount` from the wallet's balance (only if it still covers it) and
+ * from its buckets in spend order.
+ * @param {Object} wallet - From walletOf()
+ * @returns {{ holder: Object, draws: Array<{ bucketId, credits }> }|null} holder = updated user or organization; null when the balance is too low
+ */
+async function takeCredits(wallet, amount) {
+    const holder = await wallet.model.findOneAndUpdate(
+        { _id: wallet.id, credits: { $gte: amount } },
+        { $inc: { credits: -amount } },
+        { new: true, select: '+credits' }
+    );
+    if (!holder) return null;
+
+    const now = new Date();
+    const buckets = await CreditBucket.find({
+        ...wallet.owner,
+        remaining: { $gt: 0 },
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    }).lean();
+    buckets.sort(spendOrder);
+
+    const draws = [];
+    let needed = amount;
+    for (const bucket of buckets) {
+        if (needed === 0) break;
+        // Re-read on every attempt: a concurrent spend may have drawn from this bucket
+        let current = bucket;
+        while (current && current.remaining > 0 && needed > 0) {
+            const take = Math.min(current.remaining, needed);
+            const updated = await CreditBucket.findOneAndUpdate(
+                { _id: current._id, remaining: { $gte: take } },
+                { $inc: { remaining: -take } },
+                { new: true }
+            ).lean();
+            if (updated) {
+                draws.push({ bucketId: current._id, credits: take });
+                needed -= take;
+                break;
+            }
+            current = await CreditBucket.findById(current._id).lean();
+        }
+    }
+
+    if (needed > 0) {
+        // Buckets no longer cover the balance (e.g. a bucket expired mid-spend) — undo and refuse
+        logger.warn(`Credit buckets for ${wallet.name} are ${needed} short of the balance; spend refused`);
+        await giveBackCredits(wallet, draws, amount);
+        return null;
+    }
+
+    return { holder, draws };
+}
+
+/**
+ * Undo takeCredits(): return each draw to its bucket and credit `amount` back
+ * to the balance. A draw whose bucket is gone (or holds placed before buckets
+ * existed) goes into a new legacy bucket.
+ * @returns {Object|null} Updated user or organization (with credits)
+ */
+async function giveBackCredits(wallet, draws, amount = draws.reduce((sum, draw) => sum + draw.credits, 0)) {
+    for (const { bucketId, credits } of draws) {
+        if (!credits) continue;
+        const restored = bucketId && await CreditBucket.updateOne({ _id: bucketId }, { $inc: { remaining: credits } });
+        if (!restored || !restored.matchedCount) {
+            await CreditBucket.create({ ...wallet.owner, source: 'legacy', credits, remaining: credits, description: 'Returned credits' });
+        }
+    }
+
+    return wallet.model.findByIdAndUpdate(
+        wallet.id,
+        { $inc: { credits: amount } },
+        { new: true, select: '+credits' }
+    );
+}
+
+/**
+ * Default expiry for a new bucket when the caller does not give one.
+ */
+async function defaultExpiry(source) {
+    if (source !== 'promotional') return null;
+    const days = await AppSettings.get('promotional_credit_expiry_days', 30);
+    return days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null;
+}
+
+/**
+ * Add credits to a user as a new bucket and log the event.
+ * With `organizationId` the credits go to that organization's shared wallet
+ * and `userId` is logged as the member who added them (may be null).
+ * @param {string} userId
+ * @param {number} credits - Positive number of credits
+ * @param {Object} options
+ * @param {string} [options.organizationId]
+ * @param {'initial'|'purchase'|'subscription'|'promotional'|'referral'|'admin'|'legacy'} options.source
+ * @param {'addition'|'initial'|'admin_adjustment'|'purchase'|'promo'|'referral'} options.type - CreditLog type
+ * @param {string} options.description
+ * @param {Date|null} [options.expiresAt] - Defaults per source (promotional: promotional_credit_expiry_days)
+ * @param {Object} [options.metadata]
+ * @returns {{ bucket: Object, balance: number }}
+ */
+async function grantCredits(userId, credits, { organizationId, source, type, description, expiresAt, metadata } = {}) {
+    const wallet = walletOf({ userId, organizationId });
+    const bucket = await CreditBucket.create({
+        ...wallet.owner,
+        source,
+        credits,
+        remaining: credits,
+        expiresAt: expiresAt === undefined ? await defaultExpiry(source) : expiresAt,
+        description,
+        metadata: metadata || null
+    });
+
+    const updatedHolder = await wallet.model.findByIdAndUpdate(
+        wallet.id,
+        { $inc: { credits } },
+        { new: true, select: '+credits' }
+    );
+
+    await CreditLog.create({
+        userId,
+        organizationId: wallet.organizationId,
+        type,
+        credits,
+        balanceAfter: updatedHolder ? updatedHolder.credits : null,
+        description,
+        metadata: { ...(metadata || {}), bucketId: bucket._id, source, expiresAt: bucket.expiresAt }
+    });
+
+    logger.info(`Credits granted: ${credits} (${source}${bucket.expiresAt ? `, expires ${bucket.expiresAt.toISOString()}` : ''}) to ${wallet.name}. Balance: ${updatedHolder?.credits}`);
+    return { bucket, balance: updatedHolder ? updatedHolder.credits : null };
+}
+
+/**
+ * Remove credits from a user (admin adjustments), spending buckets in the
+ * usual order. Refuses rather than going below zero.
+ * @returns {{ success: boolean, balance: number }}
+ */
+async function revokeCredits(userId, credits, { description, metadata } = {}) {
+    const wallet = walletOf({ userId });
+    const taken = await takeCredits(wallet, credits);
+    if (!taken) return { success: false, balance: await walletBalance(wallet) };
+
+    await CreditLog.create({
+        userId,
+        type: 'admin_adjustment',
+        credits,
+        balanceAfter: taken.holder.credits,
+        description,
+        metadata: { ...(metadata || {}), buckets: taken.draws }
+    });
+
+    return { success: true, balance: taken.holder.credits };
+}
+
+/**
+ * Zero every bucket past its expiry, take its credits off the balance and
+ * log a credit expiry entry. Runs on a timer in long-running servers, from
+ * the cron sweep and admin expiry endpoints, and per wallet when reading a
+ * balance. Spending skips expired buckets whether or not they were swept.
+ * @param {Object} [options] - { userId } or { organizationId } to limit the run to one wallet
+ * @returns {{ buckets: number, credits: number }}
+ */
+async function expireCredits({ userId, organizationId } = {}) {
+    const now = new Date();
+    const due = await CreditBucket.find({
+        ...(userId && { userId }),
+        ...(organizationId && { organizationId }),
+        expiresAt: { $ne: null, $lte: now },
+        remaining: { $gt: 0 }
+    }).limit(500).lean();
+
+    let buckets = 0;
+    let credits = 0;
+    for (const bucket of due) {
+        // Only zero the amount we saw; a concurrent spend leaves it for the next run
+        const expired = await CreditBucket.findOneAndUpdate(
+            { _id: bucket._id, remaining: bucket.remaining },
+            { $set: { remaining: 0, expiredAt: now } }
+        );
+        if (!expired) continue;
+
+        const wallet = walletOf(bucket);
+        const updatedHolder = await wallet.model.findByIdAndUpdate(
+            wallet.id,
+            { $inc: { credits: -bucket.remaining } },
+            { new: true, select: '+credits' }
+        );
+
+        await CreditLog.create({
+            userId: bucket.userId,
+            organizationId: wallet.organizationId,
+            type: 'expiry',
+            credits: bucket.remaining,
+            balanceAfter: updatedHolder ? updatedHolder.credits : null,
+            description: `${bucket.remaining} ${bucket.source} credit${bucket.remaining !== 1 ? 's' : ''} expired`,
+            metadata: { bucketId: bucket._id, source: bucket.source, expiresAt: bucket.expiresAt }
+        });
+
+        buckets++;
+        credits += bucket.remaining;
+    }
+
+    if (buckets && !userId && !organizationId) logger.info(`Credit expiry: ${credits} credit(s) expired from ${buckets} bucket(s)`);
+    return { buckets, credits };
+}
+
+async function walletSummary(wallet) {
+    await expireCredits(wallet.owner);
+
+    const [holder, buckets] = await Promise.all([
+        wallet.model.findById(wallet.id).select('+credits').lean(),
+        CreditBucket.find({ ...wallet.owner, remaining: { $gt: 0 } }).lean()
+    ]);
+    if (!holder) return null;
+    buckets.sort(spendOrder);
+
+    const bySource = Object.fromEntries(CreditBucket.SOURCES.map(source => [source, 0]));
+    buckets.forEach(bucket => { bySource[bucket.source] += bucket.remaining; });
+    const expiring = buckets.find(bucket => bucket.expiresAt);
+
+    return {
+        credits: holder.credits,
+        breakdown: {
+            bySource,
+            // In spend order
+            buckets: buckets.map(({ _id, source, credits, remaining, expiresAt, description, createdAt }) => ({
+                _id, source, credits, remaining, expiresAt, description, createdAt
+            })),
+            nextExpiry: expiring ? { credits: expiring.remaining, expiresAt: expiring.expiresAt } : null
+        }
     };
 }
 
+/**
+ * Current balance with a breakdown by bucket and source.
+ * @param {string} userId
+ * @returns {{ credits: number, breakdown: { bySource: Object, buckets: Array, nextExpiry: Object|null } }}
+ */
+async function getCreditBalance(userId) {
+    return walletSummary(walletOf({ userId }));
+}
+
+/**
+ * An organization's shared wallet balance, in the same shape as getCreditBalance().
+ * @param {string} organizationId
+ */
+async function getOrganizationCreditBalance(organizationId) {
+    return walletSummary(walletOf({ organizationId }));
+}
+
 /**
  * Get the initial credits value from settings.
  * @returns {number}
@@ -140,7 +747,7 @@ async function getInitialCredits() {
  * Log a credit event (addition, purchase, admin adjustment, etc.).
  * @param {Object} params
  * @param {string} params.userId
- * @param {'usage'|'addition'|'initial'|'admin_adjustment'|'purchase'|'refund'} params.type
+ * @param {'usage'|'addition'|'initial'|'admin_adjustment'|'purchase'|'refund'|'expiry'} params.type
  * @param {number} params.credits - Number of credits (positive)
  * @param {number|null} params.balanceAfter - Balance after event
  * @param {string} params.description
@@ -162,6 +769,16 @@ async function logCreditEvent({ userId, type, credits, balanceAfter, description
 module.exports = {
     checkCredits,
     deductCredits,
+    reserveCredits,
+    commitReservation,
+    releaseReservation,
+    withReservation,
+    releaseExpiredReservations,
+    grantCredits,
+    revokeCredits,
+    expireCredits,
+    getCreditBalance,
+    getOrganizationCreditBalance,
     getInitialCredits,
     logCreditEvent
 };
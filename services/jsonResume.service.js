@@ -0,0 +1,347 @@
+/**
+ * JSON Resume Service
+ *
+ * Converts between our Resume/User data and the public JSON Resume schema
+ * (https://jsonresume.org/schema, v1.0.0).
+ *
+ * Export works off the template context (see `buildTemplateContext`) so the
+ * exported document contains exactly what a rendered template would show.
+ * Import maps a JSON Resume document back into plain entity payloads; the
+ * controller is responsible for persisting them.
+ */
+
+const SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const SOCIAL_PLATFORMS = ['LinkedIn', 'Twitter', 'GitHub', 'Facebook', 'Instagram', 'Portfolio', 'Other'];
+const SKILL_LEVELS = ['Beginner', 'Intermediate', 'Advanced', 'Expert'];
+const LANGUAGE_LEVELS = ['Basic', 'Conversational', 'Fluent', 'Native'];
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * Format a date as an ISO 8601 calendar date (YYYY-MM-DD), or undefined.
+ */
+function toIsoDate(date) {
+    if (!date) return undefined;
+    const d = new Date(date);
+    if (isNaN(d.getTime())) return undefined;
+    return d.toISOString().split('T')[0];
+}
+
+/**
+ * Parse a JSON Resume date ("YYYY", "YYYY-MM" or "YYYY-MM-DD") into a Date, or undefined.
+ */
+function fromIsoDate(value) {
+    if (!value || typeof value !== 'string') return undefined;
+    const d = new Date(value.trim());
+    return isNaN(d.getTime()) ? undefined : d;
+}
+
+/**
+ * Drop undefined, null, empty-string and empty-array values so the exported
+ * document stays compact (JSON Resume treats every field as optional).
+ */
+function compact(obj) {
+    return Object.fromEntries(
+        Object.entries(obj).filter(([, v]) =>
+            v !== undefined && v !== null && v !== '' && !(Array.isArray(v) && v.length === 0)
+        )
+    );
+}
+
+function nonEmptyStrings(arr) {
+    return Array.isArray(arr) ? arr.filter(s => typeof s === 'string' && s.trim()).map(s => s.trim()) : [];
+}
+
+/**
+ * Match a free-form JSON Resume value (e.g. a skill level or network name)
+ * against one of our enum values, case-insensitively.
+ */
+function matchEnum(value, allowed) {
+    if (!value || typeof value !== 'string') return undefined;
+    const lower = value.trim().toLowerCase();
+    return allowed.find(a => a.toLowerCase() === lower);
+}
+
+function mapSkillLevel(level) {
+    const exact = matchEnum(level, SKILL_LEVELS);
+    if (exact) return exact;
+    const lower = (level || '').toLowerCase();
+    if (/master|expert|senior/.test(lower)) return 'Expert';
+    if (/advanced|proficient/.test(lower)) return 'Advanced';
+    if (/basic|beginner|novice|junior/.test(lower)) return 'Beginner';
+    return 'Intermediate';
+}
+
+function mapLanguageLevel(fluency) {
+    const exact = matchEnum(fluency, LANGUAGE_LEVELS);
+    if (exact) return exact;
+    const lower = (fluency || '').toLowerCase();
+    if (/native|mother|bilingual/.test(lower)) return 'Native';
+    if (/fluent|full professional|c1|c2/.test(lower)) return 'Fluent';
+    if (/basic|elementary|a1|a2/.test(lower)) return 'Basic';
+    return 'Conversational';
+}
+
+function mapNetwork(network) {
+    return matchEnum(network, SOCIAL_PLATFORMS) || (/website|blog|homepage/i.test(network || '') ? 'Portfolio' : 'Other');
+}
+
+// ─── Export ──────────────────────────────────────────────────────────────────
+
+/**
+ * Convert a template context into a JSON Resume document.
+ *
+ * @param {Object} context - Output of `buildTemplateContext(resume, user)`
+ * @param {Object} [meta] - Extra metadata (e.g. { lastModified })
+ * @returns {Object} JSON Resume document
+ */
+function toJsonResume(context, meta = {}) {
+    const { user, resume } = context;
+
+    const phones = user.phones || [];
+    const primaryPhone = phones.find(p => p.isPrimary) || phones[0];
+    const portfolio = (context.socialMedia || []).find(s => s.platform === 'Portfolio');
+
+    return {
+        $schema: SCHEMA_URL,
+        basics: compact({
+            name: user.full_name,
+            label: resume.title,
+            email: user.email,
+            phone: primaryPhone?.number,
+            url: portfolio?.url,
+            summary: resume.summary || user.intro,
+            location: compact({
+                address: user.streetAddress,
+                postalCode: user.postalCode,
+                city: user.city,
+                // Stored as entered — the schema expects ISO-3166 alpha-2 but does not enforce it
+                countryCode: user.country,
+                region: user.state
+            }),
+            profiles: (context.socialMedia || [])
+                .filter(s => s.platform !== 'Portfolio' && s.url)
+                .map(s => ({ network: s.platform, url: s.url }))
+        }),
+        work: context.experiences.map(e => compact({
+            name: e.company,
+            position: e.jobTitle,
+            location: e.location,
+            description: e.industry,
+            startDate: toIsoDate(e.startDate),
+            endDate: e.isCurrent ? undefined : toIsoDate(e.endDate),
+            summary: e.description,
+            highlights: nonEmptyStrings(e.achievements),
+            // Not part of the core schema (work items allow additional properties)
+            keywords: nonEmptyStrings(e.technologiesUsed)
+        })),
+        education: context.educations.map(e => compact({
+            institution: e.institution,
+            area: e.fieldOfStudy,
+            studyType: e.degree,
+            startDate: toIsoDate(e.startDate),
+            endDate: e.isOngoing ? undefined : toIsoDate(e.endDate),
+            score: e.grade,
+            courses: nonEmptyStrings(e.activities)
+        })),
+        awards: context.awards.map(a => compact({
+            title: a.title,
+            date: toIsoDate(a.date),
+            awarder: a.issuer,
+            summary: a.description
+        })),
+        certificates: context.certifications.map(c => compact({
+            name: c.name,
+            date: toIsoDate(c.issueDate),
+            issuer: c.issuingOrganization,
+            url: c.credentialUrl
+        })),
+        skills: (context.skills || []).map(s => compact({ name: s.name, level: s.expertise })),
+        languages: (context.languages || []).map(l => compact({ language: l.name, fluency: l.level })),
+        interests: nonEmptyStrings(user.hobbies).map(name => ({ name })),
+        projects: context.projects.map(p => compact({
+            name: p.title,
+            description: p.description,
+            highlights: nonEmptyStrings(p.highlights),
+            keywords: nonEmptyStrings(p.technologies),
+            startDate: toIsoDate(p.startDate),
+            endDate: p.isOngoing ? undefined : toIsoDate(p.endDate),
+            url: p.projectUrl || p.githubRepo,
+            roles: p.role ? [p.role] : undefined
+        })),
+        meta: compact({
+            lastModified: meta.lastModified ? new Date(meta.lastModified).toISOString() : undefined,
+            // customFields have no JSON Resume equivalent; meta allows additional properties
+            customFields: (resume.customFields || []).map(f => compact({
+                label: f.label,
+                value: f.value,
+                icon: f.icon,
+                category: f.category
+            }))
+        })
+    };
+}
+
+// ─── Import ──────────────────────────────────────────────────────────────────
+
+/**
+ * Map a (validated) JSON Resume document into plain entity payloads.
+ * Items missing fields our models require are reported in `skipped`
+ * instead of failing the whole import.
+ *
+ * @param {Object} doc - JSON Resume document
+ * @returns {{
+ *   resume: Object,
+ *   experiences: Object[], educations: Object[], projects: Object[],
+ *   certifications: Object[], awards: Object[],
+ *   skills: Object[], languages: Object[], socialMedia: Object[], hobbies: string[],
+ *   skipped: string[]
+ * }}
+ */
+function fromJsonResume(doc) {
+    const basics = doc.basics || {};
+    const skipped = [];
+
+    const experiences = [];
+    (doc.work || []).forEach((w, i) => {
+        const company = (w.name || '').trim();
+        const jobTitle = (w.position || '').trim();
+        if (!company || !jobTitle) {
+            skipped.push(`work[${i}]: name and position are required`);
+            return;
+        }
+        experiences.push({
+            jobTitle,
+            company,
+            location: w.location,
+            industry: w.description,
+            startDate: fromIsoDate(w.startDate),
+            endDate: fromIsoDate(w.endDate),
+            isCurrent: !!w.startDate && !w.endDate,
+            description: w.summary,
+            achievements: nonEmptyStrings(w.highlights),
+            technologiesUsed: nonEmptyStrings(w.keywords)
+        });
+    });
+
+    const educations = [];
+    (doc.education || []).forEach((e, i) => {
+        const institution = (e.institution || '').trim();
+        const degree = (e.studyType || e.area || '').trim();
+        if (!institution || !degree) {
+            skipped.push(`education[${i}]: institution and studyType (or area) are required`);
+            return;
+        }
+        educations.push({
+            institution,
+            degree,
+            fieldOfStudy: e.studyType ? e.area : undefined,
+            startDate: fromIsoDate(e.startDate),
+            endDate: fromIsoDate(e.endDate),
+            isOngoing: !!e.startDate && !e.endDate,
+            grade: e.score,
+            activities: nonEmptyStrings(e.courses)
+        });
+    });
+
+    const projects = [];
+    (doc.projects || []).forEach((p, i) => {
+        const title = (p.name || '').trim();
+        if (!title) {
+            skipped.push(`projects[${i}]: name is required`);
+            return;
+        }
+        const url = p.url || '';
+        const isGithub = /github\.com/i.test(url);
+        projects.push({
+            title,
+            role: nonEmptyStrings(p.roles)[0],
+            description: p.description,
+            technologies: nonEmptyStrings(p.keywords),
+            highlights: nonEmptyStrings(p.highlights),
+            startDate: fromIsoDate(p.startDate),
+            endDate: fromIsoDate(p.endDate),
+            isOngoing: !!p.startDate && !p.endDate,
+            projectUrl: isGithub ? undefined : url || undefined,
+            githubRepo: isGithub ? url : undefined
+        });
+    });
+
+    const certifications = [];
+    (doc.certificates || []).forEach((c, i) => {
+        const name = (c.name || '').trim();
+        if (!name) {
+            skipped.push(`certificates[${i}]: name is required`);
+            return;
+        }
+        certifications.push({
+            name,
+            issuingOrganization: c.issuer,
+            issueDate: fromIsoDate(c.date),
+            credentialUrl: c.url
+        });
+    });
+
+    const awards = [];
+    (doc.awards || []).forEach((a, i) => {
+        const title = (a.title || '').trim();
+        if (!title) {
+            skipped.push(`awards[${i}]: title is required`);
+            return;
+        }
+        awards.push({
+            title,
+            issuer: a.awarder,
+            date: fromIsoDate(a.date),
+            description: a.summary
+        });
+    });
+
+    const skills = (doc.skills || [])
+        .filter(s => s.name && s.name.trim())
+        .map(s => ({ name: s.name.trim().substring(0, 50), expertise: mapSkillLevel(s.level) }));
+
+    const languages = (doc.languages || [])
+        .filter(l => l.language && l.language.trim())
+        .map(l => ({ name: l.language.trim().substring(0, 50), level: mapLanguageLevel(l.fluency) }));
+
+    const socialMedia = (basics.profiles || [])
+        .filter(p => p.url)
+        .map(p => ({ platform: mapNetwork(p.network), url: p.url }));
+    if (basics.url) socialMedia.push({ platform: 'Portfolio', url: basics.url });
+
+    const hobbies = (doc.interests || [])
+        .map(i => (typeof i?.name === 'string' ? i.name.trim() : ''))
+        .filter(Boolean);
+
+    const customFields = (doc.meta?.customFields || [])
+        .filter(f => f && f.label)
+        .map(f => ({ label: String(f.label), value: f.value != null ? String(f.value) : '', icon: f.icon, category: f.category }));
+
+    return {
+        resume: {
+            title: (basics.label || 'Imported Resume').substring(0, 100),
+            summary: basics.summary ? basics.summary.substring(0, 2000) : undefined,
+            selectedSkills: skills.map(s => s.name),
+            selectedLanguages: languages.map(l => l.name),
+            selectedSocialMedia: [...new Set(socialMedia.map(s => s.platform))],
+            customFields
+        },
+        experiences,
+        educations,
+        projects,
+        certifications,
+        awards,
+        skills,
+        languages,
+        socialMedia,
+        hobbies,
+        skipped
+    };
+}
+
+module.exports = {
+    toJsonResume,
+    fromJsonResume
+};
@@ -1,8 +1,10 @@
 const AppSettings = require('../models/appSettings.model');
 const Subscription = require('../models/subscription.model');
 const Transaction = require('../models/transaction.model');
-const CreditLog = require('../models/creditLog.model');
 const User = require('../models/user.model');
+const Organization = require('../models/organization.model');
+const { grantCredits } = require('./credit.service');
+const { getCheckoutDiscount, recordCheckoutRedemption } = require('./promo.service');
 const logger = require('../utils/logger');
 
 /**
@@ -10,7 +12,7 @@ const logger = require('../utils/logger');
  * 
  * Handles:
  * - Customer creation
- * - Checkout sessions for credit purchases
+ * - Checkout sessions for credit purchases (personal and organization wallets)
  * - Subscription creation & management
  * - Webhook processing
  */
@@ -86,16 +88,22 @@ const CREDIT_PACKAGES = {
     30: { price: 14.99, label: '30 credits' },
 };
 
+// Stripe's smallest card charge (in cents) for USD; discounts never go below it
+const MIN_CHARGE_CENTS = 50;
+
 /**
- * Create a Stripe checkout session for purchasing credits.
+ * Price a credit pack (applying a discount code) and open a Stripe checkout
+ * session for it. Shared by personal and organization purchases.
+ * @param {Object} params
+ * @param {string} params.userId - Buyer (also the promo code user)
+ * @param {string} params.customerId - Stripe customer to bill
+ * @param {number} params.creditAmount
+ * @param {string} [params.promoCode] - Discount promo code; its redemption is recorded when the payment completes
+ * @param {string} [params.productName] - Shown on the Stripe page
+ * @param {Object} [params.metadata] - Extra session metadata
  */
-async function createCreditCheckoutSession(userId, creditAmount) {
+async function openCreditCheckout({ userId, customerId, creditAmount, promoCode, productName, metadata = {} }) {
     const stripe = getStripe();
-
-    const user = await User.findById(userId);
-    if (!user) throw new Error('User not found');
-
-    const customerId = await getOrCreateCustomer(user);
     const currency = await AppSettings.get('currency', 'usd');
 
     // Use package pricing if available, otherwise fall back to per-credit rate
@@ -108,6 +116,13 @@ async function createCreditCheckoutSession(userId, creditAmount) {
         totalAmount = Math.round(pricePerCredit * creditAmount * 100);
     }
 
+    // Throws with an HTTP status if the code cannot be used by this user
+    const discount = promoCode ? await getCheckoutDiscount(userId, promoCode) : null;
+    if (discount) {
+        const discounted = Math.round(totalAmount * (100 - discount.discountPercent) / 100);
+        totalAmount = Math.max(discounted, Math.min(totalAmount, MIN_CHARGE_CENTS));
+    }
+
     const session = await stripe.checkout.sessions.create({
         customer: customerId,
         mode: 'payment',
@@ -116,8 +131,8 @@ async function createCreditCheckoutSession(userId, creditAmount) {
             price_data: {
                 currency,
                 product_data: {
-                    name: `${creditAmount} Resume Credits`,
-                    description: `Purchase ${creditAmount} credits for AI-powered generations`,
+                    name: productName || `${creditAmount} Resume Credits`,
+                    description: `Purchase ${creditAmount} credits for AI-powered generations${discount ? ` (${discount.code}: ${discount.discountPercent}% off)` : ''}`,
                 },
                 unit_amount: totalAmount,
             },
@@ -126,13 +141,81 @@ async function createCreditCheckoutSession(userId, creditAmount) {
         metadata: {
             userId: userId.toString(),
             type: 'credit_purchase',
-            creditAmount: creditAmount.toString()
+            creditAmount: creditAmount.toString(),
+            ...metadata,
+            ...(discount && {
+                promoCodeId: discount.promoCodeId.toString(),
+                discountPercent: discount.discountPercent.toString()
+            })
         },
         success_url: `${process.env.FRONTEND_URL}/payment/success?session_id={CHECKOUT_SESSION_ID}`,
         cancel_url: `${process.env.FRONTEND_URL}/payment/cancel`,
     });
 
-    logger.info(`Credit checkout session created: ${session.id} for ${creditAmount} credits, user ${userId}`);
+    return { session, discount };
+}
+
+/**
+ * Create a Stripe checkout session for purchasing credits.
+ * @param {string} [promoCode] - Discount promo code; its redemption is recorded when the payment completes
+ */
+async function createCreditCheckoutSession(userId, creditAmount, promoCode) {
+    const user = await User.findById(userId);
+    if (!user) throw new Error('User not found');
+
+    const customerId = await getOrCreateCustomer(user);
+    const { session, discount } = await openCreditCheckout({ userId, customerId, creditAmount, promoCode });
+
+    logger.info(`Credit checkout session created: ${session.id} for ${creditAmount} credits, user ${userId}${discount ? ` with promo code ${discount.code}` : ''}`);
+    return { sessionId: session.id, url: session.url };
+}
+
+/**
+ * Get or create the Stripe customer billed for an organization's credit purchases.
+ */
+async function getOrCreateOrganizationCustomer(organization, buyer) {
+    if (organization.stripeCustomerId) return organization.stripeCustomerId;
+
+    const stripe = getStripe();
+    const customer = await stripe.customers.create({
+        email: buyer.email,
+        name: organization.name,
+        metadata: {
+            organizationId: organization._id.toString()
+        }
+    });
+
+    // Another purchase may have created one meanwhile — keep whichever was stored first
+    const updated = await Organization.findOneAndUpdate(
+        { _id: organization._id, stripeCustomerId: null },
+        { $set: { stripeCustomerId: customer.id } },
+        { new: true }
+    );
+    if (!updated) return (await Organization.findById(organization._id)).stripeCustomerId;
+
+    logger.info(`Stripe customer created: ${customer.id} for organization ${organization._id}`);
+    return customer.id;
+}
+
+/**
+ * Create a Stripe checkout session that buys credits for an organization's
+ * shared wallet. The buyer must be allowed to purchase (checked by the caller).
+ */
+async function createOrganizationCreditCheckoutSession(organization, userId, creditAmount, promoCode) {
+    const buyer = await User.findById(userId);
+    if (!buyer) throw new Error('User not found');
+
+    const customerId = await getOrCreateOrganizationCustomer(organization, buyer);
+    const { session, discount } = await openCreditCheckout({
+        userId,
+        customerId,
+        creditAmount,
+        promoCode,
+        productName: `${creditAmount} Resume Credits — ${organization.name}`,
+        metadata: { organizationId: organization._id.toString() }
+    });
+
+    logger.info(`Organization credit checkout session created: ${session.id} for ${creditAmount} credits, organization ${organization._id}, buyer ${userId}${discount ? ` with promo code ${discount.code}` : ''}`);
     return { sessionId: session.id, url: session.url };
 }
 
@@ -354,7 +437,7 @@ async function handleWebhookEvent(event) {
 }
 
 async function handleCheckoutCompleted(session) {
-    const { type, userId, creditAmount, plan } = session.metadata;
+    const { type, userId, creditAmount, plan, promoCodeId, discountPercent, organizationId } = session.metadata;
 
     // Calculate amount from Stripe session
     const amount = (session.amount_total || 0) / 100;
@@ -363,12 +446,10 @@ async function handleCheckoutCompleted(session) {
     if (type === 'credit_purchase') {
         const credits = parseInt(creditAmount, 10);
 
-        // Add credits to user
-        const updatedUser = await User.findByIdAndUpdate(userId, { $inc: { credits } }, { new: true, select: '+credits' });
-
         // Record financial transaction
         await Transaction.create({
             userId,
+            organizationId: organizationId || null,
             stripeSessionId: session.id,
             stripePaymentIntentId: session.payment_intent,
             type: 'credit_purchase',
@@ -376,22 +457,31 @@ async function handleCheckoutCompleted(session) {
             amount,
             currency,
             creditsAdded: credits,
-            description: `Purchased ${credits} resume credits`,
+            description: `Purchased ${credits} resume credits${organizationId ? ' for organization' : ''}`,
             stripeEventType: 'checkout.session.completed',
-            metadata: { sessionId: session.id, paymentIntent: session.payment_intent }
+            metadata: { sessionId: session.id, paymentIntent: session.payment_intent, promoCodeId, discountPercent }
         });
 
-        // Record credit addition in credit log
-        await CreditLog.create({
-            userId,
+        if (promoCodeId) {
+            await recordCheckoutRedemption({
+                userId,
+                promoCodeId,
+                discountPercent: parseInt(discountPercent, 10),
+                stripeSessionId: session.id
+            });
+        }
+
+        // Purchased credits never expire; organization purchases go to the shared wallet
+        await grantCredits(userId, credits, {
+            organizationId: organizationId || null,
+            source: 'purchase',
             type: 'purchase',
-            credits,
-            balanceAfter: updatedUser ? updatedUser.credits : null,
+            expiresAt: null,
             description: `Purchased ${credits} credits ($${amount.toFixed(2)} ${currency.toUpperCase()})`,
             metadata: { stripeSessionId: session.id, amount, currency }
         });
 
-        logger.info(`${credits} credits added to user ${userId} via Stripe payment. Transaction recorded.`);
+        logger.info(`${credits} credits added to ${organizationId ? `organization ${organizationId} (bought by user ${userId})` : `user ${userId}`} via Stripe payment. Transaction recorded.`);
 
     } else if (type === 'subscription') {
         const stripeSubscriptionId = session.subscription;
@@ -420,15 +510,13 @@ async function handleCheckoutCompleted(session) {
             { upsert: true, new: true }
         );
 
-        // Add subscription credits to user balance
+        // Subscription credits are valid for the billing period they were granted for
         const creditsToAdd = await creditLimitForPlan(plan);
-        const updatedUser = await User.findByIdAndUpdate(userId, { $inc: { credits: creditsToAdd } }, { new: true, select: '+credits' });
-
-        await CreditLog.create({
-            userId,
+        await grantCredits(userId, creditsToAdd, {
+            source: 'subscription',
             type: 'addition',
-            credits: creditsToAdd,
-            balanceAfter: updatedUser ? updatedUser.credits : null,
+            // extractPeriodDates falls back to "now" when Stripe omits the period
+            expiresAt: currentPeriodEnd > new Date() ? currentPeriodEnd : null,
             description: `${plan.charAt(0).toUpperCase() + plan.slice(1)} subscription activated — ${creditsToAdd} credits added`,
             metadata: { plan, subscriptionId: stripeSubscriptionId }
         });
@@ -537,19 +625,14 @@ async function handleInvoicePaymentSucceeded(invoice) {
     const currency = invoice.currency || 'usd';
     const isSwitch = invoice.billing_reason === 'subscription_update';
 
-    // Add subscription credits to user balance on renewal or paid plan switch
+    // Add subscription credits on renewal or paid plan switch, valid until the
+    // end of the period this invoice pays for
     const creditsToAdd = await creditLimitForPlan(subscription.plan);
-    const updatedUser = await User.findByIdAndUpdate(
-        subscription.userId,
-        { $inc: { credits: creditsToAdd } },
-        { new: true, select: '+credits' }
-    );
-
-    await CreditLog.create({
-        userId: subscription.userId,
+    const periodEnd = invoice.lines?.data?.[0]?.period?.end;
+    await grantCredits(subscription.userId, creditsToAdd, {
+        source: 'subscription',
         type: 'addition',
-        credits: creditsToAdd,
-        balanceAfter: updatedUser ? updatedUser.credits : null,
+        expiresAt: periodEnd ? new Date(periodEnd * 1000) : subscription.currentPeriodEnd || null,
         description: `${isSwitch ? 'Plan switch' : 'Subscription renewal'} — ${creditsToAdd} credits added`,
         metadata: { plan: subscription.plan, invoiceId: invoice.id }
     });
@@ -940,6 +1023,7 @@ async function syncTransactionsFromStripe(userId) {
 module.exports = {
     getOrCreateCustomer,
     createCreditCheckoutSession,
+    createOrganizationCreditCheckoutSession,
     createSubscriptionCheckoutSession,
     cancelSubscription,
     reactivateSubscription,
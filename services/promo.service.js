@@ -0,0 +1,149 @@
+const PromoCode = require('../models/promoCode.model');
+const PromoRedemption = require('../models/promoRedemption.model');
+const { grantCredits } = require('./credit.service');
+const logger = require('../utils/logger');
+
+/**
+ * Promo Code Service
+ *
+ * - 'credits' codes grant promotional credits (POST /api/credits/redeem)
+ * - 'discount' codes take a percentage off a credit pack at checkout; the
+ *   redemption is recorded when Stripe confirms the payment
+ *
+ * Errors carry an HTTP `status` for the error middleware.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function promoError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Look up a code and check this user may still use it.
+ * @param {string} code
+ * @param {string} userId
+ * @param {'credits'|'discount'} type - Kind of code the caller expects
+ * @returns {{ promo: Object, used: number }} used = the user's earlier redemptions
+ */
+async function findUsableCode(code, userId, type) {
+    const promo = await PromoCode.findOne({ code: normalizeCode(code) });
+    if (!promo || !promo.isActive) throw promoError(404, 'Promo code not found');
+
+    if (promo.type !== type) {
+        throw promoError(400, promo.type === 'discount'
+            ? 'This code gives a discount on credit packs — apply it at checkout'
+            : 'This code grants credits — redeem it from your credits page');
+    }
+    if (promo.expiresAt && promo.expiresAt <= new Date()) throw promoError(410, 'Promo code has expired');
+    if (promo.maxRedemptions !== null && promo.redemptionCount >= promo.maxRedemptions) {
+        throw promoError(410, 'Promo code has been fully redeemed');
+    }
+
+    const used = await PromoRedemption.countDocuments({ promoCodeId: promo._id, userId });
+    if (used >= promo.perUserLimit) throw promoError(409, 'You have already used this promo code');
+
+    return { promo, used };
+}
+
+/**
+ * Record a redemption. The global count is taken with a conditional update
+ * and the per-user slot with a unique index, so neither limit can be
+ * exceeded by concurrent requests.
+ * @param {Object} promo
+ * @param {string} userId
+ * @param {number} used - The user's earlier redemptions (from findUsableCode)
+ * @param {Object} fields - Extra redemption fields
+ * @param {Object} [options] - { force } records past maxRedemptions (the user has already paid)
+ */
+async function claimRedemption(promo, userId, used, fields, { force = false } = {}) {
+    const claimed = await PromoCode.findOneAndUpdate(
+        force ? { _id: promo._id } : {
+            _id: promo._id,
+            isActive: true,
+            $expr: { $or: [{ $eq: ['$maxRedemptions', null] }, { $lt: ['$redemptionCount', '$maxRedemptions'] }] }
+        },
+        { $inc: { redemptionCount: 1 } },
+        { new: true }
+    );
+    if (!claimed) throw promoError(410, 'Promo code has been fully redeemed');
+
+    try {
+        return await PromoRedemption.create({ promoCodeId: promo._id, userId, code: promo.code, sequence: used + 1, ...fields });
+    } catch (err) {
+        await PromoCode.updateOne({ _id: promo._id }, { $inc: { redemptionCount: -1 } });
+        if (err.code === 11000) throw promoError(409, 'You have already used this promo code');
+        throw err;
+    }
+}
+
+/**
+ * Redeem a 'credits' code for the user.
+ * @returns {{ code: string, creditsAdded: number, expiresAt: Date|null, credits: number }}
+ */
+async function redeemCreditCode(userId, code) {
+    const { promo, used } = await findUsableCode(code, userId, 'credits');
+    const redemption = await claimRedemption(promo, userId, used, { credits: promo.credits });
+
+    // null → promotional_credit_expiry_days; 0 → never
+    let expiresAt;
+    if (promo.creditExpiryDays !== null) {
+        expiresAt = promo.creditExpiryDays > 0 ? new Date(Date.now() + promo.creditExpiryDays * DAY_MS) : null;
+    }
+
+    const { bucket, balance } = await grantCredits(userId, promo.credits, {
+        source: 'promotional',
+        type: 'promo',
+        expiresAt,
+        description: `Promo code ${promo.code} — ${promo.credits} credits`,
+        metadata: { promoCodeId: promo._id, redemptionId: redemption._id, code: promo.code }
+    });
+
+    logger.info(`Promo code ${promo.code} redeemed by user ${userId}: ${promo.credits} credits`);
+    return { code: promo.code, creditsAdded: promo.credits, expiresAt: bucket.expiresAt, credits: balance };
+}
+
+/**
+ * Check a 'discount' code for a credit-pack checkout.
+ * @returns {{ promoCodeId: string, code: string, discountPercent: number }}
+ */
+async function getCheckoutDiscount(userId, code) {
+    const { promo } = await findUsableCode(code, userId, 'discount');
+    return { promoCodeId: promo._id, code: promo.code, discountPercent: promo.discountPercent };
+}
+
+/**
+ * Record a discount redemption once Stripe confirms the checkout it was used
+ * on. Safe to call again for the same session (webhook retries).
+ */
+async function recordCheckoutRedemption({ userId, promoCodeId, discountPercent, stripeSessionId }) {
+    if (await PromoRedemption.exists({ stripeSessionId })) return null;
+
+    const promo = await PromoCode.findById(promoCodeId);
+    if (!promo) {
+        logger.warn(`Checkout ${stripeSessionId} used promo code ${promoCodeId}, which no longer exists`);
+        return null;
+    }
+
+    const used = await PromoRedemption.countDocuments({ promoCodeId, userId });
+    try {
+        return await claimRedemption(promo, userId, used, { discountPercent, stripeSessionId }, { force: true });
+    } catch (err) {
+        // The discount was already paid out; only the bookkeeping is lost
+        logger.warn(`Could not record promo redemption for checkout ${stripeSessionId}: ${err.message}`);
+        return null;
+    }
+}
+
+module.exports = {
+    normalizeCode,
+    redeemCreditCode,
+    getCheckoutDiscount,
+    recordCheckoutRedemption
+};
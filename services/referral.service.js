@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const { customAlphabet } = require('nanoid');
+const User = require('../models/user.model');
+const CreditLog = require('../models/creditLog.model');
+const AppSettings = require('../models/appSettings.model');
+const { grantCredits } = require('./credit.service');
+const logger = require('../utils/logger');
+
+/**
+ * Referral Service
+ *
+ * Every user gets a referral code on first request. A new user who registers
+ * with it is linked to the referrer, and both are credited once the new user
+ * verifies their email.
+ */
+
+// No 0/O or 1/I so codes survive being read aloud
+const generateCode = customAlphabet('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 8);
+
+function referralLink(code) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/register?ref=${code}`;
+}
+
+/**
+ * The user's referral code, created on first use.
+ * @param {string} userId
+ * @returns {string}
+ */
+async function getReferralCode(userId) {
+    const user = await User.findById(userId).select('referralCode');
+    if (!user) return null;
+    if (user.referralCode) return user.referralCode;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        try {
+            const updated = await User.findOneAndUpdate(
+                { _id: userId, referralCode: { $exists: false } },
+                { $set: { referralCode: generateCode() } },
+                { new: true, select: 'referralCode' }
+            );
+            // null → another request set the code first
+            return updated ? updated.referralCode : (await User.findById(userId).select('referralCode')).referralCode;
+        } catch (err) {
+            if (err.code !== 11000) throw err; // code taken — try another
+        }
+    }
+    throw new Error('Could not generate a unique referral code');
+}
+
+/**
+ * Referral code, link and stats for the user's credits page.
+ * @returns {Object|null} null if the user does not exist
+ */
+async function getReferralSummary(userId) {
+    const code = await getReferralCode(userId);
+    if (!code) return null;
+
+    const [referred, rewarded, earned] = await Promise.all([
+        User.countDocuments({ referredBy: userId }),
+        User.countDocuments({ referredBy: userId, referralRewardedAt: { $ne: null } }),
+        CreditLog.aggregate([
+            { $match: { userId: new mongoose.Types.ObjectId(String(userId)), type: 'referral' } },
+            { $group: { _id: null, credits: { $sum: '$credits' } } }
+        ])
+    ]);
+
+    return {
+        code,
+        link: referralLink(code),
+        referred,
+        rewarded,
+        creditsEarned: earned[0]?.credits || 0,
+        referrerCredits: await AppSettings.get('referral_referrer_credits', 5),
+        refereeCredits: await AppSettings.get('referral_referee_credits', 5)
+    };
+}
+
+/**
+ * Find the user a referral code belongs to.
+ * @returns {Object|null} User (id and email only)
+ */
+async function findReferrer(code) {
+    if (!code) return null;
+    return User.findOne({ referralCode: String(code).trim().toUpperCase(), isDeleted: { $ne: true } }).select('_id email');
+}
+
+/**
+ * Credit both sides of a referral. Called when the referred user verifies
+ * their email; the reward is claimed atomically so it is paid at most once.
+ * @param {string} userId - The referred user
+ * @returns {boolean} Whether a reward was paid
+ */
+async function rewardReferral(userId) {
+    const referee = await User.findOneAndUpdate(
+        { _id: userId, referredBy: { $ne: null }, referralRewardedAt: null },
+        { $set: { referralRewardedAt: new Date() } },
+        { new: true }
+    );
+    if (!referee) return false;
+
+    const [referrerCredits, refereeCredits] = await Promise.all([
+        AppSettings.get('referral_referrer_credits', 5),
+        AppSettings.get('referral_referee_credits', 5)
+    ]);
+
+    const referrer = await User.findById(referee.referredBy).select('_id isDeleted');
+    if (referrer && !referrer.isDeleted && referrerCredits > 0) {
+        await grantCredits(referrer._id, referrerCredits, {
+            source: 'referral',
+            type: 'referral',
+            description: `Referral bonus — ${referee.email} joined`,
+            metadata: { role: 'referrer', refereeId: referee._id }
+        });
+    }
+
+    if (refereeCredits > 0) {
+        await grantCredits(referee._id, refereeCredits, {
+            source: 'referral',
+            type: 'referral',
+            description: 'Referral bonus — welcome!',
+            metadata: { role: 'referee', referrerId: referee.referredBy }
+        });
+    }
+
+    logger.info(`Referral rewarded: ${referee.referredBy} referred ${referee._id}`);
+    return true;
+}
+
+module.exports = {
+    getReferralCode,
+    getReferralSummary,
+    findReferrer,
+    rewardReferral
+};
@@ -0,0 +1,244 @@
+const os = require('os');
+const fs = require('fs/promises');
+const path = require('path');
+const RenderJob = require('../models/renderJob.model');
+const UserGeneratedTemplate = require('../models/userGeneratedTemplate.model');
+const renderOutputs = require('../utils/render-outputs');
+const generatePaths = require('../utils/generate-template-paths');
+const { storage } = require('../utils/storage');
+const logger = require('../utils/logger');
+
+/**
+ * Render Job Service
+ *
+ * Chromium renders (PDF, preview image) of user-generated templates run here,
+ * outside the HTTP request:
+ * - requestRender: called by the API; queues a RenderJob, and runs it straight
+ *   away on hosts without a worker (see rendersInRequest)
+ * - processNextJob / startWorker: used by the worker process to claim and run jobs
+ *
+ * A job's outputs (plus per-page preview images when it renders both) come
+ * from a single page load in the shared browser pool. They are rendered in a
+ * temporary directory and then moved into storage (utils/storage.js), so the
+ * previous PDF/preview keeps being served until the new one is complete.
+ */
+
+// Template field and renderOutputs option for each output
+const OUTPUT_FILES = {
+    preview: { field: 'previewImagePath', option: 'imagePath' },
+    pdf: { field: 'pdfFilePath', option: 'pdfPath' }
+};
+
+// An error retrying cannot fix (template deleted, HTML missing)
+function permanentError(message) {
+    const err = new Error(message);
+    err.retryable = false;
+    return err;
+}
+
+/**
+ * Queue a render of a template's PDF and/or preview.
+ * @param {Document} template - UserGeneratedTemplate
+ * @param {string[]} outputs - Any of RenderJob.RENDER_OUTPUTS
+ * @param {ObjectId} [requestedBy]
+ */
+async function enqueueRender(template, outputs, requestedBy = null) {
+    const job = await RenderJob.enqueue({
+        templateId: template._id,
+        userId: template.userId,
+        requestedBy,
+        outputs
+    });
+    logger.info(`Render job ${job._id} queued for template ${template._id} (${job.outputs.join(', ')})`);
+    return job;
+}
+
+/**
+ * Whether renders run inside the API request instead of on a worker.
+ * Serverless deployments (Vercel) have no long-running process to poll the
+ * queue, so they render in the request unless RENDER_IN_REQUEST=false says a
+ * worker runs elsewhere; RENDER_IN_REQUEST=true forces it on any host.
+ */
+function rendersInRequest() {
+    if (process.env.RENDER_IN_REQUEST) return process.env.RENDER_IN_REQUEST === 'true';
+    return !!process.env.VERCEL;
+}
+
+/**
+ * Queue a render and, when renders run in the request, run that job now.
+ * An inline render is not retried: the request reports its failure instead.
+ * @param {Document} template - UserGeneratedTemplate
+ * @param {string[]} outputs - Any of RenderJob.RENDER_OUTPUTS
+ * @param {ObjectId} [requestedBy]
+ * @returns {Promise<Document>} The job; finished (succeeded/failed) when it ran inline
+ */
+async function requestRender(template, outputs, requestedBy = null) {
+    const job = await enqueueRender(template, outputs, requestedBy);
+    if (!rendersInRequest()) return job;
+
+    const claimed = await RenderJob.claimNext(`${os.hostname()}:${process.pid}:request`, { jobId: job._id });
+    // Already claimed by a worker; the client polls it like any queued job
+    if (!claimed) return job;
+
+    await runClaimedJob(claimed, { retry: false });
+    return RenderJob.findById(job._id);
+}
+
+/**
+ * Render every output of a claimed job and point the template at the new files.
+ */
+async function runRenderJob(job) {
+    const template = await UserGeneratedTemplate.findById(job.templateId);
+    if (!template || template.isDeleted) throw permanentError('Template not found');
+
+    let html;
+    try {
+        html = await storage.get(template.htmlFilePath);
+    } catch (err) {
+        if (err.status === 404) throw permanentError('Template HTML file not found in storage');
+        throw err;
+    }
+
+    // Chromium renders from local files; outputs are moved into storage afterwards
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), `render-${job._id}-`));
+    try {
+        const htmlPath = path.join(workDir, 'resume.html');
+        await fs.writeFile(htmlPath, html);
+
+        const paths = generatePaths(template.userId, template.resumeId, template.initialTemplateId);
+        const files = job.outputs.map((output) => {
+            const { field, option } = OUTPUT_FILES[output];
+            const key = paths[field];
+            return { field, option, key, localPath: path.join(workDir, path.posix.basename(key)) };
+        });
+
+        // Per-page images are rasterized from the PDF, so they come with jobs rendering both
+        const pagesDir = job.outputs.includes('preview') && job.outputs.includes('pdf')
+            ? path.join(workDir, 'pages')
+            : null;
+        if (pagesDir) await fs.mkdir(pagesDir);
+
+        // One page load for every output
+        const rendered = await renderOutputs(`file://${htmlPath}`, {
+            ...Object.fromEntries(files.map(file => [file.option, file.localPath])),
+            pagesDir,
+            pdfOptions: template.pdfOptions?.toObject()
+        });
+
+        const update = {};
+        const replaced = [];
+        for (const { field, key, localPath } of files) {
+            await storage.importFile(key, localPath);
+            update[field] = key;
+            if (template[field] && template[field] !== key) replaced.push(template[field]);
+        }
+        if (rendered.pdf) {
+            const { pageCount, scale, warning } = rendered.pdf;
+            update.pdfLayout = { pageCount, scale, warning, renderedAt: new Date() };
+        }
+        if (rendered.pages) {
+            update.previewPages = [];
+            for (const localFiles of rendered.pages) {
+                const keys = {};
+                for (const [size, localPath] of Object.entries(localFiles)) {
+                    keys[size] = path.posix.join(paths.previewPagesDir, path.basename(localPath));
+                    await storage.importFile(keys[size], localPath);
+                }
+                update.previewPages.push(keys);
+            }
+            // Pages the resume no longer has
+            const current = new Set(update.previewPages.flatMap(Object.values));
+            for (const files of template.previewPages) {
+                replaced.push(...Object.values(files.toObject()).filter(key => key && !current.has(key)));
+            }
+        }
+
+        await UserGeneratedTemplate.updateOne({ _id: template._id }, { $set: update });
+
+        // Files from an older naming scheme (or extra pages) that the new render supersedes
+        for (const oldKey of replaced) {
+            await storage.remove(oldKey).catch(() => { });
+        }
+    } finally {
+        await fs.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Claim and run the next due job.
+ * @returns {Promise<Document|null>} The job that was run, or null if none was due
+ */
+async function processNextJob(workerId) {
+    const job = await RenderJob.claimNext(workerId);
+    if (!job) return null;
+
+    await runClaimedJob(job);
+    return job;
+}
+
+/**
+ * Run a claimed job and record the outcome on it.
+ */
+async function runClaimedJob(job, { retry = true } = {}) {
+    // Re-claimed after its worker died on the last allowed attempt
+    if (job.attempts > job.maxAttempts) {
+        await job.markFailed(new Error('Render worker stopped responding'), { retry: false });
+        logger.error(`Render job ${job._id} abandoned after ${job.maxAttempts} attempts`);
+        return;
+    }
+
+    logger.info(`Render job ${job._id} started (attempt ${job.attempts}/${job.maxAttempts})`);
+    try {
+        await runRenderJob(job);
+        await job.markSucceeded();
+        logger.info(`Render job ${job._id} succeeded in ${Date.now() - job.startedAt}ms`);
+    } catch (err) {
+        await job.markFailed(err, { retry: retry && err.retryable !== false });
+        logger.error(`Render job ${job._id} attempt ${job.attempts} failed: ${err.message}`);
+    }
+}
+
+/**
+ * Run jobs one at a time until stopped, polling when the queue is empty.
+ * @returns {{ stop: () => Promise<void> }} stop() resolves once the current job has finished
+ */
+function startWorker({ workerId = `${os.hostname()}:${process.pid}`, pollMs = 2000 } = {}) {
+    let stopped = false;
+    let timer = null;
+    let wake = null;
+
+    const loop = (async () => {
+        while (!stopped) {
+            let job = null;
+            try {
+                job = await processNextJob(workerId);
+            } catch (err) {
+                logger.error(`Render worker ${workerId} error: ${err.message}`);
+            }
+            if (!job && !stopped) {
+                await new Promise(resolve => {
+                    wake = resolve;
+                    timer = setTimeout(resolve, pollMs);
+                });
+            }
+        }
+    })();
+
+    return {
+        stop: async () => {
+            stopped = true;
+            clearTimeout(timer);
+            if (wake) wake();
+            await loop;
+        }
+    };
+}
+
+module.exports = {
+    enqueueRender,
+    requestRender,
+    rendersInRequest,
+    runRenderJob,
+    processNextJob,
+    startWorker
+};
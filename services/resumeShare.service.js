@@ -0,0 +1,105 @@
+const User = require('../models/user.model');
+const { sendEmail } = require('./email.service');
+const logger = require('../utils/logger');
+
+/**
+ * Resume Share Service
+ *
+ * Email notifications for resume reviews:
+ * - invite: a reviewer was given access to a resume
+ * - comment: a reviewer commented (sent to the owner)
+ * - reply: someone replied to a reviewer's comment (sent to the reviewer)
+ *
+ * Emails are best-effort: failures are logged and reported back as `false`,
+ * never thrown, so a mail outage cannot fail the request that triggered them.
+ */
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (ch) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[ch]));
+
+function frontendUrl() {
+    return process.env.FRONTEND_URL || 'http://localhost:3000';
+}
+
+function shareUrl(token) {
+    return `${frontendUrl()}/shared-resume/${token}`;
+}
+
+async function send(to, subject, html) {
+    try {
+        await sendEmail(to, subject, html);
+        return true;
+    } catch (err) {
+        logger.error(`Resume review email "${subject}" to ${to} failed: ${err.message}`);
+        return false;
+    }
+}
+
+function describeAnchor(anchor) {
+    if (!anchor || anchor.section === 'general') return 'the resume';
+    const bullet = anchor.index !== null && anchor.index !== undefined ? ` (${anchor.field || 'item'} #${anchor.index + 1})` : '';
+    return `the ${anchor.section} section${bullet}`;
+}
+
+/**
+ * Email a reviewer their access link.
+ * @returns {boolean} Whether the email was sent
+ */
+async function sendShareInvite({ share, token, resume, owner, message }) {
+    const url = shareUrl(token);
+    const ownerName = `${owner.first_name} ${owner.last_name}`;
+    const action = share.permission === 'comment' ? 'review and comment on' : 'view';
+
+    return send(
+        share.email,
+        `${ownerName} shared a resume with you`,
+        `<h1>Resume Review</h1>
+         <p>Hi${share.name ? ` ${escapeHtml(share.name)}` : ''},</p>
+         <p>${escapeHtml(ownerName)} invited you to ${action} their resume "${escapeHtml(resume.title)}".</p>
+         ${message ? `<blockquote>${escapeHtml(message)}</blockquote>` : ''}
+         <p><a href="${url}">${url}</a></p>
+         <p>No account is needed. Keep this link private — anyone with it can open the resume.</p>`
+    );
+}
+
+/**
+ * Tell the resume owner a reviewer commented.
+ */
+async function notifyOwnerOfComment({ comment, resume }) {
+    const owner = await User.findById(resume.userId).select('email first_name').lean();
+    if (!owner) return false;
+
+    const url = `${frontendUrl()}/resumes/${resume._id}/comments`;
+    return send(
+        owner.email,
+        `New comment on "${resume.title}"`,
+        `<p>Hi ${escapeHtml(owner.first_name)},</p>
+         <p>${escapeHtml(comment.authorName || comment.authorEmail)} commented on ${escapeHtml(describeAnchor(comment.anchor))}:</p>
+         <blockquote>${escapeHtml(comment.body)}</blockquote>
+         <p><a href="${url}">${url}</a></p>`
+    );
+}
+
+/**
+ * Tell a reviewer someone replied to their comment. Only token hashes are
+ * stored, so the email points them back to their invitation link.
+ */
+async function notifyReviewerOfReply({ reply, parent, resume }) {
+    if (!parent.shareId || parent.authorEmail === reply.authorEmail) return false;
+
+    return send(
+        parent.authorEmail,
+        `New reply on "${resume.title}"`,
+        `<p>${escapeHtml(reply.authorName || reply.authorEmail)} replied to your comment on ${escapeHtml(describeAnchor(parent.anchor))}:</p>
+         <blockquote>${escapeHtml(reply.body)}</blockquote>
+         <p>Open the resume with the link from your invitation email to respond.</p>`
+    );
+}
+
+module.exports = {
+    shareUrl,
+    sendShareInvite,
+    notifyOwnerOfComment,
+    notifyReviewerOfReply
+};
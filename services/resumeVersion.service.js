@@ -0,0 +1,268 @@
+const ResumeVersion = require('../models/resumeVersion.model');
+const Experience = require('../models/experience.model');
+const Education = require('../models/education.model');
+const Project = require('../models/project.model');
+const Certification = require('../models/certification.model');
+const Award = require('../models/award.model');
+const logger = require('../utils/logger');
+
+/**
+ * Resume Version Service
+ *
+ * Snapshots a resume together with the contents of the entities it links
+ * to, diffs two snapshots field by field, and rolls a resume back to a
+ * snapshot.
+ */
+
+// Resume fields captured in a snapshot (slug, ownership and soft-delete state are not versioned)
+const VERSIONED_FIELDS = [
+    'title',
+    'summary',
+    'jobDescription',
+    'selectedSkills',
+    'selectedLanguages',
+    'selectedSocialMedia',
+    'salaryEstimate',
+    'hiringChance',
+    'suggestions',
+    'customFields',
+    'overrides',
+    'layout',
+    'visibility',
+    'linkedTemplateId'
+];
+
+const ENTITY_MODELS = {
+    experiences: Experience,
+    educations: Education,
+    projects: Project,
+    certifications: Certification,
+    awards: Award
+};
+
+// Bookkeeping fields that are not part of an entity's content
+const ENTITY_META_FIELDS = ['_id', '__v', 'userId', 'isDeleted', 'deletedAt', 'createdAt', 'updatedAt'];
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * Convert ObjectIds, Dates and mongoose arrays to plain JSON values.
+ */
+function toPlain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function refId(ref) {
+    return (ref?._id || ref).toString();
+}
+
+function entityContent(doc) {
+    const content = toPlain(doc);
+    ENTITY_META_FIELDS.forEach(f => delete content[f]);
+    return content;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Flatten a snapshot into { path: leafValue }. Arrays of primitives
+ * (e.g. achievements) are kept as a single leaf so the diff reads naturally.
+ * Empty values are dropped, so "empty" and "absent" compare equal (mongoose
+ * minimizes empty objects when storing the snapshot).
+ */
+function flatten(value, prefix, out = {}) {
+    if (isPlainObject(value)) {
+        Object.entries(value).forEach(([key, v]) => flatten(v, prefix ? `${prefix}.${key}` : key, out));
+    } else if (Array.isArray(value) && value.some(v => isPlainObject(v) || Array.isArray(v))) {
+        value.forEach((v, i) => flatten(v, `${prefix}[${i}]`, out));
+    } else if (value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0)) {
+        out[prefix] = value;
+    }
+    return out;
+}
+
+// ─── Snapshots ───────────────────────────────────────────────────────────────
+
+/**
+ * Build a snapshot of a resume (populated or not) and its linked entities.
+ * @param {Object} resume - Resume document
+ * @returns {Promise<{ resume: Object, entities: Object }>}
+ */
+async function buildSnapshot(resume) {
+    const snapshot = { resume: {}, entities: {} };
+
+    VERSIONED_FIELDS.forEach(field => {
+        const value = toPlain(resume[field]);
+        if (value !== undefined) snapshot.resume[field] = value;
+    });
+
+    const keys = Object.keys(ENTITY_MODELS);
+    const docsByKey = await Promise.all(keys.map(key => {
+        const ids = (resume[key] || []).map(refId);
+        return ids.length ? ENTITY_MODELS[key].find({ _id: { $in: ids } }).lean() : [];
+    }));
+
+    // Assigned in a fixed order so identical snapshots serialize identically
+    keys.forEach((key, i) => {
+        const ids = (resume[key] || []).map(refId);
+        snapshot.resume[key] = ids;
+        snapshot.entities[key] = {};
+        // Keyed by id so diffs track an entity even when the resume reorders them
+        ids.forEach(id => {
+            const doc = docsByKey[i].find(d => d._id.toString() === id);
+            if (doc) snapshot.entities[key][id] = entityContent(doc);
+        });
+    });
+
+    return snapshot;
+}
+
+/**
+ * Record a new version of a resume. Skips the write when nothing changed
+ * since the latest version. Failures are logged, never thrown, so saving
+ * a resume does not fail because history could not be written.
+ *
+ * @param {Object} resume - Resume document (after save)
+ * @param {Object} options
+ * @param {string} options.reason - 'create' | 'update' | 'import' | 'duplicate' | 'restore'
+ * @param {string} [options.createdBy] - User who made the change
+ * @returns {Promise<Object|null>} The version document, or null on failure
+ */
+async function recordVersion(resume, { reason, createdBy = null }) {
+    try {
+        const snapshot = await buildSnapshot(resume);
+        const latest = await ResumeVersion.getLatest(resume._id);
+        if (latest && diffSnapshots(latest.snapshot, snapshot).length === 0) {
+            return latest;
+        }
+
+        const data = {
+            resumeId: resume._id,
+            userId: resume.userId,
+            reason,
+            createdBy,
+            snapshot
+        };
+
+        // Retry once if a concurrent save claimed the same version number
+        for (let attempt = 0; attempt < 2; attempt++) {
+            const current = attempt === 0 ? latest : await ResumeVersion.getLatest(resume._id);
+            try {
+                return await ResumeVersion.create({ ...data, version: (current?.version || 0) + 1 });
+            } catch (err) {
+                if (err.code !== 11000 || attempt === 1) throw err;
+            }
+        }
+    } catch (err) {
+        logger.error(`Failed to record version for resume ${resume._id}: ${err.message}`);
+    }
+    return null;
+}
+
+// ─── Diff ────────────────────────────────────────────────────────────────────
+
+/**
+ * Field-level diff between two snapshots.
+ *
+ * Paths look like `resume.title`, `resume.customFields[0].value` or
+ * `entities.experiences.<id>.achievements`.
+ *
+ * @param {Object|null} from - Older snapshot (null for "nothing")
+ * @param {Object} to - Newer snapshot
+ * @returns {Array<{ path: string, change: 'added'|'removed'|'modified', from?: any, to?: any }>}
+ */
+function diffSnapshots(from, to) {
+    const before = flatten(from || {}, '');
+    const after = flatten(to || {}, '');
+    const changes = [];
+
+    Object.keys(after).forEach(path => {
+        if (!(path in before)) {
+            changes.push({ path, change: 'added', to: after[path] });
+        } else if (JSON.stringify(before[path]) !== JSON.stringify(after[path])) {
+            changes.push({ path, change: 'modified', from: before[path], to: after[path] });
+        }
+    });
+    Object.keys(before).forEach(path => {
+        if (!(path in after)) changes.push({ path, change: 'removed', from: before[path] });
+    });
+
+    return changes;
+}
+
+// ─── Restore ─────────────────────────────────────────────────────────────────
+
+/**
+ * Roll a resume back to a version's snapshot and record the result as a
+ * new version.
+ *
+ * Entities are shared across resumes, so by default only the links are
+ * restored: entities that were deleted since are reported in
+ * `missingEntities`. With `restoreEntities`, entity contents are written
+ * back too (recreating any that were permanently deleted).
+ *
+ * @param {Object} resume - Resume document
+ * @param {Object} versionDoc - ResumeVersion document to restore
+ * @param {Object} [options]
+ * @param {boolean} [options.restoreEntities=false]
+ * @param {boolean} [options.allowPublic=true] - Whether the snapshot may make the resume public
+ * @param {string} [options.restoredBy]
+ * @returns {Promise<{ resume: Object, version: Object|null, restoredEntities: number, missingEntities: Object[] }>}
+ */
+async function restoreVersion(resume, versionDoc, { restoreEntities = false, allowPublic = true, restoredBy = null } = {}) {
+    const { resume: saved, entities } = versionDoc.snapshot;
+    const missingEntities = [];
+    let restoredEntities = 0;
+
+    VERSIONED_FIELDS.forEach(field => {
+        if (field === 'visibility' && saved.visibility === 'public' && !allowPublic) return;
+        const current = resume[field];
+        const empty = current instanceof Map ? {} : Array.isArray(current) ? [] : null;
+        resume.set(field, saved[field] === undefined ? empty : saved[field]);
+    });
+
+    for (const [key, Model] of Object.entries(ENTITY_MODELS)) {
+        const ids = saved[key] || [];
+        const existing = ids.length
+            ? await Model.find({ _id: { $in: ids }, userId: resume.userId })
+            : [];
+        const linked = [];
+
+        for (const id of ids) {
+            const doc = existing.find(d => d._id.toString() === id);
+            const content = entities?.[key]?.[id];
+
+            if (restoreEntities && content) {
+                if (doc) {
+                    doc.set({ ...content, isDeleted: false, deletedAt: null });
+                    await doc.save();
+                    linked.push(doc._id);
+                } else {
+                    const created = await Model.create({ ...content, userId: resume.userId });
+                    linked.push(created._id);
+                }
+                restoredEntities++;
+            } else if (doc && !doc.isDeleted) {
+                linked.push(doc._id);
+            } else {
+                missingEntities.push({ section: key, id, deleted: !!doc });
+            }
+        }
+
+        resume[key] = linked;
+    }
+
+    await resume.save();
+    const version = await recordVersion(resume, { reason: 'restore', createdBy: restoredBy });
+
+    return { resume, version, restoredEntities, missingEntities };
+}
+
+module.exports = {
+    buildSnapshot,
+    recordVersion,
+    diffSnapshots,
+    restoreVersion
+};
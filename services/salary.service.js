@@ -1,4 +1,5 @@
-const AppSettings = require('../models/appSettings.model');
+const { generateAIResponse } = require('./ai.service');
+const { salaryEstimateSchema } = require('../validations/ai.validation');
 const logger = require('../utils/logger');
 
 /**
@@ -148,24 +149,8 @@ function generateSuggestions(matchedSkills, totalSkills, experienceCount, projec
     return suggestions;
 }
 
-/**
- * OpenAI-based salary estimation.
- */
-async function openaiEstimate(payload) {
-    const OpenAI = require('openai');
-    // DB key takes precedence; fall back to .env
-    const dbKey = await AppSettings.get('openai_api_key');
-    const apiKey = (dbKey && dbKey.trim()) || process.env.OPENAI_API_KEY;
-    if (!apiKey) throw new Error('OpenAI API key is not configured. Set it in Admin Settings or OPENAI_API_KEY environment variable.');
-    const client = new OpenAI({ apiKey });
-    const model = await AppSettings.get('ai_model', 'gpt-4o-mini');
-
-    const response = await client.chat.completions.create({
-        model,
-        messages: [
-            {
-                role: 'system',
-                content: `You are a career consultant and salary estimation expert.
+// System prompt for AI providers; the payload is sent as the user message
+const SYSTEM_PROMPT = `You are a career consultant and salary estimation expert.
 Given a job description, a user profile, and their country, provide:
 1. A market salary range (low/high) in the local currency for that country
 2. A hiring chance percentage (0-100) based on how well the candidate's profile matches
@@ -193,45 +178,25 @@ Respond with JSON:
     }
   },
   "suggestions": ["string array of improvement tips"]
-}`
-            },
-            {
-                role: 'user',
-                content: JSON.stringify(payload)
-            }
-        ],
-        temperature: 0.5,
-        response_format: { type: 'json_object' }
-    });
-
-    return JSON.parse(response.choices[0].message.content);
-}
-
-const estimateProviders = {
-    mock: mockEstimate,
-    openai: openaiEstimate
-};
+}`;
 
 /**
  * Estimate salary and hiring chance for a job description + user profile.
+ * Uses the shared AI provider layer (mockEstimate when the provider is "mock").
  * @param {Object} payload - { jobDescription, country, userProfile, experiences, educations, projects, certifications }
+ * @param {Object} [options] - { userId } for usage metering
  * @returns {Object} - { salaryEstimate, hiringChance, suggestions }
  */
-async function estimateSalary(payload) {
-    const providerKey = await AppSettings.get('ai_provider', process.env.AI_PROVIDER || 'mock');
-    const providerFn = estimateProviders[providerKey];
-
-    if (!providerFn) {
-        throw new Error(`AI provider "${providerKey}" is not registered for salary estimation.`);
-    }
-
-    logger.info(`Salary estimation → provider: ${providerKey}, country: ${payload.country || 'not specified'}`);
-
-    const result = providerKey === 'mock'
-        ? providerFn(payload)
-        : await providerFn(payload);
-
-    return result;
+async function estimateSalary(payload, { userId } = {}) {
+    logger.info(`Salary estimation → country: ${payload.country || 'not specified'}`);
+
+    return generateAIResponse(JSON.stringify(payload), SYSTEM_PROMPT, {
+        task: 'salary_estimate',
+        userId,
+        schema: salaryEstimateSchema,
+        mock: () => mockEstimate(payload),
+        temperature: 0.5
+    });
 }
 
 module.exports = {
@@ -0,0 +1,389 @@
+// Concurrency tests for credit reservation/deduction against an in-memory MongoDB.
+// Run with: npm test (skipped when MongoDB is unavailable, see helpers/database.js)
+
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { useMemoryDatabase } = require('./helpers/database');
+
+const User = require('../models/user.model');
+const AppSettings = require('../models/appSettings.model');
+const CreditLog = require('../models/creditLog.model');
+const CreditReservation = require('../models/creditReservation.model');
+const CreditBucket = require('../models/creditBucket.model');
+const Organization = require('../models/organization.model');
+const {
+    reserveCredits,
+    commitReservation,
+    releaseReservation,
+    releaseExpiredReservations,
+    deductCredits,
+    grantCredits,
+    expireCredits,
+    getCreditBalance,
+    getOrganizationCreditBalance
+} = require('../services/credit.service');
+
+const ACTION = 'upwork_proposal';
+const CONCURRENCY = 50;
+
+const test = useMemoryDatabase({
+    // The Idempotency-Key unique index must exist before requests race on it
+    setup: () => CreditReservation.syncIndexes(),
+    reset: () => Promise.all([
+        User.deleteMany({}),
+        AppSettings.deleteMany({}),
+        CreditLog.deleteMany({}),
+        CreditReservation.deleteMany({}),
+        CreditBucket.deleteMany({}),
+        Organization.deleteMany({})
+    ])
+});
+
+// Insert directly: the tests only need a balance, not a valid signup
+async function createUser({ credits, role = 'user' }) {
+    const _id = new mongoose.Types.ObjectId();
+    await User.collection.insertOne({ _id, email: `${_id}@example.com`, role, credits: 0 });
+    if (credits > 0) await grantCredits(_id, credits, { source: 'legacy', type: 'addition', description: 'Test balance' });
+    return _id;
+}
+
+async function createOrganization({ credits, members }) {
+    const organization = await Organization.create({
+        name: 'Career Services',
+        createdBy: members[0],
+        members: members.map((userId, i) => ({ userId, role: i === 0 ? 'owner' : 'member' }))
+    });
+    if (credits > 0) {
+        await grantCredits(members[0], credits, { organizationId: organization._id, source: 'purchase', type: 'purchase', description: 'Test wallet' });
+    }
+    return organization._id;
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+async function balanceOf(userId) {
+    const user = await User.findById(userId).select('+credits').lean();
+    return user.credits;
+}
+
+function times(n, fn) {
+    return Promise.all(Array.from({ length: n }, (_, i) => fn(i)));
+}
+
+test('concurrent reservations never overdraw the balance', async () => {
+    const userId = await createUser({ credits: 10 });
+
+    const results = await times(CONCURRENCY, () => reserveCredits(userId, ACTION));
+
+    const granted = results.filter(r => r.success);
+    const refused = results.filter(r => !r.success);
+    assert.equal(granted.length, 10);
+    assert.equal(refused.length, CONCURRENCY - 10);
+    refused.forEach(r => assert.equal(r.statusCode, 402));
+    assert.equal(await balanceOf(userId), 0);
+    assert.equal(await CreditLog.countDocuments({ userId, type: 'usage' }), 10);
+    assert.equal(await CreditReservation.countDocuments({ userId, status: 'reserved' }), 10);
+});
+
+test('concurrent reservations respect a cost that does not divide the balance', async () => {
+    await AppSettings.set('credits_per_upwork_proposal', 3);
+    const userId = await createUser({ credits: 10 });
+
+    const results = await times(CONCURRENCY, () => reserveCredits(userId, ACTION));
+
+    assert.equal(results.filter(r => r.success).length, 3);
+    assert.equal(await balanceOf(userId), 1);
+});
+
+test('concurrent deductCredits calls never go negative', async () => {
+    const userId = await createUser({ credits: 7 });
+
+    const results = await times(CONCURRENCY, () => deductCredits(userId, ACTION));
+
+    assert.equal(results.filter(r => r.success).length, 7);
+    assert.equal(await balanceOf(userId), 0);
+    assert.equal(await CreditReservation.countDocuments({ userId, status: 'committed' }), 7);
+});
+
+test('the same Idempotency-Key sent concurrently is charged once', async () => {
+    // Enough balance that losers of the key race are refused for the key, not the balance
+    const userId = await createUser({ credits: 100 });
+
+    const results = await times(CONCURRENCY, () => reserveCredits(userId, ACTION, { idempotencyKey: 'retry-me' }));
+
+    const granted = results.filter(r => r.success);
+    assert.equal(granted.length, 1);
+    results.filter(r => !r.success).forEach(r => assert.equal(r.statusCode, 409));
+    assert.equal(await balanceOf(userId), 99);
+    assert.equal(await CreditLog.countDocuments({ userId, type: 'usage' }), 1);
+});
+
+test('a retried request after commit gets the stored response without charge', async () => {
+    const userId = await createUser({ credits: 10 });
+    const request = { params: {}, body: { jobDescription: 'Node developer' } };
+
+    const first = await reserveCredits(userId, ACTION, { idempotencyKey: 'order-1', request });
+    await commitReservation(first, { status: 201, body: { proposal: 'Hello', createdAt: new Date(0) } });
+
+    const retries = await times(10, () => reserveCredits(userId, ACTION, { idempotencyKey: 'order-1', request }));
+
+    retries.forEach(r => {
+        assert.equal(r.success, true);
+        assert.equal(r.replayed, true);
+        assert.equal(r.creditsReserved, 0);
+        assert.equal(r.remaining, 9);
+        // Stored as the JSON the first request sent
+        assert.deepEqual(r.response, { status: 201, body: { proposal: 'Hello', createdAt: '1970-01-01T00:00:00.000Z' } });
+    });
+    assert.equal(await balanceOf(userId), 9);
+    assert.equal(await CreditReservation.countDocuments({ userId }), 1);
+    assert.equal(await CreditLog.countDocuments({ userId, type: 'usage' }), 1);
+});
+
+test('a committed key without a stored response is refused', async () => {
+    const userId = await createUser({ credits: 10 });
+
+    await deductCredits(userId, ACTION, { idempotencyKey: 'order-1' });
+    const retries = await times(10, () => deductCredits(userId, ACTION, { idempotencyKey: 'order-1' }));
+
+    retries.forEach(r => {
+        assert.equal(r.success, false);
+        assert.equal(r.statusCode, 409);
+        assert.equal(r.creditsDeducted, 0);
+    });
+    assert.equal(await balanceOf(userId), 9);
+});
+
+test('an Idempotency-Key cannot be reused with a different request body', async () => {
+    const userId = await createUser({ credits: 10 });
+
+    const first = await reserveCredits(userId, ACTION, {
+        idempotencyKey: 'order-4',
+        request: { params: {}, body: { jobDescription: 'Node developer', tone: 'formal' } }
+    });
+    await commitReservation(first, { status: 200, body: { proposal: 'Hello' } });
+
+    // Same input in a different key order is the same request
+    const same = await reserveCredits(userId, ACTION, {
+        idempotencyKey: 'order-4',
+        request: { body: { tone: 'formal', jobDescription: 'Node developer' }, params: {} }
+    });
+    assert.equal(same.replayed, true);
+
+    const changed = await reserveCredits(userId, ACTION, {
+        idempotencyKey: 'order-4',
+        request: { params: {}, body: { jobDescription: 'React developer', tone: 'formal' } }
+    });
+    assert.equal(changed.success, false);
+    assert.equal(changed.statusCode, 422);
+    assert.equal(await balanceOf(userId), 9);
+    assert.equal(await CreditReservation.countDocuments({ userId }), 1);
+});
+
+test('an Idempotency-Key cannot be reused for a different action', async () => {
+    const userId = await createUser({ credits: 10 });
+
+    await deductCredits(userId, ACTION, { idempotencyKey: 'order-2' });
+    const other = await reserveCredits(userId, 'fiverr_proposal', { idempotencyKey: 'order-2' });
+
+    assert.equal(other.success, false);
+    assert.equal(other.statusCode, 422);
+    assert.equal(await balanceOf(userId), 9);
+});
+
+test('released reservations are refunded once and free their key', async () => {
+    const userId = await createUser({ credits: 5 });
+
+    const reservation = await reserveCredits(userId, ACTION, { idempotencyKey: 'order-3' });
+    assert.equal(await balanceOf(userId), 4);
+
+    const releases = await times(10, () => releaseReservation(reservation, 'provider error'));
+
+    assert.equal(releases.filter(r => r.released).length, 1);
+    assert.equal(await balanceOf(userId), 5);
+    const refunds = await CreditLog.find({ userId, type: 'refund' }).lean();
+    assert.equal(refunds.length, 1);
+    assert.equal(refunds[0].credits, 1);
+    assert.equal(refunds[0].metadata.reason, 'provider error');
+
+    // Committing after a release keeps the refund
+    const charge = await commitReservation(reservation);
+    assert.equal(charge.creditsDeducted, 0);
+
+    // The failed attempt's key may be retried and is charged normally
+    const retry = await reserveCredits(userId, ACTION, { idempotencyKey: 'order-3' });
+    assert.equal(retry.success, true);
+    assert.equal(retry.replayed, undefined);
+    assert.equal(await balanceOf(userId), 4);
+});
+
+test('commit racing release settles the hold exactly once', async () => {
+    const userId = await createUser({ credits: CONCURRENCY });
+
+    const reservations = await times(CONCURRENCY, () => reserveCredits(userId, ACTION));
+    await times(CONCURRENCY, i => Promise.all([
+        commitReservation(reservations[i]),
+        releaseReservation(reservations[i], 'timeout')
+    ]));
+
+    const committed = await CreditReservation.countDocuments({ userId, status: 'committed' });
+    const released = await CreditReservation.countDocuments({ userId, status: 'released' });
+    assert.equal(committed + released, CONCURRENCY);
+    assert.equal(await balanceOf(userId), released);
+    assert.equal(await CreditLog.countDocuments({ userId, type: 'refund' }), released);
+});
+
+test('expired reservations are refunded by the sweep, even when sweeps overlap', async () => {
+    const userId = await createUser({ credits: 10 });
+
+    await times(4, () => reserveCredits(userId, ACTION));
+    await CreditReservation.updateMany({ userId }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    const counts = await times(5, () => releaseExpiredReservations());
+
+    assert.equal(counts.reduce((sum, n) => sum + n, 0), 4);
+    assert.equal(await balanceOf(userId), 10);
+    assert.equal(await CreditLog.countDocuments({ userId, type: 'refund' }), 4);
+});
+
+test('admins are never charged', async () => {
+    const userId = await createUser({ credits: 0, role: 'admin' });
+
+    const results = await times(10, () => deductCredits(userId, ACTION));
+
+    results.forEach(r => {
+        assert.equal(r.success, true);
+        assert.equal(r.unlimited, true);
+        assert.equal(r.creditsDeducted, 0);
+    });
+    assert.equal(await balanceOf(userId), 0);
+});
+
+test('spending draws from expiring buckets first, soonest expiry first, paid credits last', async () => {
+    const userId = await createUser({ credits: 0 });
+    const purchase = await grantCredits(userId, 10, { source: 'purchase', type: 'purchase', description: 'Bought' });
+    const later = await grantCredits(userId, 5, { source: 'subscription', type: 'addition', expiresAt: new Date(Date.now() + 20 * DAY), description: 'Plan' });
+    const sooner = await grantCredits(userId, 2, { source: 'promotional', type: 'addition', expiresAt: new Date(Date.now() + 5 * DAY), description: 'Promo' });
+
+    const reservation = await reserveCredits(userId, ACTION);
+    await AppSettings.set('credits_per_upwork_proposal', 4);
+    const second = await reserveCredits(userId, ACTION);
+
+    const remaining = async ({ bucket }) => (await CreditBucket.findById(bucket._id).lean()).remaining;
+    assert.equal(await remaining(sooner), 0);
+    assert.equal(await remaining(later), 2);
+    assert.equal(await remaining(purchase), 10);
+    assert.equal(reservation.creditsReserved + second.creditsReserved, 5);
+
+    // A refund goes back to the buckets the hold drew from
+    await releaseReservation(second, 'provider error');
+    assert.equal(await remaining(sooner), 1);
+    assert.equal(await remaining(later), 5);
+    assert.equal(await balanceOf(userId), 16);
+});
+
+test('promotional credits default to the configured expiry', async () => {
+    const userId = await createUser({ credits: 0 });
+
+    const { bucket } = await grantCredits(userId, 3, { source: 'promotional', type: 'addition', description: 'Promo' });
+
+    const days = (bucket.expiresAt - bucket.createdAt) / DAY;
+    assert.ok(Math.abs(days - 30) < 0.01);
+});
+
+test('expiry zeroes due buckets, logs them and leaves the balance matching the buckets', async () => {
+    const userId = await createUser({ credits: 4 });
+    await grantCredits(userId, 6, { source: 'subscription', type: 'addition', expiresAt: new Date(Date.now() + DAY), description: 'Plan' });
+    await CreditBucket.updateMany({ userId, source: 'subscription' }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    const result = await expireCredits();
+
+    assert.deepEqual(result, { buckets: 1, credits: 6 });
+    assert.equal(await balanceOf(userId), 4);
+    const logs = await CreditLog.find({ userId, type: 'expiry' }).lean();
+    assert.equal(logs.length, 1);
+    assert.equal(logs[0].credits, 6);
+    assert.equal(logs[0].balanceAfter, 4);
+
+    const balance = await getCreditBalance(userId);
+    assert.equal(balance.credits, 4);
+    assert.equal(balance.breakdown.bySource.legacy, 4);
+    assert.equal(balance.breakdown.bySource.subscription, 0);
+    assert.equal(balance.breakdown.nextExpiry, null);
+});
+
+test('expired credits cannot be spent, even if the expiry job has not run yet', async () => {
+    const userId = await createUser({ credits: 0 });
+    await grantCredits(userId, 5, { source: 'promotional', type: 'addition', expiresAt: new Date(Date.now() + DAY), description: 'Promo' });
+    await CreditBucket.updateMany({ userId }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    const results = await times(10, () => reserveCredits(userId, ACTION));
+
+    assert.equal(results.filter(r => r.success).length, 0);
+    assert.equal(await balanceOf(userId), 0);
+    assert.equal(await CreditLog.countDocuments({ userId, type: 'expiry' }), 1);
+});
+
+test('concurrent spends and expiry runs keep the balance equal to the live buckets', async () => {
+    const userId = await createUser({ credits: 20 });
+    await grantCredits(userId, 20, { source: 'promotional', type: 'addition', expiresAt: new Date(Date.now() + DAY), description: 'Promo' });
+    await CreditBucket.updateMany({ userId, source: 'promotional' }, { $set: { expiresAt: new Date(Date.now() + 200) } });
+
+    await Promise.all([
+        times(CONCURRENCY, () => deductCredits(userId, ACTION)),
+        new Promise(resolve => setTimeout(resolve, 250)).then(() => times(3, () => expireCredits()))
+    ]);
+    await expireCredits();
+
+    const live = await CreditBucket.aggregate([
+        { $match: { userId } },
+        { $group: { _id: null, remaining: { $sum: '$remaining' } } }
+    ]);
+    const balance = await balanceOf(userId);
+    assert.ok(balance >= 0);
+    assert.equal(balance, live[0].remaining);
+});
+
+test('members spending concurrently never overdraw the organization wallet', async () => {
+    const members = await Promise.all([createUser({ credits: 3 }), createUser({ credits: 3 }), createUser({ credits: 3 })]);
+    const organizationId = await createOrganization({ credits: 10, members });
+
+    const results = await times(CONCURRENCY, i => deductCredits(members[i % members.length], ACTION, { organizationId }));
+
+    assert.equal(results.filter(r => r.success).length, 10);
+    const organization = await Organization.findById(organizationId).lean();
+    assert.equal(organization.credits, 0);
+    // Members' own credits are untouched
+    for (const userId of members) assert.equal(await balanceOf(userId), 3);
+
+    const usage = await CreditLog.memberUsage(organizationId, { from: new Date(0), to: new Date() });
+    assert.equal(usage.reduce((sum, row) => sum + row.creditsUsed, 0), 10);
+});
+
+test('a released organization hold goes back to the wallet and nets out of member usage', async () => {
+    const [owner, member] = await Promise.all([createUser({ credits: 0 }), createUser({ credits: 0 })]);
+    const organizationId = await createOrganization({ credits: 5, members: [owner, member] });
+
+    const reservation = await reserveCredits(member, ACTION, { organizationId });
+    assert.equal(reservation.success, true);
+    await releaseReservation(reservation, 'AI failed');
+
+    const balance = await getOrganizationCreditBalance(organizationId);
+    assert.equal(balance.credits, 5);
+    assert.equal(balance.breakdown.bySource.purchase, 5);
+    const usage = await CreditLog.memberUsage(organizationId, { from: new Date(0), to: new Date() });
+    assert.equal(usage[0].creditsUsed, 0);
+    assert.equal(usage[0].actions, 0);
+});
+
+test('non-members cannot spend from an organization wallet', async () => {
+    const [owner, outsider] = await Promise.all([createUser({ credits: 0 }), createUser({ credits: 5 })]);
+    const organizationId = await createOrganization({ credits: 5, members: [owner] });
+
+    const result = await reserveCredits(outsider, ACTION, { organizationId });
+
+    assert.equal(result.success, false);
+    assert.equal(result.statusCode, 403);
+    assert.equal((await Organization.findById(organizationId).lean()).credits, 5);
+    assert.equal(await balanceOf(outsider), 5);
+});
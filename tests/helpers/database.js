@@ -0,0 +1,46 @@
+// In-memory MongoDB for the service tests.
+// mongodb-memory-server downloads a mongod binary on first use; on machines
+// without network access point MONGOMS_SYSTEM_BINARY at a local mongod (or
+// pre-fill MONGOMS_DOWNLOAD_DIR). When no server can be started, the tests
+// registered through this helper are skipped instead of failing.
+
+const { test, before, after } = require('node:test');
+const mongoose = require('mongoose');
+
+/**
+ * Start an in-memory MongoDB for the calling test file.
+ * @param {Object} [options]
+ * @param {Function} [options.setup] - Runs once after connecting (e.g. syncIndexes)
+ * @param {Function} [options.reset] - Runs before every test (e.g. clear collections)
+ * @returns {Function} test(name, fn) that skips when MongoDB is unavailable
+ */
+function useMemoryDatabase({ setup, reset } = {}) {
+    let mongo;
+    let unavailable = null;
+
+    before(async () => {
+        try {
+            const { MongoMemoryServer } = require('mongodb-memory-server');
+            mongo = await MongoMemoryServer.create();
+        } catch (err) {
+            unavailable = `MongoDB unavailable (${err.message.replace(/\s+/g, ' ')}); set MONGOMS_SYSTEM_BINARY to a local mongod`;
+            return;
+        }
+        await mongoose.connect(mongo.getUri());
+        if (setup) await setup();
+    });
+
+    after(async () => {
+        if (!mongo) return;
+        await mongoose.disconnect();
+        await mongo.stop();
+    });
+
+    return (name, fn) => test(name, async (t) => {
+        if (unavailable) return t.skip(unavailable);
+        if (reset) await reset();
+        return fn(t);
+    });
+}
+
+module.exports = { useMemoryDatabase };
@@ -0,0 +1,129 @@
+// Queue semantics of RenderJob (claiming, retries, leases) against an in-memory MongoDB.
+// No Chromium is launched: jobs are claimed and finished by hand, or fail before rendering.
+// Run with: npm test (skipped when MongoDB is unavailable, see helpers/database.js)
+
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { useMemoryDatabase } = require('./helpers/database');
+
+const RenderJob = require('../models/renderJob.model');
+const { processNextJob } = require('../services/renderJob.service');
+
+const CONCURRENCY = 20;
+
+const test = useMemoryDatabase({
+    reset: () => RenderJob.deleteMany({})
+});
+
+function queueJob(overrides = {}) {
+    return RenderJob.create({
+        templateId: new mongoose.Types.ObjectId(),
+        userId: new mongoose.Types.ObjectId(),
+        outputs: ['pdf'],
+        ...overrides
+    });
+}
+
+function times(n, fn) {
+    return Promise.all(Array.from({ length: n }, (_, i) => fn(i)));
+}
+
+test('concurrent workers claim each job exactly once', async () => {
+    await times(5, () => queueJob());
+
+    const claims = await times(CONCURRENCY, i => RenderJob.claimNext(`worker-${i}`));
+
+    const claimed = claims.filter(Boolean);
+    assert.equal(claimed.length, 5);
+    assert.equal(new Set(claimed.map(job => job._id.toString())).size, 5);
+    claimed.forEach(job => {
+        assert.equal(job.status, 'running');
+        assert.equal(job.attempts, 1);
+    });
+});
+
+test('enqueue folds into a job for the same template that has not started', async () => {
+    const templateId = new mongoose.Types.ObjectId();
+    const userId = new mongoose.Types.ObjectId();
+
+    const first = await RenderJob.enqueue({ templateId, userId, outputs: ['preview'] });
+    const second = await RenderJob.enqueue({ templateId, userId, outputs: ['pdf', 'preview'] });
+
+    assert.equal(second._id.toString(), first._id.toString());
+    assert.deepEqual([...second.outputs].sort(), ['pdf', 'preview']);
+
+    // Once it is running, a new render gets its own job
+    await RenderJob.claimNext('worker-1');
+    const third = await RenderJob.enqueue({ templateId, userId, outputs: ['pdf'] });
+    assert.notEqual(third._id.toString(), first._id.toString());
+});
+
+test('failed attempts are retried with backoff, then marked failed', async () => {
+    await queueJob({ maxAttempts: 2 });
+
+    const attempt1 = await RenderJob.claimNext('worker-1');
+    await attempt1.markFailed(new Error('Chromium crashed'));
+
+    let job = await RenderJob.findById(attempt1._id);
+    assert.equal(job.status, 'queued');
+    assert.equal(job.error, 'Chromium crashed');
+    // A re-queued job is not finished (finishedAt also starts the TTL clock)
+    assert.equal(job.finishedAt, null);
+    assert.ok(job.runAfter.getTime() >= Date.now() + RenderJob.RETRY_BASE_MS - 1000);
+
+    // Not due yet
+    assert.equal(await RenderJob.claimNext('worker-1'), null);
+
+    await RenderJob.updateOne({ _id: job._id }, { $set: { runAfter: new Date() } });
+    const attempt2 = await RenderJob.claimNext('worker-1');
+    assert.equal(attempt2.attempts, 2);
+    await attempt2.markFailed(new Error('Chromium crashed again'));
+
+    job = await RenderJob.findById(attempt1._id);
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error, 'Chromium crashed again');
+    assert.ok(job.finishedAt);
+});
+
+test('a job whose template is gone fails without retrying', async () => {
+    const { _id } = await queueJob();
+
+    await processNextJob('worker-1');
+
+    const job = await RenderJob.findById(_id);
+    assert.equal(job.status, 'failed');
+    assert.equal(job.attempts, 1);
+    assert.equal(job.error, 'Template not found');
+});
+
+test('a stalled job is re-claimed and the stale worker cannot finish it', async () => {
+    await queueJob();
+
+    const stale = await RenderJob.claimNext('worker-1');
+    await RenderJob.updateOne({ _id: stale._id }, { $set: { lockedAt: new Date(Date.now() - RenderJob.LEASE_MS - 1000) } });
+
+    const reclaimed = await RenderJob.claimNext('worker-2');
+    assert.equal(reclaimed._id.toString(), stale._id.toString());
+    assert.equal(reclaimed.attempts, 2);
+
+    await stale.markSucceeded();
+    let job = await RenderJob.findById(stale._id);
+    assert.equal(job.status, 'running');
+    assert.equal(job.workerId, 'worker-2');
+
+    await reclaimed.markSucceeded();
+    job = await RenderJob.findById(stale._id);
+    assert.equal(job.status, 'succeeded');
+    assert.ok(job.durationMs >= 0);
+});
+
+test('a job can be claimed by id, and only once', async () => {
+    const [first, second] = await Promise.all([queueJob(), queueJob()]);
+
+    const claims = await times(CONCURRENCY, i => RenderJob.claimNext(`request-${i}`, { jobId: second._id }));
+
+    const claimed = claims.filter(Boolean);
+    assert.equal(claimed.length, 1);
+    assert.equal(claimed[0]._id.toString(), second._id.toString());
+    assert.equal((await RenderJob.findById(first._id)).status, 'queued');
+});
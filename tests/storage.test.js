@@ -0,0 +1,209 @@
+// Storage drivers (utils/storage.js): the same checks run against the local driver
+// (in a temp directory) and the S3 driver. The S3 driver talks to a minimal in-process
+// S3 stand-in, or to a real S3-compatible server (e.g. MinIO) when S3_TEST_ENDPOINT is set:
+//   S3_TEST_ENDPOINT=http://localhost:9000 S3_TEST_BUCKET=test S3_TEST_ACCESS_KEY_ID=minioadmin \
+//   S3_TEST_SECRET_ACCESS_KEY=minioadmin npm test
+// Run with: npm test
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { createLocalStorage, createS3Storage } = require('../utils/storage');
+
+/**
+ * Path-style S3 subset the driver uses: PUT/GET/HEAD/DELETE of /<bucket>/<key>.
+ * Signatures are not checked.
+ */
+function startS3StandIn() {
+    const objects = new Map();
+    const server = http.createServer((req, res) => {
+        const key = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const object = objects.get(key);
+            if (req.method === 'PUT') {
+                objects.set(key, { body: Buffer.concat(chunks), contentType: req.headers['content-type'] });
+                return res.writeHead(200).end();
+            }
+            if (req.method === 'DELETE') {
+                objects.delete(key);
+                return res.writeHead(204).end();
+            }
+            if (!object) {
+                res.writeHead(404, { 'Content-Type': 'application/xml' });
+                return res.end(req.method === 'HEAD' ? undefined : '<Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+            }
+            res.writeHead(200, { 'Content-Type': object.contentType, 'Content-Length': object.body.length });
+            res.end(req.method === 'HEAD' ? undefined : object.body);
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, objects })));
+}
+
+// Minimal Express-like response for send()
+function fakeResponse() {
+    return {
+        headers: {},
+        setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+        sendFile(file) { this.sentFile = file; },
+        redirect(status, url) { this.redirected = { status, url }; }
+    };
+}
+
+function driverContract(name, setup) {
+    describe(`${name} storage`, () => {
+        let storage;
+        let cleanup;
+        let scratchDir;
+
+        before(async () => {
+            ({ storage, cleanup } = await setup());
+            scratchDir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+        });
+
+        after(async () => {
+            await cleanup();
+            await fs.rm(scratchDir, { recursive: true, force: true });
+        });
+
+        test('put, get, exists and remove', async () => {
+            const key = 'user-templates/u1/r1/resume.html';
+            await storage.put(key, '<h1>Resume</h1>');
+
+            assert.equal(await storage.exists(key), true);
+            assert.equal((await storage.get(key)).toString('utf-8'), '<h1>Resume</h1>');
+
+            await storage.remove(key);
+            assert.equal(await storage.exists(key), false);
+            await assert.rejects(storage.get(key), { status: 404 });
+
+            // Removing a missing file is not an error
+            await storage.remove(key);
+        });
+
+        test('importFile moves a local file into storage', async () => {
+            const localPath = path.join(scratchDir, 'preview.png');
+            await fs.writeFile(localPath, Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+
+            await storage.importFile('uploads/profile-photos/me.png', localPath);
+
+            assert.deepEqual([...await storage.get('uploads/profile-photos/me.png')], [0x89, 0x50, 0x4e, 0x47]);
+            await assert.rejects(fs.access(localPath));
+        });
+
+        test('keys that leave the storage root are refused', async () => {
+            await assert.rejects(storage.get('../secrets.txt'), { status: 400 });
+            await assert.rejects(storage.put('uploads/../../secrets.txt', 'x'), { status: 400 });
+        });
+
+        test('send reports missing files instead of responding', async () => {
+            const res = fakeResponse();
+            assert.equal(await storage.send(res, 'uploads/missing.png'), false);
+            assert.equal(res.sentFile, undefined);
+            assert.equal(res.redirected, undefined);
+        });
+    });
+}
+
+async function localSetup() {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-root-'));
+    return {
+        storage: createLocalStorage({ root }),
+        root,
+        cleanup: () => fs.rm(root, { recursive: true, force: true })
+    };
+}
+
+async function s3Setup(options = {}) {
+    if (process.env.S3_TEST_ENDPOINT) {
+        return {
+            storage: createS3Storage({
+                bucket: process.env.S3_TEST_BUCKET,
+                endpoint: process.env.S3_TEST_ENDPOINT,
+                forcePathStyle: true,
+                accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY,
+                prefix: 'storage-test/',
+                ...options
+            }),
+            cleanup: async () => { }
+        };
+    }
+    const { server } = await startS3StandIn();
+    return {
+        storage: createS3Storage({
+            bucket: 'resumes',
+            endpoint: `http://127.0.0.1:${server.address().port}`,
+            forcePathStyle: true,
+            accessKeyId: 'test',
+            secretAccessKey: 'test',
+            ...options
+        }),
+        cleanup: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+driverContract('local', localSetup);
+driverContract('S3', s3Setup);
+
+test('S3 send redirects to a signed URL that downloads the file', async () => {
+    const { storage, cleanup } = await s3Setup({ signedUrlTtl: 60 });
+    try {
+        await storage.put('user-templates/u1/r1/resume.pdf', '%PDF-1.4');
+
+        const res = fakeResponse();
+        assert.equal(await storage.send(res, 'user-templates/u1/r1/resume.pdf', { downloadName: 'jane-doe.pdf' }), true);
+        assert.equal(res.redirected.status, 302);
+
+        const url = new URL(res.redirected.url);
+        assert.match(url.pathname, /user-templates\/u1\/r1\/resume\.pdf$/);
+        assert.equal(url.searchParams.get('X-Amz-Expires'), '60');
+        assert.ok(url.searchParams.get('X-Amz-Signature'));
+        assert.equal(url.searchParams.get('response-content-disposition'), 'attachment; filename="jane-doe.pdf"');
+
+        const download = await fetch(url);
+        assert.equal(download.status, 200);
+        assert.equal(await download.text(), '%PDF-1.4');
+
+        await storage.remove('user-templates/u1/r1/resume.pdf');
+    } finally {
+        await cleanup();
+    }
+});
+
+test('local send serves the file from disk with the download name', async () => {
+    const { storage, root, cleanup } = await localSetup();
+    try {
+        await storage.put('user-templates/u1/r1/resume.pdf', '%PDF-1.4');
+
+        const res = fakeResponse();
+        assert.equal(await storage.send(res, 'user-templates/u1/r1/resume.pdf', { downloadName: 'jane-doe.pdf' }), true);
+        assert.equal(res.sentFile, path.join(root, 'user-templates/u1/r1/resume.pdf'));
+        assert.equal(res.headers['content-disposition'], 'attachment; filename="jane-doe.pdf"');
+    } finally {
+        await cleanup();
+    }
+});
+
+test('the shared storage is created on first use, not on require', async () => {
+    const modulePath = require.resolve('../utils/storage');
+    const saved = { STORAGE_DRIVER: process.env.STORAGE_DRIVER, S3_BUCKET: process.env.S3_BUCKET };
+    process.env.STORAGE_DRIVER = 's3';
+    delete process.env.S3_BUCKET;
+    delete require.cache[modulePath];
+    try {
+        const { storage } = require('../utils/storage');
+        await assert.rejects(storage.get('missing.txt'), /S3_BUCKET is required/);
+    } finally {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+        delete require.cache[modulePath];
+    }
+});
@@ -0,0 +1,213 @@
+const chromium = require('@sparticuz/chromium');
+const puppeteer = require('puppeteer-core');
+const logger = require('./logger');
+
+/**
+ * Shared headless Chromium pool for rendering.
+ *
+ * - Bounded: at most `size` browsers with `pagesPerBrowser` pages each; extra
+ *   callers wait in line (and give up after `acquireTimeoutMs`).
+ * - Pages are reused between renders (reset to about:blank in between).
+ * - Health checks: disconnected browsers and closed pages are dropped before
+ *   they are handed out, and a page that fails to reset is closed.
+ * - Each browser is retired after `recycleAfter` renders, and closed after
+ *   `idleCloseMs` without work, to keep Chromium's memory in check.
+ * - shutdown() stops lending, waits for running renders and closes everything.
+ */
+function createBrowserPool({
+  size = parseInt(process.env.BROWSER_POOL_SIZE) || 1,
+  pagesPerBrowser = parseInt(process.env.BROWSER_POOL_PAGES) || 2,
+  recycleAfter = parseInt(process.env.BROWSER_RECYCLE_AFTER) || 50,
+  idleCloseMs = 60 * 1000,
+  acquireTimeoutMs = 60 * 1000
+} = {}) {
+  const browsers = []; // { browser, idlePages, busy, renders, retired, idleTimer }
+  const waiting = []; // { resolve, reject, timer }
+  let launching = 0;
+  let closing = false;
+  let drained = null;
+
+  async function launch() {
+    launching++;
+    try {
+      const browser = await puppeteer.launch({
+        args: chromium.args,
+        defaultViewport: chromium.defaultViewport,
+        executablePath: await chromium.executablePath(),
+        headless: chromium.headless,
+      });
+      const entry = { browser, idlePages: [], busy: 0, renders: 0, retired: false, idleTimer: null };
+      browser.on('disconnected', () => {
+        if (!entry.retired) logger.warn('Pooled browser disconnected unexpectedly');
+        entry.retired = true;
+        remove(entry);
+      });
+      browsers.push(entry);
+      if (closing) {
+        await closeBrowser(entry);
+        throw new Error('Browser pool is shutting down');
+      }
+      return entry;
+    } finally {
+      launching--;
+    }
+  }
+
+  function remove(entry) {
+    clearTimeout(entry.idleTimer);
+    const index = browsers.indexOf(entry);
+    if (index !== -1) browsers.splice(index, 1);
+  }
+
+  async function closeBrowser(entry) {
+    entry.retired = true;
+    remove(entry);
+    await entry.browser.close().catch(() => { });
+  }
+
+  function isHealthy(entry) {
+    return !entry.retired && entry.browser.connected;
+  }
+
+  // A browser with a free page slot, launching one if the pool has room
+  async function reserveSlot() {
+    const available = browsers.find(entry => isHealthy(entry) && entry.busy < pagesPerBrowser);
+    if (available) {
+      available.busy++;
+      clearTimeout(available.idleTimer);
+      return available;
+    }
+    if (browsers.filter(isHealthy).length + launching < size) {
+      const entry = await launch();
+      entry.busy++;
+      handOff(); // Its other page slots can go to callers that queued during the launch
+      return entry;
+    }
+    return null;
+  }
+
+  async function acquire() {
+    if (closing) throw new Error('Browser pool is shutting down');
+
+    let entry = await reserveSlot();
+    if (!entry) {
+      entry = await new Promise((resolve, reject) => {
+        const waiter = { resolve, reject };
+        waiter.timer = setTimeout(() => {
+          waiting.splice(waiting.indexOf(waiter), 1);
+          reject(new Error('Timed out waiting for a browser to render with'));
+        }, acquireTimeoutMs);
+        waiting.push(waiter);
+      });
+    }
+
+    try {
+      let page = entry.idlePages.pop();
+      while (page && page.isClosed()) page = entry.idlePages.pop();
+      if (!page) page = await entry.browser.newPage();
+      return { entry, page };
+    } catch (err) {
+      await release(entry, null);
+      throw err;
+    }
+  }
+
+  async function release(entry, page) {
+    entry.busy--;
+    entry.renders++;
+
+    if (entry.renders >= recycleAfter) entry.retired = true;
+
+    if (page && !page.isClosed()) {
+      if (entry.retired || closing) {
+        await page.close().catch(() => { });
+      } else {
+        // Reset for the next render; a page that cannot be reset is discarded
+        try {
+          await page.goto('about:blank');
+          await page.setViewport(chromium.defaultViewport);
+          entry.idlePages.push(page);
+        } catch {
+          await page.close().catch(() => { });
+        }
+      }
+    }
+
+    if (entry.retired && entry.busy === 0) {
+      await closeBrowser(entry);
+    } else if (entry.busy === 0 && idleCloseMs > 0) {
+      clearTimeout(entry.idleTimer);
+      entry.idleTimer = setTimeout(() => closeBrowser(entry), idleCloseMs);
+      entry.idleTimer.unref();
+    }
+
+    handOff();
+    if (closing && drained && browsers.every(b => b.busy === 0)) drained();
+  }
+
+  // Give a freed (or newly launchable) slot to the longest waiting caller
+  function handOff() {
+    if (!waiting.length || closing) return;
+    reserveSlot().then((entry) => {
+      if (!entry) return;
+      const waiter = waiting.shift();
+      if (!waiter) {
+        entry.busy--; // The waiter timed out meanwhile
+        return;
+      }
+      clearTimeout(waiter.timer);
+      waiter.resolve(entry);
+    }).catch((err) => {
+      const waiter = waiting.shift();
+      if (waiter) {
+        clearTimeout(waiter.timer);
+        waiter.reject(err);
+      }
+    });
+  }
+
+  /**
+   * Run `fn(page)` on a pooled page and return its result.
+   */
+  async function withPage(fn) {
+    const { entry, page } = await acquire();
+    try {
+      return await fn(page);
+    } finally {
+      await release(entry, page);
+    }
+  }
+
+  async function shutdown() {
+    closing = true;
+    waiting.splice(0).forEach((waiter) => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is shutting down'));
+    });
+    if (browsers.some(entry => entry.busy > 0)) {
+      await new Promise(resolve => { drained = resolve; });
+    }
+    await Promise.all([...browsers].map(closeBrowser));
+  }
+
+  function stats() {
+    return {
+      browsers: browsers.length,
+      busyPages: browsers.reduce((sum, entry) => sum + entry.busy, 0),
+      idlePages: browsers.reduce((sum, entry) => sum + entry.idlePages.length, 0),
+      waiting: waiting.length
+    };
+  }
+
+  return { withPage, shutdown, stats };
+}
+
+// Pool shared by every renderer in this process
+const sharedPool = createBrowserPool();
+
+module.exports = {
+  createBrowserPool,
+  withPage: sharedPool.withPage,
+  shutdownBrowserPool: sharedPool.shutdown,
+  browserPoolStats: sharedPool.stats
+};
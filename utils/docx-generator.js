@@ -0,0 +1,104 @@
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  HeadingLevel,
+  AlignmentType,
+  BorderStyle,
+  TabStopType,
+  TabStopPosition
+} = require('docx');
+const { buildResumeOutline } = require('./resume-outline');
+
+// Single-column layout with real headings and bullet lists so ATS parsers
+// and Word users get editable text rather than an image of the resume.
+
+function sectionHeading(text) {
+  return new Paragraph({
+    heading: HeadingLevel.HEADING_2,
+    spacing: { before: 240, after: 80 },
+    border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: '999999', space: 1 } },
+    children: [new TextRun({ text: text.toUpperCase(), bold: true })]
+  });
+}
+
+// Title on the left, date range right-aligned on the same line
+function entryHeading(title, dates) {
+  const children = [new TextRun({ text: title, bold: true })];
+  if (dates) children.push(new TextRun({ text: `\t${dates}` }));
+  return new Paragraph({
+    spacing: { before: 120 },
+    tabStops: [{ type: TabStopType.RIGHT, position: TabStopPosition.MAX }],
+    children
+  });
+}
+
+function subtitle(text) {
+  return new Paragraph({ children: [new TextRun({ text, italics: true })] });
+}
+
+function body(text) {
+  return new Paragraph({ spacing: { after: 60 }, children: [new TextRun(text)] });
+}
+
+function centered(text, size) {
+  return new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text, size })] });
+}
+
+/**
+ * Build the document body from a template context (see buildTemplateContext).
+ * @param {Object} context - Template context
+ * @returns {Paragraph[]}
+ */
+function buildParagraphs(context) {
+  const { header, sections } = buildResumeOutline(context);
+  const out = [];
+
+  out.push(new Paragraph({
+    heading: HeadingLevel.TITLE,
+    alignment: AlignmentType.CENTER,
+    children: [new TextRun({ text: header.name, bold: true })]
+  }));
+  if (header.title) out.push(centered(header.title, 26));
+  if (header.contact) out.push(centered(header.contact));
+  if (header.links.length) out.push(centered(header.links.map(l => `${l.label}: ${l.url}`).join(' · ')));
+
+  sections.forEach(section => {
+    out.push(sectionHeading(section.title));
+    if (section.text) out.push(body(section.text));
+    (section.lines || []).forEach(line => out.push(body(line)));
+    (section.entries || []).forEach(entry => {
+      out.push(entryHeading(entry.heading, entry.dates));
+      if (entry.subtitle) out.push(subtitle(entry.subtitle));
+      if (entry.description) out.push(body(entry.description));
+      entry.bullets.forEach(b => out.push(new Paragraph({ text: b, bullet: { level: 0 } })));
+      if (entry.footer) out.push(body(entry.footer));
+    });
+  });
+
+  return out;
+}
+
+/**
+ * Generate a DOCX version of a resume from its template context.
+ * @param {Object} context - Output of buildTemplateContext(resume, user)
+ * @returns {Promise<Buffer>} The .docx file contents
+ */
+module.exports = async function generateDOCX(context) {
+  const doc = new Document({
+    creator: context.user.full_name,
+    title: context.resume.title || 'Resume',
+    styles: {
+      default: { document: { run: { font: 'Calibri', size: 22 } } }
+    },
+    sections: [{
+      properties: {
+        page: { margin: { top: 720, right: 720, bottom: 720, left: 720 } }
+      },
+      children: buildParagraphs(context)
+    }]
+  });
+
+  return Packer.toBuffer(doc);
+};
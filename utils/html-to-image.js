@@ -1,16 +1,80 @@
-const chromium = require('@sparticuz/chromium');
-const puppeteer = require('puppeteer-core');
+const fs = require('fs/promises');
+const path = require('path');
+const { withPage } = require('./browser-pool');
 
-module.exports = async function generateImage(htmlUrl, outputPath) {
-  const browser = await puppeteer.launch({
-    args: chromium.args,
-    defaultViewport: chromium.defaultViewport,
-    executablePath: await chromium.executablePath(),
-    headless: chromium.headless,
-  });
-  const page = await browser.newPage();
-  await page.goto(htmlUrl, { waitUntil: 'networkidle0' });
+// Pixel width of each per-page image size
+const PAGE_IMAGE_WIDTHS = { thumb: 200, medium: 600, full: 1240 };
+
+// pdf.js browser build; with its worker script loaded as well, it parses in the page itself
+const PDFJS_SCRIPTS = ['pdf.min.js', 'pdf.worker.min.js'].map(file => require.resolve(`pdfjs-dist/build/${file}`));
+
+/**
+ * Screenshot the loaded page at A4 width.
+ */
+async function captureImage(page, outputPath) {
   await page.setViewport({ width: 794, height: 1123 }); // A4 at 96 DPI
   await page.screenshot({ path: outputPath, fullPage: true });
-  await browser.close();
-};
\ No newline at end of file
+}
+
+/**
+ * Write WebP images of each page of a PDF, in every PAGE_IMAGE_WIDTHS size,
+ * by rasterizing the PDF itself with pdf.js, so each image shows exactly what
+ * that PDF page contains (margins, page-number footer and scale included).
+ * The page is navigated away from whatever it had loaded.
+ *
+ * @param {Page} page - Puppeteer page to render in
+ * @param {string} pdfPath - PDF file to rasterize
+ * @param {string} dir - Existing directory to write page-<n>-<size>.webp into
+ * @returns {Promise<Object[]>} One { thumb, medium, full } path map per page
+ */
+async function capturePages(page, pdfPath, dir) {
+  const pdf = await fs.readFile(pdfPath);
+  await page.goto('about:blank');
+  for (const script of PDFJS_SCRIPTS) await page.addScriptTag({ path: script });
+
+  const pageCount = await page.evaluate(async (data) => {
+    const bytes = Uint8Array.from(atob(data), c => c.charCodeAt(0));
+    window.pdfDocument = await pdfjsLib.getDocument({ data: bytes }).promise;
+    return window.pdfDocument.numPages;
+  }, pdf.toString('base64'));
+
+  const pages = [];
+  for (let number = 1; number <= pageCount; number++) {
+    // One page at a time, so only that page's images cross over from the browser
+    const images = await page.evaluate(async (pageNumber, widths) => {
+      const pdfPage = await window.pdfDocument.getPage(pageNumber);
+      const { width } = pdfPage.getViewport({ scale: 1 });
+      const encoded = {};
+      for (const [size, pixels] of Object.entries(widths)) {
+        const viewport = pdfPage.getViewport({ scale: pixels / width });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(viewport.width);
+        canvas.height = Math.round(viewport.height);
+        await pdfPage.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        encoded[size] = canvas.toDataURL('image/webp', 0.8).split(',')[1];
+      }
+      pdfPage.cleanup();
+      return encoded;
+    }, number, PAGE_IMAGE_WIDTHS);
+
+    const files = {};
+    for (const [size, data] of Object.entries(images)) {
+      files[size] = path.join(dir, `page-${number}-${size}.webp`);
+      await fs.writeFile(files[size], Buffer.from(data, 'base64'));
+    }
+    pages.push(files);
+  }
+
+  await page.evaluate(() => window.pdfDocument.destroy());
+  return pages;
+}
+
+module.exports = async function generateImage(htmlUrl, outputPath) {
+  await withPage(async (page) => {
+    await page.goto(htmlUrl, { waitUntil: 'networkidle0' });
+    await captureImage(page, outputPath);
+  });
+};
+
+module.exports.captureImage = captureImage;
+module.exports.capturePages = capturePages;
@@ -13,7 +13,8 @@ const ensureDir = (dir) => {
 };
 
 /**
- * Create a multer instance with dynamic destination and optional filename
+ * Create a multer instance with dynamic destination and optional filename.
+ * Uploads land on local disk; controllers move the ones they keep into storage (utils/storage.js).
  * @param {Object} options
  * @param {string} options.destination - The path to save files
  * @param {string} [options.filenameField] - Optional: `req.body[filenameField]` will be used as filename (extension added automatically)
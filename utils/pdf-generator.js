@@ -1,22 +1,48 @@
-const chromium = require('@sparticuz/chromium');
-const puppeteer = require('puppeteer-core');
 const fs = require('fs/promises');
+const pdfParse = require('pdf-parse');
+const { withPage } = require('./browser-pool');
 
-module.exports = async function generatePDF(htmlUrl, outputPath) {
-  const browser = await puppeteer.launch({
-    args: chromium.args,
-    defaultViewport: chromium.defaultViewport,
-    executablePath: await chromium.executablePath(),
-    headless: chromium.headless,
-  });
-  const page = await browser.newPage();
-  await page.goto(htmlUrl, { waitUntil: 'networkidle0' });
+// fitToOnePage shrinks the scale in these steps, down to the minimum
+const FIT_SCALE_STEP = 0.05;
+const FIT_MIN_SCALE = 0.5;
+
+// Room the page-number footer needs below the content
+const FOOTER_MARGIN_MM = 10;
+
+const DEFAULT_PDF_OPTIONS = {
+  paperSize: 'A4',
+  margins: { top: 0, right: 0, bottom: 0, left: 0 }, // mm
+  scale: 1,
+  pageNumbers: false,
+  fitToOnePage: false,
+  maxPages: null
+};
+
+const FOOTER_TEMPLATE = `
+  <div style="width: 100%; font-size: 8px; color: #666; text-align: center;">
+    <span class="pageNumber"></span> / <span class="totalPages"></span>
+  </div>
+`;
+
+/**
+ * Print the loaded page to a PDF.
+ *
+ * @param {Page} page - Puppeteer page with the resume loaded
+ * @param {string} outputPath - File to write
+ * @param {Object} [options] - Template pdfOptions (see DEFAULT_PDF_OPTIONS)
+ * @returns {Promise<{ pageCount: number, scale: number, warning: string|null }>}
+ */
+async function printPdf(page, outputPath, options = {}) {
+  const { paperSize, scale, pageNumbers, fitToOnePage, maxPages } = { ...DEFAULT_PDF_OPTIONS, ...options };
+  const margins = { ...DEFAULT_PDF_OPTIONS.margins, ...options.margins };
+  if (pageNumbers) margins.bottom = Math.max(margins.bottom, FOOTER_MARGIN_MM);
+  const margin = Object.fromEntries(Object.entries(margins).map(([side, mm]) => [side, `${mm}mm`]));
 
   // Override @page margins and body background so the PDF output
   // matches the HTML — the template's .page padding handles spacing.
   await page.addStyleTag({
     content: `
-      @page { margin: 0 !important; }
+      @page { margin: ${margin.top} ${margin.right} ${margin.bottom} ${margin.left} !important; }
       body { background: #fff !important; }
       .page {
         width: 100% !important;
@@ -27,11 +53,43 @@ module.exports = async function generatePDF(htmlUrl, outputPath) {
     `
   });
 
-  await page.pdf({
-    path: outputPath,
-    format: 'A4',
-    printBackground: true,
-    margin: { top: 0, right: 0, bottom: 0, left: 0 }
+  const print = async (atScale) => {
+    const pdf = await page.pdf({
+      format: paperSize,
+      scale: atScale,
+      printBackground: true,
+      margin,
+      displayHeaderFooter: pageNumbers,
+      headerTemplate: '<span></span>',
+      footerTemplate: pageNumbers ? FOOTER_TEMPLATE : '<span></span>'
+    });
+    const { numpages } = await pdfParse(pdf);
+    return { pdf, pageCount: numpages, scale: atScale };
+  };
+
+  let result = await print(scale);
+  let warning = null;
+
+  if (fitToOnePage) {
+    while (result.pageCount > 1 && result.scale - FIT_SCALE_STEP >= FIT_MIN_SCALE - 1e-9) {
+      result = await print(Math.round((result.scale - FIT_SCALE_STEP) * 100) / 100);
+    }
+    if (result.pageCount > 1) {
+      warning = `Content does not fit on one page even at ${result.scale}x scale`;
+    }
+  } else if (maxPages && result.pageCount > maxPages) {
+    warning = `PDF has ${result.pageCount} pages, more than the maximum of ${maxPages}`;
+  }
+
+  await fs.writeFile(outputPath, result.pdf);
+  return { pageCount: result.pageCount, scale: result.scale, warning };
+}
+
+module.exports = async function generatePDF(htmlUrl, outputPath, options) {
+  return withPage(async (page) => {
+    await page.goto(htmlUrl, { waitUntil: 'networkidle0' });
+    return printPdf(page, outputPath, options);
   });
-  await browser.close();
-};
\ No newline at end of file
+};
+
+module.exports.printPdf = printPdf;
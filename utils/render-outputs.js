@@ -0,0 +1,24 @@
+const { withPage } = require('./browser-pool');
+const { captureImage, capturePages } = require('./html-to-image');
+const { printPdf } = require('./pdf-generator');
+
+/**
+ * Produce the preview image, PDF and per-page images of an HTML file from a
+ * single page load. The screenshot is taken first, since the PDF step injects
+ * print styles; page images are rasterized from the written PDF, last, as
+ * that navigates the page away from the resume.
+ *
+ * @param {string} htmlUrl - file:// URL of the HTML to render
+ * @param {{ imagePath?: string, pdfPath?: string, pagesDir?: string, pdfOptions?: Object }} outputs
+ *   Files to write; pagesDir is only used along with pdfPath
+ * @returns {Promise<{ pdf: Object|null, pages: Object[]|null }>} PDF layout from printPdf and page image paths
+ */
+module.exports = async function renderOutputs(htmlUrl, { imagePath, pdfPath, pagesDir, pdfOptions }) {
+  return withPage(async (page) => {
+    await page.goto(htmlUrl, { waitUntil: 'networkidle0' });
+    if (imagePath) await captureImage(page, imagePath);
+    const pdf = pdfPath ? await printPdf(page, pdfPath, pdfOptions) : null;
+    const pages = pdf && pagesDir ? await capturePages(page, pdfPath, pagesDir) : null;
+    return { pdf, pages };
+  });
+};
@@ -0,0 +1,128 @@
+const { Handlebars, SECTION_KEYS, DEFAULT_SECTION_TITLES } = require('./template-engine');
+
+// Format-neutral, single-column outline of a resume. The DOCX and
+// plain-text/Markdown renderers all walk this structure so they agree on
+// section order, headings and date formatting. Order and headings follow
+// the resume's layout (context.sections).
+
+const dateRange = (start, end, isCurrent) => Handlebars.helpers.dateRange(start, end, isCurrent, 'MMM YYYY');
+const formatDate = (date) => Handlebars.helpers.formatDate(date, 'MMM YYYY');
+
+function joinParts(parts, separator = ' · ') {
+  return parts.filter(Boolean).join(separator);
+}
+
+function cleanList(items) {
+  return (items || []).filter(item => typeof item === 'string' && item.trim()).map(item => item.trim());
+}
+
+/**
+ * Build the outline from a template context (see buildTemplateContext).
+ *
+ * Section shape: { key, title, entries?: Entry[], text?: string, lines?: string[] }
+ * Entry shape:   { heading, dates, subtitle, description, bullets, footer }
+ *
+ * @param {Object} context - Template context
+ * @returns {{ header: Object, sections: Object[] }}
+ */
+function buildResumeOutline(context) {
+  const { user, resume } = context;
+
+  const phones = user.phones || [];
+  const phone = (phones.find(p => p.isPrimary) || phones[0])?.number;
+
+  const header = {
+    name: user.full_name,
+    title: resume.title || '',
+    contact: joinParts([user.email, phone, joinParts([user.city, user.state, user.country], ', ')]),
+    links: (context.socialMedia || []).filter(s => s.url).map(s => ({ label: s.platform, url: s.url }))
+  };
+
+  const summary = resume.summary || user.intro;
+  const customFields = (resume.customFields || []).filter(f => f.label && f.value);
+
+  // Section content by key; null when the section has nothing to show
+  const content = {
+    summary: () => (summary ? { text: summary } : null),
+
+    experiences: () => (context.experiences.length ? {
+      entries: context.experiences.map(e => ({
+        heading: `${e.jobTitle} — ${e.company}`,
+        dates: dateRange(e.startDate, e.endDate, e.isCurrent),
+        subtitle: joinParts([e.location, e.employmentType]),
+        description: e.description || '',
+        bullets: cleanList(e.achievements),
+        footer: e.technologiesUsed?.length ? `Technologies: ${e.technologiesUsed.join(', ')}` : ''
+      }))
+    } : null),
+
+    projects: () => (context.projects.length ? {
+      entries: context.projects.map(p => ({
+        heading: p.role ? `${p.title} — ${p.role}` : p.title,
+        dates: dateRange(p.startDate, p.endDate, p.isOngoing),
+        subtitle: joinParts([p.projectUrl, p.githubRepo]),
+        description: p.description || '',
+        bullets: cleanList(p.highlights),
+        footer: p.technologies?.length ? `Technologies: ${p.technologies.join(', ')}` : ''
+      }))
+    } : null),
+
+    educations: () => (context.educations.length ? {
+      entries: context.educations.map(e => ({
+        heading: `${e.fieldOfStudy ? `${e.degree} in ${e.fieldOfStudy}` : e.degree} — ${e.institution}`,
+        dates: dateRange(e.startDate, e.endDate, e.isOngoing),
+        subtitle: e.grade ? `Grade: ${e.grade}` : '',
+        description: e.description || '',
+        bullets: cleanList(e.activities),
+        footer: ''
+      }))
+    } : null),
+
+    certifications: () => (context.certifications.length ? {
+      entries: context.certifications.map(c => ({
+        heading: c.issuingOrganization ? `${c.name} — ${c.issuingOrganization}` : c.name,
+        dates: formatDate(c.issueDate),
+        subtitle: c.credentialUrl || '',
+        description: '',
+        bullets: [],
+        footer: ''
+      }))
+    } : null),
+
+    awards: () => (context.awards.length ? {
+      entries: context.awards.map(a => ({
+        heading: a.issuer ? `${a.title} — ${a.issuer}` : a.title,
+        dates: formatDate(a.date),
+        subtitle: '',
+        description: a.description || '',
+        bullets: [],
+        footer: ''
+      }))
+    } : null),
+
+    skills: () => (context.skills.length ? {
+      text: context.skills.map(s => (s.expertise ? `${s.name} (${s.expertise})` : s.name)).join(', ')
+    } : null),
+
+    languages: () => (context.languages.length ? {
+      text: context.languages.map(l => (l.level ? `${l.name} (${l.level})` : l.name)).join(', ')
+    } : null),
+
+    customFields: () => (customFields.length ? {
+      lines: customFields.map(f => `${f.label}: ${f.value}`)
+    } : null)
+  };
+
+  // Contexts built without a layout fall back to the default order and headings
+  const layout = context.sections || SECTION_KEYS.map(key => ({ key, title: DEFAULT_SECTION_TITLES[key] }));
+
+  const sections = [];
+  layout.forEach(({ key, title }) => {
+    const section = content[key]?.();
+    if (section) sections.push({ key, title, ...section });
+  });
+
+  return { header, sections };
+}
+
+module.exports = { buildResumeOutline };
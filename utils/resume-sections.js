@@ -0,0 +1,7 @@
+/**
+ * Sections a resume layout can order, rename and hide, in default order.
+ * Shared by the Resume and ResumeComment models, resume validation and the template engine.
+ */
+const SECTION_KEYS = ['summary', 'experiences', 'projects', 'educations', 'certifications', 'awards', 'skills', 'languages', 'customFields'];
+
+module.exports = { SECTION_KEYS };
@@ -0,0 +1,52 @@
+// Server-Sent Events helpers for streaming AI endpoints (`?stream=1`).
+//
+// Events sent by those endpoints:
+//   token — { text }            a chunk of the raw model reply (a fragment of its JSON)
+//   retry — { attempt, issues } the previous reply was rejected; discard the text received so far
+//   done  — { ...result }       the validated result (plus the credit deduction, where one applies)
+//   error — { error, ... }      the request failed; same body the JSON endpoint would return
+
+/**
+ * Whether the client asked for a streamed response.
+ */
+function wantsStream(req) {
+  return ['1', 'true'].includes(String(req.query.stream).toLowerCase());
+}
+
+/**
+ * Switch the response to an event stream.
+ * @returns {{ send: (event: string, data: Object) => void, close: () => void, isClosed: () => boolean }}
+ */
+function openEventStream(res) {
+  let closed = false;
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  // Client went away — keep generating (credits are settled at the end) but stop writing
+  res.on('close', () => { closed = true; });
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    },
+    isClosed: () => closed
+  };
+}
+
+module.exports = {
+  wantsStream,
+  openEventStream
+};
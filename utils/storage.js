@@ -0,0 +1,253 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Storage for generated and uploaded files (template HTML/PDF/DOCX/previews,
+ * profile photos, initial template uploads).
+ *
+ * Files are addressed by key: a relative, '/'-separated path such as
+ * "user-templates/<userId>/<resumeId>/resume.pdf" — the same value stored on
+ * documents (htmlFilePath, profilePhoto, ...). STORAGE_DRIVER picks the backend:
+ * - local (default): files under STORAGE_LOCAL_ROOT (the project directory, or /tmp on Vercel)
+ * - s3: any S3-compatible bucket (AWS, MinIO, R2, ...), served through signed URLs
+ *
+ * Every driver has the same methods:
+ * - put(key, body): write a Buffer/string
+ * - importFile(key, localPath): move a local file (upload, render output) into storage
+ * - get(key): read into a Buffer (rejects with status 404 when missing)
+ * - exists(key) / remove(key)
+ * - getSignedUrl(key, { downloadName }): time-limited URL, or null when the app serves files itself
+ * - send(res, key, { downloadName }): respond with the file; resolves false when it does not exist
+ */
+
+// Content types set on stored objects (S3 serves them as-is)
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.pdf': 'application/pdf',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp'
+};
+
+function contentTypeOf(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Normalize a key and refuse ones that escape the storage root.
+ */
+function normalizeKey(key) {
+  const normalized = path.posix.normalize(String(key || '').replace(/\\/g, '/')).replace(/^\/+/, '');
+  if (!normalized || normalized === '.' || normalized === '..' || normalized.startsWith('../')) {
+    const err = new Error('Invalid file path');
+    err.status = 400;
+    throw err;
+  }
+  return normalized;
+}
+
+function notFound(key) {
+  const err = new Error(`File not found: ${key}`);
+  err.status = 404;
+  return err;
+}
+
+function attachmentHeader(downloadName) {
+  return `attachment; filename="${String(downloadName).replace(/"/g, '')}"`;
+}
+
+/**
+ * Files on the local filesystem, under `root`.
+ */
+function createLocalStorage({
+  root = process.env.STORAGE_LOCAL_ROOT || (process.env.VERCEL ? '/tmp' : path.join(__dirname, '..'))
+} = {}) {
+  const resolve = key => path.join(path.resolve(root), normalizeKey(key));
+
+  // Write next to the target and rename, so readers never see a partial file
+  async function writeAtomically(file, write) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmpPath = `${file}.${process.pid}.${Date.now()}.tmp`;
+    try {
+      await write(tmpPath);
+      await fs.rename(tmpPath, file);
+    } catch (err) {
+      await fs.unlink(tmpPath).catch(() => { });
+      throw err;
+    }
+  }
+
+  async function exists(key) {
+    try {
+      await fs.access(resolve(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  return {
+    driver: 'local',
+
+    async put(key, body) {
+      await writeAtomically(resolve(key), tmpPath => fs.writeFile(tmpPath, body));
+    },
+
+    async importFile(key, localPath) {
+      const file = resolve(key);
+      if (path.resolve(localPath) === file) return; // Already in place (e.g. multer wrote it there)
+      await writeAtomically(file, tmpPath => fs.copyFile(localPath, tmpPath));
+      await fs.unlink(localPath).catch(() => { });
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(resolve(key));
+      } catch (err) {
+        if (err.code === 'ENOENT') throw notFound(key);
+        throw err;
+      }
+    },
+
+    exists,
+
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+    },
+
+    async getSignedUrl() {
+      return null;
+    },
+
+    async send(res, key, { downloadName } = {}) {
+      if (!await exists(key)) return false;
+      if (downloadName) res.setHeader('Content-Disposition', attachmentHeader(downloadName));
+      res.sendFile(resolve(key));
+      return true;
+    }
+  };
+}
+
+/**
+ * Files in an S3-compatible bucket. Set S3_ENDPOINT and S3_FORCE_PATH_STYLE=true
+ * for MinIO and other self-hosted stand-ins.
+ */
+function createS3Storage({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT || undefined,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  prefix = process.env.S3_PREFIX || '',
+  signedUrlTtl = parseInt(process.env.S3_SIGNED_URL_TTL) || 300 // seconds
+} = {}) {
+  if (!bucket) throw new Error('S3_BUCKET is required for the s3 storage driver');
+
+  // Loaded here so local setups do not pay for the SDK
+  const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+  const { getSignedUrl: presign } = require('@aws-sdk/s3-request-presigner');
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+  const objectKey = key => `${prefix}${normalizeKey(key)}`;
+  const isMissing = err => err.name === 'NoSuchKey' || err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404;
+
+  async function put(key, body) {
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: objectKey(key),
+      Body: body,
+      ContentType: contentTypeOf(key)
+    }));
+  }
+
+  async function exists(key) {
+    try {
+      await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return true;
+    } catch (err) {
+      if (isMissing(err)) return false;
+      throw err;
+    }
+  }
+
+  async function getSignedUrl(key, { downloadName, expiresIn = signedUrlTtl } = {}) {
+    const command = new GetObjectCommand({
+      Bucket: bucket,
+      Key: objectKey(key),
+      ResponseContentDisposition: downloadName ? attachmentHeader(downloadName) : undefined
+    });
+    return presign(client, command, { expiresIn });
+  }
+
+  return {
+    driver: 's3',
+
+    put,
+
+    async importFile(key, localPath) {
+      await put(key, await fs.readFile(localPath));
+      await fs.unlink(localPath).catch(() => { });
+    },
+
+    async get(key) {
+      try {
+        const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return Buffer.from(await Body.transformToByteArray());
+      } catch (err) {
+        if (isMissing(err)) throw notFound(key);
+        throw err;
+      }
+    },
+
+    exists,
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+
+    getSignedUrl,
+
+    // Clients download straight from the bucket
+    async send(res, key, options = {}) {
+      if (!await exists(key)) return false;
+      res.redirect(302, await getSignedUrl(key, options));
+      return true;
+    }
+  };
+}
+
+function createStorage(driver = process.env.STORAGE_DRIVER || 'local') {
+  if (driver === 's3') return createS3Storage();
+  if (driver === 'local') return createLocalStorage();
+  throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+}
+
+// Built on first use, so a misconfigured driver fails the requests that need files, not require()
+let shared = null;
+function sharedStorage() {
+  if (!shared) shared = createStorage();
+  return shared;
+}
+
+const DRIVER_METHODS = ['put', 'importFile', 'get', 'exists', 'remove', 'getSignedUrl', 'send'];
+
+module.exports = {
+  createLocalStorage,
+  createS3Storage,
+  createStorage,
+  // Storage shared by every module in this process (STORAGE_DRIVER)
+  storage: {
+    get driver() {
+      return sharedStorage().driver;
+    },
+    ...Object.fromEntries(DRIVER_METHODS.map(method => [method, async (...args) => sharedStorage()[method](...args)]))
+  }
+};
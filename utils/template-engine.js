@@ -1,22 +1,22 @@
 const Handlebars = require('handlebars');
-const fs = require('fs');
 const path = require('path');
+const { SECTION_KEYS } = require('./resume-sections');
+const { storage } = require('./storage');
 
 // ── Profile Image Utilities ─────────────────────────────────────────────────
 
 /**
- * Read a profile photo from disk and return a base64 data URI.
+ * Read a profile photo from storage and return a base64 data URI, for
+ * buildTemplateContext's `profileImage` option.
  * Returns null if the file doesn't exist or the path is empty.
- * @param {string|null} profilePhotoPath - Relative path like "uploads/profile-photos/photo.jpg"
- * @returns {string|null} Data URI string e.g. "data:image/jpeg;base64,..." or null
+ * @param {string|null} profilePhotoPath - Storage key like "uploads/profile-photos/photo.jpg"
+ * @returns {Promise<string|null>} Data URI string e.g. "data:image/jpeg;base64,..." or null
  */
-function profilePhotoToDataUri(profilePhotoPath) {
+async function loadProfileImage(profilePhotoPath) {
     if (!profilePhotoPath) return null;
     try {
-        const absolutePath = path.resolve(__dirname, '..', profilePhotoPath);
-        if (!fs.existsSync(absolutePath)) return null;
-        const buffer = fs.readFileSync(absolutePath);
-        const ext = path.extname(absolutePath).toLowerCase().replace('.', '');
+        const buffer = await storage.get(profilePhotoPath);
+        const ext = path.extname(profilePhotoPath).toLowerCase().replace('.', '');
         const mimeMap = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
         const mime = mimeMap[ext] || 'image/jpeg';
         return `data:${mime};base64,${buffer.toString('base64')}`;
@@ -193,6 +193,120 @@ Handlebars.registerHelper('indexPlusOne', function (index) {
     return index + 1;
 });
 
+/**
+ * Render the block when the current section (inside {{#each sections}}) has the given key.
+ * Usage: {{#each sections}}{{#ifSection "experiences"}}...{{else}}...{{/ifSection}}{{/each}}
+ */
+Handlebars.registerHelper('ifSection', function (key, options) {
+    return this && this.key === key ? options.fn(this) : options.inverse(this);
+});
+
+/**
+ * Render the block with a section as its context, if that section is visible and non-empty.
+ * Usage: {{#withSection "projects"}}<h2>{{title}}</h2>{{#each items}}...{{/each}}{{/withSection}}
+ */
+Handlebars.registerHelper('withSection', function (key, options) {
+    const section = (options.data.root.sections || []).find(s => s.key === key);
+    return section ? options.fn(section) : options.inverse(this);
+});
+
+/**
+ * Display title of a section (the resume's custom title, or the default).
+ * Usage: {{sectionTitle "educations"}} → "Education"
+ */
+Handlebars.registerHelper('sectionTitle', function (key, options) {
+    const section = (options.data.root.sections || []).find(s => s.key === key);
+    return section ? section.title : (DEFAULT_SECTION_TITLES[key] || '');
+});
+
+// ── Section Layout ──────────────────────────────────────────────────────────
+
+const DEFAULT_SECTION_TITLES = {
+    summary: 'Summary',
+    experiences: 'Experience',
+    projects: 'Projects',
+    educations: 'Education',
+    certifications: 'Certifications',
+    awards: 'Awards',
+    skills: 'Skills',
+    languages: 'Languages',
+    customFields: 'Additional Information'
+};
+
+// How layout.itemOrder identifies items in each section (entities use their _id)
+const ITEM_ID_FIELDS = { skills: 'name', languages: 'name', customFields: 'label' };
+
+function itemId(key, item) {
+    const field = ITEM_ID_FIELDS[key];
+    return field ? item[field] : item._id?.toString();
+}
+
+/**
+ * Put the items listed in itemOrder first (in that order); the rest keep
+ * their current relative order after them.
+ */
+function orderItems(key, items, itemOrder) {
+    if (!Array.isArray(itemOrder) || itemOrder.length === 0) return items;
+    const order = itemOrder.map(String);
+    const rank = (item) => {
+        const i = order.indexOf(String(itemId(key, item)));
+        return i === -1 ? order.length : i;
+    };
+    return items
+        .map((item, index) => ({ item, index }))
+        .sort((a, b) => rank(a.item) - rank(b.item) || a.index - b.index)
+        .map(({ item }) => item);
+}
+
+/**
+ * Apply a resume layout to a template context (in place) and add the
+ * ordered `sections` array.
+ *
+ * Hidden sections are emptied in the flat fields too (experiences, skills,
+ * resume.summary, …) so templates that hard-code their sections respect
+ * visibility, and item order is applied to the flat arrays as well.
+ * `sections` only contains visible sections that have content.
+ *
+ * @param {Object} context - Template context
+ * @param {Object} [layout] - resume.layout ({ sections: [{ key, title, visible, itemOrder }] })
+ * @returns {Object} The same context
+ */
+function applyLayout(context, layout) {
+    const configured = (layout?.sections || []).filter(s => SECTION_KEYS.includes(s.key));
+    const configFor = (key) => configured.find(s => s.key === key) || {};
+    const orderedKeys = [...configured.map(s => s.key), ...SECTION_KEYS.filter(k => !configured.some(s => s.key === k))];
+
+    const get = (key) => (key === 'customFields' ? context.resume.customFields : context[key]) || [];
+    const set = (key, items) => {
+        if (key === 'customFields') context.resume.customFields = items;
+        else context[key] = items;
+    };
+
+    const summaryText = context.resume.summary || context.user.intro || '';
+
+    context.sections = [];
+    orderedKeys.forEach(key => {
+        const config = configFor(key);
+        const visible = config.visible !== false;
+
+        if (key === 'summary') {
+            if (!visible) context.resume.summary = '';
+            else if (summaryText) {
+                context.sections.push({ key, title: config.title || DEFAULT_SECTION_TITLES[key], text: summaryText, items: [] });
+            }
+            return;
+        }
+
+        const items = visible ? orderItems(key, get(key), config.itemOrder) : [];
+        set(key, items);
+        if (items.length) {
+            context.sections.push({ key, title: config.title || DEFAULT_SECTION_TITLES[key], items });
+        }
+    });
+
+    return context;
+}
+
 // ── Core Functions ──────────────────────────────────────────────────────────
 
 /**
@@ -270,15 +384,59 @@ function extractPlaceholders(htmlString) {
     return [...placeholders].filter(p => p && p.length > 0).sort();
 }
 
+/**
+ * Which array holds the bullet points for each overridable entity type.
+ */
+const OVERRIDE_BULLET_FIELDS = {
+    experiences: 'achievements',
+    projects: 'highlights',
+    educations: 'activities'
+};
+
+/**
+ * Merge a resume's override for one entity over the entity's own data.
+ * Replacement bullets (if any) are applied first; bulletOrder and
+ * hiddenBullets then index into the resulting list. Out-of-range indices
+ * are ignored, and bullets missing from bulletOrder keep their relative
+ * order after the ordered ones.
+ *
+ * @param {Object} item - Plain entity object
+ * @param {Object|undefined} override - Override entry from resume.overrides
+ * @param {string} bulletField - e.g. 'achievements'
+ * @returns {Object} New entity object
+ */
+function applyEntityOverride(item, override, bulletField) {
+    if (!override) return item;
+    const merged = { ...item };
+
+    if (typeof override.description === 'string') merged.description = override.description;
+    let bullets = Array.isArray(override[bulletField]) ? [...override[bulletField]] : [...(item[bulletField] || [])];
+
+    if (Array.isArray(override.bulletOrder) && override.bulletOrder.length) {
+        const ordered = [...new Set(override.bulletOrder)].filter(i => Number.isInteger(i) && i >= 0 && i < bullets.length);
+        const rest = bullets.map((_, i) => i).filter(i => !ordered.includes(i));
+        const hidden = new Set(override.hiddenBullets || []);
+        bullets = [...ordered, ...rest].filter(i => !hidden.has(i)).map(i => bullets[i]);
+    } else if (Array.isArray(override.hiddenBullets) && override.hiddenBullets.length) {
+        const hidden = new Set(override.hiddenBullets);
+        bullets = bullets.filter((_, i) => !hidden.has(i));
+    }
+
+    merged[bulletField] = bullets;
+    return merged;
+}
+
 /**
  * Build the full template context object from a populated resume and user.
  * This is the data shape that every template receives.
  * 
  * @param {Object} resume - Fully populated Resume document
  * @param {Object} user - User document
+ * @param {Object} [options]
+ * @param {string|null} [options.profileImage] - Data URI from loadProfileImage(user.profilePhoto), for templates that show the photo
  * @returns {Object} Template context object
  */
-function buildTemplateContext(resume, user) {
+function buildTemplateContext(resume, user, { profileImage = null } = {}) {
     const userObj = user.toObject ? user.toObject() : { ...user };
     const resumeObj = resume.toObject ? resume.toObject() : { ...resume };
 
@@ -311,10 +469,15 @@ function buildTemplateContext(resume, user) {
             .map(item => (item.toObject ? item.toObject() : { ...item }));
     };
 
-    // Convert profile photo to base64 data URI for embedding in templates
-    const profileImageDataUri = profilePhotoToDataUri(userObj.profilePhoto);
+    // Apply this resume's per-entity overrides (Map on documents, plain object when lean)
+    const overrides = resumeObj.overrides instanceof Map
+        ? Object.fromEntries(resumeObj.overrides)
+        : (resumeObj.overrides || {});
+    const withOverrides = (arr, key) => cleanArray(arr).map(item =>
+        applyEntityOverride(item, overrides[item._id?.toString()], OVERRIDE_BULLET_FIELDS[key])
+    );
 
-    return {
+    const context = {
         user: {
             first_name: userObj.first_name,
             last_name: userObj.last_name,
@@ -328,7 +491,7 @@ function buildTemplateContext(resume, user) {
             streetAddress: userObj.streetAddress,
             postalCode: userObj.postalCode,
             profilePhoto: userObj.profilePhoto,
-            profileImage: profileImageDataUri,
+            profileImage,
             phones: userObj.phones || [],
             socialMedia: allUserSocialMedia,
             hobbies: userObj.hobbies || []
@@ -344,15 +507,17 @@ function buildTemplateContext(resume, user) {
             slug: resumeObj.slug,
             visibility: resumeObj.visibility
         },
-        experiences: cleanArray(resumeObj.experiences),
-        educations: cleanArray(resumeObj.educations),
-        projects: cleanArray(resumeObj.projects),
+        experiences: withOverrides(resumeObj.experiences, 'experiences'),
+        educations: withOverrides(resumeObj.educations, 'educations'),
+        projects: withOverrides(resumeObj.projects, 'projects'),
         certifications: cleanArray(resumeObj.certifications),
         awards: cleanArray(resumeObj.awards),
         skills,
         languages,
         socialMedia
     };
+
+    return applyLayout(context, resumeObj.layout);
 }
 
 /**
@@ -501,11 +666,20 @@ const SAMPLE_TEMPLATE_DATA = {
     ]
 };
 
+// Default section order for admin previews
+applyLayout(SAMPLE_TEMPLATE_DATA);
+
 module.exports = {
     compileTemplate,
     renderTemplate,
     extractPlaceholders,
     buildTemplateContext,
+    loadProfileImage,
+    applyEntityOverride,
+    applyLayout,
+    OVERRIDE_BULLET_FIELDS,
+    SECTION_KEYS,
+    DEFAULT_SECTION_TITLES,
     SAMPLE_TEMPLATE_DATA,
     Handlebars
 };
\ No newline at end of file
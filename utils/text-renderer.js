@@ -0,0 +1,92 @@
+const { buildResumeOutline } = require('./resume-outline');
+
+// ATS-friendly renderers: single column, no tables, no images. Both walk the
+// same outline as the DOCX generator.
+
+/**
+ * Escape characters that Markdown would otherwise interpret.
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_[\]#<>|])/g, '\\$1');
+}
+
+/**
+ * Write a URL as a Markdown link destination: wrapped in <>, so parentheses
+ * are literal, with the characters that would end or break it percent-encoded.
+ */
+function markdownUrl(url) {
+  return `<${String(url).replace(/[<>\\\s]/g, c => encodeURIComponent(c))}>`;
+}
+
+/**
+ * Render a resume as plain text.
+ * @param {Object} context - Output of buildTemplateContext(resume, user)
+ * @returns {string}
+ */
+function renderPlainText(context) {
+  const { header, sections } = buildResumeOutline(context);
+  const lines = [];
+
+  lines.push(header.name.toUpperCase());
+  if (header.title) lines.push(header.title);
+  if (header.contact) lines.push(header.contact);
+  header.links.forEach(l => lines.push(`${l.label}: ${l.url}`));
+
+  sections.forEach(section => {
+    lines.push('', section.title.toUpperCase(), '-'.repeat(section.title.length));
+    if (section.text) lines.push(section.text);
+    (section.lines || []).forEach(line => lines.push(line));
+    (section.entries || []).forEach((entry, i) => {
+      if (i > 0) lines.push('');
+      lines.push(entry.dates ? `${entry.heading} | ${entry.dates}` : entry.heading);
+      if (entry.subtitle) lines.push(entry.subtitle);
+      if (entry.description) lines.push(entry.description);
+      entry.bullets.forEach(b => lines.push(`- ${b}`));
+      if (entry.footer) lines.push(entry.footer);
+    });
+  });
+
+  return lines.join('\n').trim() + '\n';
+}
+
+/**
+ * Render a resume as Markdown.
+ * @param {Object} context - Output of buildTemplateContext(resume, user)
+ * @returns {string}
+ */
+function renderMarkdown(context) {
+  const { header, sections } = buildResumeOutline(context);
+  const lines = [];
+
+  lines.push(`# ${escapeMarkdown(header.name)}`);
+  if (header.title) lines.push('', `**${escapeMarkdown(header.title)}**`);
+  if (header.contact) lines.push('', escapeMarkdown(header.contact));
+  if (header.links.length) {
+    lines.push('', header.links.map(l => `[${escapeMarkdown(l.label)}](${markdownUrl(l.url)})`).join(' · '));
+  }
+
+  sections.forEach(section => {
+    lines.push('', `## ${escapeMarkdown(section.title)}`, '');
+    if (section.text) lines.push(escapeMarkdown(section.text));
+    (section.lines || []).forEach(line => lines.push(`- ${escapeMarkdown(line)}`));
+    (section.entries || []).forEach((entry, i) => {
+      if (i > 0) lines.push('');
+      lines.push(`### ${escapeMarkdown(entry.heading)}`);
+      const meta = [entry.dates, entry.subtitle].filter(Boolean).map(escapeMarkdown).join(' · ');
+      if (meta) lines.push('', `*${meta}*`);
+      if (entry.description) lines.push('', escapeMarkdown(entry.description));
+      if (entry.bullets.length) {
+        lines.push('');
+        entry.bullets.forEach(b => lines.push(`- ${escapeMarkdown(b)}`));
+      }
+      if (entry.footer) lines.push('', escapeMarkdown(entry.footer));
+    });
+  });
+
+  return lines.join('\n').trim() + '\n';
+}
+
+module.exports = {
+  renderPlainText,
+  renderMarkdown
+};
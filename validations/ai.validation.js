@@ -0,0 +1,150 @@
+const Joi = require('joi');
+
+// Schemas for AI provider output (not request bodies). Validated with
+// { convert: true, stripUnknown: true }, so harmless drift — numbers as
+// strings, empty strings for optional enums, extra keys — is repaired
+// rather than rejected.
+
+const objectIdString = () => Joi.string().hex().length(24);
+const nullableDate = () => Joi.date().empty('').allow(null).default(null);
+const optionalText = (max) => Joi.string().max(max).allow('').default('');
+const textList = (max) => Joi.array().items(Joi.string().max(max)).default([]);
+
+// ─── Resume ──────────────────────────────────────────────────────────────────
+
+const resumeDataSchema = Joi.object({
+    title: Joi.string().trim().min(1).max(100).required(),
+    summary: Joi.string().max(2000).allow('').required(),
+    educations: Joi.array().items(objectIdString()).unique().default([]),
+    experiences: Joi.array().items(objectIdString()).unique().default([]),
+    projects: Joi.array().items(objectIdString()).unique().default([]),
+    certifications: Joi.array().items(objectIdString()).unique().default([]),
+    awards: Joi.array().items(objectIdString()).unique().default([]),
+    selectedSkills: Joi.array().items(Joi.string().max(50)).unique().default([]),
+    selectedLanguages: Joi.array().items(Joi.string().max(50)).unique().default([]),
+    selectedSocialMedia: Joi.array().items(
+        Joi.string().valid('LinkedIn', 'Twitter', 'GitHub', 'Facebook', 'Instagram', 'Portfolio', 'Other')
+    ).unique().default([]),
+    customFields: Joi.array().items(Joi.object({
+        label: Joi.string().max(100).required(),
+        value: Joi.string().allow('').default('')
+    })).default([])
+});
+
+const resumeTitleSchema = Joi.object({
+    title: Joi.string().trim().min(1).max(100).required()
+});
+
+const resumeSummarySchema = Joi.object({
+    summary: Joi.string().trim().min(1).max(2000).required()
+});
+
+// ─── CV Extraction ───────────────────────────────────────────────────────────
+
+const cvExtractionSchema = Joi.object({
+    intro: optionalText(2000),
+    skills: Joi.array().items(Joi.object({
+        name: Joi.string().trim().min(1).max(50).required(),
+        expertise: Joi.string().valid('Beginner', 'Intermediate', 'Advanced', 'Expert').empty('')
+    })).default([]),
+    languages: Joi.array().items(Joi.object({
+        name: Joi.string().trim().min(1).max(50).required(),
+        level: Joi.string().valid('Basic', 'Conversational', 'Fluent', 'Native').empty('')
+    })).default([]),
+    educations: Joi.array().items(Joi.object({
+        institution: Joi.string().trim().min(1).required(),
+        degree: Joi.string().trim().min(1).required(),
+        fieldOfStudy: optionalText(200),
+        startDate: nullableDate(),
+        endDate: nullableDate(),
+        isOngoing: Joi.boolean().default(false),
+        grade: optionalText(50),
+        description: optionalText(5000)
+    })).default([]),
+    experiences: Joi.array().items(Joi.object({
+        jobTitle: Joi.string().trim().min(1).required(),
+        company: Joi.string().trim().min(1).required(),
+        location: optionalText(200),
+        employmentType: Joi.string()
+            .valid('Full-time', 'Part-time', 'Contract', 'Internship', 'Freelance', 'Temporary', 'Self-employed')
+            .empty(''),
+        industry: optionalText(200),
+        startDate: nullableDate(),
+        endDate: nullableDate(),
+        isCurrent: Joi.boolean().default(false),
+        description: optionalText(5000),
+        achievements: textList(1000),
+        technologiesUsed: textList(100)
+    })).default([]),
+    projects: Joi.array().items(Joi.object({
+        title: Joi.string().trim().min(1).required(),
+        role: optionalText(200),
+        description: optionalText(5000),
+        technologies: textList(100),
+        highlights: textList(1000),
+        startDate: nullableDate(),
+        endDate: nullableDate(),
+        isOngoing: Joi.boolean().default(false),
+        projectUrl: optionalText(500),
+        githubRepo: optionalText(500)
+    })).default([]),
+    certifications: Joi.array().items(Joi.object({
+        name: Joi.string().trim().min(1).required(),
+        issuingOrganization: optionalText(200),
+        issueDate: nullableDate(),
+        expirationDate: nullableDate(),
+        doesNotExpire: Joi.boolean().default(false),
+        credentialId: optionalText(200),
+        credentialUrl: optionalText(500)
+    })).default([]),
+    awards: Joi.array().items(Joi.object({
+        title: Joi.string().trim().min(1).required(),
+        issuer: optionalText(200),
+        date: nullableDate(),
+        description: optionalText(5000)
+    })).default([])
+});
+
+// ─── Salary ──────────────────────────────────────────────────────────────────
+
+const salaryEstimateSchema = Joi.object({
+    salaryEstimate: Joi.object({
+        low: Joi.number().min(0).required(),
+        high: Joi.number().min(Joi.ref('low')).required(),
+        currency: Joi.string().trim().uppercase().length(3).required(),
+        period: Joi.string().max(20).default('yearly'),
+        country: Joi.string().max(100).allow('')
+    }).required(),
+    hiringChance: Joi.object({
+        percentage: Joi.number().min(0).max(100).required(),
+        level: Joi.string().valid('High', 'Medium', 'Low').required(),
+        factors: Joi.object().pattern(Joi.string(), Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean())).default({})
+    }).required(),
+    suggestions: textList(500)
+});
+
+// ─── Cover Letters & Proposals ───────────────────────────────────────────────
+
+const coverLetterSchema = Joi.object({
+    coverLetter: Joi.string().trim().min(1).max(10000).required()
+});
+
+const timelineBudgetSchema = Joi.object({
+    timeline: Joi.string().trim().min(1).max(5000).required(),
+    budget: Joi.string().trim().min(1).max(5000).required()
+});
+
+const proposalSchema = Joi.object({
+    proposal: Joi.string().trim().min(1).max(10000).required()
+});
+
+module.exports = {
+    resumeDataSchema,
+    resumeTitleSchema,
+    resumeSummarySchema,
+    cvExtractionSchema,
+    salaryEstimateSchema,
+    coverLetterSchema,
+    timelineBudgetSchema,
+    proposalSchema
+};
@@ -0,0 +1,17 @@
+const Joi = require('joi');
+const AIUsage = require('../models/aiUsage.model');
+
+const usageRangeSchema = Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional()
+});
+
+const usageBreakdownSchema = usageRangeSchema.keys({
+    groupBy: Joi.string().valid(...AIUsage.GROUP_BY).default('day'),
+    limit: Joi.number().integer().min(1).max(500).default(100)
+});
+
+module.exports = {
+    usageRangeSchema,
+    usageBreakdownSchema
+};
@@ -0,0 +1,33 @@
+const Joi = require('joi');
+
+const organizationCreateSchema = Joi.object({
+    name: Joi.string().trim().min(2).max(100).required()
+});
+
+const organizationUpdateSchema = Joi.object({
+    name: Joi.string().trim().min(2).max(100).required()
+});
+
+// Owners are never added directly; ownership is transferred with a role change
+const addMemberSchema = Joi.object({
+    email: Joi.string().email().required(),
+    role: Joi.string().valid('manager', 'member').default('member')
+});
+
+// 'owner' transfers ownership; the current owner becomes a manager
+const updateMemberSchema = Joi.object({
+    role: Joi.string().valid('owner', 'manager', 'member').required()
+});
+
+const organizationUsageSchema = Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional()
+});
+
+module.exports = {
+    organizationCreateSchema,
+    organizationUpdateSchema,
+    addMemberSchema,
+    updateMemberSchema,
+    organizationUsageSchema
+};
@@ -2,7 +2,8 @@ const Joi = require('joi');
 
 const createCreditCheckoutSchema = Joi.object({
     creditAmount: Joi.number().integer().min(1).max(100).required()
-        .messages({ 'number.min': 'Must purchase at least 1 credit' })
+        .messages({ 'number.min': 'Must purchase at least 1 credit' }),
+    promoCode: Joi.string().trim().max(32).optional()
 });
 
 const createSubscriptionCheckoutSchema = Joi.object({
@@ -0,0 +1,51 @@
+const Joi = require('joi');
+
+const code = () => Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]+$/).min(3).max(32)
+    .messages({ 'string.pattern.base': 'Code may only contain letters, digits, "-" and "_"' });
+
+const promoCodeCreateSchema = Joi.object({
+    code: code().required(),
+    type: Joi.string().valid('credits', 'discount').required(),
+    credits: Joi.when('type', {
+        is: 'credits',
+        then: Joi.number().integer().min(1).max(10000).required(),
+        otherwise: Joi.forbidden()
+    }),
+    creditExpiryDays: Joi.when('type', {
+        is: 'credits',
+        then: Joi.number().integer().min(0).max(3650).allow(null).optional(),
+        otherwise: Joi.forbidden()
+    }),
+    discountPercent: Joi.when('type', {
+        is: 'discount',
+        then: Joi.number().integer().min(1).max(90).required(),
+        otherwise: Joi.forbidden()
+    }),
+    maxRedemptions: Joi.number().integer().min(1).allow(null).optional(),
+    perUserLimit: Joi.number().integer().min(1).max(100).optional(),
+    expiresAt: Joi.date().greater('now').allow(null).optional(),
+    isActive: Joi.boolean().optional(),
+    description: Joi.string().trim().max(500).allow('').optional()
+});
+
+// The code and its type are fixed once created; amounts must match the type (checked in the controller)
+const promoCodeUpdateSchema = Joi.object({
+    credits: Joi.number().integer().min(1).max(10000).optional(),
+    creditExpiryDays: Joi.number().integer().min(0).max(3650).allow(null).optional(),
+    discountPercent: Joi.number().integer().min(1).max(90).optional(),
+    maxRedemptions: Joi.number().integer().min(1).allow(null).optional(),
+    perUserLimit: Joi.number().integer().min(1).max(100).optional(),
+    expiresAt: Joi.date().allow(null).optional(),
+    isActive: Joi.boolean().optional(),
+    description: Joi.string().trim().max(500).allow('').optional()
+}).min(1);
+
+const redeemPromoCodeSchema = Joi.object({
+    code: Joi.string().trim().min(1).max(32).required()
+});
+
+module.exports = {
+    promoCodeCreateSchema,
+    promoCodeUpdateSchema,
+    redeemPromoCodeSchema
+};
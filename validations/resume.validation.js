@@ -1,6 +1,7 @@
 // validations/resume.validation.js
 const Joi = require('joi');
 const mongoose = require('mongoose');
+const { SECTION_KEYS } = require('../utils/resume-sections');
 
 // ObjectId validator helper
 const objectId = () => Joi.string().custom((value, helpers) => {
@@ -55,11 +56,153 @@ const resumeSchema = Joi.object({
     })
   ).optional(),
 
+  // Section order, custom section titles, visibility and per-section item order
+  layout: Joi.object({
+    sections: Joi.array().items(
+      Joi.object({
+        key: Joi.string().valid(...SECTION_KEYS).required(),
+        title: Joi.string().max(60).allow('', null).optional(),
+        visible: Joi.boolean().optional(),
+        itemOrder: Joi.array().items(Joi.string().max(100)).unique().optional()
+      })
+    ).unique('key').optional()
+  }).optional().allow(null),
+
   visibility: Joi.string().valid('private', 'public').optional(),
 
   linkedTemplateId: objectId().optional().allow(null)
 });
 
+// Per-resume entity override (replaces any existing override for that entity)
+const bulletIndexList = Joi.array().items(Joi.number().integer().min(0)).unique();
+const entityOverrideSchema = Joi.object({
+  description: Joi.string().max(5000).allow('').optional(),
+  achievements: Joi.array().items(Joi.string().max(1000)).optional(),
+  highlights: Joi.array().items(Joi.string().max(1000)).optional(),
+  activities: Joi.array().items(Joi.string().max(1000)).optional(),
+  bulletOrder: bulletIndexList.optional(),
+  hiddenBullets: bulletIndexList.optional()
+}).min(1);
+
+// Duplicate / tailor-from-existing payload
+const duplicateResumeSchema = Joi.object({
+  title: Joi.string().max(100).optional(),
+  jobDescription: Joi.string().max(5000).optional()
+});
+
+// Slugs that would collide with hosting routes or read as official pages
+const RESERVED_SLUGS = [
+  'admin', 'api', 'app', 'auth', 'dashboard', 'docx', 'edit', 'help', 'login', 'logout', 'new',
+  'pdf', 'preview', 'pricing', 'public', 'register', 'resume', 'resumes', 'settings', 'signup',
+  'support', 'tekvion', 'unlock', 'www'
+];
+
+// Vanity slug for public hosting: lowercase letters, digits and single hyphens
+const resumeSlugSchema = Joi.object({
+  slug: Joi.string().trim().lowercase().min(3).max(60)
+    .pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .invalid(...RESERVED_SLUGS)
+    .required()
+    .messages({
+      'string.pattern.base': 'Slug may only contain lowercase letters, numbers and single hyphens, and cannot start or end with a hyphen',
+      'any.invalid': 'This slug is reserved'
+    })
+});
+
+// Custom hostname for a hosted resume (a subdomain such as cv.example.com)
+const customDomainSchema = Joi.object({
+  hostname: Joi.string().trim().lowercase().hostname().max(253)
+    .pattern(/^([a-z0-9-]+\.)+[a-z]{2,}$/)
+    .required()
+    .messages({ 'string.pattern.base': 'Enter a fully qualified hostname such as cv.example.com' })
+});
+
+// JSON Resume (https://jsonresume.org/schema) import payload.
+// Only the sections we map are described; unknown keys are allowed since the
+// public schema permits additional properties everywhere.
+const jsonResumeDate = Joi.string().pattern(/^\d{4}(-\d{2}(-\d{2})?)?$/).allow('');
+const stringList = Joi.array().items(Joi.string().allow(''));
+
+const jsonResumeSchema = Joi.object({
+  basics: Joi.object({
+    name: Joi.string().allow(''),
+    label: Joi.string().allow(''),
+    email: Joi.string().allow(''),
+    phone: Joi.string().allow(''),
+    url: Joi.string().allow(''),
+    summary: Joi.string().allow(''),
+    location: Joi.object().unknown(true),
+    profiles: Joi.array().items(Joi.object({
+      network: Joi.string().allow(''),
+      username: Joi.string().allow(''),
+      url: Joi.string().allow('')
+    }).unknown(true))
+  }).unknown(true).optional(),
+  work: Joi.array().items(Joi.object({
+    name: Joi.string().allow(''),
+    position: Joi.string().allow(''),
+    location: Joi.string().allow(''),
+    description: Joi.string().allow(''),
+    url: Joi.string().allow(''),
+    startDate: jsonResumeDate,
+    endDate: jsonResumeDate,
+    summary: Joi.string().allow(''),
+    highlights: stringList,
+    keywords: stringList
+  }).unknown(true)).optional(),
+  education: Joi.array().items(Joi.object({
+    institution: Joi.string().allow(''),
+    area: Joi.string().allow(''),
+    studyType: Joi.string().allow(''),
+    startDate: jsonResumeDate,
+    endDate: jsonResumeDate,
+    score: Joi.string().allow(''),
+    courses: stringList
+  }).unknown(true)).optional(),
+  awards: Joi.array().items(Joi.object({
+    title: Joi.string().allow(''),
+    date: jsonResumeDate,
+    awarder: Joi.string().allow(''),
+    summary: Joi.string().allow('')
+  }).unknown(true)).optional(),
+  certificates: Joi.array().items(Joi.object({
+    name: Joi.string().allow(''),
+    date: jsonResumeDate,
+    issuer: Joi.string().allow(''),
+    url: Joi.string().allow('')
+  }).unknown(true)).optional(),
+  skills: Joi.array().items(Joi.object({
+    name: Joi.string().allow(''),
+    level: Joi.string().allow(''),
+    keywords: stringList
+  }).unknown(true)).optional(),
+  languages: Joi.array().items(Joi.object({
+    language: Joi.string().allow(''),
+    fluency: Joi.string().allow('')
+  }).unknown(true)).optional(),
+  projects: Joi.array().items(Joi.object({
+    name: Joi.string().allow(''),
+    description: Joi.string().allow(''),
+    highlights: stringList,
+    keywords: stringList,
+    startDate: jsonResumeDate,
+    endDate: jsonResumeDate,
+    url: Joi.string().allow(''),
+    roles: stringList
+  }).unknown(true)).optional(),
+  interests: Joi.array().items(Joi.object({
+    name: Joi.string().allow(''),
+    keywords: stringList
+  }).unknown(true)).optional(),
+  meta: Joi.object().unknown(true).optional()
+}).unknown(true);
+
 module.exports = {
-  resumeSchema
+  resumeSchema,
+  entityOverrideSchema,
+  duplicateResumeSchema,
+  jsonResumeSchema,
+  resumeSlugSchema,
+  customDomainSchema,
+  RESERVED_SLUGS
 };
\ No newline at end of file
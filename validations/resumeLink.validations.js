@@ -0,0 +1,19 @@
+const Joi = require('joi');
+
+const resumeLinkCreateSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    password: Joi.string().min(4).max(128).empty('').allow(null).default(null),
+    expiresAt: Joi.date().greater('now').allow(null).default(null)
+});
+
+// password: null or '' removes it; expiresAt: null removes the expiry
+const resumeLinkUpdateSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    password: Joi.string().min(4).max(128).allow(null, '').optional(),
+    expiresAt: Joi.date().greater('now').allow(null).optional()
+}).min(1);
+
+module.exports = {
+    resumeLinkCreateSchema,
+    resumeLinkUpdateSchema
+};
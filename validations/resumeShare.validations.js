@@ -0,0 +1,42 @@
+const Joi = require('joi');
+const ResumeComment = require('../models/resumeComment.model');
+
+const objectId = () => Joi.string().hex().length(24);
+
+// Re-inviting the same email updates the share and sends a fresh link
+const resumeShareCreateSchema = Joi.object({
+    email: Joi.string().email().required(),
+    name: Joi.string().trim().max(100).allow('').optional(),
+    permission: Joi.string().valid('read', 'comment').default('comment'),
+    message: Joi.string().trim().max(1000).allow('').optional()
+});
+
+const resumeShareUpdateSchema = Joi.object({
+    name: Joi.string().trim().max(100).allow('').optional(),
+    permission: Joi.string().valid('read', 'comment').optional()
+}).min(1);
+
+const anchorSchema = Joi.object({
+    section: Joi.string().valid(...ResumeComment.ANCHOR_SECTIONS).default('general'),
+    entityId: Joi.string().max(200).allow(null).optional(),
+    field: Joi.string().max(50).allow(null).optional(),
+    index: Joi.number().integer().min(0).allow(null).optional()
+});
+
+const resumeCommentCreateSchema = Joi.object({
+    body: Joi.string().trim().min(1).max(5000).required(),
+    anchor: anchorSchema.default({ section: 'general' }),
+    parentId: objectId().allow(null).optional()
+});
+
+const resumeCommentUpdateSchema = Joi.object({
+    body: Joi.string().trim().min(1).max(5000).optional(),
+    resolved: Joi.boolean().optional()
+}).min(1);
+
+module.exports = {
+    resumeShareCreateSchema,
+    resumeShareUpdateSchema,
+    resumeCommentCreateSchema,
+    resumeCommentUpdateSchema
+};
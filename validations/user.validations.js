@@ -8,6 +8,7 @@ const userRegisterSchema = Joi.object({
   password: Joi.string().min(8).required(),
   dateOfBirth: Joi.date().required(),
   role: Joi.string().valid('admin', 'user').default('user'),
+  referralCode: Joi.string().trim().max(32).optional(),
 
   country: Joi.string().allow('').optional(),
   state: Joi.string().allow('').optional(),
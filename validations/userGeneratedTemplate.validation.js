@@ -6,6 +6,31 @@ const userGeneratedTemplateSchema = Joi.object({
   html: Joi.string().optional()
 }).or('initialTemplateId', 'html'); // At least one must be provided
 
+const margin = Joi.number().min(0).max(50);
+
+// Body of POST /:id/generate-pdf; omitted fields keep the template's saved value
+const pdfOptionsSchema = Joi.object({
+  paperSize: Joi.string().valid('A4', 'Letter', 'Legal'),
+  margins: Joi.object({
+    top: margin,
+    right: margin,
+    bottom: margin,
+    left: margin
+  }),
+  scale: Joi.number().min(0.5).max(2),
+  pageNumbers: Joi.boolean(),
+  fitToOnePage: Joi.boolean(),
+  maxPages: Joi.number().integer().min(1).allow(null)
+});
+
+// ?page=&size= on preview image routes
+const previewQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1),
+  size: Joi.string().valid('thumb', 'medium', 'full')
+});
+
 module.exports = {
-  userGeneratedTemplateSchema
+  userGeneratedTemplateSchema,
+  pdfOptionsSchema,
+  previewQuerySchema
 };
\ No newline at end of file
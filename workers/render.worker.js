@@ -0,0 +1,32 @@
+// Render worker — runs queued PDF/preview renders (RenderJob) outside the API.
+// Start with: npm run worker   (one job at a time per worker; run more for throughput)
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { startWorker } = require('../services/renderJob.service');
+const { shutdownBrowserPool } = require('../utils/browser-pool');
+
+const start = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB connected (render worker)');
+  } catch (err) {
+    console.error('❌ Failed to connect to MongoDB:', err.message);
+    process.exit(1);
+  }
+
+  const worker = startWorker({ pollMs: parseInt(process.env.RENDER_WORKER_POLL_MS) || 2000 });
+  console.log('🖨️  Render worker started');
+
+  // Let the current render finish and close the pooled browser before exiting
+  const shutdown = async (signal) => {
+    console.log(`${signal} received, stopping render worker...`);
+    await worker.stop();
+    await shutdownBrowserPool();
+    await mongoose.disconnect();
+    process.exit(0);
+  };
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
+};
+
+start();